@@ -9,10 +9,23 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 interface IPricingManager {
     function calculateRedemptionRate(uint256 manufacturingCost, uint256 productId) external view returns (uint256);
     function calculateRedemptionRateWithMargin(uint256 manufacturingCost, uint256 marginBPS) external view returns (uint256);
-    function calculateVIPDiscount(uint256 regularTokens) external pure returns (uint256);
+    function calculateVIPDiscount(uint256 regularTokens) external view returns (uint256);
+    function calculateUserVIPRate(uint256 regularTokens, address user, uint256 productId) external view returns (uint256);
     function getProductInfo(uint256 productId) external view returns (string memory name, uint256 marginBPS);
 }
 
+// Token-side batch registry (Delta8GummiesToken)
+interface IBatchToken {
+    function getBatchInfo(string memory batchId) external view returns (
+        uint256 distillateWeight,
+        uint256 tokensIssued,
+        uint256 timestamp,
+        string memory labTestUrl,
+        bool active
+    );
+    function deactivateBatch(string memory batchId) external;
+}
+
 /**
  * @title BatchManagerUpgradeable
  * @dev Manages product batches with dynamic pricing for DELTA8 ecosystem (Upgradeable)
@@ -22,15 +35,19 @@ interface IPricingManager {
  * - Dynamic redemption rates based on manufacturing costs
  * - Multi-product support (gummies, distillate, sample packs)
  * - Integration with PricingManager for margin calculations
- * - Batch lifecycle management (active/inactive)
+ * - Batch lifecycle management (active/inactive/recalled, best-before expiry)
  * - Stock tracking per batch
+ * - Lab report content hashes and recall lists of affected redeemers
+ * - Link to the token's string-keyed batch registry (one physical lot, one record each side);
+ *   deactivating, recalling or expiring a batch retires its token batch, and a retired
+ *   token batch stops redemptions from the linked batch
  * - UPGRADEABLE for future enhancements
  *
  * Batch Flow:
  * 1. Admin creates batch with cost data
  * 2. System calculates redemption rate via PricingManager
  * 3. Customers redeem tokens for products from specific batches
- * 4. Stock depletes until batch is exhausted
+ * 4. Stock depletes until batch is exhausted, expires or is recalled
  */
 contract BatchManagerUpgradeable is 
     Initializable,
@@ -57,6 +74,20 @@ contract BatchManagerUpgradeable is
         uint256 deactivatedAt;          // Deactivation timestamp
     }
 
+    // Cart line for multi-product redemptions
+    struct CartLine {
+        uint256 productId;              // Product type
+        uint256 quantity;               // Units requested
+    }
+
+    // Per-batch result of a cart redemption
+    struct RedemptionFill {
+        uint256 batchId;                // Batch units were taken from
+        uint256 productId;              // Product type
+        uint256 quantity;               // Units taken from this batch
+        uint256 tokens;                 // Tokens charged for these units
+    }
+
     // Storage
     mapping(uint256 => Batch) public batches;
     uint256 public batchCount;
@@ -68,6 +99,24 @@ contract BatchManagerUpgradeable is
     mapping(address => mapping(uint256 => uint256)) public userRedemptions; // user => batchId => quantity
     mapping(uint256 => uint256) public totalRedemptions; // batchId => total redeemed
 
+    // Contracts allowed to record redemptions (e.g., RedemptionRouter)
+    mapping(address => bool) public authorizedRedeemers;
+
+    // Compliance: best-before, lab report integrity and recalls
+    mapping(uint256 => uint256) public batchExpiry;          // batchId => best-before timestamp (0 = none)
+    mapping(uint256 => bytes32) public labReportHash;        // batchId => SHA-256 of the lab report file
+    mapping(uint256 => uint256) public recalledAt;           // batchId => recall timestamp (0 = not recalled)
+    mapping(uint256 => address[]) private batchRedeemers;    // batchId => every user who redeemed from it
+    mapping(uint256 => mapping(address => bool)) private isBatchRedeemer;
+
+    // Link to the token's batch registry
+    IBatchToken public delta8Token;
+    mapping(uint256 => string) public tokenBatchIds;         // batchId => token-side batch ID ("" = not linked)
+    mapping(bytes32 => uint256) public batchByTokenId;       // keccak256(token batch ID) => batchId
+
+    // Batches each user has redeemed from, in first-redemption order
+    mapping(address => uint256[]) private userBatches;
+
     // Events
     event BatchCreated(
         uint256 indexed batchId,
@@ -97,9 +146,25 @@ contract BatchManagerUpgradeable is
         bool isVIP
     );
     event PricingManagerUpdated(address indexed oldManager, address indexed newManager);
+    event RedeemerAuthorized(address indexed redeemer, bool authorized);
+    event StockRestored(address indexed user, uint256 indexed batchId, uint256 quantity);
+    event BatchRecalled(uint256 indexed batchId, uint256 affectedRedeemers, string reason);
+    event BatchExpirySet(uint256 indexed batchId, uint256 expiresAt);
+    event LabReportUpdated(uint256 indexed batchId, string labTestUrl, bytes32 reportHash);
+    event Delta8TokenUpdated(address indexed oldToken, address indexed newToken);
+    event TokenBatchLinked(uint256 indexed batchId, string tokenBatchId);
+    event TokenBatchSyncFailed(uint256 indexed batchId, string tokenBatchId);
 
     // Storage gap for future upgrades
-    uint256[50] private __gap;
+    uint256[40] private __gap; // Reduced by 1 for authorizedRedeemers, 5 for expiry, lab hash and recalls, 3 for token batch links, 1 for user history
+
+    modifier onlyRedeemer() {
+        require(
+            msg.sender == owner() || authorizedRedeemers[msg.sender],
+            "Not authorized"
+        );
+        _;
+    }
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -137,6 +202,70 @@ contract BatchManagerUpgradeable is
         string memory batchCode,
         string memory labTestUrl
     ) external onlyOwner returns (uint256 batchId) {
+        return _createBatch(productId, manufacturingCost, marginBPS, totalStock, batchCode, labTestUrl);
+    }
+
+    /**
+     * @dev Create a batch for a lot already registered on the token, linked to it
+     * @param productId Product type identifier
+     * @param manufacturingCost Cost per unit in USD (6 decimals)
+     * @param marginBPS Margin in basis points (optional, 0 = use product default)
+     * @param totalStock Total units in batch
+     * @param tokenBatchId Token-side batch ID; also used as the batch code
+     * @return batchId Created batch ID
+     *
+     * The batch code and lab test URL are copied from the token's batch so
+     * both registries start with the same data.
+     */
+    function createLinkedBatch(
+        uint256 productId,
+        uint256 manufacturingCost,
+        uint256 marginBPS,
+        uint256 totalStock,
+        string calldata tokenBatchId
+    ) external onlyOwner returns (uint256 batchId) {
+        require(address(delta8Token) != address(0), "Token not set");
+        (, , , string memory labTestUrl, ) = delta8Token.getBatchInfo(tokenBatchId);
+
+        batchId = _createBatch(productId, manufacturingCost, marginBPS, totalStock, tokenBatchId, labTestUrl);
+        _linkTokenBatch(batchId, tokenBatchId);
+    }
+
+    /**
+     * @dev Link an existing batch to its token-side batch
+     * @param batchId Batch ID
+     * @param tokenBatchId Active batch ID in the token's registry
+     */
+    function linkTokenBatch(uint256 batchId, string calldata tokenBatchId) external onlyOwner {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        _linkTokenBatch(batchId, tokenBatchId);
+    }
+
+    /**
+     * @dev Pull a token-side deactivation across to the linked batch (anyone can call)
+     * @param batchId Linked batch ID
+     * @return deactivated True if the batch was deactivated
+     */
+    function syncTokenBatch(uint256 batchId) external returns (bool deactivated) {
+        require(bytes(tokenBatchIds[batchId]).length > 0, "Batch not linked");
+
+        if (batches[batchId].isActive && !_tokenBatchActive(batchId)) {
+            _deactivate(batchId);
+            return true;
+        }
+    }
+
+    /**
+     * @dev Create a batch record and compute its redemption rates
+     */
+    function _createBatch(
+        uint256 productId,
+        uint256 manufacturingCost,
+        uint256 marginBPS,
+        uint256 totalStock,
+        string memory batchCode,
+        string memory labTestUrl
+    ) internal returns (uint256 batchId) {
         require(manufacturingCost > 0, "Invalid cost");
         require(totalStock > 0, "Invalid stock");
         require(bytes(batchCode).length > 0, "Batch code required");
@@ -240,7 +369,7 @@ contract BatchManagerUpgradeable is
     }
 
     /**
-     * @dev Deactivate batch
+     * @dev Deactivate batch (a pause: the linked token-side batch stays active)
      * @param batchId Batch to deactivate
      */
     function deactivateBatch(uint256 batchId) external onlyOwner {
@@ -263,6 +392,9 @@ contract BatchManagerUpgradeable is
         Batch storage batch = batches[batchId];
         require(!batch.isActive, "Already active");
         require(batch.remainingStock > 0, "No stock remaining");
+        require(recalledAt[batchId] == 0, "Batch recalled");
+        require(!isBatchExpired(batchId), "Batch expired");
+        require(bytes(tokenBatchIds[batchId]).length == 0 || _tokenBatchActive(batchId), "Token batch inactive");
 
         batch.isActive = true;
         batch.deactivatedAt = 0;
@@ -290,7 +422,7 @@ contract BatchManagerUpgradeable is
     }
 
     /**
-     * @dev Record product redemption (called by redemption contract)
+     * @dev Record product redemption (called by owner or an authorized redemption contract)
      * @param user User redeeming
      * @param batchId Batch to redeem from
      * @param quantity Number of units
@@ -302,14 +434,145 @@ contract BatchManagerUpgradeable is
         uint256 batchId,
         uint256 quantity,
         bool isVIP
-    ) external onlyOwner returns (uint256 tokensRequired) {
+    ) external onlyRedeemer returns (uint256 tokensRequired) {
         require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        require(quantity > 0, "Invalid quantity");
+        require(batches[batchId].isActive, "Batch not active");
+        require(!isBatchExpired(batchId), "Batch expired");
+        require(!_tokenBatchRetired(batchId), "Token batch inactive");
+        require(batches[batchId].remainingStock >= quantity, "Insufficient stock");
+
+        tokensRequired = _recordRedemption(user, batchId, quantity, isVIP);
+    }
+
+    /**
+     * @dev Record a multi-product cart redemption (called by owner or an authorized redemption contract)
+     * @param user User redeeming
+     * @param lines Cart lines (productId, quantity)
+     * @param isVIP Whether user has VIP status
+     * @return fills Per-batch breakdown of units and tokens
+     * @return totalTokens Tokens needed for the whole cart
+     *
+     * Each line is filled from the product's oldest active batches first (FIFO)
+     * and split across batches when one runs low. Reverts the whole cart if
+     * any line cannot be filled.
+     */
+    function recordCartRedemption(
+        address user,
+        CartLine[] calldata lines,
+        bool isVIP
+    ) external onlyRedeemer returns (RedemptionFill[] memory fills, uint256 totalTokens) {
+        require(lines.length > 0, "Empty cart");
+
+        // Upper bound on fills: every batch of every line's product
+        uint256 maxFills = 0;
+        for (uint256 i = 0; i < lines.length; i++) {
+            maxFills += productBatches[lines[i].productId].length;
+        }
+
+        RedemptionFill[] memory buffer = new RedemptionFill[](maxFills);
+        uint256 fillCount = 0;
+
+        for (uint256 i = 0; i < lines.length; i++) {
+            require(lines[i].quantity > 0, "Invalid quantity");
+
+            uint256 productId = lines[i].productId;
+            uint256 needed = lines[i].quantity;
+            uint256[] storage candidates = productBatches[productId];
+
+            // Batches are pushed in creation order, so index order is FIFO
+            for (uint256 j = 0; j < candidates.length && needed > 0; j++) {
+                uint256 batchId = candidates[j];
+                Batch storage batch = batches[batchId];
+                if (!batch.isActive || batch.remainingStock == 0) {
+                    continue;
+                }
+                if (isBatchExpired(batchId)) {
+                    _deactivate(batchId);
+                    _retireTokenBatch(batchId);
+                    continue;
+                }
+                if (_tokenBatchRetired(batchId)) {
+                    _deactivate(batchId);
+                    continue;
+                }
+
+                uint256 take = needed < batch.remainingStock ? needed : batch.remainingStock;
+                uint256 tokens = _recordRedemption(user, batchId, take, isVIP);
+
+                buffer[fillCount++] = RedemptionFill({
+                    batchId: batchId,
+                    productId: productId,
+                    quantity: take,
+                    tokens: tokens
+                });
+                totalTokens += tokens;
+                needed -= take;
+            }
+
+            require(needed == 0, "Insufficient stock for product");
+        }
+
+        // Trim to the number of batches actually used
+        fills = new RedemptionFill[](fillCount);
+        for (uint256 i = 0; i < fillCount; i++) {
+            fills[i] = buffer[i];
+        }
+    }
+
+    /**
+     * @dev Return units of a cancelled or refunded redemption to stock
+     * Reactivates the batch if the redemption had sold it out, unless it
+     * has since been recalled or passed its best-before date.
+     * @param user User whose redemption is reversed
+     * @param batchId Batch the units came from
+     * @param quantity Number of units
+     */
+    function restoreStock(
+        address user,
+        uint256 batchId,
+        uint256 quantity
+    ) external onlyRedeemer {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        require(userRedemptions[user][batchId] >= quantity, "Exceeds redeemed quantity");
+
         Batch storage batch = batches[batchId];
-        require(batch.isActive, "Batch not active");
-        require(batch.remainingStock >= quantity, "Insufficient stock");
+        bool soldOut = batch.remainingStock == 0 && !batch.isActive &&
+            recalledAt[batchId] == 0 && !isBatchExpired(batchId);
+
+        batch.remainingStock += quantity;
+        userRedemptions[user][batchId] -= quantity;
+        totalRedemptions[batchId] -= quantity;
 
-        // Calculate tokens required
-        uint256 ratePerUnit = isVIP ? batch.vipRedemptionRate : batch.redemptionRate;
+        if (soldOut) {
+            batch.isActive = true;
+            batch.deactivatedAt = 0;
+            emit BatchReactivated(batchId);
+        }
+
+        emit StockRestored(user, batchId, quantity);
+    }
+
+    /**
+     * @dev Update stock and tracking for a validated redemption
+     * @param user User redeeming
+     * @param batchId Active batch with enough stock
+     * @param quantity Number of units
+     * @param isVIP Whether user has VIP status
+     * @return tokensRequired Tokens needed for redemption
+     */
+    function _recordRedemption(
+        address user,
+        uint256 batchId,
+        uint256 quantity,
+        bool isVIP
+    ) internal returns (uint256 tokensRequired) {
+        Batch storage batch = batches[batchId];
+
+        // Calculate tokens required (VIP discount resolved for this user)
+        uint256 ratePerUnit = isVIP
+            ? pricingManager.calculateUserVIPRate(batch.redemptionRate, user, batch.productId)
+            : batch.redemptionRate;
         tokensRequired = ratePerUnit * quantity;
 
         // Update stock and tracking
@@ -317,6 +580,12 @@ contract BatchManagerUpgradeable is
         userRedemptions[user][batchId] += quantity;
         totalRedemptions[batchId] += quantity;
 
+        if (!isBatchRedeemer[batchId][user]) {
+            isBatchRedeemer[batchId][user] = true;
+            batchRedeemers[batchId].push(user);
+            userBatches[user].push(batchId);
+        }
+
         // Auto-deactivate if out of stock
         if (batch.remainingStock == 0) {
             batch.isActive = false;
@@ -328,7 +597,139 @@ contract BatchManagerUpgradeable is
     }
 
     /**
-     * @dev Get batch redemption rate
+     * @dev Recall a batch: blocks redemptions for good and flags everyone who redeemed from it
+     * A linked token-side batch is deactivated as well.
+     * @param batchId Batch to recall
+     * @param reason Recall reason (e.g., failed lab retest)
+     */
+    function recallBatch(uint256 batchId, string calldata reason) external onlyOwner {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        require(recalledAt[batchId] == 0, "Already recalled");
+
+        recalledAt[batchId] = block.timestamp;
+        if (batches[batchId].isActive) {
+            _deactivate(batchId);
+        }
+        _retireTokenBatch(batchId);
+
+        emit BatchRecalled(batchId, batchRedeemers[batchId].length, reason);
+    }
+
+    /**
+     * @dev Set a batch's best-before date, after which it stops accepting redemptions
+     * @param batchId Batch ID
+     * @param expiresAt Best-before timestamp (0 = no expiry)
+     */
+    function setBatchExpiry(uint256 batchId, uint256 expiresAt) external onlyOwner {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry in the past");
+
+        batchExpiry[batchId] = expiresAt;
+
+        emit BatchExpirySet(batchId, expiresAt);
+    }
+
+    /**
+     * @dev Set a batch's lab report (certificate of analysis) and its content hash
+     * @param batchId Batch ID
+     * @param labTestUrl Lab test results URL
+     * @param reportHash SHA-256 of the report file, so the storefront can detect a swapped file
+     */
+    function setLabReport(uint256 batchId, string calldata labTestUrl, bytes32 reportHash) external onlyOwner {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        require(reportHash != bytes32(0), "Invalid report hash");
+
+        batches[batchId].labTestUrl = labTestUrl;
+        labReportHash[batchId] = reportHash;
+
+        emit LabReportUpdated(batchId, labTestUrl, reportHash);
+    }
+
+    /**
+     * @dev Persist the deactivation of batches past their best-before date (anyone can call)
+     * @param batchIds Batches to check
+     * @return deactivated Number of batches deactivated
+     */
+    function deactivateExpiredBatches(uint256[] calldata batchIds) external returns (uint256 deactivated) {
+        for (uint256 i = 0; i < batchIds.length; i++) {
+            uint256 batchId = batchIds[i];
+            if (batches[batchId].isActive && isBatchExpired(batchId)) {
+                _deactivate(batchId);
+                _retireTokenBatch(batchId);
+                deactivated++;
+            }
+        }
+    }
+
+    /**
+     * @dev Check whether a batch is past its best-before date
+     * @param batchId Batch ID
+     * @return expired True once the expiry timestamp is reached
+     */
+    function isBatchExpired(uint256 batchId) public view returns (bool expired) {
+        uint256 expiresAt = batchExpiry[batchId];
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+
+    /**
+     * @dev Check a lab report file against the stored hash
+     * @param batchId Batch ID
+     * @param reportHash SHA-256 of the file the storefront downloaded
+     * @return matches True if the hash is set and equal
+     */
+    function verifyLabReport(uint256 batchId, bytes32 reportHash) external view returns (bool matches) {
+        return labReportHash[batchId] != bytes32(0) && labReportHash[batchId] == reportHash;
+    }
+
+    /**
+     * @dev Check whether a user is affected by a batch recall
+     * @param user User address
+     * @param batchId Batch ID
+     * @return affected True if the batch is recalled and the user still holds redeemed units
+     */
+    function isRecallAffected(address user, uint256 batchId) external view returns (bool affected) {
+        return recalledAt[batchId] != 0 && userRedemptions[user][batchId] > 0;
+    }
+
+    /**
+     * @dev Number of users who have ever redeemed from a batch
+     * @param batchId Batch ID
+     * @return count Redeemer count (page over it with getBatchRedeemers)
+     */
+    function getBatchRedeemerCount(uint256 batchId) external view returns (uint256 count) {
+        return batchRedeemers[batchId].length;
+    }
+
+    /**
+     * @dev Page through a batch's redeemers with their current redeemed quantity
+     * @param batchId Batch ID
+     * @param offset First index
+     * @param limit Maximum number of entries
+     * @return users Redeemer addresses
+     * @return quantities Units each user still holds (0 if fully cancelled or refunded)
+     *
+     * Redemptions recorded before recall tracking was added are not listed;
+     * scripts/exportRecall.js fills them in from ProductRedeemed events.
+     */
+    function getBatchRedeemers(uint256 batchId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory users, uint256[] memory quantities)
+    {
+        address[] storage all = batchRedeemers[batchId];
+        uint256 end = offset + limit > all.length ? all.length : offset + limit;
+        uint256 count = offset < end ? end - offset : 0;
+
+        users = new address[](count);
+        quantities = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            users[i] = all[offset + i];
+            quantities[i] = userRedemptions[users[i]][batchId];
+        }
+    }
+
+    /**
+     * @dev Get batch redemption rate (VIP rate uses the default discount rule)
      * @param batchId Batch ID
      * @param isVIP Whether to get VIP rate
      * @return rate Redemption rate in tokens (18 decimals)
@@ -339,6 +740,21 @@ contract BatchManagerUpgradeable is
         rate = isVIP ? batch.vipRedemptionRate : batch.redemptionRate;
     }
 
+    /**
+     * @dev Get redemption rate a specific user would pay
+     * @param batchId Batch ID
+     * @param user User address
+     * @param isVIP Whether user has VIP status
+     * @return rate Redemption rate in tokens (18 decimals)
+     */
+    function getUserRedemptionRate(uint256 batchId, address user, bool isVIP) external view returns (uint256 rate) {
+        require(batchId > 0 && batchId <= batchCount, "Invalid batch");
+        Batch memory batch = batches[batchId];
+        rate = isVIP
+            ? pricingManager.calculateUserVIPRate(batch.redemptionRate, user, batch.productId)
+            : batch.redemptionRate;
+    }
+
     /**
      * @dev Get batch details
      * @param batchId Batch ID
@@ -350,7 +766,7 @@ contract BatchManagerUpgradeable is
     }
 
     /**
-     * @dev Get active batches for product
+     * @dev Get active batches for product (in stock and not expired)
      * @param productId Product type
      * @return activeBatchIds Array of active batch IDs
      */
@@ -360,7 +776,7 @@ contract BatchManagerUpgradeable is
 
         // Count active batches
         for (uint256 i = 0; i < allBatches.length; i++) {
-            if (batches[allBatches[i]].isActive && batches[allBatches[i]].remainingStock > 0) {
+            if (_isRedeemable(allBatches[i])) {
                 activeCount++;
             }
         }
@@ -371,13 +787,71 @@ contract BatchManagerUpgradeable is
 
         for (uint256 i = 0; i < allBatches.length; i++) {
             uint256 batchId = allBatches[i];
-            if (batches[batchId].isActive && batches[batchId].remainingStock > 0) {
+            if (_isRedeemable(batchId)) {
                 activeBatchIds[index] = batchId;
                 index++;
             }
         }
     }
 
+    /**
+     * @dev Page through a product's batches, returning those that can take redemptions
+     * @param productId Product type
+     * @param cursor Index into the product's batch list (0 for the first page)
+     * @param limit Maximum number of batches to scan (bounds gas, not the result size)
+     * @return activeBatchIds Redeemable batch IDs among the scanned ones
+     * @return nextCursor Cursor for the next page (0 when there are no more)
+     */
+    function getActiveBatchesPage(uint256 productId, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (uint256[] memory activeBatchIds, uint256 nextCursor)
+    {
+        uint256[] storage allBatches = productBatches[productId];
+        uint256 end = cursor + limit > allBatches.length ? allBatches.length : cursor + limit;
+
+        uint256[] memory buffer = new uint256[](cursor < end ? end - cursor : 0);
+        uint256 found = 0;
+        for (uint256 i = cursor; i < end; i++) {
+            if (_isRedeemable(allBatches[i])) {
+                buffer[found++] = allBatches[i];
+            }
+        }
+
+        activeBatchIds = new uint256[](found);
+        for (uint256 i = 0; i < found; i++) {
+            activeBatchIds[i] = buffer[i];
+        }
+        nextCursor = end < allBatches.length ? end : 0;
+    }
+
+    /**
+     * @dev Page through the batches a user has redeemed from
+     * @param user User address
+     * @param cursor Index to start from (0 for the first page)
+     * @param limit Maximum number of entries
+     * @return batchIds Batches in first-redemption order
+     * @return quantities Units the user currently holds from each (after cancellations)
+     * @return nextCursor Cursor for the next page (0 when there are no more)
+     */
+    function getUserRedemptionHistory(address user, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (uint256[] memory batchIds, uint256[] memory quantities, uint256 nextCursor)
+    {
+        uint256[] storage history = userBatches[user];
+        uint256 end = cursor + limit > history.length ? history.length : cursor + limit;
+        uint256 count = cursor < end ? end - cursor : 0;
+
+        batchIds = new uint256[](count);
+        quantities = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            batchIds[i] = history[cursor + i];
+            quantities[i] = userRedemptions[user][batchIds[i]];
+        }
+        nextCursor = end < history.length ? end : 0;
+    }
+
     /**
      * @dev Get user redemption history
      * @param user User address
@@ -400,6 +874,34 @@ contract BatchManagerUpgradeable is
         emit PricingManagerUpdated(oldManager, _newManager);
     }
 
+    /**
+     * @dev Set the token whose batch registry batches are linked to
+     * @param _delta8Token Delta8GummiesToken address
+     *
+     * Grant this contract BATCH_MANAGER_ROLE on the token so recalls and
+     * expiries also deactivate the linked token-side batch.
+     */
+    function setDelta8Token(address _delta8Token) external onlyOwner {
+        require(_delta8Token != address(0), "Invalid address");
+        address oldToken = address(delta8Token);
+        delta8Token = IBatchToken(_delta8Token);
+
+        emit Delta8TokenUpdated(oldToken, _delta8Token);
+    }
+
+    /**
+     * @dev Authorize contract to record redemptions
+     * @param redeemer Address of contract (e.g., RedemptionRouter)
+     * @param authorized True to authorize, false to revoke
+     */
+    function setAuthorizedRedeemer(address redeemer, bool authorized) external onlyOwner {
+        require(redeemer != address(0), "Invalid address");
+
+        authorizedRedeemers[redeemer] = authorized;
+
+        emit RedeemerAuthorized(redeemer, authorized);
+    }
+
     /**
      * @dev Get comprehensive batch info with current pricing
      * @param batchId Batch ID
@@ -466,5 +968,73 @@ contract BatchManagerUpgradeable is
             }
         }
     }
-}
 
+    /**
+     * @dev Mark a batch inactive
+     * @param batchId Batch to deactivate
+     */
+    function _deactivate(uint256 batchId) internal {
+        batches[batchId].isActive = false;
+        batches[batchId].deactivatedAt = block.timestamp;
+        emit BatchDeactivated(batchId, block.timestamp);
+    }
+
+    /**
+     * @dev Whether a batch can take redemptions right now
+     * @param batchId Batch ID
+     */
+    function _isRedeemable(uint256 batchId) internal view returns (bool) {
+        Batch storage batch = batches[batchId];
+        return batch.isActive && batch.remainingStock > 0 && !isBatchExpired(batchId) && !_tokenBatchRetired(batchId);
+    }
+
+    /**
+     * @dev Record a one-to-one link between a batch and an active token-side batch
+     */
+    function _linkTokenBatch(uint256 batchId, string memory tokenBatchId) internal {
+        require(address(delta8Token) != address(0), "Token not set");
+        require(bytes(tokenBatchId).length > 0, "Invalid token batch");
+        require(bytes(tokenBatchIds[batchId]).length == 0, "Batch already linked");
+
+        bytes32 key = keccak256(bytes(tokenBatchId));
+        require(batchByTokenId[key] == 0, "Token batch already linked");
+
+        (, , , , bool active) = delta8Token.getBatchInfo(tokenBatchId);
+        require(active, "Token batch not active");
+
+        tokenBatchIds[batchId] = tokenBatchId;
+        batchByTokenId[key] = batchId;
+
+        emit TokenBatchLinked(batchId, tokenBatchId);
+    }
+
+    /**
+     * @dev Whether the linked token-side batch is still active
+     */
+    function _tokenBatchActive(uint256 batchId) internal view returns (bool active) {
+        (, , , , active) = delta8Token.getBatchInfo(tokenBatchIds[batchId]);
+    }
+
+    /**
+     * @dev Whether the batch is linked to a token-side batch that has been deactivated
+     */
+    function _tokenBatchRetired(uint256 batchId) internal view returns (bool) {
+        return bytes(tokenBatchIds[batchId]).length > 0 && !_tokenBatchActive(batchId);
+    }
+
+    /**
+     * @dev Deactivate the linked token-side batch after a recall or expiry
+     * Never blocks the caller: a missing role is reported as TokenBatchSyncFailed.
+     */
+    function _retireTokenBatch(uint256 batchId) internal {
+        string memory tokenBatchId = tokenBatchIds[batchId];
+        if (bytes(tokenBatchId).length == 0 || !_tokenBatchActive(batchId)) {
+            return;
+        }
+
+        try delta8Token.deactivateBatch(tokenBatchId) {
+        } catch {
+            emit TokenBatchSyncFailed(batchId, tokenBatchId);
+        }
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title Delta8Forwarder
+ * @dev ERC-2771 trusted forwarder for DELTA8 gasless transactions
+ *
+ * The backend relayer (scripts/relayer.js) submits user-signed requests here
+ * and pays the gas. Target contracts (VIPMembership, RedemptionRouter) must
+ * list this forwarder via setTrustedForwarder to act for the signing user.
+ */
+contract Delta8Forwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("Delta8Forwarder") {}
+}
@@ -4,6 +4,7 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
@@ -14,25 +15,34 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
  *
  * Features:
  * - Utility token providing product access, discounts, and staking rewards
- * - 50% product discount for holders of 100+ tokens (VIP membership)
+ * - 50% product discount for holders of 100+ tokens (VIP membership), held for minHoldingPeriod
  * - Staking rewards (15-25% APY) through revenue-share mechanism
  * - Product redemption: Burn tokens to purchase Delta-8 gummies at member pricing
  * - Batch traceability with lab test verification
  * - Oracle integration for dynamic pricing and fair redemption rates
+ * - Minting limits: hard supply cap, refilling per-minter quotas, optional inventory backing
  * - Pausable and burnable for security and redemption purposes
+ * - EIP-2612 permit for gasless approvals (membership purchase, redemption)
  */
-contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessControl, ReentrancyGuard {
+contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, ERC20Permit, AccessControl, ReentrancyGuard {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant ORACLE_ROLE = keccak256("ORACLE_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant REDEEMER_ROLE = keccak256("REDEEMER_ROLE");
+    bytes32 public constant BATCH_MANAGER_ROLE = keccak256("BATCH_MANAGER_ROLE");
 
     // Total supply: 10 million tokens for utility and membership ecosystem
     uint256 public constant INITIAL_SUPPLY = 10_000_000 * 10**18;
 
+    // Hard cap on total supply
+    uint256 public constant MAX_SUPPLY = 100_000_000 * 10**18;
+
     // VIP Membership discount threshold (100 tokens minimum)
     uint256 public constant DISCOUNT_THRESHOLD = 100 * 10**18;
 
+    // Longest configurable holding period for the discount
+    uint256 public constant MAX_HOLDING_PERIOD = 90 days;
+
     // Maximum batch size limit (1M tokens = 1M grams)
     uint256 public constant MAX_BATCH_SIZE = 1_000_000 * 10**18;
 
@@ -64,6 +74,21 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
     // Staking integration (utility token approach)
     address public stakingContract;         // Staking rewards contract address
 
+    // Discount holding requirement (anti-gaming)
+    uint256 public minHoldingPeriod;                        // Time the threshold must be held before the discount applies
+    mapping(address => uint256) public thresholdHeldSince;  // Checkpoint: when the balance last reached DISCOUNT_THRESHOLD (0 = below)
+
+    // Minter quotas: `limit` tokens per `period`, refilled when a new period starts
+    struct MinterQuota {
+        uint256 limit;              // Tokens per period (0 = no quota)
+        uint256 period;             // Refill period in seconds
+        uint256 used;               // Minted in the current period
+        uint256 periodStart;        // Start of the current period
+    }
+
+    mapping(address => MinterQuota) public minterQuotas;
+    bool public inventoryBackedMinting;     // Block mints that would exceed 1 token per gram of inventory
+
     // Events for traceability and compliance
     event InventoryUpdated(
         uint256 newInventoryWeight,
@@ -88,12 +113,16 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
     event BatchDeactivated(string indexed batchId, uint256 timestamp);
     event StakingContractSet(address indexed stakingContract);
     event TreasuryAddressUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event MinHoldingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event MintDenied(address indexed minter, address indexed to, uint256 amount, string reason);
+    event MinterQuotaUpdated(address indexed minter, uint256 limit, uint256 period);
+    event InventoryBackedMintingUpdated(bool enabled);
 
     /**
      * @dev Constructor mints initial supply to deployer
      * @param _pricingOracle Address of the pricing oracle for dynamic redemption rates
      */
-    constructor(address _pricingOracle) ERC20("DELTA8", "DELTA8") {
+    constructor(address _pricingOracle) ERC20("DELTA8", "DELTA8") ERC20Permit("DELTA8") {
         require(_pricingOracle != address(0), "Invalid oracle address");
 
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
@@ -104,6 +133,7 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         _grantRole(REDEEMER_ROLE, msg.sender);
 
         pricingOracle = _pricingOracle;
+        minHoldingPeriod = 7 days;
 
         // Mint initial supply to deployer
         _mint(msg.sender, INITIAL_SUPPLY);
@@ -130,12 +160,13 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
      * @param batchId Unique batch identifier (e.g., "D8G-2024-001")
      * @param distillateWeight Weight in grams of Delta-8 distillate
      * @param labTestUrl URL to lab test results (IPFS or web link)
+     * @return created False if the mint was denied (see MintDenied); no batch is recorded
      */
     function createBatch(
         string memory batchId,
         uint256 distillateWeight,
         string memory labTestUrl
-    ) external onlyRole(MINTER_ROLE) {
+    ) external onlyRole(MINTER_ROLE) returns (bool created) {
         require(bytes(batchId).length > 0, "Invalid batch ID");
         require(distillateWeight > 0, "Weight must be positive");
         require(!productBatches[batchId].active, "Batch already exists");
@@ -143,6 +174,11 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         uint256 tokensToMint = distillateWeight * 10**18; // Tokens minted for batch tracking
         require(tokensToMint <= MAX_BATCH_SIZE, "Batch size exceeds maximum limit");
 
+        // The batch's distillate backs its own tokens
+        if (!_checkMint(msg.sender, msg.sender, tokensToMint, distillateWeight)) {
+            return false;
+        }
+
         // Create batch record
         productBatches[batchId] = ProductBatch({
             batchId: batchId,
@@ -160,17 +196,77 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         inventoryData.totalWeight += distillateWeight;
 
         emit BatchCreated(batchId, distillateWeight, tokensToMint, labTestUrl);
+        return true;
     }
 
     /**
      * @dev Mint tokens for utility distribution (admin only)
      * @param to Recipient address
      * @param amount Amount to mint
+     * @return minted False if the mint was denied (see MintDenied)
      */
-    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
+    function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) returns (bool minted) {
         require(to != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be positive");
+        if (!_checkMint(msg.sender, to, amount, 0)) {
+            return false;
+        }
         _mint(to, amount);
+        return true;
+    }
+
+    /**
+     * @dev Set a refilling mint quota for a minter
+     * @param minter Minter address
+     * @param limit Tokens the minter may mint per period (0 removes the quota)
+     * @param period Refill period in seconds
+     */
+    function setMinterQuota(address minter, uint256 limit, uint256 period) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(minter != address(0), "Invalid minter");
+        require(limit == 0 || period > 0, "Invalid quota period");
+
+        minterQuotas[minter] = MinterQuota({
+            limit: limit,
+            period: period,
+            used: 0,
+            periodStart: block.timestamp
+        });
+
+        emit MinterQuotaUpdated(minter, limit, period);
+    }
+
+    /**
+     * @dev Require minted supply to stay backed by inventory (1 token per gram)
+     * @param enabled Whether inventory backing is enforced
+     */
+    function setInventoryBackedMinting(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        inventoryBackedMinting = enabled;
+        emit InventoryBackedMintingUpdated(enabled);
+    }
+
+    /**
+     * @dev Tokens a minter can mint right now under the cap, its quota and inventory backing
+     * @param minter Minter address
+     * @return available Mintable amount (in wei)
+     */
+    function availableToMint(address minter) external view returns (uint256 available) {
+        if (!hasRole(MINTER_ROLE, minter)) return 0;
+
+        uint256 supply = totalSupply();
+        available = supply >= MAX_SUPPLY ? 0 : MAX_SUPPLY - supply;
+
+        MinterQuota memory quota = minterQuotas[minter];
+        if (quota.limit > 0) {
+            uint256 used = block.timestamp >= quota.periodStart + quota.period ? 0 : quota.used;
+            uint256 quotaLeft = used >= quota.limit ? 0 : quota.limit - used;
+            if (quotaLeft < available) available = quotaLeft;
+        }
+
+        if (inventoryBackedMinting) {
+            uint256 backed = inventoryData.totalWeight * 10**18;
+            uint256 backingLeft = supply >= backed ? 0 : backed - supply;
+            if (backingLeft < available) available = backingLeft;
+        }
     }
 
     /**
@@ -265,8 +361,15 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
     /**
      * @dev Deactivate a product batch (for completed batches)
      * @param batchId Batch ID to deactivate
+     *
+     * Also callable by BatchManager (BATCH_MANAGER_ROLE) to retire a linked
+     * batch when it is recalled or expires there.
      */
-    function deactivateBatch(string memory batchId) external onlyRole(MINTER_ROLE) {
+    function deactivateBatch(string memory batchId) external {
+        require(
+            hasRole(MINTER_ROLE, msg.sender) || hasRole(BATCH_MANAGER_ROLE, msg.sender),
+            "Not authorized"
+        );
         require(productBatches[batchId].active, "Batch not active");
 
         productBatches[batchId].active = false;
@@ -360,6 +463,29 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         );
     }
 
+    /**
+     * @dev Page through batch IDs
+     * @param cursor Index to start from (0 for the first page)
+     * @param limit Maximum number of IDs to return
+     * @return ids Batch IDs in creation order
+     * @return nextCursor Cursor for the next page (0 when there are no more)
+     */
+    function getBatchIds(uint256 cursor, uint256 limit)
+        external
+        view
+        returns (string[] memory ids, uint256 nextCursor)
+    {
+        uint256 total = batchIds.length;
+        uint256 end = cursor + limit > total ? total : cursor + limit;
+        uint256 count = cursor < end ? end - cursor : 0;
+
+        ids = new string[](count);
+        for (uint256 i = 0; i < count; i++) {
+            ids[i] = batchIds[cursor + i];
+        }
+        nextCursor = end < total ? end : 0;
+    }
+
     /**
      * @dev Get total number of batches
      */
@@ -394,17 +520,37 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         emit StakingContractSet(_stakingContract);
     }
 
+    /**
+     * @dev Set how long the discount threshold must be held continuously
+     * @param newPeriod Holding period in seconds (0 = balance check only)
+     */
+    function setMinHoldingPeriod(uint256 newPeriod) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newPeriod <= MAX_HOLDING_PERIOD, "Holding period too long");
+        uint256 oldPeriod = minHoldingPeriod;
+        minHoldingPeriod = newPeriod;
+        emit MinHoldingPeriodUpdated(oldPeriod, newPeriod);
+    }
+
     /**
      * @dev Check if an address is eligible for the 50% VIP membership discount
      * @param account Address to check eligibility
-     * @return eligible True if account holds 100+ tokens, false otherwise
+     * @return eligible True if account has held 100+ tokens for minHoldingPeriod, false otherwise
      *
      * This function is called by the delta8gummies.com website at checkout
      * to verify token holder status and automatically apply the 50% discount.
      * The discount applies to all gummy products in the cart.
+     *
+     * The threshold must be held continuously: dropping below 100 tokens
+     * resets the clock, so borrowed tokens passed between wallets at
+     * checkout don't qualify.
+     *
+     * NOTE: Checks token holding only. Checkout should use the signed
+     * attestation service (scripts/attestationService.js), which also
+     * checks VIPMembership.isVIP and the member's tier discount.
      */
     function isEligibleForDiscount(address account) external view returns (bool eligible) {
-        return balanceOf(account) >= DISCOUNT_THRESHOLD;
+        uint256 eligibleAt = _discountEligibleAt(account);
+        return eligibleAt != 0 && block.timestamp >= eligibleAt;
     }
 
     /**
@@ -412,7 +558,8 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
      * @param account Address to check
      * @return balance Token balance (in wei)
      * @return eligible Discount eligibility status
-     * @return tokensNeeded Tokens needed to reach discount threshold (0 if eligible)
+     * @return tokensNeeded Tokens needed to reach discount threshold (0 if already held)
+     * @return eligibleAt Timestamp the discount applies from (0 while below the threshold)
      */
     function getDiscountStatus(address account)
         external
@@ -420,12 +567,68 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         returns (
             uint256 balance,
             bool eligible,
-            uint256 tokensNeeded
+            uint256 tokensNeeded,
+            uint256 eligibleAt
         )
     {
         balance = balanceOf(account);
-        eligible = balance >= DISCOUNT_THRESHOLD;
-        tokensNeeded = eligible ? 0 : (DISCOUNT_THRESHOLD - balance);
+        eligibleAt = _discountEligibleAt(account);
+        eligible = eligibleAt != 0 && block.timestamp >= eligibleAt;
+        tokensNeeded = balance >= DISCOUNT_THRESHOLD ? 0 : (DISCOUNT_THRESHOLD - balance);
+    }
+
+    /**
+     * @dev Discount start for the current holding streak (0 if below the threshold)
+     */
+    function _discountEligibleAt(address account) internal view returns (uint256) {
+        uint256 since = thresholdHeldSince[account];
+        return since == 0 ? 0 : since + minHoldingPeriod;
+    }
+
+    /**
+     * @dev Checkpoint when an account's balance crosses DISCOUNT_THRESHOLD
+     */
+    function _checkpointHolding(address account) internal {
+        if (account == address(0)) return;
+        bool holds = balanceOf(account) >= DISCOUNT_THRESHOLD;
+        if (holds && thresholdHeldSince[account] == 0) {
+            thresholdHeldSince[account] = block.timestamp;
+        } else if (!holds && thresholdHeldSince[account] != 0) {
+            thresholdHeldSince[account] = 0;
+        }
+    }
+
+    /**
+     * @dev Apply the supply cap, minter quota and inventory backing to a mint
+     * @param addedWeight Grams of inventory added alongside the mint (batch creation)
+     * @return allowed False (after emitting MintDenied) if any limit would be exceeded
+     */
+    function _checkMint(address minter, address to, uint256 amount, uint256 addedWeight) internal returns (bool allowed) {
+        if (totalSupply() + amount > MAX_SUPPLY) {
+            emit MintDenied(minter, to, amount, "Exceeds supply cap");
+            return false;
+        }
+
+        if (inventoryBackedMinting &&
+            totalSupply() + amount > (inventoryData.totalWeight + addedWeight) * 10**18) {
+            emit MintDenied(minter, to, amount, "Insufficient inventory backing");
+            return false;
+        }
+
+        MinterQuota storage quota = minterQuotas[minter];
+        if (quota.limit > 0) {
+            if (block.timestamp >= quota.periodStart + quota.period) {
+                quota.used = 0;
+                quota.periodStart = block.timestamp;
+            }
+            if (quota.used + amount > quota.limit) {
+                emit MintDenied(minter, to, amount, "Exceeds minter quota");
+                return false;
+            }
+            quota.used += amount;
+        }
+
+        return true;
     }
 
     // Required overrides for multiple inheritance
@@ -434,5 +637,7 @@ contract Delta8GummiesToken is ERC20, ERC20Burnable, ERC20Pausable, AccessContro
         override(ERC20, ERC20Pausable)
     {
         super._update(from, to, value);
+        _checkpointHolding(from);
+        _checkpointHolding(to);
     }
 }
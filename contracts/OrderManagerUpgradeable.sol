@@ -0,0 +1,412 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+// Interface for BatchManager contract
+interface IOrderBatchManager {
+    function recordRedemption(address user, uint256 batchId, uint256 quantity, bool isVIP) external returns (uint256);
+    function restoreStock(address user, uint256 batchId, uint256 quantity) external;
+}
+
+// Interface for VIPMembership contract
+interface IOrderVIPMembership {
+    function isVIP(address user) external view returns (bool);
+}
+
+// Interface for Treasury contract
+interface IOrderTreasury {
+    function recordProductPurchase(
+        address buyer,
+        uint256 orderId,
+        uint256 tokenAmount,
+        string calldata encryptedShipping
+    ) external;
+}
+
+/**
+ * @title OrderManagerUpgradeable
+ * @dev Shipped product orders for DELTA8 ecosystem (Upgradeable)
+ *
+ * KEY FEATURES:
+ * - Placing an order reserves batch stock and escrows the DELTA8 payment
+ * - Fulfillment role moves orders through fulfilled -> shipped -> completed
+ * - Cancelled or refunded orders return the escrowed DELTA8 to the customer
+ * - Cancellations always restock the batch; refunds restock when goods come back
+ * - Completed orders release the escrow to the treasury as product revenue
+ * - Per-user order history
+ * - UPGRADEABLE for future enhancements
+ *
+ * ORDER LIFECYCLE:
+ * Placed ──► Fulfilled ──► Shipped ──► Completed
+ *   │            │            │
+ *   ▼            └──────┬─────┘
+ * Cancelled             ▼
+ *                   Refunded
+ *
+ * SETUP:
+ * - BatchManager: setAuthorizedRedeemer(orderManager, true)
+ * - Treasury: authorizeContract(orderManager, true)
+ * - setFulfiller(fulfillmentAccount, true)
+ */
+contract OrderManagerUpgradeable is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Treasury limit on encrypted shipping data (see scripts/shippingCrypto.js)
+    uint256 public constant MAX_SHIPPING_LENGTH = 500;
+
+    enum OrderStatus {
+        Placed,
+        Fulfilled,
+        Shipped,
+        Completed,
+        Cancelled,
+        Refunded
+    }
+
+    struct Order {
+        address user;
+        uint256 batchId;
+        uint256 quantity;
+        uint256 tokenAmount;          // DELTA8 escrowed for the order
+        OrderStatus status;
+        uint256 placedAt;
+        uint256 updatedAt;
+        string encryptedShipping;     // Encrypted shipping data
+    }
+
+    // Ecosystem contracts
+    IERC20 public delta8Token;
+    IOrderBatchManager public batchManager;
+    IOrderVIPMembership public vipMembership;
+
+    // Treasury address (receives tokens for completed orders)
+    address public treasury;
+
+    // Orders
+    mapping(uint256 => Order) public orders;
+    uint256 public orderCount;
+    mapping(address => uint256[]) private userOrders;
+
+    // Fulfillment role
+    mapping(address => bool) public fulfillers;
+
+    // DELTA8 currently held for open orders
+    uint256 public totalEscrowed;
+
+    // Events
+    event OrderPlaced(
+        uint256 indexed orderId,
+        address indexed user,
+        uint256 indexed batchId,
+        uint256 quantity,
+        uint256 tokenAmount,
+        string encryptedShipping
+    );
+    event OrderFulfilled(uint256 indexed orderId);
+    event OrderShipped(uint256 indexed orderId, string trackingRef);
+    event OrderCompleted(uint256 indexed orderId, uint256 tokenAmount);
+    event OrderCancelled(uint256 indexed orderId, address indexed cancelledBy, uint256 tokensRefunded);
+    event OrderRefunded(uint256 indexed orderId, uint256 tokensRefunded, bool restocked);
+    event FulfillerUpdated(address indexed fulfiller, bool authorized);
+    event BatchManagerUpdated(address indexed oldManager, address indexed newManager);
+    event VIPMembershipUpdated(address indexed oldMembership, address indexed newMembership);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+
+    // Storage gap for future upgrades
+    uint256[50] private __gap;
+
+    modifier onlyFulfiller() {
+        require(fulfillers[msg.sender] || msg.sender == owner(), "Not fulfiller");
+        _;
+    }
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the contract (replaces constructor)
+     * @param _delta8Token DELTA8 token address
+     * @param _batchManager BatchManager address
+     * @param _vipMembership VIPMembership address
+     * @param _treasury Treasury address to receive completed order payments
+     */
+    function initialize(
+        address _delta8Token,
+        address _batchManager,
+        address _vipMembership,
+        address _treasury
+    ) public initializer {
+        require(_delta8Token != address(0), "Invalid token address");
+        require(_batchManager != address(0), "Invalid batch manager");
+        require(_vipMembership != address(0), "Invalid VIP membership");
+        require(_treasury != address(0), "Invalid treasury address");
+
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        delta8Token = IERC20(_delta8Token);
+        batchManager = IOrderBatchManager(_batchManager);
+        vipMembership = IOrderVIPMembership(_vipMembership);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Place an order for units from a batch
+     * @param batchId Batch to order from
+     * @param quantity Number of units
+     * @param maxTokens Maximum DELTA8 the caller is willing to pay
+     * @param encryptedShipping Shipping data encrypted to the merchant key ("v1:<keyId>:<base64>")
+     * @return orderId New order ID
+     */
+    function placeOrder(
+        uint256 batchId,
+        uint256 quantity,
+        uint256 maxTokens,
+        string calldata encryptedShipping
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 orderId)
+    {
+        require(bytes(encryptedShipping).length > 0, "Shipping info required");
+        require(bytes(encryptedShipping).length <= MAX_SHIPPING_LENGTH, "Shipping data too long");
+
+        bool vip = vipMembership.isVIP(msg.sender);
+
+        // Reserves stock and returns tokens owed at the batch rate
+        uint256 tokenAmount = batchManager.recordRedemption(msg.sender, batchId, quantity, vip);
+        require(tokenAmount <= maxTokens, "Exceeds max tokens");
+        require(delta8Token.balanceOf(msg.sender) >= tokenAmount, "Insufficient token balance");
+
+        delta8Token.safeTransferFrom(msg.sender, address(this), tokenAmount);
+        totalEscrowed += tokenAmount;
+
+        orderId = ++orderCount;
+        orders[orderId] = Order({
+            user: msg.sender,
+            batchId: batchId,
+            quantity: quantity,
+            tokenAmount: tokenAmount,
+            status: OrderStatus.Placed,
+            placedAt: block.timestamp,
+            updatedAt: block.timestamp,
+            encryptedShipping: encryptedShipping
+        });
+        userOrders[msg.sender].push(orderId);
+
+        emit OrderPlaced(orderId, msg.sender, batchId, quantity, tokenAmount, encryptedShipping);
+    }
+
+    /**
+     * @dev Mark an order as packed and ready to ship (fulfiller only)
+     * @param orderId Order ID
+     */
+    function markFulfilled(uint256 orderId) external onlyFulfiller {
+        Order storage order = _getOrder(orderId);
+        require(order.status == OrderStatus.Placed, "Order not placed");
+
+        _setStatus(order, OrderStatus.Fulfilled);
+
+        emit OrderFulfilled(orderId);
+    }
+
+    /**
+     * @dev Mark an order as shipped (fulfiller only)
+     * @param orderId Order ID
+     * @param trackingRef Carrier tracking reference
+     */
+    function markShipped(uint256 orderId, string calldata trackingRef) external onlyFulfiller {
+        Order storage order = _getOrder(orderId);
+        require(order.status == OrderStatus.Fulfilled, "Order not fulfilled");
+
+        _setStatus(order, OrderStatus.Shipped);
+
+        emit OrderShipped(orderId, trackingRef);
+    }
+
+    /**
+     * @dev Close a delivered order and release its escrow to the treasury (fulfiller only)
+     * @param orderId Order ID
+     */
+    function completeOrder(uint256 orderId) external onlyFulfiller nonReentrant {
+        Order storage order = _getOrder(orderId);
+        require(order.status == OrderStatus.Shipped, "Order not shipped");
+
+        _setStatus(order, OrderStatus.Completed);
+        totalEscrowed -= order.tokenAmount;
+
+        delta8Token.safeTransfer(treasury, order.tokenAmount);
+        IOrderTreasury(treasury).recordProductPurchase(
+            order.user,
+            orderId,
+            order.tokenAmount,
+            order.encryptedShipping
+        );
+
+        emit OrderCompleted(orderId, order.tokenAmount);
+    }
+
+    /**
+     * @dev Cancel an order before it is fulfilled (customer or fulfiller)
+     * Returns the escrowed DELTA8 and restores batch stock.
+     * @param orderId Order ID
+     */
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = _getOrder(orderId);
+        require(
+            msg.sender == order.user || fulfillers[msg.sender] || msg.sender == owner(),
+            "Not authorized"
+        );
+        require(order.status == OrderStatus.Placed, "Order not placed");
+
+        _setStatus(order, OrderStatus.Cancelled);
+        batchManager.restoreStock(order.user, order.batchId, order.quantity);
+        _returnEscrow(order);
+
+        emit OrderCancelled(orderId, msg.sender, order.tokenAmount);
+    }
+
+    /**
+     * @dev Refund a fulfilled or shipped order (fulfiller only)
+     * @param orderId Order ID
+     * @param restock Whether the units came back and can be sold again
+     */
+    function refundOrder(uint256 orderId, bool restock) external onlyFulfiller nonReentrant {
+        Order storage order = _getOrder(orderId);
+        require(
+            order.status == OrderStatus.Fulfilled || order.status == OrderStatus.Shipped,
+            "Order not refundable"
+        );
+
+        _setStatus(order, OrderStatus.Refunded);
+        if (restock) {
+            batchManager.restoreStock(order.user, order.batchId, order.quantity);
+        }
+        _returnEscrow(order);
+
+        emit OrderRefunded(orderId, order.tokenAmount, restock);
+    }
+
+    /**
+     * @dev Get order details
+     * @param orderId Order ID
+     */
+    function getOrder(uint256 orderId) external view returns (Order memory) {
+        require(orderId > 0 && orderId <= orderCount, "Invalid order");
+        return orders[orderId];
+    }
+
+    /**
+     * @dev Get a user's order IDs (oldest first)
+     * @param user User address
+     */
+    function getUserOrders(address user) external view returns (uint256[] memory) {
+        return userOrders[user];
+    }
+
+    /**
+     * @dev Get a user's orders with details (oldest first)
+     * @param user User address
+     */
+    function getUserOrderDetails(address user) external view returns (Order[] memory details) {
+        uint256[] storage ids = userOrders[user];
+        details = new Order[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            details[i] = orders[ids[i]];
+        }
+    }
+
+    /**
+     * @dev Authorize or revoke a fulfillment account (owner only)
+     * @param fulfiller Account address
+     * @param authorized Whether the account may advance orders
+     */
+    function setFulfiller(address fulfiller, bool authorized) external onlyOwner {
+        require(fulfiller != address(0), "Invalid fulfiller");
+        fulfillers[fulfiller] = authorized;
+        emit FulfillerUpdated(fulfiller, authorized);
+    }
+
+    /**
+     * @dev Update BatchManager reference (owner only)
+     * @param _batchManager New BatchManager address
+     */
+    function setBatchManager(address _batchManager) external onlyOwner {
+        require(_batchManager != address(0), "Invalid batch manager");
+
+        address oldManager = address(batchManager);
+        batchManager = IOrderBatchManager(_batchManager);
+
+        emit BatchManagerUpdated(oldManager, _batchManager);
+    }
+
+    /**
+     * @dev Update VIPMembership reference (owner only)
+     * @param _vipMembership New VIPMembership address
+     */
+    function setVIPMembership(address _vipMembership) external onlyOwner {
+        require(_vipMembership != address(0), "Invalid VIP membership");
+
+        address oldMembership = address(vipMembership);
+        vipMembership = IOrderVIPMembership(_vipMembership);
+
+        emit VIPMembershipUpdated(oldMembership, _vipMembership);
+    }
+
+    /**
+     * @dev Update treasury address (owner only)
+     * @param _treasury New treasury address
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+
+        address oldTreasury = treasury;
+        treasury = _treasury;
+
+        emit TreasuryUpdated(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Pause new orders (owner only)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause new orders (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    function _getOrder(uint256 orderId) internal view returns (Order storage) {
+        require(orderId > 0 && orderId <= orderCount, "Invalid order");
+        return orders[orderId];
+    }
+
+    function _setStatus(Order storage order, OrderStatus status) internal {
+        order.status = status;
+        order.updatedAt = block.timestamp;
+    }
+
+    function _returnEscrow(Order storage order) internal {
+        totalEscrowed -= order.tokenAmount;
+        delta8Token.safeTransfer(order.user, order.tokenAmount);
+    }
+}
@@ -4,6 +4,22 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+// Interface for VIPMembership contract (loyalty lookups)
+interface IVIPMembershipInfo {
+    function getMembershipInfo(address user) external view returns (
+        bool active,
+        uint256 purchaseDate,
+        uint256 expiryDate,
+        uint256 daysRemaining,
+        uint256 renewalCount,
+        bool canRenew,
+        uint256 tierId
+    );
+    function getMemberDiscountBPS(address user) external view returns (uint256);
+}
 
 /**
  * @title PricingManagerUpgradeable
@@ -13,16 +29,42 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
  * - Token price tracking (manual or oracle-based)
  * - Product redemption rate calculations
  * - Margin management for different product types
- * - VIP discount calculations (50% off)
+ * - VIP discount rules (default 50% off, per product, loyalty, promos)
+ * - Price-locked redemption quotes (EIP-712, signed by quote signer)
+ * - Oracle safeguards: max change per update/window, heartbeat, TWAP
  *
  * Key Features:
  * - Manufacturing cost-based pricing
  * - Configurable margins per product type
  * - Oracle integration ready
- * - VIP discount logic (50% off regular price)
+ * - VIP discount logic (50% off regular price by default)
  * - UPGRADEABLE for future enhancements
  *
  * Note: VIP status is now managed by VIPMembership.sol (100 tokens/year membership)
+ *
+ * Redemption Quotes:
+ * - Backend quote signer signs a RedemptionQuote fixing the token amount
+ * - Quote is valid for `quoteValidity` seconds after `issuedAt`
+ * - Each quoteId can be consumed once, only by an authorized consumer (RedemptionRouter)
+ *
+ * Oracle Safeguards (all disabled when set to 0):
+ * - maxPriceChangeBPS: max move vs current price in a single update
+ * - maxWindowChangeBPS: max move vs the price at the start of the current window
+ * - maxPriceAge: heartbeat; rate calculations revert once the price is older
+ * - Ring buffer of the last PRICE_HISTORY_SIZE prices with a TWAP view
+ * - Optional TWAP (instead of spot) price for redemption rate calculations
+ *
+ * VIP Discount Rules (resolved per user at redemption time):
+ * - Base: product rule if set, else default rule (productId 0), else 50%
+ * - Loyalty: highest tier whose minRenewals <= member's renewalCount
+ * - Promo: active promo windows for the product or for all products
+ * - Tier: discount level of the member's VIP tier
+ * - The member gets the largest applicable discount (rules don't stack)
+ *
+ * Stablecoin Payments:
+ * - Owner keeps an allow-list of stablecoins (treated as $1) with their decimals
+ * - getStablecoinAmount converts a DELTA8 amount at the current token price plus
+ *   stablecoinPremiumBPS, rounded up; VIPMembership and RedemptionRouter charge it
  */
 contract PricingManagerUpgradeable is 
     Initializable,
@@ -38,6 +80,18 @@ contract PricingManagerUpgradeable is
     uint256 public constant MIN_TOKEN_PRICE = 100000;   // $0.10 minimum
     uint256 public constant MAX_TOKEN_PRICE = 10000000; // $10.00 maximum
 
+    // Number of past prices kept in the on-chain ring buffer
+    uint256 public constant PRICE_HISTORY_SIZE = 48;
+
+    // VIP discount when no rule is configured (50% off)
+    uint256 public constant DEFAULT_VIP_DISCOUNT_BPS = 5000;
+
+    // Maximum concurrently active promo windows
+    uint256 public constant MAX_ACTIVE_PROMOS = 10;
+
+    // Maximum premium charged on stablecoin payments
+    uint256 public constant MAX_STABLECOIN_PREMIUM_BPS = 2000; // 20%
+
     // Current token price (USDC per token, 6 decimals)
     // Example: 500000 = $0.50 per token
     uint256 public currentTokenPrice;
@@ -56,14 +110,132 @@ contract PricingManagerUpgradeable is
     mapping(uint256 => string) public productNames;
     uint256 public productTypeCount;
 
+    // Price-locked redemption quote (EIP-712 typed data)
+    struct RedemptionQuote {
+        uint256 quoteId;            // Unique quote identifier (single use)
+        address user;               // Customer the quote was issued to
+        bool isCart;                // False = single batch, true = cart
+        bytes32 linesHash;          // Hash of the batch/quantity or cart lines quoted
+        uint256 tokenAmount;        // Locked DELTA8 amount (18 decimals)
+        uint256 issuedAt;           // Quote issue timestamp
+    }
+
+    bytes32 public constant QUOTE_TYPEHASH = keccak256(
+        "RedemptionQuote(uint256 quoteId,address user,bool isCart,bytes32 linesHash,uint256 tokenAmount,uint256 issuedAt)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // Quote signer (backend key issuing quotes)
+    address public quoteSigner;
+
+    // How long a quote stays valid after issue (seconds)
+    uint256 public quoteValidity;
+
+    // Used quote IDs
+    mapping(uint256 => bool) public usedQuotes;
+
+    // Contracts allowed to consume quotes (e.g., RedemptionRouter)
+    mapping(address => bool) public quoteConsumers;
+
+    // Price observation for history / TWAP
+    struct PriceObservation {
+        uint256 price;              // Token price (6 decimals)
+        uint256 timestamp;          // When the price took effect
+    }
+
+    // Max price change per update (basis points, 0 = unlimited)
+    uint256 public maxPriceChangeBPS;
+
+    // Max price change within a time window (basis points, 0 = unlimited)
+    uint256 public maxWindowChangeBPS;
+    uint256 public priceWindowDuration;
+    uint256 public windowStartTime;
+    uint256 public windowStartPrice;
+
+    // Heartbeat: max age of the price before rates revert (0 = no limit)
+    uint256 public maxPriceAge;
+
+    // Ring buffer of past prices (index = observation number % PRICE_HISTORY_SIZE)
+    mapping(uint256 => PriceObservation) public priceHistory;
+    uint256 public priceHistoryCount;
+
+    // Use TWAP over twapWindow instead of spot price for redemption rates
+    bool public useTWAPForRates;
+    uint256 public twapWindow;
+
+    // VIP discount rule (per product, productId 0 = default for all products)
+    struct DiscountRule {
+        uint256 discountBPS;        // Discount in basis points
+        bool isSet;                 // Whether the rule is configured
+    }
+
+    // Loyalty discount by number of membership renewals
+    struct LoyaltyTier {
+        uint256 minRenewals;        // Renewals required
+        uint256 discountBPS;        // Discount in basis points
+    }
+
+    // Temporary promotional discount
+    struct PromoWindow {
+        uint256 productId;          // Product type (0 = all products)
+        uint256 discountBPS;        // Discount in basis points
+        uint256 startTime;          // Promo start timestamp
+        uint256 endTime;            // Promo end timestamp
+    }
+
+    mapping(uint256 => DiscountRule) public productDiscounts;
+    LoyaltyTier[] public loyaltyTiers;
+    mapping(uint256 => PromoWindow) public promos;
+    uint256 public promoCount;
+    uint256[] public activePromoIds;
+
+    // VIPMembership (renewal count and tier lookups)
+    IVIPMembershipInfo public vipMembership;
+
+    // Accepted stablecoin
+    struct Stablecoin {
+        bool accepted;              // Payments accepted
+        bool listed;                // Already in stablecoinList
+        uint8 decimals;             // Token decimals
+    }
+
+    mapping(address => Stablecoin) public stablecoins;
+    address[] private stablecoinList;
+
+    // Premium over the token price for stablecoin payments (basis points)
+    uint256 public stablecoinPremiumBPS;
+
     // Events
     event TokenPriceUpdated(uint256 oldPrice, uint256 newPrice, address updatedBy);
     event OracleUpdated(address indexed oldOracle, address indexed newOracle);
     event ProductMarginUpdated(uint256 indexed productId, uint256 oldMargin, uint256 newMargin);
     event ProductTypeAdded(uint256 indexed productId, string name, uint256 margin);
+    event QuoteSignerUpdated(address indexed oldSigner, address indexed newSigner);
+    event QuoteValidityUpdated(uint256 oldValidity, uint256 newValidity);
+    event QuoteConsumerAuthorized(address indexed consumer, bool authorized);
+    event QuoteConsumed(uint256 indexed quoteId, address indexed user, uint256 tokenAmount);
+    event PriceGuardsUpdated(uint256 maxChangeBPS, uint256 maxWindowChangeBPS, uint256 windowDuration);
+    event MaxPriceAgeUpdated(uint256 oldMaxAge, uint256 newMaxAge);
+    event RatePriceSourceUpdated(bool useTWAP, uint256 twapWindow);
+    event VIPDiscountRuleSet(uint256 indexed productId, uint256 discountBPS);
+    event VIPDiscountRuleCleared(uint256 indexed productId);
+    event LoyaltyTiersUpdated(uint256 tierCount);
+    event PromoAdded(
+        uint256 indexed promoId,
+        uint256 indexed productId,
+        uint256 discountBPS,
+        uint256 startTime,
+        uint256 endTime
+    );
+    event PromoCancelled(uint256 indexed promoId);
+    event VIPMembershipUpdated(address indexed oldMembership, address indexed newMembership);
+    event StablecoinUpdated(address indexed token, bool accepted, uint8 decimals);
+    event StablecoinPremiumUpdated(uint256 oldPremiumBPS, uint256 newPremiumBPS);
 
     // Storage gap for future upgrades
-    uint256[50] private __gap;
+    uint256[27] private __gap; // Reduced by 6 for VIP discount rules, 3 for stablecoin payments
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -83,6 +255,8 @@ contract PricingManagerUpgradeable is
 
         currentTokenPrice = _initialPrice;
         lastPriceUpdate = block.timestamp;
+        quoteValidity = 15 minutes;
+        _recordPrice(_initialPrice);
 
         // Initialize default product types
         _addProductType(1, "Gummy Jar", 4000);      // 40% margin
@@ -92,6 +266,17 @@ contract PricingManagerUpgradeable is
         emit TokenPriceUpdated(0, _initialPrice, msg.sender);
     }
 
+    /**
+     * @dev Upgrade initializer for proxies deployed before price-locked quotes
+     * Sets the default quote validity, which is otherwise 0 and expires every quote on issue
+     */
+    function initializeV2() public reinitializer(2) {
+        if (quoteValidity == 0) {
+            quoteValidity = 15 minutes;
+            emit QuoteValidityUpdated(0, 15 minutes);
+        }
+    }
+
     /**
      * @dev Add new product type
      * @param productId Product identifier
@@ -142,8 +327,8 @@ contract PricingManagerUpgradeable is
         uint256 finalPriceUSD = (manufacturingCost * (BPS_DENOMINATOR + marginBPS)) / BPS_DENOMINATOR;
 
         // Calculate tokens required
-        // tokensRequired = (finalPriceUSD * 10^18) / currentTokenPrice
-        tokensRequired = (finalPriceUSD * 10**TOKEN_DECIMALS) / currentTokenPrice;
+        // tokensRequired = (finalPriceUSD * 10^18) / tokenPrice
+        tokensRequired = (finalPriceUSD * 10**TOKEN_DECIMALS) / getRatePrice();
     }
 
     /**
@@ -162,16 +347,228 @@ contract PricingManagerUpgradeable is
         uint256 finalPriceUSD = (manufacturingCost * (BPS_DENOMINATOR + marginBPS)) / BPS_DENOMINATOR;
 
         // Calculate tokens required
-        tokensRequired = (finalPriceUSD * 10**TOKEN_DECIMALS) / currentTokenPrice;
+        tokensRequired = (finalPriceUSD * 10**TOKEN_DECIMALS) / getRatePrice();
     }
 
     /**
-     * @dev Calculate VIP discount (50% off)
+     * @dev Calculate VIP discount using the default rule (50% off unless configured)
      * @param regularTokens Regular redemption rate
      * @return vipTokens Discounted token amount for VIP
      */
-    function calculateVIPDiscount(uint256 regularTokens) public pure returns (uint256 vipTokens) {
-        vipTokens = regularTokens / 2;
+    function calculateVIPDiscount(uint256 regularTokens) public view returns (uint256 vipTokens) {
+        uint256 discountBPS = productDiscounts[0].isSet
+            ? productDiscounts[0].discountBPS
+            : DEFAULT_VIP_DISCOUNT_BPS;
+
+        vipTokens = (regularTokens * (BPS_DENOMINATOR - discountBPS)) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Calculate VIP rate for a specific member and product
+     * @param regularTokens Regular redemption rate
+     * @param user VIP member
+     * @param productId Product type
+     * @return vipTokens Discounted token amount for this member
+     */
+    function calculateUserVIPRate(
+        uint256 regularTokens,
+        address user,
+        uint256 productId
+    ) external view returns (uint256 vipTokens) {
+        uint256 discountBPS = getUserVIPDiscountBPS(user, productId);
+        vipTokens = (regularTokens * (BPS_DENOMINATOR - discountBPS)) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Resolve VIP discount for a member (renewal count and tier read from VIPMembership)
+     * @param user VIP member
+     * @param productId Product type
+     * @return discountBPS Discount in basis points
+     */
+    function getUserVIPDiscountBPS(address user, uint256 productId) public view returns (uint256 discountBPS) {
+        uint256 renewalCount = 0;
+        uint256 tierDiscountBPS = 0;
+        if (address(vipMembership) != address(0)) {
+            (, , , , renewalCount, , ) = vipMembership.getMembershipInfo(user);
+            tierDiscountBPS = vipMembership.getMemberDiscountBPS(user);
+        }
+
+        discountBPS = getVIPDiscountBPS(productId, renewalCount);
+        if (tierDiscountBPS > discountBPS) {
+            discountBPS = tierDiscountBPS;
+        }
+    }
+
+    /**
+     * @dev Resolve VIP discount from the configured rules
+     * @param productId Product type
+     * @param renewalCount Member's number of renewals
+     * @return discountBPS Largest applicable discount in basis points
+     */
+    function getVIPDiscountBPS(uint256 productId, uint256 renewalCount) public view returns (uint256 discountBPS) {
+        // Base rule: product, then default, then 50%
+        if (productDiscounts[productId].isSet) {
+            discountBPS = productDiscounts[productId].discountBPS;
+        } else if (productDiscounts[0].isSet) {
+            discountBPS = productDiscounts[0].discountBPS;
+        } else {
+            discountBPS = DEFAULT_VIP_DISCOUNT_BPS;
+        }
+
+        // Loyalty tiers (sorted by minRenewals)
+        for (uint256 i = 0; i < loyaltyTiers.length; i++) {
+            if (renewalCount < loyaltyTiers[i].minRenewals) break;
+            if (loyaltyTiers[i].discountBPS > discountBPS) {
+                discountBPS = loyaltyTiers[i].discountBPS;
+            }
+        }
+
+        // Promo windows
+        for (uint256 i = 0; i < activePromoIds.length; i++) {
+            PromoWindow memory promo = promos[activePromoIds[i]];
+            if (
+                (promo.productId == 0 || promo.productId == productId) &&
+                block.timestamp >= promo.startTime &&
+                block.timestamp < promo.endTime &&
+                promo.discountBPS > discountBPS
+            ) {
+                discountBPS = promo.discountBPS;
+            }
+        }
+    }
+
+    /**
+     * @dev Set VIP discount rule for a product (productId 0 = default rule)
+     * @param productId Product type identifier
+     * @param discountBPS Discount in basis points
+     */
+    function setVIPDiscountRule(uint256 productId, uint256 discountBPS) external onlyOwner {
+        require(productId == 0 || bytes(productNames[productId]).length > 0, "Product not found");
+        require(discountBPS <= BPS_DENOMINATOR, "Discount exceeds 100%");
+
+        productDiscounts[productId] = DiscountRule({discountBPS: discountBPS, isSet: true});
+
+        emit VIPDiscountRuleSet(productId, discountBPS);
+    }
+
+    /**
+     * @dev Remove a product's VIP discount rule (falls back to default)
+     * @param productId Product type identifier
+     */
+    function clearVIPDiscountRule(uint256 productId) external onlyOwner {
+        require(productDiscounts[productId].isSet, "Rule not set");
+
+        delete productDiscounts[productId];
+
+        emit VIPDiscountRuleCleared(productId);
+    }
+
+    /**
+     * @dev Replace loyalty tiers
+     * @param minRenewals Renewals required per tier (ascending)
+     * @param discountBPS Discount per tier in basis points
+     */
+    function setLoyaltyTiers(
+        uint256[] calldata minRenewals,
+        uint256[] calldata discountBPS
+    ) external onlyOwner {
+        require(minRenewals.length == discountBPS.length, "Length mismatch");
+
+        delete loyaltyTiers;
+        for (uint256 i = 0; i < minRenewals.length; i++) {
+            require(i == 0 || minRenewals[i] > minRenewals[i - 1], "Tiers must be ascending");
+            require(discountBPS[i] <= BPS_DENOMINATOR, "Discount exceeds 100%");
+
+            loyaltyTiers.push(LoyaltyTier({minRenewals: minRenewals[i], discountBPS: discountBPS[i]}));
+        }
+
+        emit LoyaltyTiersUpdated(minRenewals.length);
+    }
+
+    /**
+     * @dev Add a promotional VIP discount window
+     * @param productId Product type (0 = all products)
+     * @param discountBPS Discount in basis points
+     * @param startTime Promo start timestamp
+     * @param endTime Promo end timestamp
+     * @return promoId Created promo ID
+     */
+    function addPromo(
+        uint256 productId,
+        uint256 discountBPS,
+        uint256 startTime,
+        uint256 endTime
+    ) external onlyOwner returns (uint256 promoId) {
+        require(productId == 0 || bytes(productNames[productId]).length > 0, "Product not found");
+        require(discountBPS <= BPS_DENOMINATOR, "Discount exceeds 100%");
+        require(endTime > startTime && endTime > block.timestamp, "Invalid promo window");
+
+        // Drop ended promos before enforcing the cap
+        for (uint256 i = activePromoIds.length; i > 0; i--) {
+            if (promos[activePromoIds[i - 1]].endTime <= block.timestamp) {
+                _removeActivePromo(i - 1);
+            }
+        }
+        require(activePromoIds.length < MAX_ACTIVE_PROMOS, "Too many active promos");
+
+        promoId = ++promoCount;
+        promos[promoId] = PromoWindow({
+            productId: productId,
+            discountBPS: discountBPS,
+            startTime: startTime,
+            endTime: endTime
+        });
+        activePromoIds.push(promoId);
+
+        emit PromoAdded(promoId, productId, discountBPS, startTime, endTime);
+    }
+
+    /**
+     * @dev Cancel a promo window
+     * @param promoId Promo to cancel
+     */
+    function cancelPromo(uint256 promoId) external onlyOwner {
+        for (uint256 i = 0; i < activePromoIds.length; i++) {
+            if (activePromoIds[i] == promoId) {
+                _removeActivePromo(i);
+                emit PromoCancelled(promoId);
+                return;
+            }
+        }
+        revert("Promo not active");
+    }
+
+    /**
+     * @dev Get IDs of promos that are not cancelled or pruned
+     */
+    function getActivePromoIds() external view returns (uint256[] memory) {
+        return activePromoIds;
+    }
+
+    /**
+     * @dev Get number of loyalty tiers
+     */
+    function getLoyaltyTierCount() external view returns (uint256) {
+        return loyaltyTiers.length;
+    }
+
+    /**
+     * @dev Set VIPMembership reference (for loyalty tiers)
+     * @param _vipMembership VIPMembership address
+     */
+    function setVIPMembership(address _vipMembership) external onlyOwner {
+        address oldMembership = address(vipMembership);
+        vipMembership = IVIPMembershipInfo(_vipMembership);
+
+        emit VIPMembershipUpdated(oldMembership, _vipMembership);
+    }
+
+    /**
+     * @dev Remove promo from the active list (swap and pop)
+     */
+    function _removeActivePromo(uint256 index) internal {
+        activePromoIds[index] = activePromoIds[activePromoIds.length - 1];
+        activePromoIds.pop();
     }
 
     /**
@@ -187,12 +584,187 @@ contract PricingManagerUpgradeable is
         require(newPrice <= MAX_TOKEN_PRICE, "Price above maximum");
 
         uint256 oldPrice = currentTokenPrice;
+
+        // Per-update deviation limit
+        if (maxPriceChangeBPS > 0) {
+            require(
+                _changeBPS(oldPrice, newPrice) <= maxPriceChangeBPS,
+                "Price change exceeds limit"
+            );
+        }
+
+        // Per-window deviation limit (window restarts once it has elapsed)
+        if (maxWindowChangeBPS > 0) {
+            if (block.timestamp >= windowStartTime + priceWindowDuration) {
+                windowStartTime = block.timestamp;
+                windowStartPrice = oldPrice;
+            }
+            require(
+                _changeBPS(windowStartPrice, newPrice) <= maxWindowChangeBPS,
+                "Window price change exceeds limit"
+            );
+        }
+
         currentTokenPrice = newPrice;
         lastPriceUpdate = block.timestamp;
+        _recordPrice(newPrice);
 
         emit TokenPriceUpdated(oldPrice, newPrice, msg.sender);
     }
 
+    /**
+     * @dev Configure price deviation limits (0 disables a limit)
+     * @param _maxChangeBPS Max change per update in basis points
+     * @param _maxWindowChangeBPS Max change per window in basis points
+     * @param _windowDuration Window length in seconds
+     */
+    function setPriceGuards(
+        uint256 _maxChangeBPS,
+        uint256 _maxWindowChangeBPS,
+        uint256 _windowDuration
+    ) external onlyOwner {
+        require(
+            _maxWindowChangeBPS == 0 || _windowDuration > 0,
+            "Window duration required"
+        );
+
+        maxPriceChangeBPS = _maxChangeBPS;
+        maxWindowChangeBPS = _maxWindowChangeBPS;
+        priceWindowDuration = _windowDuration;
+
+        // Start a fresh window from the current price
+        windowStartTime = block.timestamp;
+        windowStartPrice = currentTokenPrice;
+
+        emit PriceGuardsUpdated(_maxChangeBPS, _maxWindowChangeBPS, _windowDuration);
+    }
+
+    /**
+     * @dev Set heartbeat (max price age before rate calculations revert)
+     * @param _maxPriceAge Max age in seconds (0 disables)
+     */
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyOwner {
+        uint256 oldMaxAge = maxPriceAge;
+        maxPriceAge = _maxPriceAge;
+
+        emit MaxPriceAgeUpdated(oldMaxAge, _maxPriceAge);
+    }
+
+    /**
+     * @dev Choose spot or TWAP price for redemption rate calculations
+     * @param _useTWAP True to use TWAP
+     * @param _twapWindow TWAP window in seconds
+     */
+    function setRatePriceSource(bool _useTWAP, uint256 _twapWindow) external onlyOwner {
+        require(!_useTWAP || _twapWindow > 0, "TWAP window required");
+
+        useTWAPForRates = _useTWAP;
+        twapWindow = _twapWindow;
+
+        emit RatePriceSourceUpdated(_useTWAP, _twapWindow);
+    }
+
+    /**
+     * @dev Check whether the price is older than the heartbeat
+     * @return stale True if maxPriceAge is set and exceeded
+     */
+    function isPriceStale() public view returns (bool stale) {
+        return maxPriceAge > 0 && block.timestamp > lastPriceUpdate + maxPriceAge;
+    }
+
+    /**
+     * @dev Get the price used for redemption rate calculations
+     * @return price Spot or TWAP price (6 decimals)
+     * Reverts if the price is stale.
+     */
+    function getRatePrice() public view returns (uint256 price) {
+        require(!isPriceStale(), "Price is stale");
+
+        price = useTWAPForRates ? getTWAP(twapWindow) : currentTokenPrice;
+    }
+
+    /**
+     * @dev Get time-weighted average price over a window
+     * @param window Window length in seconds
+     * @return twap Average price (6 decimals)
+     *
+     * Each observation is weighted by how long it was in effect. If the
+     * buffer does not reach back far enough, the window is shortened to
+     * the oldest retained observation.
+     */
+    function getTWAP(uint256 window) public view returns (uint256 twap) {
+        require(window > 0, "Invalid window");
+        if (priceHistoryCount == 0) return currentTokenPrice;
+
+        uint256 windowStart = block.timestamp > window ? block.timestamp - window : 0;
+        uint256 retained = priceHistoryCount < PRICE_HISTORY_SIZE ? priceHistoryCount : PRICE_HISTORY_SIZE;
+        uint256 periodEnd = block.timestamp;
+        uint256 weightedSum = 0;
+        uint256 totalTime = 0;
+
+        // Walk from newest to oldest observation
+        for (uint256 i = 0; i < retained; i++) {
+            PriceObservation memory obs = priceHistory[(priceHistoryCount - 1 - i) % PRICE_HISTORY_SIZE];
+            uint256 periodStart = obs.timestamp > windowStart ? obs.timestamp : windowStart;
+
+            if (periodEnd > periodStart) {
+                weightedSum += obs.price * (periodEnd - periodStart);
+                totalTime += periodEnd - periodStart;
+            }
+
+            if (obs.timestamp <= windowStart) break;
+            periodEnd = obs.timestamp;
+        }
+
+        // Price updated in this block only: nothing to weight yet
+        if (totalTime == 0) return currentTokenPrice;
+
+        twap = weightedSum / totalTime;
+    }
+
+    /**
+     * @dev Get past prices, newest first
+     * @param count Number of observations (capped at retained history)
+     * @return prices Prices (6 decimals)
+     * @return timestamps When each price took effect
+     */
+    function getPriceHistory(uint256 count) external view returns (
+        uint256[] memory prices,
+        uint256[] memory timestamps
+    ) {
+        uint256 retained = priceHistoryCount < PRICE_HISTORY_SIZE ? priceHistoryCount : PRICE_HISTORY_SIZE;
+        if (count > retained) count = retained;
+
+        prices = new uint256[](count);
+        timestamps = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            PriceObservation memory obs = priceHistory[(priceHistoryCount - 1 - i) % PRICE_HISTORY_SIZE];
+            prices[i] = obs.price;
+            timestamps[i] = obs.timestamp;
+        }
+    }
+
+    /**
+     * @dev Append price to the ring buffer
+     * @param price Token price (6 decimals)
+     */
+    function _recordPrice(uint256 price) internal {
+        priceHistory[priceHistoryCount % PRICE_HISTORY_SIZE] = PriceObservation({
+            price: price,
+            timestamp: block.timestamp
+        });
+        priceHistoryCount++;
+    }
+
+    /**
+     * @dev Absolute change between two prices in basis points of the first
+     */
+    function _changeBPS(uint256 fromPrice, uint256 toPrice) internal pure returns (uint256) {
+        uint256 diff = toPrice > fromPrice ? toPrice - fromPrice : fromPrice - toPrice;
+        return (diff * BPS_DENOMINATOR) / fromPrice;
+    }
+
     /**
      * @dev Set margin for a product type
      * @param productId Product type identifier
@@ -260,6 +832,71 @@ contract PricingManagerUpgradeable is
         tokenAmount = (usdValue * 10**TOKEN_DECIMALS) / currentTokenPrice;
     }
 
+    /**
+     * @dev Calculate the stablecoin payment for a DELTA8 amount
+     * @param token Accepted stablecoin
+     * @param tokenAmount DELTA8 amount (18 decimals)
+     * @return amount Stablecoin amount (token decimals), premium included, rounded up
+     * Uses the current token price (as getTokenValueUSD does), even when rates use the TWAP.
+     * Reverts if the price is stale.
+     */
+    function getStablecoinAmount(address token, uint256 tokenAmount) external view returns (uint256 amount) {
+        Stablecoin memory stablecoin = stablecoins[token];
+        require(stablecoin.accepted, "Stablecoin not accepted");
+        require(!isPriceStale(), "Price is stale");
+
+        uint256 numerator = tokenAmount * currentTokenPrice * (BPS_DENOMINATOR + stablecoinPremiumBPS) *
+            10**stablecoin.decimals;
+        uint256 denominator = 10**(TOKEN_DECIMALS + USDC_DECIMALS) * BPS_DENOMINATOR;
+        amount = (numerator + denominator - 1) / denominator;
+    }
+
+    /**
+     * @dev Get accepted stablecoins
+     */
+    function getStablecoins() external view returns (address[] memory tokens) {
+        uint256 count;
+        for (uint256 i = 0; i < stablecoinList.length; i++) {
+            if (stablecoins[stablecoinList[i]].accepted) count++;
+        }
+        tokens = new address[](count);
+        count = 0;
+        for (uint256 i = 0; i < stablecoinList.length; i++) {
+            if (stablecoins[stablecoinList[i]].accepted) tokens[count++] = stablecoinList[i];
+        }
+    }
+
+    /**
+     * @dev Add, update or remove an accepted stablecoin
+     * @param token Stablecoin address
+     * @param accepted Whether payments in it are accepted
+     * @param decimals Token decimals
+     */
+    function setStablecoin(address token, bool accepted, uint8 decimals) external onlyOwner {
+        require(token != address(0), "Invalid address");
+        require(decimals <= TOKEN_DECIMALS, "Invalid decimals");
+
+        if (!stablecoins[token].listed) {
+            stablecoinList.push(token);
+        }
+        stablecoins[token] = Stablecoin({accepted: accepted, listed: true, decimals: decimals});
+
+        emit StablecoinUpdated(token, accepted, decimals);
+    }
+
+    /**
+     * @dev Set the premium charged on stablecoin payments
+     * @param premiumBPS Premium in basis points
+     */
+    function setStablecoinPremium(uint256 premiumBPS) external onlyOwner {
+        require(premiumBPS <= MAX_STABLECOIN_PREMIUM_BPS, "Premium too high");
+
+        uint256 oldPremium = stablecoinPremiumBPS;
+        stablecoinPremiumBPS = premiumBPS;
+
+        emit StablecoinPremiumUpdated(oldPremium, premiumBPS);
+    }
+
     /**
      * @dev Get comprehensive pricing info
      * @return tokenPrice Current token price
@@ -274,5 +911,119 @@ contract PricingManagerUpgradeable is
             lastPriceUpdate
         );
     }
-}
 
+    /**
+     * @dev Get oracle safeguard status
+     * @return stale Whether the price is past the heartbeat
+     * @return priceAge Seconds since last price update
+     * @return ratePrice Price used for rate calculations (0 if stale)
+     */
+    function getOracleStatus() external view returns (
+        bool stale,
+        uint256 priceAge,
+        uint256 ratePrice
+    ) {
+        stale = isPriceStale();
+        priceAge = block.timestamp - lastPriceUpdate;
+        ratePrice = stale ? 0 : getRatePrice();
+    }
+
+    /**
+     * @dev Verify and consume a redemption quote (authorized consumers only)
+     * @param quote Quote signed by the quote signer
+     * @param signature EIP-712 signature over the quote
+     * @return tokenAmount Locked DELTA8 amount to charge
+     *
+     * The consumer is responsible for checking quote.user, quote.isCart and
+     * quote.linesHash against the redemption being performed.
+     */
+    function consumeQuote(
+        RedemptionQuote calldata quote,
+        bytes calldata signature
+    ) external returns (uint256 tokenAmount) {
+        require(quoteConsumers[msg.sender], "Not authorized");
+        require(quoteSigner != address(0), "Quote signer not set");
+        require(!usedQuotes[quote.quoteId], "Quote already used");
+        require(quote.issuedAt <= block.timestamp, "Quote not yet valid");
+        require(block.timestamp <= quote.issuedAt + quoteValidity, "Quote expired");
+        require(
+            ECDSA.recover(hashQuote(quote), signature) == quoteSigner,
+            "Invalid quote signature"
+        );
+
+        usedQuotes[quote.quoteId] = true;
+        tokenAmount = quote.tokenAmount;
+
+        emit QuoteConsumed(quote.quoteId, quote.user, tokenAmount);
+    }
+
+    /**
+     * @dev Get EIP-712 digest of a quote (what the quote signer signs)
+     * @param quote Quote to hash
+     * @return digest Typed data hash
+     */
+    function hashQuote(RedemptionQuote calldata quote) public view returns (bytes32 digest) {
+        bytes32 structHash = keccak256(abi.encode(
+            QUOTE_TYPEHASH,
+            quote.quoteId,
+            quote.user,
+            quote.isCart,
+            quote.linesHash,
+            quote.tokenAmount,
+            quote.issuedAt
+        ));
+
+        digest = MessageHashUtils.toTypedDataHash(quoteDomainSeparator(), structHash);
+    }
+
+    /**
+     * @dev Get EIP-712 domain separator for quotes
+     * Domain: name "DELTA8 PricingManager", version "1", this contract
+     */
+    function quoteDomainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes("DELTA8 PricingManager")),
+            keccak256(bytes("1")),
+            block.chainid,
+            address(this)
+        ));
+    }
+
+    /**
+     * @dev Set quote signer address
+     * @param _signer New quote signer (zero disables quotes)
+     */
+    function setQuoteSigner(address _signer) external onlyOwner {
+        address oldSigner = quoteSigner;
+        quoteSigner = _signer;
+
+        emit QuoteSignerUpdated(oldSigner, _signer);
+    }
+
+    /**
+     * @dev Set quote validity period
+     * @param _validity Seconds a quote stays valid after issue
+     */
+    function setQuoteValidity(uint256 _validity) external onlyOwner {
+        require(_validity > 0, "Validity must be greater than 0");
+
+        uint256 oldValidity = quoteValidity;
+        quoteValidity = _validity;
+
+        emit QuoteValidityUpdated(oldValidity, _validity);
+    }
+
+    /**
+     * @dev Authorize contract to consume quotes
+     * @param consumer Address of contract (e.g., RedemptionRouter)
+     * @param authorized True to authorize, false to revoke
+     */
+    function setQuoteConsumer(address consumer, bool authorized) external onlyOwner {
+        require(consumer != address(0), "Invalid address");
+
+        quoteConsumers[consumer] = authorized;
+
+        emit QuoteConsumerAuthorized(consumer, authorized);
+    }
+}
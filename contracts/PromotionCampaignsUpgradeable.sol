@@ -0,0 +1,280 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+// Interface for VIPMembership contract
+interface IPromotionVIPMembership {
+    function grantMembershipDays(address user, uint256 daysToAdd) external;
+}
+
+// Interface for Treasury contract
+interface IPromotionTreasury {
+    function recordPromotionReturn(uint256 amount) external;
+}
+
+/**
+ * @title PromotionCampaignsUpgradeable
+ * @dev Merkle-based promotional airdrops for DELTA8 ecosystem (Upgradeable)
+ *
+ * KEY FEATURES:
+ * - Owner publishes a Merkle root per campaign over (address, tokens, membership days)
+ * - Campaign DELTA8 is funded up front when the campaign is created
+ * - Each recipient claims once before the campaign deadline
+ * - Membership days are granted through VIPMembership (promoter role)
+ * - After the deadline, unclaimed DELTA8 is swept back to the treasury
+ * - UPGRADEABLE for future enhancements
+ *
+ * MERKLE TREE:
+ * - Leaf: keccak256(bytes.concat(keccak256(abi.encode(account, tokens, membershipDays))))
+ * - Sorted-pair hashing (OpenZeppelin MerkleProof)
+ * - scripts/promoCampaign.js builds the tree and proofs from a CSV and checks claims locally
+ *
+ * CLAIM FLOW:
+ * - Anyone may submit a claim (e.g. a relayer); tokens and days always go to the listed account
+ *
+ * SETUP:
+ * - VIPMembership: setPromoter(promotionCampaigns, true)
+ * - Treasury: authorizeContract(promotionCampaigns, true)
+ */
+contract PromotionCampaignsUpgradeable is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    struct Campaign {
+        bytes32 merkleRoot;           // Root over (account, tokens, membershipDays)
+        uint256 deadline;             // Last timestamp claims are accepted
+        uint256 totalTokens;          // DELTA8 funded for the campaign
+        uint256 claimedTokens;        // DELTA8 paid out to claimants
+        uint256 claimedDays;          // Membership days granted
+        uint256 claimCount;           // Number of claims
+        bool swept;                   // Unclaimed DELTA8 returned to the treasury
+    }
+
+    // Ecosystem contracts
+    IERC20 public delta8Token;
+    IPromotionVIPMembership public vipMembership;
+
+    // Treasury address (receives unclaimed tokens)
+    address public treasury;
+
+    // Campaigns (IDs start at 1)
+    mapping(uint256 => Campaign) public campaigns;
+    uint256 public campaignCount;
+
+    // Campaign => account => claimed
+    mapping(uint256 => mapping(address => bool)) public hasClaimed;
+
+    // Events
+    event CampaignCreated(uint256 indexed campaignId, bytes32 merkleRoot, uint256 deadline, uint256 totalTokens);
+    event PromotionClaimed(
+        uint256 indexed campaignId,
+        address indexed account,
+        uint256 tokens,
+        uint256 membershipDays
+    );
+    event CampaignSwept(uint256 indexed campaignId, uint256 amount);
+    event VIPMembershipUpdated(address indexed oldMembership, address indexed newMembership);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+
+    // Storage gap for future upgrades
+    uint256[50] private __gap;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the contract (replaces constructor)
+     * @param _delta8Token DELTA8 token address
+     * @param _vipMembership VIPMembership address
+     * @param _treasury Treasury address to receive unclaimed tokens
+     */
+    function initialize(
+        address _delta8Token,
+        address _vipMembership,
+        address _treasury
+    ) public initializer {
+        require(_delta8Token != address(0), "Invalid token address");
+        require(_vipMembership != address(0), "Invalid VIP membership");
+        require(_treasury != address(0), "Invalid treasury address");
+
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        delta8Token = IERC20(_delta8Token);
+        vipMembership = IPromotionVIPMembership(_vipMembership);
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Publish a campaign and fund its DELTA8 from the caller
+     * @param merkleRoot Root of the claim tree
+     * @param deadline Last timestamp claims are accepted
+     * @param totalTokens DELTA8 to fund (sum of the tree's token amounts)
+     * @return campaignId New campaign ID
+     */
+    function createCampaign(bytes32 merkleRoot, uint256 deadline, uint256 totalTokens)
+        external
+        onlyOwner
+        nonReentrant
+        returns (uint256 campaignId)
+    {
+        require(merkleRoot != bytes32(0), "Invalid merkle root");
+        require(deadline > block.timestamp, "Deadline in the past");
+
+        campaignId = ++campaignCount;
+        Campaign storage campaign = campaigns[campaignId];
+        campaign.merkleRoot = merkleRoot;
+        campaign.deadline = deadline;
+        campaign.totalTokens = totalTokens;
+
+        if (totalTokens > 0) {
+            delta8Token.safeTransferFrom(msg.sender, address(this), totalTokens);
+        }
+
+        emit CampaignCreated(campaignId, merkleRoot, deadline, totalTokens);
+    }
+
+    /**
+     * @dev Claim a campaign allocation for an account
+     * @param campaignId Campaign to claim from
+     * @param account Listed recipient (receives the tokens and days)
+     * @param tokens DELTA8 amount in the leaf
+     * @param membershipDays Membership days in the leaf
+     * @param proof Merkle proof for the leaf
+     */
+    function claim(
+        uint256 campaignId,
+        address account,
+        uint256 tokens,
+        uint256 membershipDays,
+        bytes32[] calldata proof
+    ) external nonReentrant whenNotPaused {
+        Campaign storage campaign = _getCampaign(campaignId);
+        require(block.timestamp <= campaign.deadline, "Campaign ended");
+        require(!hasClaimed[campaignId][account], "Already claimed");
+        require(
+            MerkleProof.verifyCalldata(proof, campaign.merkleRoot, _leaf(account, tokens, membershipDays)),
+            "Invalid proof"
+        );
+        require(campaign.claimedTokens + tokens <= campaign.totalTokens, "Exceeds campaign funds");
+
+        hasClaimed[campaignId][account] = true;
+        campaign.claimedTokens += tokens;
+        campaign.claimedDays += membershipDays;
+        campaign.claimCount++;
+
+        if (tokens > 0) {
+            delta8Token.safeTransfer(account, tokens);
+        }
+        if (membershipDays > 0) {
+            vipMembership.grantMembershipDays(account, membershipDays);
+        }
+
+        emit PromotionClaimed(campaignId, account, tokens, membershipDays);
+    }
+
+    /**
+     * @dev Return a finished campaign's unclaimed DELTA8 to the treasury
+     * @param campaignId Campaign to sweep
+     * Can be called by anyone once the deadline has passed
+     * @return amount DELTA8 returned
+     */
+    function sweepUnclaimed(uint256 campaignId) external nonReentrant returns (uint256 amount) {
+        Campaign storage campaign = _getCampaign(campaignId);
+        require(block.timestamp > campaign.deadline, "Campaign still running");
+        require(!campaign.swept, "Already swept");
+
+        campaign.swept = true;
+        amount = campaign.totalTokens - campaign.claimedTokens;
+
+        if (amount > 0) {
+            delta8Token.safeTransfer(treasury, amount);
+            IPromotionTreasury(treasury).recordPromotionReturn(amount);
+        }
+
+        emit CampaignSwept(campaignId, amount);
+    }
+
+    /**
+     * @dev Check a claim without submitting it
+     * @return claimable Whether claim() would succeed
+     */
+    function canClaim(
+        uint256 campaignId,
+        address account,
+        uint256 tokens,
+        uint256 membershipDays,
+        bytes32[] calldata proof
+    ) external view returns (bool claimable) {
+        if (campaignId == 0 || campaignId > campaignCount || paused()) return false;
+        Campaign storage campaign = campaigns[campaignId];
+        return
+            block.timestamp <= campaign.deadline &&
+            !hasClaimed[campaignId][account] &&
+            campaign.claimedTokens + tokens <= campaign.totalTokens &&
+            MerkleProof.verifyCalldata(proof, campaign.merkleRoot, _leaf(account, tokens, membershipDays));
+    }
+
+    /**
+     * @dev Update VIPMembership reference (owner only)
+     * @param _vipMembership New VIPMembership address
+     */
+    function setVIPMembership(address _vipMembership) external onlyOwner {
+        require(_vipMembership != address(0), "Invalid VIP membership");
+
+        address oldMembership = address(vipMembership);
+        vipMembership = IPromotionVIPMembership(_vipMembership);
+
+        emit VIPMembershipUpdated(oldMembership, _vipMembership);
+    }
+
+    /**
+     * @dev Update treasury address (owner only)
+     * @param _treasury New treasury address
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+
+        address oldTreasury = treasury;
+        treasury = _treasury;
+
+        emit TreasuryUpdated(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Pause claims (owner only)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause claims (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    function _getCampaign(uint256 campaignId) internal view returns (Campaign storage) {
+        require(campaignId > 0 && campaignId <= campaignCount, "Invalid campaign");
+        return campaigns[campaignId];
+    }
+
+    function _leaf(address account, uint256 tokens, uint256 membershipDays) internal pure returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(account, tokens, membershipDays))));
+    }
+}
@@ -0,0 +1,641 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+// Interface for BatchManager contract
+interface IBatchManager {
+    struct CartLine {
+        uint256 productId;
+        uint256 quantity;
+    }
+
+    struct RedemptionFill {
+        uint256 batchId;
+        uint256 productId;
+        uint256 quantity;
+        uint256 tokens;
+    }
+
+    function recordRedemption(address user, uint256 batchId, uint256 quantity, bool isVIP) external returns (uint256);
+    function recordCartRedemption(address user, CartLine[] calldata lines, bool isVIP) external returns (RedemptionFill[] memory, uint256);
+    function getUserRedemptionRate(uint256 batchId, address user, bool isVIP) external view returns (uint256);
+}
+
+// Interface for PricingManager contract
+interface IQuotePricingManager {
+    struct RedemptionQuote {
+        uint256 quoteId;
+        address user;
+        bool isCart;
+        bytes32 linesHash;
+        uint256 tokenAmount;
+        uint256 issuedAt;
+    }
+
+    function consumeQuote(RedemptionQuote calldata quote, bytes calldata signature) external returns (uint256);
+    function getStablecoinAmount(address token, uint256 tokenAmount) external view returns (uint256);
+}
+
+// Interface for VIPMembership contract
+interface IVIPMembership {
+    function isVIP(address user) external view returns (bool);
+}
+
+// Interface for Treasury contract
+interface IRedemptionTreasury {
+    function recordRedemptionPayment(uint256 amount) external;
+    function recordStablecoinPayment(address token, uint256 amount, bool isProduct) external;
+}
+
+/**
+ * @title RedemptionRouterUpgradeable
+ * @dev Customer-facing product redemption for DELTA8 ecosystem (Upgradeable)
+ *
+ * KEY FEATURES:
+ * - Customers redeem DELTA8 for products themselves (no admin step)
+ * - Batch rate looked up from BatchManager
+ * - VIP status checked on-chain via VIPMembership
+ * - Exact token amount pulled straight to the treasury
+ * - Product revenue recorded in Treasury
+ * - Cart redemptions filled FIFO from each product's oldest batches
+ * - Price-locked quotes from PricingManager honored over the live rate
+ * - UPGRADEABLE for future enhancements
+ *
+ * REDEMPTION FLOW (single transaction):
+ * 1. Customer approves this contract to spend DELTA8
+ * 2. Router checks VIP status and records redemption in BatchManager
+ * 3. Router transfers the required DELTA8 from customer to treasury
+ * 4. Router records the payment as product revenue in Treasury
+ * If any step fails the whole transaction reverts and nothing changes.
+ *
+ * STABLECOIN REDEMPTION:
+ * - ...WithStablecoin variants charge the DELTA8 amount converted by PricingManager
+ *   (accepted stablecoin, token price plus premium), capped by the caller's maxPayment
+ * - Proceeds go to the treasury as product revenue
+ *
+ * GASLESS REDEMPTION:
+ * - ...WithPermit variants take an EIP-2612 permit for maxTokens instead of a prior approve
+ * - Calls relayed by the trusted ERC-2771 forwarder act for the signing user
+ *
+ * SETUP:
+ * - BatchManager: setAuthorizedRedeemer(router, true)
+ * - Treasury: authorizeContract(router, true)
+ * - PricingManager: setQuoteConsumer(router, true)
+ * - Optional: setTrustedForwarder(forwarder)
+ */
+contract RedemptionRouterUpgradeable is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    // Ecosystem contracts
+    IERC20 public delta8Token;
+    IBatchManager public batchManager;
+    IVIPMembership public vipMembership;
+
+    // Treasury address (receives redeemed tokens)
+    address public treasury;
+
+    // Statistics
+    uint256 public totalRedemptions;       // Total redemption transactions
+    uint256 public totalTokensRedeemed;    // Total DELTA8 collected (all time)
+
+    // PricingManager (verifies price-locked quotes, converts stablecoin payments)
+    IQuotePricingManager public pricingManager;
+
+    // Events
+    event RedemptionCompleted(
+        address indexed user,
+        uint256 indexed batchId,
+        uint256 quantity,
+        uint256 tokensPaid,
+        bool isVIP
+    );
+    event CartRedemptionCompleted(
+        address indexed user,
+        uint256 lineCount,
+        uint256 batchCount,
+        uint256 tokensPaid,
+        bool isVIP
+    );
+    event QuoteRedeemed(uint256 indexed quoteId, address indexed user, uint256 tokensPaid);
+    event StablecoinRedemption(
+        address indexed user,
+        address indexed stablecoin,
+        uint256 batchCount,
+        uint256 tokenAmount,
+        uint256 amountPaid
+    );
+    event BatchManagerUpdated(address indexed oldManager, address indexed newManager);
+    event VIPMembershipUpdated(address indexed oldMembership, address indexed newMembership);
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+    event PricingManagerUpdated(address indexed oldManager, address indexed newManager);
+    event TrustedForwarderUpdated(address indexed oldForwarder, address indexed newForwarder);
+
+    // ERC-2771 forwarder (backend relayer submits on behalf of users)
+    address public trustedForwarder;
+
+    // Storage gap for future upgrades
+    uint256[48] private __gap; // Reduced by 2 for pricingManager and trusted forwarder
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the contract (replaces constructor)
+     * @param _delta8Token DELTA8 token address
+     * @param _batchManager BatchManager address
+     * @param _vipMembership VIPMembership address
+     * @param _treasury Treasury address to receive redeemed tokens
+     * @param _pricingManager PricingManager address (quote verification)
+     */
+    function initialize(
+        address _delta8Token,
+        address _batchManager,
+        address _vipMembership,
+        address _treasury,
+        address _pricingManager
+    ) public initializer {
+        require(_delta8Token != address(0), "Invalid token address");
+        require(_batchManager != address(0), "Invalid batch manager");
+        require(_vipMembership != address(0), "Invalid VIP membership");
+        require(_treasury != address(0), "Invalid treasury address");
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        delta8Token = IERC20(_delta8Token);
+        batchManager = IBatchManager(_batchManager);
+        vipMembership = IVIPMembership(_vipMembership);
+        treasury = _treasury;
+        pricingManager = IQuotePricingManager(_pricingManager);
+    }
+
+    /**
+     * @dev Redeem DELTA8 for product units from a batch
+     * @param batchId Batch to redeem from
+     * @param quantity Number of units
+     * @param maxTokens Maximum DELTA8 the caller is willing to pay
+     * @return tokensPaid DELTA8 transferred to treasury
+     */
+    function redeem(
+        uint256 batchId,
+        uint256 quantity,
+        uint256 maxTokens
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 tokensPaid)
+    {
+        tokensPaid = _redeem(batchId, quantity, maxTokens);
+    }
+
+    /**
+     * @dev Redeem from a batch using an EIP-2612 permit for maxTokens (no prior approve)
+     * @param batchId Batch to redeem from
+     * @param quantity Number of units
+     * @param maxTokens Maximum DELTA8 to pay (also the permit value)
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return tokensPaid DELTA8 transferred to treasury
+     */
+    function redeemWithPermit(
+        uint256 batchId,
+        uint256 quantity,
+        uint256 maxTokens,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 tokensPaid)
+    {
+        _permit(maxTokens, deadline, v, r, s);
+        tokensPaid = _redeem(batchId, quantity, maxTokens);
+    }
+
+    /**
+     * @dev Redeem DELTA8 for a cart of products
+     * @param lines Cart lines (productId, quantity)
+     * @param maxTokens Maximum DELTA8 the caller is willing to pay for the cart
+     * @return fills Per-batch breakdown of units and tokens
+     * @return tokensPaid DELTA8 transferred to treasury
+     *
+     * Each line is filled from the product's oldest active batches first and
+     * may be split across batches. The whole cart reverts if any line can't be filled.
+     */
+    function redeemCart(
+        IBatchManager.CartLine[] calldata lines,
+        uint256 maxTokens
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (IBatchManager.RedemptionFill[] memory fills, uint256 tokensPaid)
+    {
+        (fills, tokensPaid) = _redeemCart(lines, maxTokens);
+    }
+
+    /**
+     * @dev Redeem a cart using an EIP-2612 permit for maxTokens (no prior approve)
+     * @param lines Cart lines (productId, quantity)
+     * @param maxTokens Maximum DELTA8 to pay (also the permit value)
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @return fills Per-batch breakdown of units and tokens
+     * @return tokensPaid DELTA8 transferred to treasury
+     */
+    function redeemCartWithPermit(
+        IBatchManager.CartLine[] calldata lines,
+        uint256 maxTokens,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (IBatchManager.RedemptionFill[] memory fills, uint256 tokensPaid)
+    {
+        _permit(maxTokens, deadline, v, r, s);
+        (fills, tokensPaid) = _redeemCart(lines, maxTokens);
+    }
+
+    /**
+     * @dev Redeem product units from a batch, paying in a stablecoin
+     * @param batchId Batch to redeem from
+     * @param quantity Number of units
+     * @param stablecoin Stablecoin accepted by PricingManager
+     * @param maxPayment Maximum stablecoin amount the caller is willing to pay
+     * @return amountPaid Stablecoin transferred to treasury
+     */
+    function redeemWithStablecoin(
+        uint256 batchId,
+        uint256 quantity,
+        address stablecoin,
+        uint256 maxPayment
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 amountPaid)
+    {
+        bool vip = vipMembership.isVIP(_msgSender());
+        uint256 tokenAmount = batchManager.recordRedemption(_msgSender(), batchId, quantity, vip);
+
+        amountPaid = _collectStablecoinPayment(stablecoin, tokenAmount, maxPayment, 1);
+    }
+
+    /**
+     * @dev Redeem a cart, paying in a stablecoin
+     * @param lines Cart lines (productId, quantity)
+     * @param stablecoin Stablecoin accepted by PricingManager
+     * @param maxPayment Maximum stablecoin amount the caller is willing to pay for the cart
+     * @return fills Per-batch breakdown of units and tokens
+     * @return amountPaid Stablecoin transferred to treasury
+     */
+    function redeemCartWithStablecoin(
+        IBatchManager.CartLine[] calldata lines,
+        address stablecoin,
+        uint256 maxPayment
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (IBatchManager.RedemptionFill[] memory fills, uint256 amountPaid)
+    {
+        bool vip = vipMembership.isVIP(_msgSender());
+        uint256 tokenAmount;
+        (fills, tokenAmount) = batchManager.recordCartRedemption(_msgSender(), lines, vip);
+
+        amountPaid = _collectStablecoinPayment(stablecoin, tokenAmount, maxPayment, fills.length);
+    }
+
+    /**
+     * @dev Redeem from a batch at a price-locked quote
+     * @param batchId Batch to redeem from
+     * @param quantity Number of units
+     * @param quote Quote issued for (batchId, quantity) to the caller
+     * @param signature Quote signer's EIP-712 signature
+     * @return tokensPaid Locked DELTA8 amount transferred to treasury
+     */
+    function redeemWithQuote(
+        uint256 batchId,
+        uint256 quantity,
+        IQuotePricingManager.RedemptionQuote calldata quote,
+        bytes calldata signature
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 tokensPaid)
+    {
+        require(quote.user == _msgSender(), "Quote issued to another user");
+        require(!quote.isCart, "Quote is for a cart");
+        require(quote.linesHash == batchLinesHash(batchId, quantity), "Quote does not match redemption");
+
+        tokensPaid = pricingManager.consumeQuote(quote, signature);
+
+        // Stock is still checked and decremented; the live rate is ignored
+        bool vip = vipMembership.isVIP(_msgSender());
+        batchManager.recordRedemption(_msgSender(), batchId, quantity, vip);
+
+        _collectPayment(tokensPaid);
+
+        emit QuoteRedeemed(quote.quoteId, _msgSender(), tokensPaid);
+        emit RedemptionCompleted(_msgSender(), batchId, quantity, tokensPaid, vip);
+    }
+
+    /**
+     * @dev Redeem a cart at a price-locked quote
+     * @param lines Cart lines (productId, quantity)
+     * @param quote Quote issued for these lines to the caller
+     * @param signature Quote signer's EIP-712 signature
+     * @return fills Per-batch breakdown of units (tokens at live rate, for reference)
+     * @return tokensPaid Locked DELTA8 amount transferred to treasury
+     */
+    function redeemCartWithQuote(
+        IBatchManager.CartLine[] calldata lines,
+        IQuotePricingManager.RedemptionQuote calldata quote,
+        bytes calldata signature
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        returns (IBatchManager.RedemptionFill[] memory fills, uint256 tokensPaid)
+    {
+        require(quote.user == _msgSender(), "Quote issued to another user");
+        require(quote.isCart, "Quote is not for a cart");
+        require(quote.linesHash == cartLinesHash(lines), "Quote does not match redemption");
+
+        tokensPaid = pricingManager.consumeQuote(quote, signature);
+
+        bool vip = vipMembership.isVIP(_msgSender());
+        (fills, ) = batchManager.recordCartRedemption(_msgSender(), lines, vip);
+
+        _collectPayment(tokensPaid);
+
+        emit QuoteRedeemed(quote.quoteId, _msgSender(), tokensPaid);
+        emit CartRedemptionCompleted(_msgSender(), lines.length, fills.length, tokensPaid, vip);
+    }
+
+    /**
+     * @dev Hash of a single-batch redemption, as stored in quote.linesHash
+     * @param batchId Batch ID
+     * @param quantity Number of units
+     */
+    function batchLinesHash(uint256 batchId, uint256 quantity) public pure returns (bytes32) {
+        return keccak256(abi.encode(batchId, quantity));
+    }
+
+    /**
+     * @dev Hash of cart lines, as stored in quote.linesHash
+     * @param lines Cart lines (productId, quantity)
+     */
+    function cartLinesHash(IBatchManager.CartLine[] calldata lines) public pure returns (bytes32) {
+        return keccak256(abi.encode(lines));
+    }
+
+    /**
+     * @dev Redeem from a batch at the live rate
+     */
+    function _redeem(
+        uint256 batchId,
+        uint256 quantity,
+        uint256 maxTokens
+    ) internal returns (uint256 tokensPaid) {
+        address user = _msgSender();
+        bool vip = vipMembership.isVIP(user);
+
+        // Decrements stock and returns tokens owed at the batch rate
+        tokensPaid = batchManager.recordRedemption(user, batchId, quantity, vip);
+        require(tokensPaid <= maxTokens, "Exceeds max tokens");
+
+        _collectPayment(tokensPaid);
+
+        emit RedemptionCompleted(user, batchId, quantity, tokensPaid, vip);
+    }
+
+    /**
+     * @dev Redeem a cart at the live rates
+     */
+    function _redeemCart(
+        IBatchManager.CartLine[] calldata lines,
+        uint256 maxTokens
+    ) internal returns (IBatchManager.RedemptionFill[] memory fills, uint256 tokensPaid) {
+        address user = _msgSender();
+        bool vip = vipMembership.isVIP(user);
+
+        (fills, tokensPaid) = batchManager.recordCartRedemption(user, lines, vip);
+        require(tokensPaid <= maxTokens, "Exceeds max tokens");
+
+        _collectPayment(tokensPaid);
+
+        emit CartRedemptionCompleted(user, lines.length, fills.length, tokensPaid, vip);
+    }
+
+    /**
+     * @dev Transfer DELTA8 from caller to treasury and record product revenue
+     * @param amount Amount of DELTA8
+     */
+    function _collectPayment(uint256 amount) internal {
+        require(
+            delta8Token.balanceOf(_msgSender()) >= amount,
+            "Insufficient token balance"
+        );
+
+        delta8Token.safeTransferFrom(_msgSender(), treasury, amount);
+        IRedemptionTreasury(treasury).recordRedemptionPayment(amount);
+
+        totalRedemptions++;
+        totalTokensRedeemed += amount;
+    }
+
+    /**
+     * @dev Transfer the stablecoin price of a DELTA8 amount from caller to treasury
+     * and record product revenue
+     * @param tokenAmount DELTA8 owed at the batch rate
+     * @param batchCount Batches the redemption was filled from
+     * @return amount Stablecoin amount paid
+     */
+    function _collectStablecoinPayment(
+        address stablecoin,
+        uint256 tokenAmount,
+        uint256 maxPayment,
+        uint256 batchCount
+    ) internal returns (uint256 amount) {
+        amount = pricingManager.getStablecoinAmount(stablecoin, tokenAmount);
+        require(amount <= maxPayment, "Exceeds max payment");
+
+        IERC20(stablecoin).safeTransferFrom(_msgSender(), treasury, amount);
+        IRedemptionTreasury(treasury).recordStablecoinPayment(stablecoin, amount, true);
+
+        totalRedemptions++;
+
+        emit StablecoinRedemption(_msgSender(), stablecoin, batchCount, tokenAmount, amount);
+    }
+
+    /**
+     * @dev Preview tokens required for a redemption
+     * @param user Address that would redeem
+     * @param batchId Batch ID
+     * @param quantity Number of units
+     * @return tokensRequired DELTA8 required at current rate
+     * @return isVIP Whether the VIP rate applies
+     */
+    function previewRedemption(
+        address user,
+        uint256 batchId,
+        uint256 quantity
+    ) external view returns (uint256 tokensRequired, bool isVIP) {
+        isVIP = vipMembership.isVIP(user);
+        tokensRequired = batchManager.getUserRedemptionRate(batchId, user, isVIP) * quantity;
+    }
+
+    /**
+     * @dev Update BatchManager reference (owner only)
+     * @param _batchManager New BatchManager address
+     */
+    function setBatchManager(address _batchManager) external onlyOwner {
+        require(_batchManager != address(0), "Invalid batch manager");
+
+        address oldManager = address(batchManager);
+        batchManager = IBatchManager(_batchManager);
+
+        emit BatchManagerUpdated(oldManager, _batchManager);
+    }
+
+    /**
+     * @dev Update VIPMembership reference (owner only)
+     * @param _vipMembership New VIPMembership address
+     */
+    function setVIPMembership(address _vipMembership) external onlyOwner {
+        require(_vipMembership != address(0), "Invalid VIP membership");
+
+        address oldMembership = address(vipMembership);
+        vipMembership = IVIPMembership(_vipMembership);
+
+        emit VIPMembershipUpdated(oldMembership, _vipMembership);
+    }
+
+    /**
+     * @dev Update treasury address (owner only)
+     * @param _treasury New treasury address
+     */
+    function setTreasury(address _treasury) external onlyOwner {
+        require(_treasury != address(0), "Invalid treasury address");
+
+        address oldTreasury = treasury;
+        treasury = _treasury;
+
+        emit TreasuryUpdated(oldTreasury, _treasury);
+    }
+
+    /**
+     * @dev Update PricingManager reference (owner only)
+     * @param _pricingManager New PricingManager address
+     */
+    function setPricingManager(address _pricingManager) external onlyOwner {
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        address oldManager = address(pricingManager);
+        pricingManager = IQuotePricingManager(_pricingManager);
+
+        emit PricingManagerUpdated(oldManager, _pricingManager);
+    }
+
+    /**
+     * @dev Check if address is the trusted ERC-2771 forwarder
+     * @param forwarder Address to check
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev Update trusted ERC-2771 forwarder (owner only, zero address disables)
+     * @param _trustedForwarder New forwarder address
+     */
+    function setTrustedForwarder(address _trustedForwarder) external onlyOwner {
+        address oldForwarder = trustedForwarder;
+        trustedForwarder = _trustedForwarder;
+
+        emit TrustedForwarderUpdated(oldForwarder, _trustedForwarder);
+    }
+
+    /**
+     * @dev Use DELTA8 permit signature if provided allowance isn't already in place
+     * A failed permit (e.g. front-run) is ignored; the transfer still needs allowance.
+     */
+    function _permit(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(address(delta8Token)).permit(_msgSender(), address(this), value, deadline, v, r, s) {
+            // Allowance set
+        } catch {
+            // Permit already used or invalid - fall back to existing allowance
+        }
+    }
+
+    /**
+     * @dev Original sender when relayed by the trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Calldata without the appended sender when relayed (ERC-2771)
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @dev ERC-2771 appends a 20-byte sender to relayed calldata
+     */
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return 20;
+    }
+
+    /**
+     * @dev Pause redemptions (owner only)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause redemptions (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
@@ -0,0 +1,460 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+// Interface for PricingManager contract (APR in USD terms)
+interface IStakingPricingManager {
+    function currentTokenPrice() external view returns (uint256);
+}
+
+/**
+ * @title StakingRewardsUpgradeable
+ * @dev DELTA8 staking with USDC rewards for DELTA8 ecosystem (Upgradeable)
+ *
+ * KEY FEATURES:
+ * - Stake DELTA8, earn USDC per second pro-rata to (boosted) stake
+ * - Rewards funded by the Treasury (fundRewardsPool -> notifyRewardAmount)
+ * - Optional lock periods with boost multipliers
+ * - stake / withdraw / claim / exit
+ * - APR and pending reward views
+ * - UPGRADEABLE for future enhancements
+ *
+ * REWARD MODEL:
+ * - Each funding is streamed over rewardsDuration (default 30 days)
+ * - Funding mid-period rolls the undistributed remainder into the new period
+ * - Reward share = boosted stake / total boosted stake
+ *
+ * LOCKS:
+ * - Lock option 0 = no lock, 1x boost
+ * - Staking with a lock extends the lock end and keeps the higher boost
+ * - Locked stake can't be withdrawn until the lock ends
+ * - After the lock ends anyone can call resetBoost() to drop it back to 1x
+ */
+contract StakingRewardsUpgradeable is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_BOOST_BPS = 30000; // 3x
+
+    // rewardPerToken scale: USDC (6 decimals) per DELTA8 (18 decimals) needs
+    // 1e30 so small per-second accruals on a large stake don't truncate to 0
+    uint256 public constant REWARD_PRECISION = 1e30;
+
+    // Tokens
+    IERC20 public stakingToken;  // DELTA8
+    IERC20 public rewardsToken;  // USDC
+
+    // Treasury (allowed to start reward periods)
+    address public rewardsDistributor;
+
+    // PricingManager (DELTA8 price for APR)
+    IStakingPricingManager public pricingManager;
+
+    // Reward stream
+    uint256 public rewardsDuration;
+    uint256 public periodFinish;
+    uint256 public rewardRate;             // USDC per second
+    uint256 public lastUpdateTime;
+    uint256 public rewardPerTokenStored;   // Scaled by REWARD_PRECISION
+
+    // Totals
+    uint256 public totalStaked;            // Raw DELTA8 staked
+    uint256 public totalBoosted;           // Boosted stake (reward weight)
+    uint256 public totalRewardsPaid;
+
+    // Lock options
+    struct LockOption {
+        uint256 duration;          // Lock length in seconds
+        uint256 boostBPS;          // Reward multiplier (10000 = 1x)
+    }
+
+    LockOption[] public lockOptions;
+
+    // Staker positions
+    struct StakeInfo {
+        uint256 amount;            // DELTA8 staked
+        uint256 boosted;           // amount * boostBPS / 10000
+        uint256 boostBPS;          // Current multiplier
+        uint256 lockEnd;           // Withdrawals blocked until this time
+    }
+
+    mapping(address => StakeInfo) public stakes;
+    mapping(address => uint256) public userRewardPerTokenPaid;
+    mapping(address => uint256) public rewards;
+
+    // Events
+    event Staked(address indexed user, uint256 amount, uint256 lockOptionId, uint256 lockEnd);
+    event Withdrawn(address indexed user, uint256 amount);
+    event RewardPaid(address indexed user, uint256 reward);
+    event RewardAdded(uint256 reward, uint256 periodFinish);
+    event BoostReset(address indexed user);
+    event LockOptionSet(uint256 indexed lockOptionId, uint256 duration, uint256 boostBPS);
+    event RewardsDurationUpdated(uint256 oldDuration, uint256 newDuration);
+    event RewardsDistributorUpdated(address indexed oldDistributor, address indexed newDistributor);
+    event PricingManagerUpdated(address indexed oldManager, address indexed newManager);
+
+    // Storage gap for future upgrades
+    uint256[50] private __gap;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Initialize the contract (replaces constructor)
+     * @param _stakingToken DELTA8 token address
+     * @param _rewardsToken USDC token address
+     * @param _rewardsDistributor Treasury address
+     * @param _pricingManager PricingManager address
+     */
+    function initialize(
+        address _stakingToken,
+        address _rewardsToken,
+        address _rewardsDistributor,
+        address _pricingManager
+    ) public initializer {
+        require(_stakingToken != address(0), "Invalid staking token");
+        require(_rewardsToken != address(0), "Invalid rewards token");
+        require(_rewardsDistributor != address(0), "Invalid distributor");
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        __Ownable_init(msg.sender);
+        __ReentrancyGuard_init();
+        __Pausable_init();
+
+        stakingToken = IERC20(_stakingToken);
+        rewardsToken = IERC20(_rewardsToken);
+        rewardsDistributor = _rewardsDistributor;
+        pricingManager = IStakingPricingManager(_pricingManager);
+        rewardsDuration = 30 days;
+
+        // Option 0: no lock, 1x
+        lockOptions.push(LockOption({duration: 0, boostBPS: BPS_DENOMINATOR}));
+    }
+
+    /**
+     * @dev Update reward accounting for an account
+     */
+    modifier updateReward(address account) {
+        rewardPerTokenStored = rewardPerToken();
+        lastUpdateTime = lastTimeRewardApplicable();
+        if (account != address(0)) {
+            rewards[account] = earned(account);
+            userRewardPerTokenPaid[account] = rewardPerTokenStored;
+        }
+        _;
+    }
+
+    /**
+     * @dev Stake DELTA8 with an optional lock
+     * @param amount DELTA8 to stake
+     * @param lockOptionId Lock option (0 = no lock)
+     */
+    function stake(uint256 amount, uint256 lockOptionId)
+        external
+        nonReentrant
+        whenNotPaused
+        updateReward(msg.sender)
+    {
+        require(amount > 0, "Cannot stake 0");
+        require(lockOptionId < lockOptions.length, "Invalid lock option");
+
+        StakeInfo storage info = stakes[msg.sender];
+        LockOption memory option = lockOptions[lockOptionId];
+
+        uint256 newLockEnd = block.timestamp + option.duration;
+        if (newLockEnd > info.lockEnd) {
+            info.lockEnd = newLockEnd;
+        }
+
+        // Keep the higher boost while the existing lock still runs
+        uint256 boostBPS = option.boostBPS;
+        if (info.lockEnd > block.timestamp && info.boostBPS > boostBPS) {
+            boostBPS = info.boostBPS;
+        }
+
+        stakingToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        info.amount += amount;
+        totalStaked += amount;
+        _setBoost(info, boostBPS);
+
+        emit Staked(msg.sender, amount, lockOptionId, info.lockEnd);
+    }
+
+    /**
+     * @dev Withdraw unlocked stake
+     * @param amount DELTA8 to withdraw
+     */
+    function withdraw(uint256 amount) public nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "Cannot withdraw 0");
+
+        StakeInfo storage info = stakes[msg.sender];
+        require(info.amount >= amount, "Insufficient stake");
+        require(block.timestamp >= info.lockEnd, "Stake is locked");
+
+        info.amount -= amount;
+        totalStaked -= amount;
+        _setBoost(info, BPS_DENOMINATOR);
+
+        stakingToken.safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Claim pending USDC rewards
+     */
+    function claim() public nonReentrant updateReward(msg.sender) {
+        uint256 reward = rewards[msg.sender];
+        if (reward > 0) {
+            rewards[msg.sender] = 0;
+            totalRewardsPaid += reward;
+            rewardsToken.safeTransfer(msg.sender, reward);
+
+            emit RewardPaid(msg.sender, reward);
+        }
+    }
+
+    /**
+     * @dev Withdraw entire stake and claim rewards
+     * Still claims if the stake was already withdrawn
+     */
+    function exit() external {
+        uint256 amount = stakes[msg.sender].amount;
+        if (amount > 0) {
+            withdraw(amount);
+        }
+        claim();
+    }
+
+    /**
+     * @dev Drop an expired lock's boost back to 1x (callable by anyone)
+     * @param user Staker address
+     */
+    function resetBoost(address user) external updateReward(user) {
+        StakeInfo storage info = stakes[user];
+        require(info.boostBPS > BPS_DENOMINATOR, "No boost");
+        require(block.timestamp >= info.lockEnd, "Stake is locked");
+
+        _setBoost(info, BPS_DENOMINATOR);
+
+        emit BoostReset(user);
+    }
+
+    /**
+     * @dev Start or extend a reward period with USDC already transferred here
+     * Called by the Treasury right after fundRewardsPool transfers the USDC
+     * @param reward Amount of USDC added
+     */
+    function notifyRewardAmount(uint256 reward) external updateReward(address(0)) {
+        require(
+            msg.sender == rewardsDistributor || msg.sender == owner(),
+            "Not authorized"
+        );
+
+        if (block.timestamp >= periodFinish) {
+            rewardRate = reward / rewardsDuration;
+        } else {
+            uint256 leftover = (periodFinish - block.timestamp) * rewardRate;
+            rewardRate = (reward + leftover) / rewardsDuration;
+        }
+
+        // Rate must be covered by the USDC held
+        require(rewardRate > 0, "Reward too small");
+        require(
+            rewardRate <= rewardsToken.balanceOf(address(this)) / rewardsDuration,
+            "Provided reward too high"
+        );
+
+        lastUpdateTime = block.timestamp;
+        periodFinish = block.timestamp + rewardsDuration;
+
+        emit RewardAdded(reward, periodFinish);
+    }
+
+    /**
+     * @dev Last time rewards were accruing
+     */
+    function lastTimeRewardApplicable() public view returns (uint256) {
+        return block.timestamp < periodFinish ? block.timestamp : periodFinish;
+    }
+
+    /**
+     * @dev Accumulated USDC per boosted DELTA8 (scaled by REWARD_PRECISION)
+     */
+    function rewardPerToken() public view returns (uint256) {
+        if (totalBoosted == 0) {
+            return rewardPerTokenStored;
+        }
+        return rewardPerTokenStored +
+            ((lastTimeRewardApplicable() - lastUpdateTime) * rewardRate * REWARD_PRECISION) / totalBoosted;
+    }
+
+    /**
+     * @dev Pending USDC rewards for an account
+     * @param account Staker address
+     * @return USDC earned and not yet claimed
+     */
+    function earned(address account) public view returns (uint256) {
+        return (stakes[account].boosted * (rewardPerToken() - userRewardPerTokenPaid[account])) / REWARD_PRECISION
+            + rewards[account];
+    }
+
+    /**
+     * @dev Base APR (1x boost) at the current reward rate and DELTA8 price
+     * @return aprBPS APR in basis points (0 if nothing staked or no active period)
+     */
+    function getAPR() public view returns (uint256 aprBPS) {
+        if (totalBoosted == 0 || block.timestamp >= periodFinish) return 0;
+
+        // USDC (6 decimals) per year vs boosted DELTA8 (18 decimals) at price (6 decimals)
+        uint256 yearlyRewards = rewardRate * 365 days;
+        uint256 stakedValue = (totalBoosted * pricingManager.currentTokenPrice()) / 1e18;
+        if (stakedValue == 0) return 0;
+
+        aprBPS = (yearlyRewards * BPS_DENOMINATOR) / stakedValue;
+    }
+
+    /**
+     * @dev APR for a staker including their boost
+     * @param account Staker address
+     * @return aprBPS APR in basis points
+     */
+    function getUserAPR(address account) external view returns (uint256 aprBPS) {
+        uint256 boostBPS = stakes[account].boostBPS;
+        if (boostBPS == 0) boostBPS = BPS_DENOMINATOR;
+
+        aprBPS = (getAPR() * boostBPS) / BPS_DENOMINATOR;
+    }
+
+    /**
+     * @dev Get staker position and pending rewards
+     * @param account Staker address
+     */
+    function getStakeInfo(address account)
+        external
+        view
+        returns (
+            uint256 amount,
+            uint256 boostBPS,
+            uint256 lockEnd,
+            uint256 pendingRewards
+        )
+    {
+        StakeInfo memory info = stakes[account];
+        return (info.amount, info.boostBPS, info.lockEnd, earned(account));
+    }
+
+    /**
+     * @dev Total USDC scheduled for the current period
+     */
+    function getRewardForDuration() external view returns (uint256) {
+        return rewardRate * rewardsDuration;
+    }
+
+    /**
+     * @dev Get number of lock options
+     */
+    function getLockOptionCount() external view returns (uint256) {
+        return lockOptions.length;
+    }
+
+    /**
+     * @dev Add or update a lock option (owner only)
+     * @param lockOptionId Option ID (== count to add a new one)
+     * @param duration Lock length in seconds
+     * @param boostBPS Reward multiplier (10000 = 1x)
+     */
+    function setLockOption(uint256 lockOptionId, uint256 duration, uint256 boostBPS) external onlyOwner {
+        require(lockOptionId > 0, "Option 0 is fixed");
+        require(lockOptionId <= lockOptions.length, "Invalid lock option");
+        require(duration > 0, "Duration must be greater than 0");
+        require(boostBPS >= BPS_DENOMINATOR && boostBPS <= MAX_BOOST_BPS, "Invalid boost");
+
+        if (lockOptionId == lockOptions.length) {
+            lockOptions.push(LockOption({duration: duration, boostBPS: boostBPS}));
+        } else {
+            lockOptions[lockOptionId] = LockOption({duration: duration, boostBPS: boostBPS});
+        }
+
+        emit LockOptionSet(lockOptionId, duration, boostBPS);
+    }
+
+    /**
+     * @dev Update reward period length (owner only, between periods)
+     * @param _rewardsDuration New duration in seconds
+     */
+    function setRewardsDuration(uint256 _rewardsDuration) external onlyOwner {
+        require(block.timestamp > periodFinish, "Reward period active");
+        require(_rewardsDuration > 0, "Duration must be greater than 0");
+
+        uint256 oldDuration = rewardsDuration;
+        rewardsDuration = _rewardsDuration;
+
+        emit RewardsDurationUpdated(oldDuration, _rewardsDuration);
+    }
+
+    /**
+     * @dev Update rewards distributor (owner only)
+     * @param _rewardsDistributor New distributor (Treasury)
+     */
+    function setRewardsDistributor(address _rewardsDistributor) external onlyOwner {
+        require(_rewardsDistributor != address(0), "Invalid distributor");
+
+        address oldDistributor = rewardsDistributor;
+        rewardsDistributor = _rewardsDistributor;
+
+        emit RewardsDistributorUpdated(oldDistributor, _rewardsDistributor);
+    }
+
+    /**
+     * @dev Update PricingManager reference (owner only)
+     * @param _pricingManager New PricingManager address
+     */
+    function setPricingManager(address _pricingManager) external onlyOwner {
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        address oldManager = address(pricingManager);
+        pricingManager = IStakingPricingManager(_pricingManager);
+
+        emit PricingManagerUpdated(oldManager, _pricingManager);
+    }
+
+    /**
+     * @dev Pause new stakes (owner only). Withdrawals and claims stay open.
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause staking (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @dev Recompute boosted weight for a position
+     */
+    function _setBoost(StakeInfo storage info, uint256 boostBPS) internal {
+        uint256 newBoosted = (info.amount * boostBPS) / BPS_DENOMINATOR;
+
+        totalBoosted = totalBoosted - info.boosted + newBoosted;
+        info.boosted = newBoosted;
+        info.boostBPS = boostBPS;
+    }
+}
@@ -7,6 +7,16 @@ import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 
+// Interface for StakingRewards contract
+interface IStakingRewards {
+    function notifyRewardAmount(uint256 reward) external;
+}
+
+// Interface for PricingManager contract (stablecoin allow-list)
+interface ITreasuryPricingManager {
+    function stablecoins(address token) external view returns (bool accepted, bool listed, uint8 decimals);
+}
+
 /**
  * @title TreasuryUpgradeable
  * @dev Treasury contract for managing DELTA8 ecosystem funds (Upgradeable)
@@ -20,15 +30,45 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
  *
  * FUND SOURCES:
  * - VIP membership fees (100 DELTA8 per year per member)
- * - Token sale proceeds (USDC)
+ * - Token sale proceeds (USDC), including memberships paid in stablecoins
+ * - Product redemptions paid in stablecoins
+ * - Unclaimed promotion tokens (back to the marketing allocation)
  * - Product sales revenue (future)
  *
  * FUND USES:
  * - Staking rewards (USDC paid to stakers)
  * - Marketing campaigns
+ * - VIP referral rewards (referralBudget, funded by a referral budget proposal, paid by VIPMembership)
  * - DEX liquidity provision
  * - Team incentives
  * - Operational expenses
+ *
+ * MULTI-SIGNATURE SPENDING:
+ * - Every spend and withdrawal is a proposal approved by M-of-N signers
+ * - Each category has its own timelock, counted from when approvals reach the threshold
+ * - Emergency withdrawals skip the timelock only with emergencyThreshold approvals
+ * - Signer set, thresholds and timelocks change only through proposals
+ * - Allocation and expense bookkeeping updates when a proposal executes
+ * - Only the proposer can cancel a pending proposal
+ * - Owner bootstraps the signer set once (configureMultisig) and keeps
+ *   revenue recording and allocation (no funds leave the treasury)
+ *
+ * TEAM VESTING:
+ * - Team proposals can grant a linear vesting schedule with a cliff instead of a lump sum
+ * - Granted DELTA8 stays in the treasury; the beneficiary claims as it vests
+ *
+ * BUDGET PERIODS:
+ * - Fixed-length periods (e.g. monthly, quarterly) with a cap per spend category
+ * - Executed spends (and vesting grants) count against the current period; caps reset each period
+ * - Period length and caps change through BudgetChange proposals
+ *
+ * ACCOUNTING:
+ * - Every FundsReceived / FundsWithdrawn is also booked per token (tokenRevenue, tokenExpenses)
+ * - Revenue is also split by type per token (revenueByToken); the legacy `revenue`
+ *   counters only take their own token (membership: DELTA8, token and product sales: USDC),
+ *   so DELTA8 redemptions and orders and other stablecoins are only in revenueByToken
+ * - Recorded balance = tokenRevenue - tokenExpenses; scripts/reconcileTreasury.js compares it
+ *   with the real balance and lists unrecorded transfers
  */
 contract TreasuryUpgradeable is 
     Initializable,
@@ -64,6 +104,13 @@ contract TreasuryUpgradeable is
 
     RevenueStats public revenue;
 
+    // Revenue types, booked per token in revenueByToken
+    enum RevenueType {
+        Membership,
+        TokenSale,
+        Product
+    }
+
     // Expense tracking
     struct ExpenseStats {
         uint256 rewardsPaid;       // Total USDC paid as rewards
@@ -75,6 +122,54 @@ contract TreasuryUpgradeable is
 
     ExpenseStats public expenses;
 
+    // Proposal categories (each with its own timelock)
+    enum ProposalCategory {
+        Marketing,          // DELTA8 from marketing allocation
+        Liquidity,          // DELTA8 from liquidity allocation
+        Team,               // DELTA8 from team allocation
+        Operations,         // USDC from operations allocation
+        StakingRewards,     // USDC from staking allocation to a reward contract
+        Emergency,          // Any token, no allocation
+        SignerChange,       // Replace signer set and thresholds
+        TimelockChange,     // Change one category's timelock
+        BudgetChange        // Change budget period length and caps
+    }
+
+    enum ProposalStatus {
+        Pending,            // Waiting for approvals
+        Approved,           // Threshold reached, waiting for timelock / execution
+        Executed,
+        Cancelled
+    }
+
+    struct Proposal {
+        ProposalCategory category;
+        address token;              // Token to send (spend categories)
+        address recipient;          // Recipient (spend categories)
+        uint256 amount;             // Amount (spend) or new timelock (TimelockChange)
+        string purpose;             // Description of the spend
+        bytes data;                 // Encoded vesting terms (Team) or config (SignerChange / TimelockChange / BudgetChange)
+        address proposer;
+        uint256 createdAt;
+        uint256 approvedAt;         // When approvals reached the threshold (0 if not)
+        bool executed;
+        bool cancelled;
+    }
+
+    uint256 public constant CATEGORY_COUNT = 9;
+
+    // Spend categories with budget caps (Marketing .. StakingRewards)
+    uint256 public constant BUDGET_CATEGORY_COUNT = 5;
+
+    // Linear vesting with cliff (team members)
+    struct VestingSchedule {
+        uint256 totalAmount;        // DELTA8 granted
+        uint256 claimed;            // DELTA8 already claimed
+        uint256 start;              // Vesting start timestamp
+        uint256 cliff;              // Nothing claimable before this timestamp
+        uint256 end;                // Fully vested at this timestamp
+    }
+
     // Events
     event FundsReceived(
         address indexed token,
@@ -94,6 +189,7 @@ contract TreasuryUpgradeable is
         string purpose
     );
     event ContractAuthorized(address indexed contractAddress, bool authorized);
+    event PricingManagerUpdated(address indexed oldManager, address indexed newManager);
     event RewardPoolFunded(uint256 amount, address indexed rewardContract);
     event ProductPurchased(
         address indexed buyer,
@@ -102,9 +198,77 @@ contract TreasuryUpgradeable is
         string encryptedShipping,
         uint256 timestamp
     );
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        ProposalCategory indexed category,
+        address indexed proposer,
+        address token,
+        address recipient,
+        uint256 amount
+    );
+    event ProposalApproved(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+    event ApprovalRevoked(uint256 indexed proposalId, address indexed signer, uint256 approvals);
+    event ProposalExecuted(uint256 indexed proposalId, address indexed executor);
+    event ProposalCancelled(uint256 indexed proposalId, address indexed canceller);
+    event SignersUpdated(address[] signers, uint256 threshold, uint256 emergencyThreshold);
+    event CategoryTimelockUpdated(ProposalCategory indexed category, uint256 oldDelay, uint256 newDelay);
+    event VestingCreated(
+        address indexed beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliff,
+        uint256 end
+    );
+    event VestingClaimed(address indexed beneficiary, uint256 amount);
+    event BudgetUpdated(uint256 periodLength, uint256[] caps);
+    event BudgetSpent(uint256 indexed period, ProposalCategory indexed category, uint256 amount, uint256 periodTotal);
+
+    // Multi-signature configuration
+    address[] public signers;
+    mapping(address => bool) public isSigner;
+    uint256 public threshold;               // Approvals needed to execute
+    uint256 public emergencyThreshold;      // Approvals needed to skip the emergency timelock
+    mapping(uint256 => uint256) public categoryTimelock; // category => delay in seconds
+
+    // Proposals
+    mapping(uint256 => Proposal) public proposals;
+    uint256 public proposalCount;
+    mapping(uint256 => mapping(address => bool)) public hasApproved;
+
+    // Team vesting
+    mapping(address => VestingSchedule) public vestingSchedules;
+    address[] public vestingBeneficiaries;
+    uint256 public totalVestingLocked;      // Granted DELTA8 not yet claimed
+
+    // Budget periods
+    uint256 public budgetPeriodLength;      // Seconds per period (0 = budgets disabled)
+    uint256 public budgetPeriodAnchor;      // Timestamp the current period numbering starts from
+    uint256 public budgetPeriodOffset;      // Period number at budgetPeriodAnchor
+    mapping(uint256 => uint256) public budgetCaps; // category => cap per period (0 = uncapped)
+    mapping(uint256 => mapping(uint256 => uint256)) public periodSpend; // period => category => spent
+
+    // Order IDs already recorded as product purchases
+    mapping(uint256 => bool) public recordedOrders;
+
+    // Per-token accounting: every FundsReceived / FundsWithdrawn is booked here,
+    // so buckets never mix DELTA8 and USDC amounts
+    mapping(address => uint256) public tokenRevenue;
+    mapping(address => uint256) public tokenExpenses;
+
+    // DELTA8 set aside for VIP referral rewards (paid out by vipMembership only)
+    uint256 public referralBudget;
+
+    // Revenue by type per token (amounts in that token's units)
+    mapping(address => RevenueStats) public revenueByToken;
+
+    // VIPMembership contract allowed to pay referral rewards (set by referral budget proposals)
+    address public vipMembership;
+
+    // PricingManager whose stablecoin allow-list gates recordStablecoinPayment
+    address public pricingManager;
 
     // Storage gap for future upgrades
-    uint256[49] private __gap; // Reduced by 1 to account for new event
+    uint256[26] private __gap; // Reduced by 1 for new event, 8 for multi-signature proposals, 8 for vesting and budgets, 1 for recordedOrders, 2 for per-token accounting, 1 for referral budget, 1 for revenue by token, 1 for referral payer, 1 for pricing manager
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -138,14 +302,55 @@ contract TreasuryUpgradeable is
     function recordMembershipPayment(uint256 amount) external {
         require(authorizedContracts[msg.sender], "Not authorized");
 
-        revenue.membershipRevenue += amount;
+        _recordRevenue(address(delta8Token), RevenueType.Membership, msg.sender, amount, "VIP Membership");
+    }
 
-        emit FundsReceived(
-            address(delta8Token),
-            msg.sender,
-            amount,
-            "VIP Membership"
-        );
+    /**
+     * @dev Record product redemption payment
+     * Called by RedemptionRouter after it transfers the redeemed DELTA8 here
+     * @param amount Amount of DELTA8 received
+     */
+    function recordRedemptionPayment(uint256 amount) external {
+        require(authorizedContracts[msg.sender], "Not authorized");
+
+        _recordRevenue(address(delta8Token), RevenueType.Product, msg.sender, amount, "Product Redemption");
+    }
+
+    /**
+     * @dev Record a stablecoin payment sent here by an ecosystem contract
+     * Memberships (VIPMembership) count as token sales, redemptions
+     * (RedemptionRouter) as product revenue
+     * Only stablecoins accepted by PricingManager are booked. Amounts stay in the
+     * token's own decimals in revenueByToken; the legacy counters only take USDC.
+     * @param token Stablecoin received
+     * @param amount Amount received (token decimals)
+     * @param isProduct True for product revenue, false for token sale revenue
+     */
+    function recordStablecoinPayment(address token, uint256 amount, bool isProduct) external {
+        require(authorizedContracts[msg.sender], "Not authorized");
+        require(pricingManager != address(0), "Pricing manager not set");
+        (bool accepted, , ) = ITreasuryPricingManager(pricingManager).stablecoins(token);
+        require(accepted, "Stablecoin not accepted");
+
+        if (isProduct) {
+            _recordRevenue(token, RevenueType.Product, msg.sender, amount, "Product Sales");
+        } else {
+            _recordRevenue(token, RevenueType.TokenSale, msg.sender, amount, "Token Sale");
+        }
+    }
+
+    /**
+     * @dev Record unclaimed promotion tokens returned to the treasury
+     * Called by PromotionCampaigns after it sweeps an expired campaign here;
+     * the tokens go back to the marketing allocation
+     * @param amount Amount of DELTA8 received
+     */
+    function recordPromotionReturn(uint256 amount) external {
+        require(authorizedContracts[msg.sender], "Not authorized");
+
+        allocations.marketing += amount;
+
+        _recordReceived(address(delta8Token), msg.sender, amount, "Promotion Return");
     }
 
     /**
@@ -160,14 +365,8 @@ contract TreasuryUpgradeable is
         require(amount > 0, "Amount must be greater than zero");
 
         usdcToken.safeTransferFrom(msg.sender, address(this), amount);
-        revenue.tokenSaleRevenue += amount;
 
-        emit FundsReceived(
-            address(usdcToken),
-            msg.sender,
-            amount,
-            "Token Sale"
-        );
+        _recordRevenue(address(usdcToken), RevenueType.TokenSale, msg.sender, amount, "Token Sale");
     }
 
     /**
@@ -182,14 +381,8 @@ contract TreasuryUpgradeable is
         require(amount > 0, "Amount must be greater than zero");
 
         usdcToken.safeTransferFrom(msg.sender, address(this), amount);
-        revenue.productRevenue += amount;
 
-        emit FundsReceived(
-            address(usdcToken),
-            msg.sender,
-            amount,
-            "Product Sales"
-        );
+        _recordRevenue(address(usdcToken), RevenueType.Product, msg.sender, amount, "Product Sales");
     }
 
     /**
@@ -212,15 +405,177 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Fund staking rewards contract
+     * @dev Restrict to multi-signature signers
+     */
+    modifier onlySigner() {
+        require(isSigner[msg.sender], "Not a signer");
+        _;
+    }
+
+    /**
+     * @dev Store a new proposal; the proposer's approval is counted
+     */
+    function _createProposal(
+        ProposalCategory category,
+        address token,
+        address recipient,
+        uint256 amount,
+        string memory purpose,
+        bytes memory data
+    ) internal returns (uint256 proposalId) {
+        proposalId = ++proposalCount;
+
+        Proposal storage proposal = proposals[proposalId];
+        proposal.category = category;
+        proposal.token = token;
+        proposal.recipient = recipient;
+        proposal.amount = amount;
+        proposal.purpose = purpose;
+        proposal.data = data;
+        proposal.proposer = msg.sender;
+        proposal.createdAt = block.timestamp;
+
+        emit ProposalCreated(proposalId, category, msg.sender, token, recipient, amount);
+
+        approveProposal(proposalId);
+    }
+
+    /**
+     * @dev Load a proposal that is neither executed nor cancelled
+     */
+    function _openProposal(uint256 proposalId) internal view returns (Proposal storage proposal) {
+        require(proposalId > 0 && proposalId <= proposalCount, "Invalid proposal");
+
+        proposal = proposals[proposalId];
+        require(!proposal.executed, "Proposal already executed");
+        require(!proposal.cancelled, "Proposal cancelled");
+    }
+
+    /**
+     * @dev Validate a signer set and thresholds
+     */
+    function _validateSigners(
+        address[] memory _signers,
+        uint256 _threshold,
+        uint256 _emergencyThreshold
+    ) internal pure {
+        require(_signers.length > 0, "No signers");
+        require(_threshold > 0 && _threshold <= _signers.length, "Invalid threshold");
+        require(
+            _emergencyThreshold > _threshold && _emergencyThreshold <= _signers.length,
+            "Invalid emergency threshold"
+        );
+
+        for (uint256 i = 0; i < _signers.length; i++) {
+            require(_signers[i] != address(0), "Invalid signer");
+            for (uint256 j = 0; j < i; j++) {
+                require(_signers[i] != _signers[j], "Duplicate signer");
+            }
+        }
+    }
+
+    /**
+     * @dev Replace signer set and thresholds
+     */
+    function _setSigners(
+        address[] memory _signers,
+        uint256 _threshold,
+        uint256 _emergencyThreshold
+    ) internal {
+        _validateSigners(_signers, _threshold, _emergencyThreshold);
+
+        for (uint256 i = 0; i < signers.length; i++) {
+            isSigner[signers[i]] = false;
+        }
+        delete signers;
+
+        for (uint256 i = 0; i < _signers.length; i++) {
+            isSigner[_signers[i]] = true;
+            signers.push(_signers[i]);
+        }
+        threshold = _threshold;
+        emergencyThreshold = _emergencyThreshold;
+
+        emit SignersUpdated(_signers, _threshold, _emergencyThreshold);
+    }
+
+    /**
+     * @dev Grant a vesting schedule from the team allocation (executed via Team proposal)
+     */
+    function _createVesting(address beneficiary, uint256 amount, bytes memory terms) internal {
+        (uint256 start, uint256 cliffDuration, uint256 duration) =
+            abi.decode(terms, (uint256, uint256, uint256));
+        if (start == 0) start = block.timestamp;
+
+        VestingSchedule storage schedule = vestingSchedules[beneficiary];
+        require(schedule.claimed == schedule.totalAmount, "Vesting schedule exists");
+        require(amount <= allocations.team, "Exceeds team allocation");
+
+        if (schedule.totalAmount == 0) {
+            vestingBeneficiaries.push(beneficiary);
+        }
+
+        allocations.team -= amount;
+        totalVestingLocked += amount;
+
+        vestingSchedules[beneficiary] = VestingSchedule({
+            totalAmount: amount,
+            claimed: 0,
+            start: start,
+            cliff: start + cliffDuration,
+            end: start + duration
+        });
+
+        emit VestingCreated(beneficiary, amount, start, start + cliffDuration, start + duration);
+    }
+
+    /**
+     * @dev Vested amount of a schedule (linear after the cliff)
+     */
+    function _vestedAmount(VestingSchedule storage schedule) internal view returns (uint256) {
+        if (block.timestamp < schedule.cliff) return 0;
+        if (block.timestamp >= schedule.end) return schedule.totalAmount;
+        return (schedule.totalAmount * (block.timestamp - schedule.start)) / (schedule.end - schedule.start);
+    }
+
+    /**
+     * @dev Count a spend against the current period's cap
+     */
+    function _consumeBudget(ProposalCategory category, uint256 amount) internal {
+        if (budgetPeriodLength == 0) return;
+
+        uint256 period = currentBudgetPeriod();
+        uint256 spent = periodSpend[period][uint256(category)] + amount;
+        uint256 cap = budgetCaps[uint256(category)];
+        require(cap == 0 || spent <= cap, "Exceeds period budget");
+
+        periodSpend[period][uint256(category)] = spent;
+
+        emit BudgetSpent(period, category, amount, spent);
+    }
+
+    /**
+     * @dev Apply budget period length and caps; a new period starts now
+     */
+    function _setBudget(uint256 periodLength, uint256[] memory caps) internal {
+        budgetPeriodOffset = currentBudgetPeriod() + 1;
+        budgetPeriodAnchor = block.timestamp;
+        budgetPeriodLength = periodLength;
+
+        for (uint256 i = 0; i < BUDGET_CATEGORY_COUNT; i++) {
+            budgetCaps[i] = caps[i];
+        }
+
+        emit BudgetUpdated(periodLength, caps);
+    }
+
+    /**
+     * @dev Fund staking rewards contract (executed via StakingRewards proposal)
+     * Starts a new reward period on StakingRewards (if it supports it)
      * @param rewardContract Address of staking rewards contract
      * @param amount Amount of USDC to transfer
      */
-    function fundRewardsPool(address rewardContract, uint256 amount)
-        external
-        onlyOwner
-        nonReentrant
-    {
+    function _fundRewardsPool(address rewardContract, uint256 amount) internal {
         require(rewardContract != address(0), "Invalid contract address");
         require(amount > 0, "Amount must be greater than zero");
         require(
@@ -237,13 +592,15 @@ contract TreasuryUpgradeable is
 
         usdcToken.safeTransfer(rewardContract, amount);
 
+        // Stream the new USDC to stakers (if reward contract supports it)
+        try IStakingRewards(rewardContract).notifyRewardAmount(amount) {
+            // Reward period started
+        } catch {
+            // Not a StakingRewards contract or not authorized - owner can notify manually
+        }
+
         emit RewardPoolFunded(amount, rewardContract);
-        emit FundsWithdrawn(
-            address(usdcToken),
-            rewardContract,
-            amount,
-            "Staking Rewards"
-        );
+        _recordWithdrawn(address(usdcToken), rewardContract, amount, "Staking Rewards");
     }
 
     /**
@@ -266,20 +623,16 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Spend marketing allocation
+     * @dev Spend marketing allocation (executed via Marketing proposal)
      * @param recipient Address to send tokens to
      * @param amount Amount of DELTA8
      * @param purpose Description of marketing spend
      */
-    function spendMarketing(
+    function _spendMarketing(
         address recipient,
         uint256 amount,
-        string calldata purpose
-    )
-        external
-        onlyOwner
-        nonReentrant
-    {
+        string memory purpose
+    ) internal {
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be greater than zero");
         require(
@@ -292,7 +645,50 @@ contract TreasuryUpgradeable is
 
         delta8Token.safeTransfer(recipient, amount);
 
-        emit FundsWithdrawn(address(delta8Token), recipient, amount, purpose);
+        _recordWithdrawn(address(delta8Token), recipient, amount, purpose);
+    }
+
+    /**
+     * @dev Move DELTA8 from the marketing allocation into the referral budget (executed via proposal)
+     * @param _vipMembership VIPMembership contract that pays the rewards
+     * @param amount Amount of DELTA8
+     */
+    function _fundReferralBudget(address _vipMembership, uint256 amount) internal {
+        require(
+            amount <= allocations.marketing,
+            "Exceeds marketing allocation"
+        );
+
+        allocations.marketing -= amount;
+        referralBudget += amount;
+        vipMembership = _vipMembership;
+
+        emit FundsAllocated("Referrals", amount, address(delta8Token));
+    }
+
+    /**
+     * @dev Pay a referral reward from the referral budget
+     * Called by VIPMembership on referred purchases; counted as marketing spend
+     * @param referrer Address to pay
+     * @param amount Reward due
+     * @return paid Amount paid (capped at the remaining budget)
+     */
+    function payReferralReward(address referrer, uint256 amount)
+        external
+        nonReentrant
+        returns (uint256 paid)
+    {
+        require(msg.sender == vipMembership, "Not authorized");
+
+        paid = amount < referralBudget ? amount : referralBudget;
+        if (paid > 0) {
+            referralBudget -= paid;
+            expenses.marketingSpent += paid;
+
+            delta8Token.safeTransfer(referrer, paid);
+
+            _recordWithdrawn(address(delta8Token), referrer, paid, "Referral Reward");
+        }
     }
 
     /**
@@ -315,15 +711,11 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Add liquidity to DEX
+     * @dev Add liquidity to DEX (executed via Liquidity proposal)
      * @param recipient DEX router or LP address
      * @param amount Amount of DELTA8
      */
-    function addLiquidity(address recipient, uint256 amount)
-        external
-        onlyOwner
-        nonReentrant
-    {
+    function _addLiquidity(address recipient, uint256 amount) internal {
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be greater than zero");
         require(
@@ -336,12 +728,7 @@ contract TreasuryUpgradeable is
 
         delta8Token.safeTransfer(recipient, amount);
 
-        emit FundsWithdrawn(
-            address(delta8Token),
-            recipient,
-            amount,
-            "DEX Liquidity"
-        );
+        _recordWithdrawn(address(delta8Token), recipient, amount, "DEX Liquidity");
     }
 
     /**
@@ -364,15 +751,11 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Pay team member
+     * @dev Pay team member (executed via Team proposal)
      * @param teamMember Address of team member
      * @param amount Amount of DELTA8
      */
-    function payTeam(address teamMember, uint256 amount)
-        external
-        onlyOwner
-        nonReentrant
-    {
+    function _payTeam(address teamMember, uint256 amount) internal {
         require(teamMember != address(0), "Invalid team member");
         require(amount > 0, "Amount must be greater than zero");
         require(amount <= allocations.team, "Exceeds team allocation");
@@ -382,12 +765,7 @@ contract TreasuryUpgradeable is
 
         delta8Token.safeTransfer(teamMember, amount);
 
-        emit FundsWithdrawn(
-            address(delta8Token),
-            teamMember,
-            amount,
-            "Team Payment"
-        );
+        _recordWithdrawn(address(delta8Token), teamMember, amount, "Team Payment");
     }
 
     /**
@@ -410,20 +788,16 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Spend operations allocation
+     * @dev Spend operations allocation (executed via Operations proposal)
      * @param recipient Address to send USDC to
      * @param amount Amount of USDC
      * @param purpose Description of operational expense
      */
-    function spendOperations(
+    function _spendOperations(
         address recipient,
         uint256 amount,
-        string calldata purpose
-    )
-        external
-        onlyOwner
-        nonReentrant
-    {
+        string memory purpose
+    ) internal {
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be greater than zero");
         require(
@@ -436,7 +810,7 @@ contract TreasuryUpgradeable is
 
         usdcToken.safeTransfer(recipient, amount);
 
-        emit FundsWithdrawn(address(usdcToken), recipient, amount, purpose);
+        _recordWithdrawn(address(usdcToken), recipient, amount, purpose);
     }
 
     /**
@@ -455,6 +829,487 @@ contract TreasuryUpgradeable is
         emit ContractAuthorized(contractAddress, authorized);
     }
 
+    /**
+     * @dev Update PricingManager reference (owner only)
+     * @param _pricingManager New PricingManager address
+     */
+    function setPricingManager(address _pricingManager) external onlyOwner {
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        address oldManager = pricingManager;
+        pricingManager = _pricingManager;
+
+        emit PricingManagerUpdated(oldManager, _pricingManager);
+    }
+
+    /**
+     * @dev Set the initial signer set (owner only, once)
+     * Later changes go through SignerChange / TimelockChange proposals.
+     * @param _signers Signer addresses
+     * @param _threshold Approvals needed to execute a proposal
+     * @param _emergencyThreshold Approvals needed to skip the emergency timelock
+     * @param timelocks Delay in seconds per ProposalCategory
+     */
+    function configureMultisig(
+        address[] calldata _signers,
+        uint256 _threshold,
+        uint256 _emergencyThreshold,
+        uint256[] calldata timelocks
+    ) external onlyOwner {
+        require(signers.length == 0, "Multisig already configured");
+        require(timelocks.length == CATEGORY_COUNT, "Invalid timelocks");
+
+        _setSigners(_signers, _threshold, _emergencyThreshold);
+
+        for (uint256 i = 0; i < CATEGORY_COUNT; i++) {
+            emit CategoryTimelockUpdated(ProposalCategory(i), 0, timelocks[i]);
+            categoryTimelock[i] = timelocks[i];
+        }
+    }
+
+    /**
+     * @dev Propose spending from an allocation (signers only)
+     * @param category Marketing, Liquidity, Team, Operations or StakingRewards
+     * @param recipient Recipient (reward contract for StakingRewards)
+     * @param amount Amount to send
+     * @param purpose Description of the spend
+     * @return proposalId New proposal ID
+     */
+    function proposeSpend(
+        ProposalCategory category,
+        address recipient,
+        uint256 amount,
+        string calldata purpose
+    ) external onlySigner returns (uint256 proposalId) {
+        require(category <= ProposalCategory.StakingRewards, "Invalid category");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than zero");
+
+        address token = (category == ProposalCategory.Operations || category == ProposalCategory.StakingRewards)
+            ? address(usdcToken)
+            : address(delta8Token);
+
+        proposalId = _createProposal(category, token, recipient, amount, purpose, "");
+    }
+
+    /**
+     * @dev Propose a team vesting grant from the team allocation (signers only)
+     * @param beneficiary Team member
+     * @param amount DELTA8 to vest
+     * @param start Vesting start (0 = when the proposal executes)
+     * @param cliffDuration Seconds after start before anything is claimable
+     * @param duration Seconds from start until fully vested
+     * @return proposalId New proposal ID
+     */
+    function proposeVesting(
+        address beneficiary,
+        uint256 amount,
+        uint256 start,
+        uint256 cliffDuration,
+        uint256 duration
+    ) external onlySigner returns (uint256 proposalId) {
+        require(beneficiary != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than zero");
+        require(duration > 0 && cliffDuration <= duration, "Invalid vesting terms");
+
+        proposalId = _createProposal(
+            ProposalCategory.Team,
+            address(delta8Token),
+            beneficiary,
+            amount,
+            "Team Vesting",
+            abi.encode(start, cliffDuration, duration)
+        );
+    }
+
+    /**
+     * @dev Propose funding the referral budget from the marketing allocation (signers only)
+     * The proposal also names the VIPMembership contract allowed to pay the rewards.
+     * @param _vipMembership VIPMembership contract
+     * @param amount DELTA8 to move into the referral budget
+     * @return proposalId New proposal ID
+     */
+    function proposeReferralBudget(
+        address _vipMembership,
+        uint256 amount
+    ) external onlySigner returns (uint256 proposalId) {
+        require(_vipMembership != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than zero");
+
+        proposalId = _createProposal(
+            ProposalCategory.Marketing,
+            address(delta8Token),
+            _vipMembership,
+            amount,
+            "Referral Budget",
+            abi.encode(true)
+        );
+    }
+
+    /**
+     * @dev Propose budget period length and per-category caps (signers only)
+     * @param periodLength Seconds per period (e.g. 30 days; 0 disables budgets)
+     * @param caps Cap per period for Marketing, Liquidity, Team, Operations, StakingRewards (0 = uncapped)
+     * @return proposalId New proposal ID
+     */
+    function proposeBudgetChange(
+        uint256 periodLength,
+        uint256[] calldata caps
+    ) external onlySigner returns (uint256 proposalId) {
+        require(caps.length == BUDGET_CATEGORY_COUNT, "Invalid caps");
+
+        proposalId = _createProposal(
+            ProposalCategory.BudgetChange,
+            address(0),
+            address(0),
+            periodLength,
+            "Budget Change",
+            abi.encode(caps)
+        );
+    }
+
+    /**
+     * @dev Propose an emergency withdrawal of any token (signers only)
+     * @param token Token address
+     * @param recipient Recipient address
+     * @param amount Amount to withdraw
+     * @return proposalId New proposal ID
+     */
+    function proposeEmergencyWithdraw(
+        address token,
+        address recipient,
+        uint256 amount
+    ) external onlySigner returns (uint256 proposalId) {
+        require(token != address(0), "Invalid token");
+        require(recipient != address(0), "Invalid recipient");
+        require(amount > 0, "Amount must be greater than zero");
+
+        proposalId = _createProposal(ProposalCategory.Emergency, token, recipient, amount, "Emergency Withdrawal", "");
+    }
+
+    /**
+     * @dev Propose replacing the signer set (signers only)
+     * @param _signers New signer addresses
+     * @param _threshold New approval threshold
+     * @param _emergencyThreshold New emergency threshold
+     * @return proposalId New proposal ID
+     */
+    function proposeSignerChange(
+        address[] calldata _signers,
+        uint256 _threshold,
+        uint256 _emergencyThreshold
+    ) external onlySigner returns (uint256 proposalId) {
+        _validateSigners(_signers, _threshold, _emergencyThreshold);
+
+        proposalId = _createProposal(
+            ProposalCategory.SignerChange,
+            address(0),
+            address(0),
+            0,
+            "Signer Change",
+            abi.encode(_signers, _threshold, _emergencyThreshold)
+        );
+    }
+
+    /**
+     * @dev Propose changing a category's timelock (signers only)
+     * @param category Category to change
+     * @param delay New delay in seconds
+     * @return proposalId New proposal ID
+     */
+    function proposeTimelockChange(
+        ProposalCategory category,
+        uint256 delay
+    ) external onlySigner returns (uint256 proposalId) {
+        proposalId = _createProposal(
+            ProposalCategory.TimelockChange,
+            address(0),
+            address(0),
+            delay,
+            "Timelock Change",
+            abi.encode(category)
+        );
+    }
+
+    /**
+     * @dev Approve a proposal (signers only)
+     * @param proposalId Proposal ID
+     */
+    function approveProposal(uint256 proposalId) public onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        require(!hasApproved[proposalId][msg.sender], "Already approved");
+
+        hasApproved[proposalId][msg.sender] = true;
+
+        uint256 approvals = getApprovalCount(proposalId);
+        if (proposal.approvedAt == 0 && approvals >= threshold) {
+            proposal.approvedAt = block.timestamp;
+        }
+
+        emit ProposalApproved(proposalId, msg.sender, approvals);
+    }
+
+    /**
+     * @dev Withdraw approval from a proposal (signers only)
+     * Timelock restarts if approvals drop below the threshold.
+     * @param proposalId Proposal ID
+     */
+    function revokeApproval(uint256 proposalId) external onlySigner {
+        Proposal storage proposal = _openProposal(proposalId);
+        require(hasApproved[proposalId][msg.sender], "Not approved");
+
+        hasApproved[proposalId][msg.sender] = false;
+
+        uint256 approvals = getApprovalCount(proposalId);
+        if (approvals < threshold) {
+            proposal.approvedAt = 0;
+        }
+
+        emit ApprovalRevoked(proposalId, msg.sender, approvals);
+    }
+
+    /**
+     * @dev Execute an approved proposal after its timelock (signers only)
+     * Emergency proposals with emergencyThreshold approvals skip the timelock.
+     * @param proposalId Proposal ID
+     */
+    function executeProposal(uint256 proposalId) external onlySigner nonReentrant {
+        Proposal storage proposal = _openProposal(proposalId);
+
+        uint256 approvals = getApprovalCount(proposalId);
+        require(approvals >= threshold && proposal.approvedAt > 0, "Not enough approvals");
+
+        bool skipTimelock = proposal.category == ProposalCategory.Emergency &&
+            approvals >= emergencyThreshold;
+        require(
+            skipTimelock ||
+                block.timestamp >= proposal.approvedAt + categoryTimelock[uint256(proposal.category)],
+            "Timelock not expired"
+        );
+
+        proposal.executed = true;
+
+        ProposalCategory category = proposal.category;
+        if (category <= ProposalCategory.StakingRewards) {
+            _consumeBudget(category, proposal.amount);
+        }
+
+        if (category == ProposalCategory.Marketing) {
+            if (proposal.data.length > 0) {
+                _fundReferralBudget(proposal.recipient, proposal.amount);
+            } else {
+                _spendMarketing(proposal.recipient, proposal.amount, proposal.purpose);
+            }
+        } else if (category == ProposalCategory.Liquidity) {
+            _addLiquidity(proposal.recipient, proposal.amount);
+        } else if (category == ProposalCategory.Team) {
+            if (proposal.data.length > 0) {
+                _createVesting(proposal.recipient, proposal.amount, proposal.data);
+            } else {
+                _payTeam(proposal.recipient, proposal.amount);
+            }
+        } else if (category == ProposalCategory.Operations) {
+            _spendOperations(proposal.recipient, proposal.amount, proposal.purpose);
+        } else if (category == ProposalCategory.StakingRewards) {
+            _fundRewardsPool(proposal.recipient, proposal.amount);
+        } else if (category == ProposalCategory.Emergency) {
+            _emergencyWithdraw(proposal.token, proposal.recipient, proposal.amount);
+        } else if (category == ProposalCategory.SignerChange) {
+            (address[] memory newSigners, uint256 newThreshold, uint256 newEmergencyThreshold) =
+                abi.decode(proposal.data, (address[], uint256, uint256));
+            _setSigners(newSigners, newThreshold, newEmergencyThreshold);
+        } else if (category == ProposalCategory.BudgetChange) {
+            _setBudget(proposal.amount, abi.decode(proposal.data, (uint256[])));
+        } else {
+            ProposalCategory target = abi.decode(proposal.data, (ProposalCategory));
+            emit CategoryTimelockUpdated(target, categoryTimelock[uint256(target)], proposal.amount);
+            categoryTimelock[uint256(target)] = proposal.amount;
+        }
+
+        emit ProposalExecuted(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Cancel a proposal (proposer only, so no single key can veto the signers)
+     * @param proposalId Proposal ID
+     */
+    function cancelProposal(uint256 proposalId) external {
+        Proposal storage proposal = _openProposal(proposalId);
+        require(msg.sender == proposal.proposer, "Not authorized");
+
+        proposal.cancelled = true;
+
+        emit ProposalCancelled(proposalId, msg.sender);
+    }
+
+    /**
+     * @dev Count approvals from current signers
+     * @param proposalId Proposal ID
+     */
+    function getApprovalCount(uint256 proposalId) public view returns (uint256 approvals) {
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (hasApproved[proposalId][signers[i]]) {
+                approvals++;
+            }
+        }
+    }
+
+    /**
+     * @dev Get proposal status
+     * @param proposalId Proposal ID
+     */
+    function getProposalStatus(uint256 proposalId) public view returns (ProposalStatus) {
+        require(proposalId > 0 && proposalId <= proposalCount, "Invalid proposal");
+
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.executed) return ProposalStatus.Executed;
+        if (proposal.cancelled) return ProposalStatus.Cancelled;
+        if (proposal.approvedAt > 0 && getApprovalCount(proposalId) >= threshold) {
+            return ProposalStatus.Approved;
+        }
+        return ProposalStatus.Pending;
+    }
+
+    /**
+     * @dev Get earliest execution time of an approved proposal
+     * @param proposalId Proposal ID
+     * @return Timestamp (0 if not approved)
+     */
+    function getExecutableAt(uint256 proposalId) external view returns (uint256) {
+        Proposal storage proposal = proposals[proposalId];
+        if (proposal.approvedAt == 0) return 0;
+        return proposal.approvedAt + categoryTimelock[uint256(proposal.category)];
+    }
+
+    /**
+     * @dev List proposal IDs with a given status
+     * @param status Pending, Approved, Executed or Cancelled
+     */
+    function getProposalsByStatus(ProposalStatus status) external view returns (uint256[] memory ids) {
+        uint256 count = 0;
+        for (uint256 i = 1; i <= proposalCount; i++) {
+            if (getProposalStatus(i) == status) count++;
+        }
+
+        ids = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 1; i <= proposalCount; i++) {
+            if (getProposalStatus(i) == status) ids[index++] = i;
+        }
+    }
+
+    /**
+     * @dev Claim vested DELTA8 (beneficiary only)
+     * @return amount DELTA8 transferred
+     */
+    function claimVested() external nonReentrant returns (uint256 amount) {
+        VestingSchedule storage schedule = vestingSchedules[msg.sender];
+        require(schedule.totalAmount > 0, "No vesting schedule");
+
+        amount = _vestedAmount(schedule) - schedule.claimed;
+        require(amount > 0, "Nothing to claim");
+
+        schedule.claimed += amount;
+        totalVestingLocked -= amount;
+        expenses.teamPayments += amount;
+
+        delta8Token.safeTransfer(msg.sender, amount);
+
+        emit VestingClaimed(msg.sender, amount);
+        _recordWithdrawn(address(delta8Token), msg.sender, amount, "Team Vesting");
+    }
+
+    /**
+     * @dev Get vesting position of a beneficiary
+     * @param beneficiary Team member
+     * @return total DELTA8 granted
+     * @return vested DELTA8 vested so far
+     * @return claimed DELTA8 already claimed
+     * @return claimable DELTA8 claimable now
+     * @return remaining DELTA8 not yet vested
+     * @return cliff Cliff timestamp
+     * @return end Fully vested timestamp
+     */
+    function getVestingInfo(address beneficiary)
+        external
+        view
+        returns (
+            uint256 total,
+            uint256 vested,
+            uint256 claimed,
+            uint256 claimable,
+            uint256 remaining,
+            uint256 cliff,
+            uint256 end
+        )
+    {
+        VestingSchedule storage schedule = vestingSchedules[beneficiary];
+
+        total = schedule.totalAmount;
+        vested = _vestedAmount(schedule);
+        claimed = schedule.claimed;
+        claimable = vested - claimed;
+        remaining = total - vested;
+        cliff = schedule.cliff;
+        end = schedule.end;
+    }
+
+    /**
+     * @dev Get all addresses that were granted vesting
+     */
+    function getVestingBeneficiaries() external view returns (address[] memory) {
+        return vestingBeneficiaries;
+    }
+
+    /**
+     * @dev Current budget period number (0 if budgets are disabled)
+     */
+    function currentBudgetPeriod() public view returns (uint256) {
+        if (budgetPeriodLength == 0) return 0;
+        return budgetPeriodOffset + (block.timestamp - budgetPeriodAnchor) / budgetPeriodLength;
+    }
+
+    /**
+     * @dev Get spend against cap for a category in the current period
+     * @param category Spend category (Marketing .. StakingRewards)
+     * @return period Current period number
+     * @return periodStart Period start timestamp
+     * @return periodEnd Period end timestamp
+     * @return cap Cap per period (0 = uncapped)
+     * @return spent Spent this period
+     * @return remaining Cap left this period (max uint if uncapped)
+     */
+    function getBudgetStatus(ProposalCategory category)
+        external
+        view
+        returns (
+            uint256 period,
+            uint256 periodStart,
+            uint256 periodEnd,
+            uint256 cap,
+            uint256 spent,
+            uint256 remaining
+        )
+    {
+        require(category <= ProposalCategory.StakingRewards, "Invalid category");
+
+        period = currentBudgetPeriod();
+        if (budgetPeriodLength > 0) {
+            periodStart = budgetPeriodAnchor + (period - budgetPeriodOffset) * budgetPeriodLength;
+            periodEnd = periodStart + budgetPeriodLength;
+        }
+        cap = budgetCaps[uint256(category)];
+        spent = periodSpend[period][uint256(category)];
+        remaining = cap == 0 ? type(uint256).max : (cap > spent ? cap - spent : 0);
+    }
+
+    /**
+     * @dev Get current signer set
+     */
+    function getSigners() external view returns (address[] memory) {
+        return signers;
+    }
+
     /**
      * @dev Get treasury balances
      */
@@ -473,7 +1328,8 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Get revenue summary
+     * @dev Get revenue summary (legacy counters: membership in DELTA8, token and product sales in USDC)
+     * DELTA8 product revenue and other stablecoins are in revenueByToken
      */
     function getRevenue()
         external
@@ -540,29 +1396,31 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Record a product purchase with encrypted shipping info
+     * @dev Record a completed product order with encrypted shipping info
+     * Called by OrderManager after it transfers the order's DELTA8 here
+     * @param buyer Customer address
      * @param orderId Unique order identifier
      * @param tokenAmount Amount of DELTA8 tokens spent
-     * @param encryptedShipping AES-256 encrypted shipping data
-     * 
-     * NOTE: This function only records the purchase event on-chain.
-     * The actual token transfer must happen separately (direct transfer to merchant).
-     * This allows customers' shipping info to be stored encrypted on-chain.
+     * @param encryptedShipping Encrypted shipping data
      */
     function recordProductPurchase(
+        address buyer,
         uint256 orderId,
         uint256 tokenAmount,
         string calldata encryptedShipping
     ) external {
+        require(authorizedContracts[msg.sender], "Not authorized");
         require(orderId > 0, "Invalid order ID");
+        require(!recordedOrders[orderId], "Order already recorded");
         require(tokenAmount > 0, "Invalid token amount");
         require(bytes(encryptedShipping).length > 0, "Encrypted shipping required");
         require(bytes(encryptedShipping).length <= 500, "Shipping data too long");
 
-        revenue.productRevenue += tokenAmount;
+        recordedOrders[orderId] = true;
+        _recordRevenue(address(delta8Token), RevenueType.Product, msg.sender, tokenAmount, "Product Order");
 
         emit ProductPurchased(
-            msg.sender,
+            buyer,
             orderId,
             tokenAmount,
             encryptedShipping,
@@ -571,26 +1429,62 @@ contract TreasuryUpgradeable is
     }
 
     /**
-     * @dev Emergency withdrawal (only for critical situations)
+     * @dev Emergency withdrawal (executed via Emergency proposal)
      * @param token Token address (DELTA8 or USDC)
      * @param recipient Recipient address
      * @param amount Amount to withdraw
      */
-    function emergencyWithdraw(
+    function _emergencyWithdraw(
         address token,
         address recipient,
         uint256 amount
-    )
-        external
-        onlyOwner
-        nonReentrant
-    {
+    ) internal {
         require(recipient != address(0), "Invalid recipient");
         require(amount > 0, "Amount must be greater than zero");
 
         IERC20(token).safeTransfer(recipient, amount);
 
-        emit FundsWithdrawn(token, recipient, amount, "Emergency Withdrawal");
+        _recordWithdrawn(token, recipient, amount, "Emergency Withdrawal");
+    }
+
+    /**
+     * @dev Book revenue by type for its token, and in the legacy counter if it is that counter's token
+     */
+    function _recordRevenue(
+        address token,
+        RevenueType revenueType,
+        address from,
+        uint256 amount,
+        string memory category
+    ) internal {
+        RevenueStats storage stats = revenueByToken[token];
+        if (revenueType == RevenueType.Membership) {
+            stats.membershipRevenue += amount;
+            if (token == address(delta8Token)) revenue.membershipRevenue += amount;
+        } else if (revenueType == RevenueType.TokenSale) {
+            stats.tokenSaleRevenue += amount;
+            if (token == address(usdcToken)) revenue.tokenSaleRevenue += amount;
+        } else {
+            stats.productRevenue += amount;
+            if (token == address(usdcToken)) revenue.productRevenue += amount;
+        }
+
+        _recordReceived(token, from, amount, category);
+    }
+
+    /**
+     * @dev Book incoming funds in the per-token revenue bucket
+     */
+    function _recordReceived(address token, address from, uint256 amount, string memory category) internal {
+        tokenRevenue[token] += amount;
+        emit FundsReceived(token, from, amount, category);
     }
-}
 
+    /**
+     * @dev Book outgoing funds in the per-token expense bucket
+     */
+    function _recordWithdrawn(address token, address to, uint256 amount, string memory purpose) internal {
+        tokenExpenses[token] += amount;
+        emit FundsWithdrawn(token, to, amount, purpose);
+    }
+}
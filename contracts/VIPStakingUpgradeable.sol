@@ -3,6 +3,7 @@ pragma solidity ^0.8.24;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
@@ -11,6 +12,13 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 // Interface for Treasury contract
 interface ITreasury {
     function recordMembershipPayment(uint256 amount) external;
+    function payReferralReward(address referrer, uint256 amount) external returns (uint256);
+    function recordStablecoinPayment(address token, uint256 amount, bool isProduct) external;
+}
+
+// Interface for PricingManager contract
+interface IVIPPricingManager {
+    function getStablecoinAmount(address token, uint256 tokenAmount) external view returns (uint256);
 }
 
 /**
@@ -31,6 +39,39 @@ interface ITreasury {
  * - Benefits: 50% discount on all products
  * - Renewal: Can renew anytime (extends current expiry)
  * - Transfer: Non-transferable (tied to wallet address)
+ *
+ * MEMBERSHIP TIERS:
+ * - Tier 0: standard plan (membershipCost / membershipDuration), held by all
+ *   members that joined before tiers existed
+ * - Tiers 1+: named plans (e.g. Silver, Gold, Platinum) with their own cost,
+ *   duration and discount level
+ * - Upgrade mid-term: pay new tier's price for the remaining time minus the
+ *   unused value of the current tier; expiry date is unchanged
+ *
+ * AUTO-RENEWAL:
+ * - Members opt in with a price cap per renewal and a maximum number of renewals
+ * - Anyone (e.g. a keeper) can call renewFor inside the renewal window before expiry;
+ *   the member's current tier price is charged from their allowance
+ * - A price above the cap or a short balance/allowance emits AutoRenewFailed
+ *
+ * STABLECOIN PAYMENTS:
+ * - Memberships can be paid in any stablecoin PricingManager accepts, at the
+ *   DELTA8 price plus its premium, capped by the buyer's maxPayment
+ * - Proceeds go to the treasury as token sale revenue
+ *
+ * REFERRALS:
+ * - New members can name an active VIP as referrer (not themselves) when buying
+ * - Referrer earns referralRewardBPS of the fee, either split from the fee or
+ *   paid from the Treasury referral budget; the new member can get bonus days
+ * - Each referrer is limited to maxReferralsPerPeriod per referralPeriod
+ *
+ * PROMOTIONS:
+ * - Owner-approved promoter contracts (e.g. PromotionCampaigns) can grant
+ *   membership days; addresses without a membership get a standard-plan one
+ *
+ * GASLESS PURCHASES:
+ * - ...WithPermit variants take an EIP-2612 permit instead of a prior approve
+ * - Calls relayed by the trusted ERC-2771 forwarder act for the signing user
  */
 contract VIPMembershipUpgradeable is 
     Initializable,
@@ -60,6 +101,37 @@ contract VIPMembershipUpgradeable is
 
     mapping(address => Membership) public memberships;
 
+    // Named membership plan (tier 0 is the standard plan)
+    struct MembershipTier {
+        string name;               // Display name (e.g. "Gold")
+        uint256 cost;              // Cost in DELTA8 tokens
+        uint256 duration;          // Membership length in seconds
+        uint256 discountBPS;       // VIP discount level in basis points
+        bool active;               // Available for purchase
+    }
+
+    // Auto-renewal opt-in
+    struct Subscription {
+        uint256 maxPrice;          // Most the member will pay per renewal
+        uint256 renewalsLeft;      // Renewals still allowed
+        bool active;               // Whether auto-renewal is on
+    }
+
+    // Longest renewal window before expiry (shorter for tiers with shorter durations)
+    uint256 public constant RENEWAL_WINDOW = 30 days;
+
+    // Per-referrer totals and anti-abuse window
+    struct ReferralStats {
+        uint256 count;             // Referred purchases (all time)
+        uint256 earnings;          // DELTA8 earned (all time)
+        uint256 periodStart;       // Start of the current limit window
+        uint256 periodCount;       // Referrals in the current window
+    }
+
+    // Referral limits
+    uint256 public constant MAX_REFERRAL_REWARD_BPS = 5000;   // 50% of the fee
+    uint256 public constant MAX_REFERRAL_BONUS_DAYS = 365;
+
     // Statistics
     uint256 public totalMembers;           // Total unique members (past and present)
     uint256 public activeMembers;          // Currently active members
@@ -85,9 +157,70 @@ contract VIPMembershipUpgradeable is
     );
     event MembershipCostUpdated(uint256 oldCost, uint256 newCost);
     event MembershipDurationUpdated(uint256 oldDuration, uint256 newDuration);
+    event TierAdded(uint256 indexed tierId, string name, uint256 cost, uint256 duration, uint256 discountBPS);
+    event TierUpdated(uint256 indexed tierId, uint256 cost, uint256 duration, uint256 discountBPS, bool active);
+    event MembershipUpgraded(
+        address indexed member,
+        uint256 indexed oldTierId,
+        uint256 indexed newTierId,
+        uint256 cost
+    );
+    event TrustedForwarderUpdated(address indexed oldForwarder, address indexed newForwarder);
+    event AutoRenewEnabled(address indexed member, uint256 maxPrice, uint256 maxRenewals);
+    event AutoRenewCancelled(address indexed member);
+    event AutoRenewed(address indexed member, uint256 cost, uint256 newExpiry, uint256 renewalsLeft);
+    event AutoRenewFailed(address indexed member, uint256 cost, string reason);
+    event PromoterUpdated(address indexed promoter, bool allowed);
+    event PricingManagerUpdated(address indexed oldManager, address indexed newManager);
+    event MembershipPaidInStablecoin(address indexed member, address indexed stablecoin, uint256 amount);
+    event ReferralConfigUpdated(
+        uint256 rewardBPS,
+        bool fromTreasury,
+        uint256 bonusDays,
+        uint256 period,
+        uint256 maxPerPeriod
+    );
+    event ReferralRewarded(
+        address indexed referrer,
+        address indexed member,
+        uint256 reward,
+        uint256 bonusDays
+    );
+
+    // Membership tiers (IDs start at 1)
+    mapping(uint256 => MembershipTier) public tiers;
+    uint256 public tierCount;
+
+    // Member => tier ID (0 = standard plan)
+    mapping(address => uint256) public memberTier;
+
+    // ERC-2771 forwarder (backend relayer submits on behalf of users)
+    address public trustedForwarder;
+
+    // Every address that has held a membership (for paginated listing)
+    address[] private memberList;
+    mapping(address => bool) private isListedMember;
+
+    // Member => auto-renewal settings
+    mapping(address => Subscription) public subscriptions;
+
+    // Contracts allowed to grant membership days (e.g. promotion campaigns)
+    mapping(address => bool) public promoters;
+
+    // Referral program
+    mapping(address => ReferralStats) public referralStats;
+    mapping(address => address) public referredBy;
+    uint256 public referralRewardBPS;      // Referrer's share of the fee
+    bool public referralFromTreasury;      // Pay from the Treasury referral budget instead of the fee
+    uint256 public referralBonusDays;      // Extra days for the referred member
+    uint256 public referralPeriod;         // Length of the per-referrer limit window
+    uint256 public maxReferralsPerPeriod;  // Referrals per window (0 = unlimited)
+
+    // PricingManager (stablecoin payment amounts)
+    IVIPPricingManager public pricingManager;
 
     // Storage gap for future upgrades
-    uint256[50] private __gap;
+    uint256[34] private __gap; // Reduced by 4 for membership tiers and trusted forwarder, 2 for member list, 1 for subscriptions, 1 for promoters, 7 for referrals, 1 for pricingManager
 
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
@@ -126,34 +259,213 @@ contract VIPMembershipUpgradeable is
         nonReentrant
         whenNotPaused
     {
+        _purchaseMembership(0, address(0), address(0), 0);
+    }
+
+    /**
+     * @dev Purchase or renew membership on a specific tier
+     * @param tierId Tier to purchase (0 = standard plan)
+     */
+    function purchaseTierMembership(uint256 tierId)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        _purchaseMembership(tierId, address(0), address(0), 0);
+    }
+
+    /**
+     * @dev Purchase standard membership using an EIP-2612 permit (no prior approve)
+     * @param value Allowance granted by the permit
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function purchaseMembershipWithPermit(
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        _permit(value, deadline, v, r, s);
+        _purchaseMembership(0, address(0), address(0), 0);
+    }
+
+    /**
+     * @dev Purchase tier membership using an EIP-2612 permit (no prior approve)
+     * @param tierId Tier to purchase (0 = standard plan)
+     * @param value Allowance granted by the permit
+     * @param deadline Permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function purchaseTierMembershipWithPermit(
+        uint256 tierId,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    )
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        _permit(value, deadline, v, r, s);
+        _purchaseMembership(tierId, address(0), address(0), 0);
+    }
+
+    /**
+     * @dev Purchase or renew membership on a tier, paying in a stablecoin
+     * @param tierId Tier to purchase (0 = standard plan)
+     * @param stablecoin Stablecoin accepted by PricingManager
+     * @param maxPayment Maximum stablecoin amount the caller is willing to pay
+     */
+    function purchaseMembershipWithStablecoin(uint256 tierId, address stablecoin, uint256 maxPayment)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        require(stablecoin != address(0), "Invalid stablecoin");
+
+        _purchaseMembership(tierId, address(0), stablecoin, maxPayment);
+    }
+
+    /**
+     * @dev Purchase a first membership credited to a referrer
+     * @param tierId Tier to purchase (0 = standard plan)
+     * @param referrer Active VIP who referred the buyer
+     */
+    function purchaseMembershipWithReferral(uint256 tierId, address referrer)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        require(referrer != _msgSender(), "Cannot refer yourself");
+        require(isVIP(referrer), "Referrer not VIP");
+        require(memberships[_msgSender()].expiryDate == 0, "Referral for new members only");
+
+        ReferralStats storage stats = referralStats[referrer];
+        if (maxReferralsPerPeriod > 0) {
+            if (block.timestamp >= stats.periodStart + referralPeriod) {
+                stats.periodStart = block.timestamp;
+                stats.periodCount = 0;
+            }
+            require(stats.periodCount < maxReferralsPerPeriod, "Referral limit reached");
+        }
+        stats.periodCount++;
+
+        _purchaseMembership(tierId, referrer, address(0), 0);
+    }
+
+    /**
+     * @dev Upgrade active membership to a higher tier (pro-rated)
+     * Pays the new tier's price for the remaining time minus the unused
+     * value of the current tier. Expiry date is unchanged.
+     * @param newTierId Tier to upgrade to
+     */
+    function upgradeMembership(uint256 newTierId)
+        external
+        nonReentrant
+        whenNotPaused
+    {
+        require(isVIP(_msgSender()), "No active membership");
+        require(newTierId > 0 && newTierId <= tierCount && tiers[newTierId].active, "Tier not available");
+
+        uint256 oldTierId = memberTier[_msgSender()];
+        require(newTierId != oldTierId, "Already on this tier");
+        require(
+            tiers[newTierId].discountBPS > getTierDiscountBPS(oldTierId),
+            "Not an upgrade"
+        );
+
+        uint256 upgradeCost = getUpgradeCost(_msgSender(), newTierId);
+        if (upgradeCost > 0) {
+            _collectPayment(upgradeCost);
+        }
+
+        memberTier[_msgSender()] = newTierId;
+
+        emit MembershipUpgraded(_msgSender(), oldTierId, newTierId, upgradeCost);
+    }
+
+    /**
+     * @dev Calculate pro-rated cost of upgrading to a tier
+     * @param user Member address
+     * @param newTierId Tier to upgrade to
+     * @return cost Tokens due (0 if the remaining value covers it)
+     */
+    function getUpgradeCost(address user, uint256 newTierId) public view returns (uint256 cost) {
+        require(isVIP(user), "No active membership");
+        require(newTierId > 0 && newTierId <= tierCount, "Invalid tier");
+
+        uint256 remaining = memberships[user].expiryDate - block.timestamp;
+        (uint256 oldCost, uint256 oldDuration) = _tierTerms(memberTier[user]);
+        MembershipTier memory newTier = tiers[newTierId];
+
+        uint256 newValue = (newTier.cost * remaining) / newTier.duration;
+        uint256 unusedValue = (oldCost * remaining) / oldDuration;
+
+        cost = newValue > unusedValue ? newValue - unusedValue : 0;
+    }
+
+    /**
+     * @dev Purchase or renew membership on a tier
+     * @param referrer Referrer to reward (address(0) for none)
+     * @param stablecoin Stablecoin to pay in (address(0) = DELTA8)
+     * @param maxPayment Maximum stablecoin amount (ignored for DELTA8)
+     */
+    function _purchaseMembership(
+        uint256 tierId,
+        address referrer,
+        address stablecoin,
+        uint256 maxPayment
+    ) internal {
         require(
-            delta8Token.balanceOf(msg.sender) >= membershipCost,
-            "Insufficient token balance"
+            tierId == 0 || (tierId <= tierCount && tiers[tierId].active),
+            "Tier not available"
         );
+        (uint256 cost, uint256 duration) = _tierTerms(tierId);
 
-        Membership storage membership = memberships[msg.sender];
+        Membership storage membership = memberships[_msgSender()];
+        bool counted = membership.active; // Already included in activeMembers
         bool isRenewal = membership.active && membership.expiryDate > block.timestamp;
+        require(!isRenewal || memberTier[_msgSender()] == tierId, "Active on another tier");
 
-        // Transfer tokens to treasury
-        delta8Token.safeTransferFrom(msg.sender, treasury, membershipCost);
-        
-        // Record payment in treasury (if treasury supports it)
-        try ITreasury(treasury).recordMembershipPayment(membershipCost) {
-            // Successfully recorded
-        } catch {
-            // Treasury doesn't support recording or not authorized - that's ok
+        uint256 reward;
+        if (stablecoin != address(0)) {
+            _collectStablecoinPayment(stablecoin, cost, maxPayment);
+        } else {
+            require(
+                delta8Token.balanceOf(_msgSender()) >= cost,
+                "Insufficient token balance"
+            );
+
+            // Transfer tokens to treasury (less the referrer's share when the fee pays it)
+            reward = referrer != address(0) ? (cost * referralRewardBPS) / 10000 : 0;
+            if (reward > 0 && !referralFromTreasury) {
+                delta8Token.safeTransferFrom(_msgSender(), referrer, reward);
+            }
+            _collectPayment(referralFromTreasury ? cost : cost - reward);
         }
 
         uint256 newExpiryDate;
 
         if (isRenewal) {
             // Renewing active membership - extend from current expiry
-            newExpiryDate = membership.expiryDate + membershipDuration;
+            newExpiryDate = membership.expiryDate + duration;
             membership.renewalCount++;
             totalRenewals++;
         } else {
             // New membership or reactivating expired membership
-            newExpiryDate = block.timestamp + membershipDuration;
+            newExpiryDate = block.timestamp + duration;
 
             if (!membership.active) {
                 // Brand new member
@@ -162,23 +474,285 @@ contract VIPMembershipUpgradeable is
 
             membership.purchaseDate = block.timestamp;
             membership.renewalCount = 0;
+            memberTier[_msgSender()] = tierId;
+        }
+
+        if (referrer != address(0)) {
+            newExpiryDate += referralBonusDays * 1 days;
+            _creditReferral(referrer, reward);
         }
 
         membership.expiryDate = newExpiryDate;
         membership.active = true;
 
-        activeMembers++;
-        totalRevenue += membershipCost;
+        if (!counted) {
+            activeMembers++;
+        }
+        _listMember(_msgSender());
 
         emit MembershipPurchased(
-            msg.sender,
+            _msgSender(),
             membership.purchaseDate,
             newExpiryDate,
-            membershipCost,
+            cost,
             isRenewal
         );
     }
 
+    /**
+     * @dev Opt into auto-renewal of the current membership
+     * @param maxPrice Most to pay per renewal (renewals above it fail)
+     * @param maxRenewals Number of renewals allowed
+     * The member must also approve this contract for the renewal payments.
+     */
+    function enableAutoRenew(uint256 maxPrice, uint256 maxRenewals) external {
+        require(maxPrice > 0, "Invalid price cap");
+        require(maxRenewals > 0, "Invalid renewal count");
+
+        subscriptions[_msgSender()] = Subscription({
+            maxPrice: maxPrice,
+            renewalsLeft: maxRenewals,
+            active: true
+        });
+
+        emit AutoRenewEnabled(_msgSender(), maxPrice, maxRenewals);
+    }
+
+    /**
+     * @dev Turn off auto-renewal
+     */
+    function cancelAutoRenew() external {
+        require(subscriptions[_msgSender()].active, "Auto-renew not enabled");
+
+        subscriptions[_msgSender()].active = false;
+
+        emit AutoRenewCancelled(_msgSender());
+    }
+
+    /**
+     * @dev Renew a subscribed membership inside its renewal window (anyone can call)
+     * @param user Member to renew
+     * @return renewed False if the payment failed (see AutoRenewFailed)
+     */
+    function renewFor(address user)
+        external
+        nonReentrant
+        whenNotPaused
+        returns (bool renewed)
+    {
+        require(subscriptions[user].active, "Auto-renew not enabled");
+        require(isRenewalDue(user), "Outside renewal window");
+
+        return _autoRenew(user);
+    }
+
+    /**
+     * @dev Renew every due subscription in a list, skipping the rest (for keepers)
+     * @param users Members to check
+     * @return renewed Number of memberships renewed
+     */
+    function renewForMany(address[] calldata users)
+        external
+        nonReentrant
+        whenNotPaused
+        returns (uint256 renewed)
+    {
+        for (uint256 i = 0; i < users.length; i++) {
+            if (isRenewalDue(users[i]) && _autoRenew(users[i])) {
+                renewed++;
+            }
+        }
+    }
+
+    /**
+     * @dev Check if a subscribed membership can be auto-renewed now
+     * @param user Member address
+     * @return due True if auto-renew is on and expiry is within the renewal window
+     */
+    function isRenewalDue(address user) public view returns (bool due) {
+        if (!subscriptions[user].active || !isVIP(user)) return false;
+
+        (, uint256 duration) = _tierTerms(memberTier[user]);
+        uint256 window = duration < RENEWAL_WINDOW ? duration : RENEWAL_WINDOW;
+        return memberships[user].expiryDate <= block.timestamp + window;
+    }
+
+    /**
+     * @dev Charge the member's current tier price and extend by one term
+     * The window never exceeds the tier duration, so a renewal moves the
+     * membership out of it and it can't be renewed twice in one window.
+     */
+    function _autoRenew(address user) internal returns (bool) {
+        Subscription storage subscription = subscriptions[user];
+        uint256 tierId = memberTier[user];
+        (uint256 cost, uint256 duration) = _tierTerms(tierId);
+
+        string memory failure;
+        if (tierId != 0 && !tiers[tierId].active) {
+            failure = "Tier not available";
+        } else if (cost > subscription.maxPrice) {
+            failure = "Price above cap";
+        } else if (delta8Token.balanceOf(user) < cost) {
+            failure = "Insufficient balance";
+        } else if (delta8Token.allowance(user, address(this)) < cost) {
+            failure = "Insufficient allowance";
+        }
+        if (bytes(failure).length > 0) {
+            emit AutoRenewFailed(user, cost, failure);
+            return false;
+        }
+
+        _collectPaymentFrom(user, cost);
+
+        Membership storage membership = memberships[user];
+        membership.expiryDate += duration;
+        membership.renewalCount++;
+        totalRenewals++;
+
+        subscription.renewalsLeft--;
+        if (subscription.renewalsLeft == 0) {
+            subscription.active = false;
+        }
+
+        emit MembershipPurchased(user, membership.purchaseDate, membership.expiryDate, cost, true);
+        emit AutoRenewed(user, cost, membership.expiryDate, subscription.renewalsLeft);
+        return true;
+    }
+
+    /**
+     * @dev Transfer payment to treasury and record revenue
+     */
+    function _collectPayment(uint256 amount) internal {
+        _collectPaymentFrom(_msgSender(), amount);
+    }
+
+    /**
+     * @dev Record a referral and pay the referrer from the Treasury budget if configured
+     * @param reward Referrer's share of the fee
+     */
+    function _creditReferral(address referrer, uint256 reward) internal {
+        if (reward > 0 && referralFromTreasury) {
+            try ITreasury(treasury).payReferralReward(referrer, reward) returns (uint256 paid) {
+                reward = paid;
+            } catch {
+                reward = 0;
+            }
+        }
+
+        ReferralStats storage stats = referralStats[referrer];
+        stats.count++;
+        stats.earnings += reward;
+        referredBy[_msgSender()] = referrer;
+
+        emit ReferralRewarded(referrer, _msgSender(), reward, referralBonusDays);
+    }
+
+    /**
+     * @dev Transfer payment from a payer to treasury and record revenue
+     */
+    function _collectPaymentFrom(address payer, uint256 amount) internal {
+        delta8Token.safeTransferFrom(payer, treasury, amount);
+
+        // Record payment in treasury (if treasury supports it)
+        try ITreasury(treasury).recordMembershipPayment(amount) {
+            // Successfully recorded
+        } catch {
+            // Treasury doesn't support recording or not authorized - that's ok
+        }
+
+        totalRevenue += amount;
+    }
+
+    /**
+     * @dev Transfer the stablecoin price of a DELTA8 cost to treasury and record it
+     * @param cost Membership cost in DELTA8
+     */
+    function _collectStablecoinPayment(address stablecoin, uint256 cost, uint256 maxPayment) internal {
+        require(address(pricingManager) != address(0), "Pricing manager not set");
+
+        uint256 amount = pricingManager.getStablecoinAmount(stablecoin, cost);
+        require(amount <= maxPayment, "Exceeds max payment");
+
+        IERC20(stablecoin).safeTransferFrom(_msgSender(), treasury, amount);
+
+        // Record payment in treasury (if treasury supports it)
+        try ITreasury(treasury).recordStablecoinPayment(stablecoin, amount, false) {
+            // Successfully recorded
+        } catch {
+            // Treasury doesn't support recording or not authorized - that's ok
+        }
+
+        emit MembershipPaidInStablecoin(_msgSender(), stablecoin, amount);
+    }
+
+    /**
+     * @dev Check if address is the trusted ERC-2771 forwarder
+     * @param forwarder Address to check
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev Update trusted ERC-2771 forwarder (owner only, zero address disables)
+     * @param _trustedForwarder New forwarder address
+     */
+    function setTrustedForwarder(address _trustedForwarder) external onlyOwner {
+        address oldForwarder = trustedForwarder;
+        trustedForwarder = _trustedForwarder;
+
+        emit TrustedForwarderUpdated(oldForwarder, _trustedForwarder);
+    }
+
+    /**
+     * @dev Use DELTA8 permit signature if provided allowance isn't already in place
+     * A failed permit (e.g. front-run) is ignored; the transfer still needs allowance.
+     */
+    function _permit(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        try IERC20Permit(address(delta8Token)).permit(_msgSender(), address(this), value, deadline, v, r, s) {
+            // Allowance set
+        } catch {
+            // Permit already used or invalid - fall back to existing allowance
+        }
+    }
+
+    /**
+     * @dev Original sender when relayed by the trusted forwarder (ERC-2771)
+     */
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Calldata without the appended sender when relayed (ERC-2771)
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return msg.data;
+    }
+
+    /**
+     * @dev ERC-2771 appends a 20-byte sender to relayed calldata
+     */
+    function _contextSuffixLength() internal view override returns (uint256) {
+        return 20;
+    }
+
+    /**
+     * @dev Get cost and duration of a tier (tier 0 = standard plan)
+     */
+    function _tierTerms(uint256 tierId) internal view returns (uint256 cost, uint256 duration) {
+        if (tierId == 0) {
+            return (membershipCost, membershipDuration);
+        }
+        return (tiers[tierId].cost, tiers[tierId].duration);
+    }
+
     /**
      * @dev Check if address has active VIP membership
      * @param user Address to check
@@ -189,6 +763,36 @@ contract VIPMembershipUpgradeable is
         return membership.active && membership.expiryDate > block.timestamp;
     }
 
+    /**
+     * @dev Check VIP status and tier
+     * @param user Address to check
+     * @return active Whether user has active membership
+     * @return tierId Member's tier (0 = standard plan)
+     */
+    function getVIPTier(address user) external view returns (bool active, uint256 tierId) {
+        active = isVIP(user);
+        tierId = memberTier[user];
+    }
+
+    /**
+     * @dev Get discount level of a member's tier
+     * @param user Address to check
+     * @return Discount in basis points (0 if not VIP or on the standard plan)
+     */
+    function getMemberDiscountBPS(address user) external view returns (uint256) {
+        if (!isVIP(user)) return 0;
+        return getTierDiscountBPS(memberTier[user]);
+    }
+
+    /**
+     * @dev Get discount level of a tier
+     * @param tierId Tier ID (0 = standard plan, uses PricingManager rules only)
+     * @return Discount in basis points
+     */
+    function getTierDiscountBPS(uint256 tierId) public view returns (uint256) {
+        return tiers[tierId].discountBPS;
+    }
+
     /**
      * @dev Get membership expiry timestamp
      * @param user Address to check
@@ -211,7 +815,8 @@ contract VIPMembershipUpgradeable is
             uint256 expiryDate,
             uint256 daysRemaining,
             uint256 renewalCount,
-            bool canRenew
+            bool canRenew,
+            uint256 tierId
         )
     {
         Membership memory membership = memberships[user];
@@ -221,6 +826,7 @@ contract VIPMembershipUpgradeable is
         expiryDate = membership.expiryDate;
         renewalCount = membership.renewalCount;
         canRenew = true; // Can always renew
+        tierId = memberTier[user];
 
         if (active) {
             daysRemaining = (membership.expiryDate - block.timestamp) / 1 days;
@@ -229,6 +835,52 @@ contract VIPMembershipUpgradeable is
         }
     }
 
+    /**
+     * @dev Number of addresses in the member list (past and present)
+     */
+    function getMemberCount() external view returns (uint256) {
+        return memberList.length;
+    }
+
+    /**
+     * @dev Page through all members with their membership records
+     * @param cursor Index to start from (0 for the first page)
+     * @param limit Maximum number of members to return
+     * @return members Member addresses
+     * @return details Membership records (active flag is stale until cleanup)
+     * @return nextCursor Cursor for the next page (0 when there are no more)
+     */
+    function getMembers(uint256 cursor, uint256 limit)
+        external
+        view
+        returns (address[] memory members, Membership[] memory details, uint256 nextCursor)
+    {
+        uint256 total = memberList.length;
+        uint256 end = cursor + limit > total ? total : cursor + limit;
+        uint256 count = cursor < end ? end - cursor : 0;
+
+        members = new address[](count);
+        details = new Membership[](count);
+        for (uint256 i = 0; i < count; i++) {
+            members[i] = memberList[cursor + i];
+            details[i] = memberships[members[i]];
+        }
+        nextCursor = end < total ? end : 0;
+    }
+
+    /**
+     * @dev Add members who bought before the member list existed (anyone can call)
+     * @param users Addresses with a membership record
+     * Addresses without a membership or already listed are skipped
+     */
+    function syncMemberList(address[] calldata users) external {
+        for (uint256 i = 0; i < users.length; i++) {
+            if (memberships[users[i]].expiryDate > 0) {
+                _listMember(users[i]);
+            }
+        }
+    }
+
     /**
      * @dev Get membership cost
      * @return Cost in wei
@@ -286,25 +938,63 @@ contract VIPMembershipUpgradeable is
         require(daysToAdd > 0, "Must add at least 1 day");
         require(memberships[user].expiryDate > 0, "No membership exists");
 
-        Membership storage membership = memberships[user];
-        uint256 oldExpiry = membership.expiryDate;
-        uint256 additionalTime = daysToAdd * 1 days;
+        _extendMembership(user, daysToAdd);
+    }
 
-        // If expired, extend from now. If active, extend from current expiry
-        if (membership.expiryDate < block.timestamp) {
-            membership.expiryDate = block.timestamp + additionalTime;
-            membership.active = true;
-            activeMembers++;
-        } else {
-            membership.expiryDate += additionalTime;
-        }
+    /**
+     * @dev Grant membership days from a promoter contract
+     * Extends an existing membership, or starts a standard-plan membership
+     * for addresses that never had one
+     * @param user Address to credit
+     * @param daysToAdd Number of days to add
+     */
+    function grantMembershipDays(address user, uint256 daysToAdd) external {
+        require(promoters[_msgSender()], "Not a promoter");
+        require(user != address(0), "Invalid user");
+        require(daysToAdd > 0, "Must add at least 1 day");
 
-        emit MembershipExtended(
-            user,
-            oldExpiry,
-            membership.expiryDate,
-            daysToAdd
-        );
+        _extendMembership(user, daysToAdd);
+    }
+
+    /**
+     * @dev Configure the referral program (owner only)
+     * @param rewardBPS Referrer's share of the membership fee
+     * @param fromTreasury Pay rewards from the Treasury referral budget instead of the fee
+     * @param bonusDays Extra membership days for referred members
+     * @param period Length of the per-referrer limit window
+     * @param maxPerPeriod Referrals allowed per referrer per window (0 = unlimited)
+     */
+    function setReferralConfig(
+        uint256 rewardBPS,
+        bool fromTreasury,
+        uint256 bonusDays,
+        uint256 period,
+        uint256 maxPerPeriod
+    ) external onlyOwner {
+        require(rewardBPS <= MAX_REFERRAL_REWARD_BPS, "Reward too high");
+        require(bonusDays <= MAX_REFERRAL_BONUS_DAYS, "Bonus too long");
+        require(maxPerPeriod == 0 || period > 0, "Invalid referral period");
+
+        referralRewardBPS = rewardBPS;
+        referralFromTreasury = fromTreasury;
+        referralBonusDays = bonusDays;
+        referralPeriod = period;
+        maxReferralsPerPeriod = maxPerPeriod;
+
+        emit ReferralConfigUpdated(rewardBPS, fromTreasury, bonusDays, period, maxPerPeriod);
+    }
+
+    /**
+     * @dev Allow or disallow a contract to grant membership days
+     * @param promoter Promoter address
+     * @param allowed Whether it may grant days
+     */
+    function setPromoter(address promoter, bool allowed) external onlyOwner {
+        require(promoter != address(0), "Invalid promoter");
+
+        promoters[promoter] = allowed;
+
+        emit PromoterUpdated(promoter, allowed);
     }
 
     /**
@@ -322,7 +1012,20 @@ contract VIPMembershipUpgradeable is
             activeMembers--;
         }
 
-        emit MembershipRevoked(user, msg.sender);
+        emit MembershipRevoked(user, _msgSender());
+    }
+
+    /**
+     * @dev Update PricingManager reference (owner only)
+     * @param _pricingManager New PricingManager address
+     */
+    function setPricingManager(address _pricingManager) external onlyOwner {
+        require(_pricingManager != address(0), "Invalid pricing manager");
+
+        address oldManager = address(pricingManager);
+        pricingManager = IVIPPricingManager(_pricingManager);
+
+        emit PricingManagerUpdated(oldManager, _pricingManager);
     }
 
     /**
@@ -364,6 +1067,66 @@ contract VIPMembershipUpgradeable is
         emit MembershipDurationUpdated(oldDuration, _membershipDuration);
     }
 
+    /**
+     * @dev Add a membership tier (owner only)
+     * @param name Tier name (e.g. "Gold")
+     * @param cost Cost in wei
+     * @param duration Duration in seconds
+     * @param discountBPS VIP discount level in basis points
+     * @return tierId New tier ID
+     */
+    function addTier(
+        string calldata name,
+        uint256 cost,
+        uint256 duration,
+        uint256 discountBPS
+    ) external onlyOwner returns (uint256 tierId) {
+        require(bytes(name).length > 0, "Name required");
+        require(cost > 0, "Cost must be greater than 0");
+        require(duration > 0, "Duration must be greater than 0");
+        require(discountBPS <= 10000, "Discount exceeds 100%");
+
+        tierId = ++tierCount;
+        tiers[tierId] = MembershipTier({
+            name: name,
+            cost: cost,
+            duration: duration,
+            discountBPS: discountBPS,
+            active: true
+        });
+
+        emit TierAdded(tierId, name, cost, duration, discountBPS);
+    }
+
+    /**
+     * @dev Update a membership tier (owner only)
+     * @param tierId Tier ID
+     * @param cost Cost in wei
+     * @param duration Duration in seconds
+     * @param discountBPS VIP discount level in basis points
+     * @param active Whether the tier can be purchased
+     */
+    function updateTier(
+        uint256 tierId,
+        uint256 cost,
+        uint256 duration,
+        uint256 discountBPS,
+        bool active
+    ) external onlyOwner {
+        require(tierId > 0 && tierId <= tierCount, "Invalid tier");
+        require(cost > 0, "Cost must be greater than 0");
+        require(duration > 0, "Duration must be greater than 0");
+        require(discountBPS <= 10000, "Discount exceeds 100%");
+
+        MembershipTier storage tier = tiers[tierId];
+        tier.cost = cost;
+        tier.duration = duration;
+        tier.discountBPS = discountBPS;
+        tier.active = active;
+
+        emit TierUpdated(tierId, cost, duration, discountBPS, active);
+    }
+
     /**
      * @dev Pause membership purchases (owner only)
      */
@@ -397,5 +1160,47 @@ contract VIPMembershipUpgradeable is
             }
         }
     }
-}
 
+    /**
+     * @dev Add days to a membership, reactivating or starting it if needed
+     */
+    function _extendMembership(address user, uint256 daysToAdd) internal {
+        Membership storage membership = memberships[user];
+        uint256 oldExpiry = membership.expiryDate;
+        uint256 additionalTime = daysToAdd * 1 days;
+
+        // If expired, extend from now. If active, extend from current expiry
+        if (oldExpiry < block.timestamp) {
+            if (oldExpiry == 0) {
+                // Brand new member on the standard plan
+                totalMembers++;
+                membership.purchaseDate = block.timestamp;
+            }
+            membership.expiryDate = block.timestamp + additionalTime;
+            if (!membership.active) {
+                membership.active = true;
+                activeMembers++;
+            }
+        } else {
+            membership.expiryDate += additionalTime;
+        }
+        _listMember(user);
+
+        emit MembershipExtended(
+            user,
+            oldExpiry,
+            membership.expiryDate,
+            daysToAdd
+        );
+    }
+
+    /**
+     * @dev Add an address to the member list once
+     */
+    function _listMember(address user) internal {
+        if (!isListedMember[user]) {
+            isListedMember[user] = true;
+            memberList.push(user);
+        }
+    }
+}
@@ -0,0 +1,240 @@
+const { ethers } = require("hardhat");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { ATTESTATION_TYPES, attestationDomain } = require("./verifyAttestation");
+const { readBody, sendJson } = require("./httpUtils");
+
+/**
+ * Discount-eligibility attestation service for the web store checkout
+ *
+ * Checks both DELTA8 holding (DISCOUNT_THRESHOLD) and VIP membership for a
+ * wallet the customer proves they own, and returns a short-lived EIP-712
+ * DiscountAttestation. The store backend verifies it offline with
+ * scripts/verifyAttestation.js and the service's signer address.
+ *
+ * Flow:
+ * 1. GET  /challenge/:address            -> { message, nonce, expiresAt }
+ * 2. Wallet signs `message` (personal_sign)
+ * 3. POST /attest { address, nonce, signature } -> { attestation, signature, signer, chainId }
+ *
+ * Discount level: the larger of HOLDER_DISCOUNT_BPS (if the token's
+ * isEligibleForDiscount holds, i.e. DISCOUNT_THRESHOLD kept for
+ * minHoldingPeriod) and the member's VIP tier discount.
+ *
+ * Usage:
+ * npx hardhat run scripts/attestationService.js --network localhost
+ *
+ * Environment:
+ * ATTESTATION_HOST         Interface to listen on (default: 127.0.0.1)
+ * ATTESTATION_PORT         Port (default: 8788)
+ * ATTESTATION_SIGNER_KEY   Private key that signs attestations (default: first Hardhat account)
+ * ATTESTATION_TTL          Attestation lifetime in seconds (default: 300)
+ * CHALLENGE_TTL            Challenge lifetime in seconds (default: 300)
+ * HOLDER_DISCOUNT_BPS      Discount for token holders (default: 5000)
+ * STORE_DOMAIN             Domain shown in the challenge message (default: delta8gummies.com)
+ * DELTA8_TOKEN             Token address (default: from deployments/upgradeable-latest.json)
+ * VIP_MEMBERSHIP           VIPMembership address (default: from deployments/upgradeable-latest.json)
+ */
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_PENDING_CHALLENGES = 10000;
+
+function loadDeployment() {
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) return null;
+  return JSON.parse(fs.readFileSync(latestFile, "utf8"));
+}
+
+function loadConfig(env = process.env, deployment = loadDeployment()) {
+  return {
+    host: env.ATTESTATION_HOST || "127.0.0.1",
+    port: Number(env.ATTESTATION_PORT || "8788"),
+    signerKey: env.ATTESTATION_SIGNER_KEY,
+    attestationTtl: Number(env.ATTESTATION_TTL || "300"),
+    challengeTtl: Number(env.CHALLENGE_TTL || "300"),
+    holderDiscountBps: BigInt(env.HOLDER_DISCOUNT_BPS || "5000"),
+    storeDomain: env.STORE_DOMAIN || "delta8gummies.com",
+    delta8Token: env.DELTA8_TOKEN || deployment?.existingContracts?.delta8Token,
+    vipMembership: env.VIP_MEMBERSHIP || deployment?.upgradeable?.vipMembership?.proxy,
+  };
+}
+
+/**
+ * One-time wallet-ownership challenges, kept in memory
+ */
+function createChallengeStore(config, now = () => Math.floor(Date.now() / 1000)) {
+  const pending = new Map();
+
+  const prune = () => {
+    const time = now();
+    for (const [nonce, challenge] of pending) {
+      if (challenge.expiresAt <= time) pending.delete(nonce);
+    }
+  };
+
+  return {
+    issue(address) {
+      prune();
+      if (pending.size >= MAX_PENDING_CHALLENGES) {
+        throw new Error("Too many pending challenges, try again later");
+      }
+      const nonce = crypto.randomBytes(16).toString("hex");
+      const expiresAt = now() + config.challengeTtl;
+      const message =
+        `${config.storeDomain} wants you to prove you own this wallet for checkout discounts.\n\n` +
+        `Address: ${address}\nNonce: ${nonce}\nExpires: ${new Date(expiresAt * 1000).toISOString()}`;
+      pending.set(nonce, { address, message, expiresAt });
+      return { message, nonce, expiresAt };
+    },
+
+    // Returns the challenge once; a nonce can't be replayed
+    consume(nonce) {
+      const challenge = pending.get(nonce);
+      pending.delete(nonce);
+      if (!challenge || challenge.expiresAt <= now()) return null;
+      return challenge;
+    },
+  };
+}
+
+/**
+ * Read eligibility at one block and build the attestation
+ */
+async function buildAttestation({ token, vipMembership, provider }, account, config) {
+  const blockNumber = await provider.getBlockNumber();
+  const block = await provider.getBlock(blockNumber);
+  const overrides = { blockTag: blockNumber };
+
+  const [tokenBalance, holder, vip, [, tierId], vipDiscountBps] = await Promise.all([
+    token.balanceOf(account, overrides),
+    token.isEligibleForDiscount(account, overrides),
+    vipMembership.isVIP(account, overrides),
+    vipMembership.getVIPTier(account, overrides),
+    vipMembership.getMemberDiscountBPS(account, overrides),
+  ]);
+
+  const holderBps = holder ? config.holderDiscountBps : 0n;
+  const discountBPS = vipDiscountBps > holderBps ? vipDiscountBps : holderBps;
+
+  return {
+    account,
+    tokenBalance,
+    holder,
+    vip,
+    tierId,
+    discountBPS,
+    blockNumber: BigInt(blockNumber),
+    issuedAt: BigInt(block.timestamp),
+    expiresAt: BigInt(block.timestamp + config.attestationTtl),
+  };
+}
+
+/**
+ * Build the HTTP request handler
+ * @param contracts { token, vipMembership, provider, signer }
+ */
+function createAttestationHandler(contracts, config, challenges = createChallengeStore(config)) {
+  return async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        const { chainId } = await contracts.provider.getNetwork();
+        sendJson(res, 200, { signer: await contracts.signer.getAddress(), chainId: Number(chainId) });
+        return;
+      }
+
+      const challengeMatch = req.method === "GET" && req.url.match(/^\/challenge\/(0x[0-9a-fA-F]{40})$/);
+      if (challengeMatch) {
+        sendJson(res, 200, challenges.issue(ethers.getAddress(challengeMatch[1])));
+        return;
+      }
+
+      if (req.method === "POST" && req.url === "/attest") {
+        const { address, nonce, signature } = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+        if (!ethers.isAddress(address) || typeof nonce !== "string" || typeof signature !== "string") {
+          sendJson(res, 400, { error: "Expected { address, nonce, signature }" });
+          return;
+        }
+
+        const challenge = challenges.consume(nonce);
+        if (!challenge || challenge.address !== ethers.getAddress(address)) {
+          sendJson(res, 400, { error: "Unknown or expired challenge" });
+          return;
+        }
+        if (ethers.verifyMessage(challenge.message, signature) !== challenge.address) {
+          sendJson(res, 401, { error: "Signature does not match address" });
+          return;
+        }
+
+        const { chainId } = await contracts.provider.getNetwork();
+        const attestation = await buildAttestation(contracts, challenge.address, config);
+        const attestationSignature = await contracts.signer.signTypedData(
+          attestationDomain(chainId),
+          ATTESTATION_TYPES,
+          attestation
+        );
+
+        sendJson(res, 200, {
+          attestation,
+          signature: attestationSignature,
+          signer: await contracts.signer.getAddress(),
+          chainId: Number(chainId),
+        });
+        return;
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(res, 400, { error: error.shortMessage || error.message });
+    }
+  };
+}
+
+async function main() {
+  console.log("\n🏷️  DELTA8 Discount Attestation Service\n");
+
+  const config = loadConfig();
+  if (!config.delta8Token || !config.vipMembership) {
+    throw new Error("No contract addresses. Deploy contracts first or set DELTA8_TOKEN and VIP_MEMBERSHIP.");
+  }
+
+  const provider = ethers.provider;
+  const signer = config.signerKey
+    ? new ethers.Wallet(config.signerKey, provider)
+    : (await ethers.getSigners())[0];
+  const contracts = {
+    provider,
+    signer,
+    token: await ethers.getContractAt("Delta8GummiesToken", config.delta8Token),
+    vipMembership: await ethers.getContractAt("VIPMembershipUpgradeable", config.vipMembership),
+  };
+
+  console.log("Attestation signer:", await signer.getAddress());
+  console.log("DELTA8 Token:", config.delta8Token);
+  console.log("VIPMembership:", config.vipMembership);
+  console.log("Attestation TTL:", config.attestationTtl, "seconds");
+
+  const server = http.createServer(createAttestationHandler(contracts, config));
+  await new Promise((resolve) => server.listen(config.port, config.host, resolve));
+  console.log(`Listening on http://${config.host}:${config.port}`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", () => server.close(resolve)));
+}
+
+module.exports = {
+  loadConfig,
+  createChallengeStore,
+  buildAttestation,
+  createAttestationHandler,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Attestation service failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,196 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Batch registry consistency check
+ *
+ * The token keeps string-keyed product batches (grams of distillate) and
+ * BatchManager keeps numeric batches (units of stock), linked through
+ * BatchManager.tokenBatchIds. This compares the two and reports:
+ * 1. Orphaned lots: active token batches with no BatchManager batch,
+ *    BatchManager batches with no token batch, links to unknown token batches
+ * 2. Mismatched data: lab test URLs and batch codes that differ between sides
+ * 3. Status drift: token batch inactive while the BatchManager batch sells,
+ *    or a recalled / expired batch still active on the token
+ * 4. Inventory: each lot's distillate vs its total stock, and the token's
+ *    inventory vs remaining stock, using the grams per unit of each product
+ *
+ * Exits with code 1 when errors are found, so it can run from cron.
+ *
+ * Usage:
+ * BATCH_GRAMS_PER_UNIT='{"1":0.5,"2":1}' npx hardhat run scripts/checkBatchRegistry.js --network polygon
+ *
+ * Environment:
+ * BATCH_GRAMS_PER_UNIT      JSON map of productId to grams of distillate per unit
+ *                           (inventory checks are skipped for products not listed)
+ * INVENTORY_TOLERANCE_BPS   Allowed inventory difference (default: 100 = 1%)
+ * DELTA8_TOKEN              Token address (default: from deployments/upgradeable-latest.json)
+ */
+
+function loadConfig(env = process.env) {
+  return {
+    gramsPerUnit: env.BATCH_GRAMS_PER_UNIT ? JSON.parse(env.BATCH_GRAMS_PER_UNIT) : {},
+    toleranceBps: Number(env.INVENTORY_TOLERANCE_BPS || "100"),
+    delta8Token: env.DELTA8_TOKEN,
+  };
+}
+
+/**
+ * Read both registries
+ * @returns { tokenLots: Map<id, lot>, inventoryGrams, batches: [batch] }
+ */
+async function readRegistries(token, batchManager) {
+  const tokenLots = new Map();
+  let cursor = 0n;
+  do {
+    const [ids, nextCursor] = await token.getBatchIds(cursor, 200);
+    for (const id of ids) {
+      const info = await token.getBatchInfo(id);
+      tokenLots.set(id, {
+        id,
+        distillateWeight: Number(info.distillateWeight),
+        timestamp: Number(info.timestamp),
+        labTestUrl: info.labTestUrl,
+        active: info.active,
+      });
+    }
+    cursor = nextCursor;
+  } while (cursor !== 0n);
+
+  const batches = [];
+  const batchCount = Number(await batchManager.batchCount());
+  for (let batchId = 1; batchId <= batchCount; batchId++) {
+    const batch = await batchManager.getBatch(batchId);
+    batches.push({
+      batchId,
+      productId: Number(batch.productId),
+      batchCode: batch.batchCode,
+      labTestUrl: batch.labTestUrl,
+      totalStock: Number(batch.totalStock),
+      remainingStock: Number(batch.remainingStock),
+      isActive: batch.isActive,
+      recalled: (await batchManager.recalledAt(batchId)) > 0n,
+      expired: await batchManager.isBatchExpired(batchId),
+      tokenBatchId: await batchManager.tokenBatchIds(batchId),
+    });
+  }
+
+  const inventoryGrams = Number((await token.inventoryData()).totalWeight);
+  return { tokenLots, inventoryGrams, batches };
+}
+
+/**
+ * Compare the registries
+ * @returns Issues [{ severity, check, batchId, tokenBatchId, detail }]
+ */
+function checkRegistries(registries, config) {
+  const issues = [];
+  const add = (severity, check, batch, tokenBatchId, detail) =>
+    issues.push({ severity, check, batchId: batch ? batch.batchId : "", tokenBatchId, detail });
+  const outOfTolerance = (expected, actual) =>
+    Math.abs(actual - expected) * 10000 > Math.abs(expected) * config.toleranceBps;
+
+  const linked = new Set();
+  for (const batch of registries.batches) {
+    if (!batch.tokenBatchId) {
+      add("warning", "orphaned batch", batch, "", `${batch.batchCode} has no token batch`);
+      continue;
+    }
+    linked.add(batch.tokenBatchId);
+
+    const lot = registries.tokenLots.get(batch.tokenBatchId);
+    if (!lot) {
+      add("error", "missing token batch", batch, batch.tokenBatchId, "Linked token batch is not in the token registry");
+      continue;
+    }
+
+    if (lot.labTestUrl !== batch.labTestUrl) {
+      add("error", "lab URL mismatch", batch, lot.id, `token ${lot.labTestUrl || "(none)"} vs batch ${batch.labTestUrl || "(none)"}`);
+    }
+    if (lot.id !== batch.batchCode) {
+      add("warning", "batch code mismatch", batch, lot.id, `batch code ${batch.batchCode}`);
+    }
+
+    if (!lot.active && batch.isActive) {
+      add("error", "status mismatch", batch, lot.id, "Token batch inactive but batch still redeemable (call syncTokenBatch)");
+    }
+    if (lot.active && (batch.recalled || batch.expired)) {
+      const state = batch.recalled ? "recalled" : "expired";
+      add("error", "status mismatch", batch, lot.id, `Batch ${state} but token batch still active (BatchManager needs BATCH_MANAGER_ROLE)`);
+    }
+
+    const grams = config.gramsPerUnit[batch.productId];
+    if (grams !== undefined && outOfTolerance(lot.distillateWeight, batch.totalStock * grams)) {
+      add("warning", "lot size", batch, lot.id, `${lot.distillateWeight} g distillate vs ${batch.totalStock} units × ${grams} g`);
+    }
+  }
+
+  for (const lot of registries.tokenLots.values()) {
+    if (lot.active && !linked.has(lot.id)) {
+      add("error", "orphaned token batch", null, lot.id, "Active token batch with no BatchManager batch");
+    }
+  }
+
+  // Token inventory should cover what is left to redeem
+  const sellable = registries.batches.filter((batch) => batch.isActive && !batch.recalled && !batch.expired);
+  const unconverted = sellable.filter((batch) => config.gramsPerUnit[batch.productId] === undefined);
+  if (unconverted.length > 0) {
+    const products = [...new Set(unconverted.map((batch) => batch.productId))].join(", ");
+    add("warning", "inventory", null, "", `No BATCH_GRAMS_PER_UNIT for product(s) ${products}; inventory check skipped`);
+  } else {
+    const remainingGrams = sellable.reduce(
+      (sum, batch) => sum + batch.remainingStock * config.gramsPerUnit[batch.productId],
+      0
+    );
+    if (outOfTolerance(remainingGrams, registries.inventoryGrams)) {
+      add("error", "inventory", null, "", `Token inventory ${registries.inventoryGrams} g vs remaining stock ${remainingGrams} g`);
+    }
+  }
+
+  return issues;
+}
+
+async function main() {
+  console.log("\n🔗 DELTA8 Batch Registry Check\n");
+
+  const config = loadConfig();
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const deployment = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+  const token = await ethers.getContractAt(
+    "Delta8GummiesToken",
+    config.delta8Token || deployment.existingContracts.delta8Token
+  );
+  const batchManager = await ethers.getContractAt("BatchManagerUpgradeable", deployment.upgradeable.batchManager.proxy);
+
+  const registries = await readRegistries(token, batchManager);
+  console.log(`Token batches: ${registries.tokenLots.size}, BatchManager batches: ${registries.batches.length}`);
+
+  const issues = checkRegistries(registries, config);
+  if (issues.length === 0) {
+    console.log("\n✅ Registries are consistent");
+  } else {
+    console.log(`\n⚠️  ${issues.length} issues:`);
+    console.table(issues);
+  }
+
+  return issues.filter((issue) => issue.severity === "error").length;
+}
+
+module.exports = {
+  loadConfig,
+  readRegistries,
+  checkRegistries,
+};
+
+if (require.main === module) {
+  main()
+    .then((errors) => process.exit(errors > 0 ? 1 : 0))
+    .catch((error) => {
+      console.error("\n❌ Check failed:", error);
+      process.exit(1);
+    });
+}
@@ -10,6 +10,11 @@ const path = require("path");
  * - PricingManagerUpgradeable
  * - BatchManagerUpgradeable
  * - TreasuryUpgradeable
+ * - RedemptionRouterUpgradeable
+ * - StakingRewardsUpgradeable
+ * - OrderManagerUpgradeable
+ * - PromotionCampaignsUpgradeable
+ * - Delta8Forwarder (ERC-2771, not upgradeable)
  * 
  * All contracts use transparent proxies for upgradeability
  */
@@ -138,12 +143,183 @@ async function main() {
     implementation: batchManagerImpl
   };
 
-  // Configure Treasury to accept VIPMembership
+  // 5. Deploy RedemptionRouter
+  console.log("\n🛒 Deploying RedemptionRouterUpgradeable...");
+  const RedemptionRouter = await ethers.getContractFactory("RedemptionRouterUpgradeable");
+
+  const redemptionRouter = await upgrades.deployProxy(
+    RedemptionRouter,
+    [DELTA8_TOKEN, batchManagerAddress, vipMembershipAddress, treasuryAddress, pricingManagerAddress],
+    {
+      initializer: "initialize",
+      kind: "transparent"
+    }
+  );
+  await redemptionRouter.waitForDeployment();
+
+  const redemptionRouterAddress = await redemptionRouter.getAddress();
+  const redemptionRouterImpl = await upgrades.erc1967.getImplementationAddress(redemptionRouterAddress);
+  console.log("✅ RedemptionRouter Proxy:", redemptionRouterAddress);
+  console.log("   Implementation:", redemptionRouterImpl);
+
+  deployedAddresses.upgradeable.redemptionRouter = {
+    proxy: redemptionRouterAddress,
+    implementation: redemptionRouterImpl
+  };
+
+  // 6. Deploy StakingRewards
+  console.log("\n🥩 Deploying StakingRewardsUpgradeable...");
+  const StakingRewards = await ethers.getContractFactory("StakingRewardsUpgradeable");
+
+  const stakingRewards = await upgrades.deployProxy(
+    StakingRewards,
+    [DELTA8_TOKEN, USDC_TOKEN, treasuryAddress, pricingManagerAddress],
+    {
+      initializer: "initialize",
+      kind: "transparent"
+    }
+  );
+  await stakingRewards.waitForDeployment();
+
+  const stakingRewardsAddress = await stakingRewards.getAddress();
+  const stakingRewardsImpl = await upgrades.erc1967.getImplementationAddress(stakingRewardsAddress);
+  console.log("✅ StakingRewards Proxy:", stakingRewardsAddress);
+  console.log("   Implementation:", stakingRewardsImpl);
+
+  deployedAddresses.upgradeable.stakingRewards = {
+    proxy: stakingRewardsAddress,
+    implementation: stakingRewardsImpl
+  };
+
+  // 7. Deploy OrderManager
+  console.log("\n📦 Deploying OrderManagerUpgradeable...");
+  const OrderManager = await ethers.getContractFactory("OrderManagerUpgradeable");
+
+  const orderManager = await upgrades.deployProxy(
+    OrderManager,
+    [DELTA8_TOKEN, batchManagerAddress, vipMembershipAddress, treasuryAddress],
+    {
+      initializer: "initialize",
+      kind: "transparent"
+    }
+  );
+  await orderManager.waitForDeployment();
+
+  const orderManagerAddress = await orderManager.getAddress();
+  const orderManagerImpl = await upgrades.erc1967.getImplementationAddress(orderManagerAddress);
+  console.log("✅ OrderManager Proxy:", orderManagerAddress);
+  console.log("   Implementation:", orderManagerImpl);
+
+  deployedAddresses.upgradeable.orderManager = {
+    proxy: orderManagerAddress,
+    implementation: orderManagerImpl
+  };
+
+  // 8. Deploy PromotionCampaigns
+  console.log("\n📦 Deploying PromotionCampaignsUpgradeable...");
+  const PromotionCampaigns = await ethers.getContractFactory("PromotionCampaignsUpgradeable");
+
+  const promotionCampaigns = await upgrades.deployProxy(
+    PromotionCampaigns,
+    [DELTA8_TOKEN, vipMembershipAddress, treasuryAddress],
+    {
+      initializer: "initialize",
+      kind: "transparent"
+    }
+  );
+  await promotionCampaigns.waitForDeployment();
+
+  const promotionCampaignsAddress = await promotionCampaigns.getAddress();
+  const promotionCampaignsImpl = await upgrades.erc1967.getImplementationAddress(promotionCampaignsAddress);
+  console.log("✅ PromotionCampaigns Proxy:", promotionCampaignsAddress);
+  console.log("   Implementation:", promotionCampaignsImpl);
+
+  deployedAddresses.upgradeable.promotionCampaigns = {
+    proxy: promotionCampaignsAddress,
+    implementation: promotionCampaignsImpl
+  };
+
+  // 9. Deploy ERC-2771 forwarder (gasless relaying)
+  console.log("\n⛽ Deploying Delta8Forwarder...");
+  const Forwarder = await ethers.getContractFactory("Delta8Forwarder");
+  const forwarder = await Forwarder.deploy();
+  await forwarder.waitForDeployment();
+
+  const forwarderAddress = await forwarder.getAddress();
+  console.log("✅ Delta8Forwarder:", forwarderAddress);
+
+  deployedAddresses.forwarder = forwarderAddress;
+
+  // Configure Treasury to accept VIPMembership and RedemptionRouter
   console.log("\n⚙️  Configuring contracts...");
   console.log("Authorizing VIPMembership contract in Treasury...");
   await treasury.authorizeContract(vipMembershipAddress, true);
+  console.log("Authorizing RedemptionRouter contract in Treasury...");
+  await treasury.authorizeContract(redemptionRouterAddress, true);
+  console.log("Authorizing OrderManager contract in Treasury...");
+  await treasury.authorizeContract(orderManagerAddress, true);
+  console.log("Authorizing PromotionCampaigns contract in Treasury...");
+  await treasury.authorizeContract(promotionCampaignsAddress, true);
+  if (process.env.TREASURY_SIGNERS) {
+    // Timelocks per category: Marketing, Liquidity, Team, Operations, StakingRewards,
+    // Emergency, SignerChange, TimelockChange, BudgetChange
+    const day = 24 * 60 * 60;
+    const signers = process.env.TREASURY_SIGNERS.split(",").map((signer) => signer.trim());
+    const threshold = Number(process.env.TREASURY_THRESHOLD || "2");
+    const emergencyThreshold = Number(process.env.TREASURY_EMERGENCY_THRESHOLD || signers.length);
+    console.log(`Configuring Treasury multisig (${threshold}-of-${signers.length}, emergency ${emergencyThreshold})...`);
+    await treasury.configureMultisig(
+      signers,
+      threshold,
+      emergencyThreshold,
+      [2 * day, 2 * day, 2 * day, 2 * day, 1 * day, 2 * day, 3 * day, 3 * day, 3 * day]
+    );
+  } else {
+    console.log("⚠️  TREASURY_SIGNERS not set - call treasury.configureMultisig before spending");
+  }
   console.log("✅ Treasury configuration complete");
 
+  console.log("Authorizing RedemptionRouter in BatchManager...");
+  await batchManager.setAuthorizedRedeemer(redemptionRouterAddress, true);
+  console.log("Authorizing OrderManager in BatchManager...");
+  await batchManager.setAuthorizedRedeemer(orderManagerAddress, true);
+  if (process.env.ORDER_FULFILLER) {
+    console.log("Setting order fulfiller:", process.env.ORDER_FULFILLER);
+    await orderManager.setFulfiller(process.env.ORDER_FULFILLER, true);
+  }
+  console.log("Linking DELTA8 token batch registry in BatchManager...");
+  await batchManager.setDelta8Token(DELTA8_TOKEN);
+  console.log("⚠️  Token admin: grant BATCH_MANAGER_ROLE to BatchManager so recalls retire token-side batches");
+  console.log("✅ BatchManager configuration complete");
+
+  console.log("Authorizing RedemptionRouter as quote consumer in PricingManager...");
+  await pricingManager.setQuoteConsumer(redemptionRouterAddress, true);
+  console.log("Linking VIPMembership in PricingManager (loyalty discounts)...");
+  await pricingManager.setVIPMembership(vipMembershipAddress);
+  if (process.env.QUOTE_SIGNER) {
+    console.log("Setting quote signer:", process.env.QUOTE_SIGNER);
+    await pricingManager.setQuoteSigner(process.env.QUOTE_SIGNER);
+  }
+  console.log("Accepting USDC for membership and redemption payments...");
+  await pricingManager.setStablecoin(USDC_TOKEN, true, 6);
+  if (process.env.STABLECOIN_PREMIUM_BPS) {
+    console.log("Setting stablecoin premium:", process.env.STABLECOIN_PREMIUM_BPS, "BPS");
+    await pricingManager.setStablecoinPremium(process.env.STABLECOIN_PREMIUM_BPS);
+  }
+  console.log("Linking PricingManager in VIPMembership (stablecoin payments)...");
+  await vipMembership.setPricingManager(pricingManagerAddress);
+  console.log("Linking PricingManager in Treasury (stablecoin allow-list)...");
+  await treasury.setPricingManager(pricingManagerAddress);
+  console.log("✅ PricingManager configuration complete");
+
+  console.log("Allowing PromotionCampaigns to grant VIP membership days...");
+  await vipMembership.setPromoter(promotionCampaignsAddress, true);
+
+  console.log("Trusting Delta8Forwarder in VIPMembership and RedemptionRouter...");
+  await vipMembership.setTrustedForwarder(forwarderAddress);
+  await redemptionRouter.setTrustedForwarder(forwarderAddress);
+  console.log("✅ Forwarder configuration complete");
+
   // Save deployment addresses
   const outputDir = path.join(__dirname, "..", "deployments");
   if (!fs.existsSync(outputDir)) {
@@ -171,7 +347,17 @@ async function main() {
   console.log("Treasury (Proxy):", deployedAddresses.upgradeable.treasury.proxy);
   console.log("VIPMembership (Proxy):", deployedAddresses.upgradeable.vipMembership.proxy);
   console.log("BatchManager (Proxy):", deployedAddresses.upgradeable.batchManager.proxy);
+  console.log("RedemptionRouter (Proxy):", deployedAddresses.upgradeable.redemptionRouter.proxy);
+  console.log("StakingRewards (Proxy):", deployedAddresses.upgradeable.stakingRewards.proxy);
+  console.log("OrderManager (Proxy):", deployedAddresses.upgradeable.orderManager.proxy);
+  console.log("PromotionCampaigns (Proxy):", deployedAddresses.upgradeable.promotionCampaigns.proxy);
+  console.log("Delta8Forwarder:", deployedAddresses.forwarder);
   
+  console.log("\n💡 To stream USDC to stakers:");
+  console.log("   treasury.allocateToStakingRewards(amount), then a StakingRewards proposal:");
+  console.log("   treasury.proposeSpend(4, stakingRewards, amount, purpose) -> approve -> executeProposal");
+  console.log("   DELTA8 token admin: setStakingContract(stakingRewards)");
+
   console.log("\n💡 To upgrade a contract:");
   console.log("   npx hardhat run scripts/upgradeContract.js --network <network>");
   
@@ -180,6 +366,11 @@ async function main() {
   console.log(`REACT_APP_TREASURY=${deployedAddresses.upgradeable.treasury.proxy}`);
   console.log(`REACT_APP_VIP_MEMBERSHIP=${deployedAddresses.upgradeable.vipMembership.proxy}`);
   console.log(`REACT_APP_BATCH_MANAGER=${deployedAddresses.upgradeable.batchManager.proxy}`);
+  console.log(`REACT_APP_REDEMPTION_ROUTER=${deployedAddresses.upgradeable.redemptionRouter.proxy}`);
+  console.log(`REACT_APP_STAKING_REWARDS=${deployedAddresses.upgradeable.stakingRewards.proxy}`);
+  console.log(`REACT_APP_ORDER_MANAGER=${deployedAddresses.upgradeable.orderManager.proxy}`);
+  console.log(`REACT_APP_PROMOTION_CAMPAIGNS=${deployedAddresses.upgradeable.promotionCampaigns.proxy}`);
+  console.log(`REACT_APP_FORWARDER=${deployedAddresses.forwarder}`);
   console.log();
 }
 
@@ -0,0 +1,130 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { queryInChunks, toCsv: renderCsv } = require("./exportUtils");
+
+/**
+ * Recall notification export
+ *
+ * Lists everyone who redeemed units from a batch, with the quantity they
+ * still hold (cancelled and refunded units are returned to stock), and
+ * writes a CSV for the recall notice. Redeemers come from the batch's
+ * on-chain redeemer list, plus ProductRedeemed events for redemptions
+ * recorded before that list existed.
+ *
+ * Usage:
+ * RECALL_BATCH_ID=3 npx hardhat run scripts/exportRecall.js --network polygon
+ *
+ * Environment:
+ * RECALL_BATCH_ID       Batch to export (required)
+ * EXPORT_FROM_BLOCK     First block to scan for ProductRedeemed (default: 0)
+ * EXPORT_TO_BLOCK       Last block to scan (default: latest)
+ * EXPORT_CHUNK_BLOCKS   Blocks per log query (default: 5000)
+ * EXPORT_PAGE_SIZE      Redeemers per getBatchRedeemers call (default: 500)
+ * EXPORT_INCLUDE_ZERO   Also list users whose units were all returned (default: false)
+ * EXPORT_OUTPUT         CSV file (default: deployments/recall-<batchId>-<timestamp>.csv)
+ */
+
+const CSV_COLUMNS = ["batchId", "batchCode", "recalledAt", "user", "quantity", "affected"];
+
+function loadConfig(env = process.env) {
+  if (!env.RECALL_BATCH_ID) {
+    throw new Error("RECALL_BATCH_ID is required");
+  }
+  return {
+    batchId: BigInt(env.RECALL_BATCH_ID),
+    fromBlock: Number(env.EXPORT_FROM_BLOCK || "0"),
+    toBlock: env.EXPORT_TO_BLOCK ? Number(env.EXPORT_TO_BLOCK) : undefined,
+    chunkBlocks: Number(env.EXPORT_CHUNK_BLOCKS || "5000"),
+    pageSize: Number(env.EXPORT_PAGE_SIZE || "500"),
+    includeZero: env.EXPORT_INCLUDE_ZERO === "true",
+    output: env.EXPORT_OUTPUT,
+  };
+}
+
+/**
+ * Collect a batch's redeemers and the units each still holds
+ * @param batchManager BatchManagerUpgradeable contract
+ * @returns { batchCode, recalledAt, redeemers: [{ user, quantity }] }
+ */
+async function fetchRecallList(batchManager, config) {
+  const batch = await batchManager.getBatch(config.batchId);
+  const recalledAt = await batchManager.recalledAt(config.batchId);
+  const quantities = new Map();
+
+  const count = Number(await batchManager.getBatchRedeemerCount(config.batchId));
+  for (let offset = 0; offset < count; offset += config.pageSize) {
+    const [users, amounts] = await batchManager.getBatchRedeemers(config.batchId, offset, config.pageSize);
+    users.forEach((user, i) => quantities.set(user, amounts[i]));
+  }
+
+  // Redemptions recorded before the on-chain redeemer list
+  const toBlock = config.toBlock ?? (await ethers.provider.getBlockNumber());
+  const filter = batchManager.filters.ProductRedeemed(null, config.batchId);
+  for (const event of await queryInChunks(batchManager, filter, config.fromBlock, toBlock, config.chunkBlocks)) {
+    const user = event.args.user;
+    if (!quantities.has(user)) {
+      quantities.set(user, await batchManager.userRedemptions(user, config.batchId));
+    }
+  }
+
+  const redeemers = [...quantities]
+    .map(([user, quantity]) => ({ user, quantity }))
+    .filter((redeemer) => config.includeZero || redeemer.quantity > 0n);
+
+  return { batchCode: batch.batchCode, recalledAt, redeemers };
+}
+
+function toCsv(batchId, list) {
+  const recalledAt = list.recalledAt > 0n ? new Date(Number(list.recalledAt) * 1000).toISOString() : "";
+  const rows = list.redeemers.map(({ user, quantity }) => ({
+    batchId,
+    batchCode: list.batchCode,
+    recalledAt,
+    user,
+    quantity,
+    affected: list.recalledAt > 0n && quantity > 0n ? "yes" : "no",
+  }));
+  return renderCsv(CSV_COLUMNS, rows);
+}
+
+async function main() {
+  console.log("\n⚠️  DELTA8 Batch Recall Export\n");
+
+  const config = loadConfig();
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+  const batchManager = await ethers.getContractAt("BatchManagerUpgradeable", upgradeable.batchManager.proxy);
+
+  const list = await fetchRecallList(batchManager, config);
+  console.log("Batch:", config.batchId.toString(), list.batchCode);
+  if (list.recalledAt === 0n) {
+    console.log("⚠️  Batch is not recalled; exporting redeemers anyway");
+  }
+
+  const timestamp = new Date().toISOString().replace(/:/g, "-").split(".")[0];
+  const output =
+    config.output || path.join(__dirname, "..", "deployments", `recall-${config.batchId}-${timestamp}.csv`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, toCsv(config.batchId, list));
+
+  console.log(`✅ ${list.redeemers.length} redeemers written to ${output}`);
+}
+
+module.exports = {
+  loadConfig,
+  fetchRecallList,
+  toCsv,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Export failed:", error);
+      process.exit(1);
+    });
+}
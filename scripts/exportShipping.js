@@ -0,0 +1,191 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ADDRESS_FIELDS, decryptShipping, loadKeyring } = require("./shippingCrypto");
+const { queryInChunks, toCsv: renderCsv } = require("./exportUtils");
+
+/**
+ * Merchant fulfillment export
+ *
+ * Scans order events from a node, decrypts the shipping data with the
+ * merchant keyring and writes a CSV fulfillment list. Payloads whose key ID
+ * is missing from the keyring, or that fail to decrypt, are kept with the
+ * error in the last column instead of being dropped.
+ *
+ * Sources:
+ * - orders    OrderManager OrderPlaced events, with the current order status
+ *             (use this to ship: orders are placed before revenue is recorded)
+ * - treasury  Treasury ProductPurchased events (completed orders)
+ *
+ * Usage:
+ * SHIPPING_KEYRING=keyring.json npx hardhat run scripts/exportShipping.js --network polygon
+ *
+ * Environment:
+ * SHIPPING_KEYRING      Keyring JSON file { "<keyId>": "<privateKeyHex>" }
+ * EXPORT_SOURCE         orders | treasury (default: orders)
+ * EXPORT_FROM_BLOCK     First block to scan (default: 0)
+ * EXPORT_TO_BLOCK       Last block to scan (default: latest)
+ * EXPORT_CHUNK_BLOCKS   Blocks per log query (default: 5000)
+ * EXPORT_STATUS         Only include orders in this status, e.g. Placed (orders source)
+ * EXPORT_OUTPUT         CSV file (default: deployments/shipping-<source>-<timestamp>.csv)
+ */
+
+const ORDER_STATUSES = ["Placed", "Fulfilled", "Shipped", "Completed", "Cancelled", "Refunded"];
+const CSV_COLUMNS = [
+  "orderId",
+  "buyer",
+  "batchId",
+  "quantity",
+  "tokenAmount",
+  "status",
+  "blockNumber",
+  "txHash",
+  "keyId",
+  ...ADDRESS_FIELDS,
+  "error",
+];
+
+function loadConfig(env = process.env) {
+  const source = env.EXPORT_SOURCE || "orders";
+  if (!["orders", "treasury"].includes(source)) {
+    throw new Error("EXPORT_SOURCE must be orders or treasury");
+  }
+  return {
+    source,
+    keyringFile: env.SHIPPING_KEYRING,
+    fromBlock: Number(env.EXPORT_FROM_BLOCK || "0"),
+    toBlock: env.EXPORT_TO_BLOCK ? Number(env.EXPORT_TO_BLOCK) : undefined,
+    chunkBlocks: Number(env.EXPORT_CHUNK_BLOCKS || "5000"),
+    status: env.EXPORT_STATUS,
+    output: env.EXPORT_OUTPUT,
+  };
+}
+
+/**
+ * Collect encrypted shipping records from order events
+ * @param contract OrderManager (orders source) or Treasury (treasury source)
+ * @returns Records with the encrypted payload and order metadata
+ */
+async function fetchShippingRecords(contract, config) {
+  const toBlock = config.toBlock ?? (await ethers.provider.getBlockNumber());
+
+  if (config.source === "treasury") {
+    const events = await queryInChunks(
+      contract,
+      contract.filters.ProductPurchased(),
+      config.fromBlock,
+      toBlock,
+      config.chunkBlocks
+    );
+    return events.map((event) => ({
+      orderId: event.args.orderId,
+      buyer: event.args.buyer,
+      batchId: "",
+      quantity: "",
+      tokenAmount: event.args.tokenAmount,
+      status: "Completed",
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+      payload: event.args.encryptedShipping,
+    }));
+  }
+
+  const events = await queryInChunks(
+    contract,
+    contract.filters.OrderPlaced(),
+    config.fromBlock,
+    toBlock,
+    config.chunkBlocks
+  );
+  const records = [];
+  for (const event of events) {
+    const order = await contract.getOrder(event.args.orderId);
+    records.push({
+      orderId: event.args.orderId,
+      buyer: event.args.user,
+      batchId: event.args.batchId,
+      quantity: event.args.quantity,
+      tokenAmount: event.args.tokenAmount,
+      status: ORDER_STATUSES[Number(order.status)],
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+      payload: event.args.encryptedShipping,
+    });
+  }
+  return records;
+}
+
+/**
+ * Decrypt records into CSV rows (one per order)
+ */
+function decryptRecords(records, keyring) {
+  return records.map((record) => {
+    const { payload, ...row } = record;
+    try {
+      const { keyId, address } = decryptShipping(payload, keyring);
+      return { ...row, keyId, ...address, error: "" };
+    } catch (error) {
+      return { ...row, keyId: String(payload).split(":")[1] || "", error: error.message };
+    }
+  });
+}
+
+function toCsv(rows) {
+  return renderCsv(CSV_COLUMNS, rows);
+}
+
+async function loadContract(source) {
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+
+  return source === "treasury"
+    ? ethers.getContractAt("TreasuryUpgradeable", upgradeable.treasury.proxy)
+    : ethers.getContractAt("OrderManagerUpgradeable", upgradeable.orderManager.proxy);
+}
+
+async function main() {
+  console.log("\n📦 DELTA8 Shipping Export\n");
+
+  const config = loadConfig();
+  const keyring = loadKeyring(config.keyringFile);
+  const contract = await loadContract(config.source);
+
+  console.log("Source:", config.source, await contract.getAddress());
+  console.log("Key IDs:", Object.keys(keyring).join(", "));
+
+  let rows = decryptRecords(await fetchShippingRecords(contract, config), keyring);
+  if (config.status) {
+    rows = rows.filter((row) => row.status === config.status);
+  }
+
+  const timestamp = new Date().toISOString().replace(/:/g, "-").split(".")[0];
+  const output =
+    config.output || path.join(__dirname, "..", "deployments", `shipping-${config.source}-${timestamp}.csv`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, toCsv(rows));
+
+  const failed = rows.filter((row) => row.error).length;
+  console.log(`✅ ${rows.length} orders written to ${output}`);
+  if (failed > 0) {
+    console.log(`⚠️  ${failed} orders could not be decrypted (see error column)`);
+  }
+}
+
+module.exports = {
+  loadConfig,
+  fetchShippingRecords,
+  decryptRecords,
+  toCsv,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Export failed:", error);
+      process.exit(1);
+    });
+}
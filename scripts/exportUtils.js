@@ -0,0 +1,69 @@
+/**
+ * Event query, CSV and gas-bounded chunking helpers shared by the DELTA8 export and keeper scripts
+ */
+
+/**
+ * Query an event over a block range in fixed-size chunks (RPC log limits)
+ */
+async function queryInChunks(contract, filter, fromBlock, toBlock, chunkBlocks) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkBlocks) {
+    const end = Math.min(start + chunkBlocks - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+function csvEscape(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param columns Column names, also the keys read from each row
+ * @param rows Objects keyed by column
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvEscape(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Split items into chunks whose gas estimate fits maxGas
+ * @param estimateGas (items) => gas estimate for one transaction over those items
+ * @return [{ items, gas }]
+ */
+async function planGasChunks(estimateGas, items, chunkSize, maxGas) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < items.length) {
+    let size = Math.min(chunkSize, items.length - start);
+
+    // Halve the chunk until the estimate fits the gas budget
+    for (;;) {
+      const chunk = items.slice(start, start + size);
+      const gas = await estimateGas(chunk);
+      if (gas <= maxGas || size === 1) {
+        chunks.push({ items: chunk, gas });
+        break;
+      }
+      size = Math.ceil(size / 2);
+    }
+
+    start += size;
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  queryInChunks,
+  csvEscape,
+  toCsv,
+  planGasChunks,
+};
@@ -0,0 +1,38 @@
+/**
+ * HTTP helpers shared by the local DELTA8 services
+ *
+ * Used by scripts/relayer.js and scripts/attestationService.js.
+ */
+
+/**
+ * Read a request body as a string
+ * @param req Incoming request
+ * @param maxBytes Largest body accepted; larger requests are rejected and dropped
+ */
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > maxBytes) {
+        reject(new Error("Request too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Send a JSON response (bigints are written as strings)
+ */
+function sendJson(res, status, payload) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+}
+
+module.exports = {
+  readBody,
+  sendJson,
+};
@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Canned reports over the local event index (see scripts/indexer.js)
+ *
+ * Usage:
+ * node scripts/indexQuery.js summary
+ * node scripts/indexQuery.js batch-redeemers <batchId>
+ * node scripts/indexQuery.js revenue [fromDate] [toDate]    (default: last 30 days)
+ * node scripts/indexQuery.js expiring [days]                (default: 7)
+ * node scripts/indexQuery.js events <EventName> [limit]     (default: 20, newest first)
+ *
+ * Dates are ISO (2026-01-31) and UTC. Amounts are in token base units.
+ *
+ * Environment:
+ * INDEXER_STORE  JSON store file (default: deployments/indexer-store.json)
+ */
+
+const DAY = 24 * 60 * 60;
+
+function loadEvents(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No index at ${file}. Run scripts/indexer.js first.`);
+  }
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return { lastBlock: data.lastBlock, events: data.events };
+}
+
+function byOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+function select(events, contract, names) {
+  return events.filter((event) => event.contract === contract && names.includes(event.event)).sort(byOrder);
+}
+
+/**
+ * Event counts per contract and event name
+ */
+function summary(events) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = `${event.contract}.${event.event}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([event, count]) => ({ event, count }));
+}
+
+/**
+ * Who redeemed from a BatchManager batch, aggregated per user
+ */
+function batchRedeemers(events, batchId) {
+  const users = new Map();
+  for (const event of select(events, "BatchManager", ["ProductRedeemed"])) {
+    if (event.args.batchId !== String(batchId)) continue;
+
+    const row = users.get(event.args.user) || { user: event.args.user, redemptions: 0, quantity: 0n, tokensUsed: 0n, vip: false };
+    row.redemptions++;
+    row.quantity += BigInt(event.args.quantity);
+    row.tokensUsed += BigInt(event.args.tokensUsed);
+    row.vip = row.vip || event.args.isVIP;
+    users.set(event.args.user, row);
+  }
+  return [...users.values()]
+    .sort((a, b) => (b.quantity > a.quantity ? 1 : b.quantity < a.quantity ? -1 : 0))
+    .map((row) => ({ ...row, quantity: row.quantity.toString(), tokensUsed: row.tokensUsed.toString() }));
+}
+
+/**
+ * Treasury inflows, outflows and product purchases between two timestamps
+ * @returns Rows of { flow, token, label, count, amount }
+ */
+function revenue(events, fromTime, toTime) {
+  const rows = new Map();
+  const add = (flow, token, label, amount) => {
+    const key = `${flow}|${token}|${label}`;
+    const row = rows.get(key) || { flow, token, label, count: 0, amount: 0n };
+    row.count++;
+    row.amount += BigInt(amount);
+    rows.set(key, row);
+  };
+
+  for (const event of select(events, "Treasury", ["FundsReceived", "FundsWithdrawn", "ProductPurchased"])) {
+    if (event.timestamp < fromTime || event.timestamp >= toTime) continue;
+
+    if (event.event === "FundsReceived") {
+      add("in", event.args.token, event.args.category, event.args.amount);
+    } else if (event.event === "FundsWithdrawn") {
+      add("out", event.args.token, event.args.purpose, event.args.amount);
+    } else {
+      add("orders", "DELTA8", "Product purchases", event.args.tokenAmount);
+    }
+  }
+  return [...rows.values()].map((row) => ({ ...row, amount: row.amount.toString() }));
+}
+
+/**
+ * Current VIP memberships expiring within `days` of `now`
+ * Replays purchases, extensions and revocations in chain order.
+ */
+function expiringMembers(events, now, days) {
+  const expiries = new Map();
+  for (const event of select(events, "VIPMembership", ["MembershipPurchased", "MembershipExtended", "MembershipRevoked"])) {
+    if (event.event === "MembershipPurchased") {
+      expiries.set(event.args.member, Number(event.args.expiryDate));
+    } else if (event.event === "MembershipExtended") {
+      expiries.set(event.args.member, Number(event.args.newExpiry));
+    } else {
+      expiries.delete(event.args.member);
+    }
+  }
+
+  const until = now + days * DAY;
+  return [...expiries.entries()]
+    .filter(([, expiry]) => expiry > now && expiry <= until)
+    .sort(([, a], [, b]) => a - b)
+    .map(([member, expiry]) => ({
+      member,
+      expiresAt: new Date(expiry * 1000).toISOString(),
+      daysLeft: Math.floor((expiry - now) / DAY),
+    }));
+}
+
+/**
+ * Most recent events with a given name
+ */
+function latestEvents(events, name, limit) {
+  return events
+    .filter((event) => event.event === name)
+    .sort((a, b) => byOrder(b, a))
+    .slice(0, limit)
+    .map(({ contract, blockNumber, transactionHash, args }) => ({ contract, blockNumber, transactionHash, ...args }));
+}
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(time / 1000);
+}
+
+function main(argv = process.argv.slice(2), env = process.env) {
+  const storeFile = env.INDEXER_STORE || path.join(__dirname, "..", "deployments", "indexer-store.json");
+  const { lastBlock, events } = loadEvents(storeFile);
+  const now = Math.floor(Date.now() / 1000);
+  const [report, ...args] = argv;
+
+  let rows;
+  switch (report) {
+    case "summary":
+      rows = summary(events);
+      break;
+    case "batch-redeemers":
+      if (!args[0]) throw new Error("Usage: batch-redeemers <batchId>");
+      rows = batchRedeemers(events, args[0]);
+      break;
+    case "revenue": {
+      const fromTime = args[0] ? parseDate(args[0]) : now - 30 * DAY;
+      const toTime = args[1] ? parseDate(args[1]) : now;
+      rows = revenue(events, fromTime, toTime);
+      break;
+    }
+    case "expiring":
+      rows = expiringMembers(events, now, Number(args[0] || "7"));
+      break;
+    case "events":
+      if (!args[0]) throw new Error("Usage: events <EventName> [limit]");
+      rows = latestEvents(events, args[0], Number(args[1] || "20"));
+      break;
+    default:
+      throw new Error("Reports: summary | batch-redeemers | revenue | expiring | events");
+  }
+
+  console.log(`Index: ${events.length} events through block ${lastBlock}`);
+  if (rows.length === 0) {
+    console.log("(no results)");
+  } else {
+    console.table(rows);
+  }
+}
+
+module.exports = {
+  summary,
+  batchRedeemers,
+  revenue,
+  expiringMembers,
+  latestEvents,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,255 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Local event indexer for the DELTA8 ecosystem
+ *
+ * Follows a node from a start block and stores every event emitted by the
+ * token, PricingManager, VIPMembership, BatchManager and Treasury in a JSON
+ * file (BatchCreated, ProductRedeemed, MembershipPurchased / Extended / Revoked,
+ * FundsReceived / FundsWithdrawn, TokenRedeemed, InventoryUpdated,
+ * ProductPurchased, ...). Query it with scripts/indexQuery.js.
+ *
+ * Reorgs: the hashes of the last INDEXER_REORG_DEPTH blocks are kept. Each
+ * pass re-checks them against the node; from the first mismatch onward all
+ * stored events are dropped and re-indexed.
+ *
+ * Usage:
+ * npx hardhat run scripts/indexer.js --network localhost
+ *
+ * Environment:
+ * INDEXER_STORE         JSON store file (default: deployments/indexer-store.json)
+ * INDEXER_START_BLOCK   First block to index on a fresh store (default: 0)
+ * INDEXER_CHUNK_BLOCKS  Blocks per log query (default: 2000)
+ * INDEXER_REORG_DEPTH   Recent blocks re-checked for reorgs (default: 12)
+ * INDEXER_INTERVAL      Seconds between passes (default: 15)
+ * INDEXER_ONCE          "true" to run a single pass and exit
+ * INDEXER_SKIP_EVENTS   Comma-separated events not stored (default: Transfer,Approval)
+ */
+
+const STORE_VERSION = 1;
+
+function loadConfig(env = process.env) {
+  return {
+    storeFile: env.INDEXER_STORE || path.join(__dirname, "..", "deployments", "indexer-store.json"),
+    startBlock: Number(env.INDEXER_START_BLOCK || "0"),
+    chunkBlocks: Number(env.INDEXER_CHUNK_BLOCKS || "2000"),
+    reorgDepth: Number(env.INDEXER_REORG_DEPTH || "12"),
+    intervalSeconds: Number(env.INDEXER_INTERVAL || "15"),
+    once: env.INDEXER_ONCE === "true",
+    skipEvents: new Set((env.INDEXER_SKIP_EVENTS ?? "Transfer,Approval").split(",").filter(Boolean)),
+  };
+}
+
+/**
+ * Open (or create) the JSON store
+ * @returns { data, save() }
+ */
+function openStore(file, startBlock = 0) {
+  let data;
+  if (file && fs.existsSync(file)) {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (data.version !== STORE_VERSION) {
+      throw new Error(`Unsupported store version ${data.version}; delete ${file} to re-index`);
+    }
+  } else {
+    data = {
+      version: STORE_VERSION,
+      chainId: null,
+      startBlock,
+      lastBlock: startBlock - 1,
+      blockHashes: {},
+      events: [],
+    };
+  }
+
+  return {
+    data,
+    save() {
+      if (!file) return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    },
+  };
+}
+
+function serializeValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (ethers.Indexed.isIndexed(value)) return value.hash; // Indexed strings are stored as their hash
+  if (Array.isArray(value)) return value.map(serializeValue);
+  return value;
+}
+
+function serializeArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = serializeValue(parsed.args[i]);
+  });
+  return args;
+}
+
+/**
+ * Drop everything at or after forkBlock so it is indexed again
+ */
+function rollback(data, forkBlock) {
+  data.events = data.events.filter((event) => event.blockNumber < forkBlock);
+  for (const number of Object.keys(data.blockHashes)) {
+    if (Number(number) >= forkBlock) delete data.blockHashes[number];
+  }
+  data.lastBlock = Math.min(data.lastBlock, forkBlock - 1);
+}
+
+/**
+ * Compare stored recent block hashes with the node
+ * @returns First block that changed, or null
+ */
+async function findFork(provider, data) {
+  const numbers = Object.keys(data.blockHashes).map(Number).sort((a, b) => a - b);
+  for (const number of numbers) {
+    const block = await provider.getBlock(number);
+    if (!block || block.hash !== data.blockHashes[number]) return number;
+  }
+  return null;
+}
+
+/**
+ * Run one indexing pass up to the current head
+ * @param provider ethers provider
+ * @param sources [{ name, address, iface }] contracts to index
+ * @param store Store from openStore
+ * @returns { reorgFrom, fromBlock, toBlock, added }
+ */
+async function syncOnce(provider, sources, store, config) {
+  const { data } = store;
+  const network = await provider.getNetwork();
+  if (data.chainId === null) {
+    data.chainId = Number(network.chainId);
+  } else if (data.chainId !== Number(network.chainId)) {
+    throw new Error(`Store was built for chain ${data.chainId}, node is on ${network.chainId}`);
+  }
+
+  const reorgFrom = await findFork(provider, data);
+  if (reorgFrom !== null) {
+    rollback(data, reorgFrom);
+  }
+
+  const head = await provider.getBlockNumber();
+  const fromBlock = data.lastBlock + 1;
+  const byAddress = new Map(sources.map((source) => [source.address.toLowerCase(), source]));
+  const timestamps = new Map();
+  let added = 0;
+
+  for (let start = fromBlock; start <= head; start += config.chunkBlocks) {
+    const end = Math.min(start + config.chunkBlocks - 1, head);
+    const logs = await provider.getLogs({ address: [...byAddress.keys()], fromBlock: start, toBlock: end });
+
+    for (const log of logs) {
+      const source = byAddress.get(log.address.toLowerCase());
+      const parsed = source && source.iface.parseLog(log);
+      if (!parsed || config.skipEvents?.has(parsed.name)) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+      }
+      data.events.push({
+        contract: source.name,
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+        args: serializeArgs(parsed),
+      });
+      added++;
+    }
+
+    data.lastBlock = end;
+  }
+
+  // Remember recent hashes for the next reorg check
+  const keepFrom = Math.max(data.startBlock, head - config.reorgDepth + 1);
+  for (const number of Object.keys(data.blockHashes)) {
+    if (Number(number) < keepFrom) delete data.blockHashes[number];
+  }
+  for (let number = keepFrom; number <= head; number++) {
+    if (!data.blockHashes[number]) {
+      data.blockHashes[number] = (await provider.getBlock(number)).hash;
+    }
+  }
+
+  store.save();
+  return { reorgFrom, fromBlock, toBlock: head, added };
+}
+
+async function loadSources() {
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { existingContracts, upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+
+  const entries = [
+    ["Delta8Token", "Delta8GummiesToken", existingContracts.delta8Token],
+    ["PricingManager", "PricingManagerUpgradeable", upgradeable.pricingManager.proxy],
+    ["VIPMembership", "VIPMembershipUpgradeable", upgradeable.vipMembership.proxy],
+    ["BatchManager", "BatchManagerUpgradeable", upgradeable.batchManager.proxy],
+    ["Treasury", "TreasuryUpgradeable", upgradeable.treasury.proxy],
+  ];
+
+  const sources = [];
+  for (const [name, artifact, address] of entries) {
+    const { interface: iface } = await ethers.getContractFactory(artifact);
+    sources.push({ name, address, iface });
+  }
+  return sources;
+}
+
+async function main() {
+  console.log("\n🗂️  DELTA8 Event Indexer\n");
+
+  const config = loadConfig();
+  const sources = await loadSources();
+  const store = openStore(config.storeFile, config.startBlock);
+
+  console.log("Store:", config.storeFile);
+  for (const source of sources) {
+    console.log(`${source.name}:`, source.address);
+  }
+
+  for (;;) {
+    try {
+      const result = await syncOnce(ethers.provider, sources, store, config);
+      if (result.reorgFrom !== null) {
+        console.log(`⚠️  Reorg detected, re-indexed from block ${result.reorgFrom}`);
+      }
+      if (result.toBlock >= result.fromBlock) {
+        console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.added} events`);
+      }
+    } catch (error) {
+      console.error("❌ Pass failed:", error.shortMessage || error.message);
+    }
+
+    if (config.once) break;
+    await new Promise((resolve) => setTimeout(resolve, config.intervalSeconds * 1000));
+  }
+}
+
+module.exports = {
+  loadConfig,
+  openStore,
+  rollback,
+  syncOnce,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Indexer failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,250 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { queryInChunks, planGasChunks } = require("./exportUtils");
+
+/**
+ * Membership expiry keeper for VIPMembership
+ *
+ * Each pass:
+ * 1. Optionally backfills members who bought before the on-chain member list
+ *    existed (MembershipPurchased events -> syncMemberList)
+ * 2. Pages through getMembers and renews auto-renew subscriptions that are
+ *    due (isRenewalDue) with renewForMany
+ * 3. Finds members still counted as active but past expiry, and members for
+ *    which isExpiringSoon holds
+ * 4. Calls cleanupExpiredMemberships in chunks whose gas estimate fits KEEPER_MAX_GAS,
+ *    so activeMembers stops drifting upward
+ * 5. Writes a CSV report of members expiring soon (for renewal reminders)
+ *
+ * Renewals and cleanup are sent in chunks whose gas estimate fits KEEPER_MAX_GAS.
+ * Renewals that can't be paid (price above the member's cap, low balance or
+ * allowance) are logged from AutoRenewFailed events.
+ *
+ * Usage:
+ * KEEPER_ONCE=true npx hardhat run scripts/membershipKeeper.js --network polygon
+ *
+ * Environment:
+ * KEEPER_PAGE_SIZE          Members per getMembers call (default: 500)
+ * KEEPER_CHUNK_SIZE         Addresses per renewal or cleanup transaction (default: 200)
+ * KEEPER_MAX_GAS            Gas limit per transaction (default: 8000000)
+ * KEEPER_BACKFILL_FROM_BLOCK  Scan MembershipPurchased from this block to backfill the member list
+ * KEEPER_CHUNK_BLOCKS       Blocks per log query for the backfill (default: 5000)
+ * KEEPER_INTERVAL           Seconds between passes (default: 3600)
+ * KEEPER_ONCE               "true" to run a single pass and exit
+ * KEEPER_DRY_RUN            "true" to report without sending transactions
+ * KEEPER_REPORT             Expiring-soon CSV (default: deployments/members-expiring-soon.csv)
+ *
+ * Renewal and cleanup can be called by any account.
+ */
+
+function loadConfig(env = process.env) {
+  return {
+    pageSize: Number(env.KEEPER_PAGE_SIZE || "500"),
+    chunkSize: Number(env.KEEPER_CHUNK_SIZE || "200"),
+    maxGas: BigInt(env.KEEPER_MAX_GAS || "8000000"),
+    backfillFromBlock: env.KEEPER_BACKFILL_FROM_BLOCK ? Number(env.KEEPER_BACKFILL_FROM_BLOCK) : undefined,
+    chunkBlocks: Number(env.KEEPER_CHUNK_BLOCKS || "5000"),
+    intervalSeconds: Number(env.KEEPER_INTERVAL || "3600"),
+    once: env.KEEPER_ONCE === "true",
+    dryRun: env.KEEPER_DRY_RUN === "true",
+    reportFile: env.KEEPER_REPORT || path.join(__dirname, "..", "deployments", "members-expiring-soon.csv"),
+  };
+}
+
+/**
+ * Add members missing from the on-chain list, found from purchase events
+ * @returns Addresses added
+ */
+async function backfillMemberList(vipMembership, config) {
+  const listed = new Set((await listMembers(vipMembership, config.pageSize)).map((member) => member.address));
+  const toBlock = await ethers.provider.getBlockNumber();
+  const missing = new Set();
+
+  const filter = vipMembership.filters.MembershipPurchased();
+  for (const event of await queryInChunks(vipMembership, filter, config.backfillFromBlock, toBlock, config.chunkBlocks)) {
+    if (!listed.has(event.args.member)) missing.add(event.args.member);
+  }
+
+  const users = [...missing];
+  if (users.length > 0 && !config.dryRun) {
+    for (let i = 0; i < users.length; i += config.chunkSize) {
+      await (await vipMembership.syncMemberList(users.slice(i, i + config.chunkSize))).wait();
+    }
+  }
+  return users;
+}
+
+/**
+ * Read every member through the paginated view
+ * @returns [{ address, purchaseDate, expiryDate, renewalCount, active }]
+ */
+async function listMembers(vipMembership, pageSize) {
+  const members = [];
+  let cursor = 0n;
+  do {
+    const [addresses, details, nextCursor] = await vipMembership.getMembers(cursor, pageSize);
+    addresses.forEach((address, i) => {
+      members.push({
+        address,
+        purchaseDate: details[i].purchaseDate,
+        expiryDate: details[i].expiryDate,
+        renewalCount: details[i].renewalCount,
+        active: details[i].active,
+      });
+    });
+    cursor = nextCursor;
+  } while (cursor !== 0n);
+  return members;
+}
+
+/**
+ * Split members into those needing cleanup and those expiring soon
+ * @param now Current block timestamp
+ */
+async function classifyMembers(vipMembership, members, now) {
+  const expired = members.filter((member) => member.active && member.expiryDate <= BigInt(now));
+  const expiringSoon = [];
+  for (const member of members) {
+    if (member.expiryDate > BigInt(now) && (await vipMembership.isExpiringSoon(member.address))) {
+      expiringSoon.push(member);
+    }
+  }
+  return { expired, expiringSoon };
+}
+
+function toCsv(members, now) {
+  const lines = ["address,expiryDate,daysRemaining,renewalCount"];
+  for (const member of members) {
+    const expiry = Number(member.expiryDate);
+    const daysRemaining = Math.floor((expiry - now) / 86400);
+    lines.push(`${member.address},${new Date(expiry * 1000).toISOString()},${daysRemaining},${member.renewalCount}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Renew every due auto-renew subscription
+ * @returns { due, chunks, renewed, failed: [{ member, cost, reason }] }
+ */
+async function processRenewals(vipMembership, members, config) {
+  const due = [];
+  for (const member of members) {
+    if (await vipMembership.isRenewalDue(member.address)) due.push(member.address);
+  }
+
+  const chunks = await planGasChunks(
+    (chunk) => vipMembership.renewForMany.estimateGas(chunk),
+    due,
+    config.chunkSize,
+    config.maxGas
+  );
+
+  const renewed = [];
+  const failed = [];
+  if (!config.dryRun) {
+    for (const chunk of chunks) {
+      const tx = await vipMembership.renewForMany(chunk.items, { gasLimit: config.maxGas });
+      const receipt = await tx.wait();
+      for (const log of receipt.logs) {
+        const event = vipMembership.interface.parseLog(log);
+        if (event?.name === "AutoRenewed") renewed.push(event.args.member);
+        if (event?.name === "AutoRenewFailed") {
+          failed.push({ member: event.args.member, cost: event.args.cost, reason: event.args.reason });
+        }
+      }
+    }
+  }
+
+  return { due, chunks, renewed, failed };
+}
+
+/**
+ * Run a single keeper pass
+ * @returns {Promise<object>} Summary of what happened
+ */
+async function runKeeperPass(vipMembership, config) {
+  const backfilled =
+    config.backfillFromBlock !== undefined ? await backfillMemberList(vipMembership, config) : [];
+
+  const renewals = await processRenewals(vipMembership, await listMembers(vipMembership, config.pageSize), config);
+
+  const now = (await ethers.provider.getBlock("latest")).timestamp;
+  const members = await listMembers(vipMembership, config.pageSize);
+  const { expired, expiringSoon } = await classifyMembers(vipMembership, members, now);
+
+  const chunks = await planGasChunks(
+    (chunk) => vipMembership.cleanupExpiredMemberships.estimateGas(chunk),
+    expired.map((member) => member.address),
+    config.chunkSize,
+    config.maxGas
+  );
+  const txs = [];
+  if (!config.dryRun) {
+    for (const chunk of chunks) {
+      const tx = await vipMembership.cleanupExpiredMemberships(chunk.items, { gasLimit: config.maxGas });
+      txs.push((await tx.wait()).hash);
+    }
+  }
+
+  fs.mkdirSync(path.dirname(config.reportFile), { recursive: true });
+  fs.writeFileSync(config.reportFile, toCsv(expiringSoon, now));
+
+  return { members: members.length, backfilled, renewals, expired, expiringSoon, chunks, txs };
+}
+
+async function main() {
+  console.log("\n⏱️  DELTA8 Membership Keeper\n");
+
+  const config = loadConfig();
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+  const vipMembership = await ethers.getContractAt("VIPMembershipUpgradeable", upgradeable.vipMembership.proxy);
+  const [keeper] = await ethers.getSigners();
+
+  console.log("Keeper account:", keeper.address);
+  console.log("VIPMembership:", await vipMembership.getAddress());
+  console.log("Mode:", config.dryRun ? "dry run" : "live");
+
+  for (;;) {
+    try {
+      const result = await runKeeperPass(vipMembership, config);
+      for (const failure of result.renewals.failed) {
+        console.log(`⚠️  Auto-renew failed for ${failure.member}: ${failure.reason}`);
+      }
+      console.log(
+        `[${new Date().toISOString()}] ${result.members} members, ${result.backfilled.length} backfilled, ` +
+          `${result.renewals.renewed.length}/${result.renewals.due.length} due subscriptions renewed, ` +
+          `${result.expired.length} expired in ${result.chunks.length} cleanup chunks, ` +
+          `${result.expiringSoon.length} expiring soon -> ${config.reportFile}`
+      );
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] Pass failed:`, error.shortMessage || error.message);
+    }
+
+    if (config.once) break;
+    await new Promise((resolve) => setTimeout(resolve, config.intervalSeconds * 1000));
+  }
+}
+
+module.exports = {
+  loadConfig,
+  backfillMemberList,
+  listMembers,
+  classifyMembers,
+  processRenewals,
+  toCsv,
+  runKeeperPass,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Keeper failed:", error);
+      process.exit(1);
+    });
+}
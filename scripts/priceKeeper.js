@@ -0,0 +1,347 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+const { planGasChunks } = require("./exportUtils");
+
+/**
+ * Price keeper for the DELTA8 PricingManager
+ *
+ * Each pass:
+ * 1. Reads the token price from a pluggable source (JSON file, HTTP endpoint, DEX pool)
+ * 2. Skips if the change vs. the on-chain price is below the deviation threshold
+ * 3. Calls PricingManager.updateTokenPrice (clamped to maxPriceChangeBPS if set)
+ * 4. Re-rates all active batches via BatchManager.recalculateBatchRates in gas-bounded chunks
+ * 5. Appends every action to a local JSON-lines journal
+ *
+ * Usage:
+ * PRICE_SOURCE=json PRICE_FILE=price.json npx hardhat run scripts/priceKeeper.js --network polygon
+ *
+ * Environment:
+ * PRICE_SOURCE          json | http | dex | path to a custom module (default: json)
+ * PRICE_FILE            JSON file for the json source, e.g. {"price": "0.52"}
+ * PRICE_URL             URL for the http source returning the same JSON shape
+ * PRICE_JSON_KEY        Key holding the USD price (default: price)
+ * DEX_PAIR              Uniswap V2-style DELTA8/stablecoin pair for the dex source
+ * DELTA8_TOKEN          DELTA8 token address (dex source)
+ * KEEPER_DEVIATION_BPS  Minimum change before updating, in basis points (default: 100)
+ * KEEPER_INTERVAL       Seconds between passes (default: 300)
+ * KEEPER_ONCE           "true" to run a single pass and exit
+ * KEEPER_DRY_RUN        "true" to print old/new rates per batch without sending transactions
+ *                       (projections use the new spot price even if TWAP rates are enabled)
+ * KEEPER_CHUNK_SIZE     Batch IDs per recalculateBatchRates call (default: 50)
+ * KEEPER_MAX_GAS        Gas limit per re-rate transaction (default: 8000000)
+ * KEEPER_JOURNAL        Journal file (default: deployments/keeper-journal.jsonl)
+ *
+ * The keeper account must be the PricingManager owner or priceOracle,
+ * and the BatchManager owner.
+ */
+
+const BPS = 10000n;
+const USD_DECIMALS = 6;
+
+function loadConfig(env = process.env) {
+  return {
+    source: env.PRICE_SOURCE || "json",
+    priceFile: env.PRICE_FILE || "price.json",
+    priceUrl: env.PRICE_URL,
+    priceKey: env.PRICE_JSON_KEY || "price",
+    dexPair: env.DEX_PAIR,
+    delta8Token: env.DELTA8_TOKEN,
+    deviationBps: BigInt(env.KEEPER_DEVIATION_BPS || "100"),
+    intervalSeconds: Number(env.KEEPER_INTERVAL || "300"),
+    once: env.KEEPER_ONCE === "true",
+    dryRun: env.KEEPER_DRY_RUN === "true",
+    chunkSize: Number(env.KEEPER_CHUNK_SIZE || "50"),
+    maxGas: BigInt(env.KEEPER_MAX_GAS || "8000000"),
+    journalFile: env.KEEPER_JOURNAL || path.join(__dirname, "..", "deployments", "keeper-journal.jsonl"),
+  };
+}
+
+/**
+ * Convert a USD price (number or string) to 6-decimal units
+ */
+function toPriceUnits(value) {
+  if (value === undefined || value === null) {
+    throw new Error("Price source returned no price");
+  }
+  return ethers.parseUnits(String(value), USD_DECIMALS);
+}
+
+function fetchJson(url) {
+  const client = url.startsWith("https") ? https : http;
+  return new Promise((resolve, reject) => {
+    client
+      .get(url, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => {
+          if (res.statusCode !== 200) {
+            reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(body));
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url}`));
+          }
+        });
+      })
+      .on("error", reject);
+  });
+}
+
+// Built-in price sources; each resolves to a price in 6-decimal units
+const priceSources = {
+  json: async (config) => {
+    const data = JSON.parse(fs.readFileSync(config.priceFile, "utf8"));
+    return toPriceUnits(data[config.priceKey]);
+  },
+
+  http: async (config) => {
+    if (!config.priceUrl) throw new Error("PRICE_URL not set");
+    const data = await fetchJson(config.priceUrl);
+    return toPriceUnits(data[config.priceKey]);
+  },
+
+  dex: async (config) => {
+    if (!config.dexPair || !config.delta8Token) {
+      throw new Error("DEX_PAIR and DELTA8_TOKEN must be set");
+    }
+    const pair = await ethers.getContractAt(
+      [
+        "function token0() view returns (address)",
+        "function token1() view returns (address)",
+        "function getReserves() view returns (uint112, uint112, uint32)",
+      ],
+      config.dexPair
+    );
+    const erc20 = ["function decimals() view returns (uint8)"];
+
+    const [token0, token1, [reserve0, reserve1]] = await Promise.all([
+      pair.token0(),
+      pair.token1(),
+      pair.getReserves(),
+    ]);
+    const delta8IsToken0 = token0.toLowerCase() === config.delta8Token.toLowerCase();
+    const quoteToken = delta8IsToken0 ? token1 : token0;
+    const [delta8Reserve, quoteReserve] = delta8IsToken0 ? [reserve0, reserve1] : [reserve1, reserve0];
+    if (delta8Reserve === 0n) throw new Error("Empty DEX pool");
+
+    const delta8Decimals = await (await ethers.getContractAt(erc20, config.delta8Token)).decimals();
+    const quoteDecimals = await (await ethers.getContractAt(erc20, quoteToken)).decimals();
+
+    // price (6 decimals) = quoteReserve / delta8Reserve, adjusted for token decimals
+    return (
+      (quoteReserve * 10n ** BigInt(USD_DECIMALS) * 10n ** BigInt(delta8Decimals)) /
+      (delta8Reserve * 10n ** BigInt(quoteDecimals))
+    );
+  },
+};
+
+async function readPrice(config) {
+  const source = priceSources[config.source];
+  if (source) return source(config);
+
+  // Custom source: module exporting async (config) => price in 6-decimal units
+  const custom = require(path.resolve(config.source));
+  return BigInt(await custom(config));
+}
+
+function createJournal(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return (action, details = {}) => {
+    const entry = { time: new Date().toISOString(), action, ...details };
+    fs.appendFileSync(
+      file,
+      JSON.stringify(entry, (key, value) => (typeof value === "bigint" ? value.toString() : value)) + "\n"
+    );
+    console.log(`[${entry.time}] ${action}`, details);
+  };
+}
+
+function changeBps(oldPrice, newPrice) {
+  const diff = newPrice > oldPrice ? newPrice - oldPrice : oldPrice - newPrice;
+  return (diff * BPS) / oldPrice;
+}
+
+/**
+ * Clamp a target price to PricingManager's per-update limit
+ */
+function clampPrice(oldPrice, targetPrice, maxChangeBps) {
+  if (maxChangeBps === 0n) return targetPrice;
+  const maxStep = (oldPrice * maxChangeBps) / BPS;
+  if (targetPrice > oldPrice + maxStep) return oldPrice + maxStep;
+  if (targetPrice + maxStep < oldPrice) return oldPrice - maxStep;
+  return targetPrice;
+}
+
+/**
+ * List active batches with their current and projected rates at a new price
+ * Mirrors PricingManager.calculateRedemptionRate*: cost * (1 + margin) / price
+ */
+async function projectBatchRates(pricingManager, batchManager, newPrice) {
+  const batchCount = await batchManager.batchCount();
+  const rows = [];
+
+  for (let id = 1n; id <= batchCount; id++) {
+    const batch = await batchManager.getBatch(id);
+    if (!batch.isActive) continue;
+
+    let marginBPS = batch.marginBPS;
+    if (marginBPS === 0n) {
+      [, marginBPS] = await pricingManager.getProductInfo(batch.productId);
+    }
+    const finalPriceUSD = (batch.manufacturingCost * (BPS + marginBPS)) / BPS;
+    const newRate = (finalPriceUSD * 10n ** 18n) / newPrice;
+    const newVipRate = await pricingManager.calculateVIPDiscount(newRate);
+
+    rows.push({
+      batchId: id,
+      batchCode: batch.batchCode,
+      oldRate: batch.redemptionRate,
+      newRate,
+      oldVipRate: batch.vipRedemptionRate,
+      newVipRate,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Split the active batch ID span into chunks whose recalculation fits in maxGas
+ */
+async function planRerateChunks(batchManager, activeIds, chunkSize, maxGas) {
+  if (activeIds.length === 0) return [];
+
+  const span = [];
+  for (let id = activeIds[0]; id <= activeIds[activeIds.length - 1]; id++) span.push(id);
+
+  const chunks = await planGasChunks(
+    (ids) => batchManager.recalculateBatchRates.estimateGas(ids[0], ids[ids.length - 1]),
+    span,
+    chunkSize,
+    maxGas
+  );
+  return chunks.map(({ items, gas }) => ({ start: items[0], end: items[items.length - 1], gas }));
+}
+
+/**
+ * Run a single keeper pass
+ * @returns {Promise<object>} Summary of what happened
+ */
+async function runKeeperPass({ pricingManager, batchManager }, config, journal) {
+  const targetPrice = await readPrice(config);
+  const oldPrice = await pricingManager.currentTokenPrice();
+  const deviation = changeBps(oldPrice, targetPrice);
+
+  if (deviation < config.deviationBps) {
+    journal("skip", { oldPrice, targetPrice, deviationBps: deviation });
+    return { updated: false, oldPrice, newPrice: oldPrice };
+  }
+
+  const maxChangeBps = await pricingManager.maxPriceChangeBPS();
+  const newPrice = clampPrice(oldPrice, targetPrice, maxChangeBps);
+  if (newPrice !== targetPrice) {
+    journal("clamp", { targetPrice, newPrice, maxChangeBps });
+  }
+
+  if (config.dryRun) {
+    const rows = await projectBatchRates(pricingManager, batchManager, newPrice);
+    console.log(`\nDry run: price ${ethers.formatUnits(oldPrice, 6)} -> ${ethers.formatUnits(newPrice, 6)} USD`);
+    for (const row of rows) {
+      console.log(
+        `  Batch ${row.batchId} (${row.batchCode}): ` +
+          `${ethers.formatEther(row.oldRate)} -> ${ethers.formatEther(row.newRate)} DELTA8, ` +
+          `VIP ${ethers.formatEther(row.oldVipRate)} -> ${ethers.formatEther(row.newVipRate)}`
+      );
+    }
+    journal("dry-run", { oldPrice, newPrice, batches: rows.length });
+    return { updated: false, dryRun: true, oldPrice, newPrice, rows };
+  }
+
+  const priceTx = await pricingManager.updateTokenPrice(newPrice);
+  const priceReceipt = await priceTx.wait();
+  journal("price-updated", { oldPrice, newPrice, tx: priceReceipt.hash, gasUsed: priceReceipt.gasUsed });
+
+  const batchCount = await batchManager.batchCount();
+  const activeIds = [];
+  for (let id = 1n; id <= batchCount; id++) {
+    if ((await batchManager.getBatch(id)).isActive) activeIds.push(id);
+  }
+
+  const chunks = await planRerateChunks(batchManager, activeIds, config.chunkSize, config.maxGas);
+  for (const chunk of chunks) {
+    const tx = await batchManager.recalculateBatchRates(chunk.start, chunk.end, { gasLimit: config.maxGas });
+    const receipt = await tx.wait();
+    journal("batches-rerated", {
+      startBatch: chunk.start,
+      endBatch: chunk.end,
+      tx: receipt.hash,
+      gasUsed: receipt.gasUsed,
+    });
+  }
+
+  return { updated: true, oldPrice, newPrice, chunks };
+}
+
+async function loadContracts() {
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+
+  return {
+    pricingManager: await ethers.getContractAt("PricingManagerUpgradeable", upgradeable.pricingManager.proxy),
+    batchManager: await ethers.getContractAt("BatchManagerUpgradeable", upgradeable.batchManager.proxy),
+  };
+}
+
+async function main() {
+  console.log("\n⏱️  DELTA8 Price Keeper\n");
+
+  const config = loadConfig();
+  const [keeper] = await ethers.getSigners();
+  const contracts = await loadContracts();
+  const journal = createJournal(config.journalFile);
+
+  console.log("Keeper account:", keeper.address);
+  console.log("Price source:", config.source);
+  console.log("Deviation threshold:", config.deviationBps.toString(), "BPS");
+  console.log("Mode:", config.dryRun ? "dry run" : "live");
+  console.log("Journal:", config.journalFile);
+
+  for (;;) {
+    try {
+      await runKeeperPass(contracts, config, journal);
+    } catch (error) {
+      journal("error", { message: error.shortMessage || error.message });
+    }
+
+    if (config.once) break;
+    await new Promise((resolve) => setTimeout(resolve, config.intervalSeconds * 1000));
+  }
+}
+
+module.exports = {
+  loadConfig,
+  priceSources,
+  readPrice,
+  createJournal,
+  clampPrice,
+  projectBatchRates,
+  planRerateChunks,
+  runKeeperPass,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Keeper failed:", error);
+      process.exit(1);
+    });
+}
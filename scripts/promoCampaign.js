@@ -0,0 +1,238 @@
+const { ethers } = require("ethers");
+const fs = require("fs");
+
+/**
+ * Promotion campaign Merkle tree CLI
+ *
+ * Builds the claim tree for PromotionCampaigns from a CSV of recipients,
+ * prints per-address proofs and checks a claim locally (same leaf encoding
+ * and sorted-pair hashing as the contract, no RPC access).
+ *
+ * CSV columns (header required): address,tokens,membershipDays
+ * tokens are whole DELTA8 (decimals allowed, e.g. 12.5); membershipDays is an integer.
+ *
+ * Usage:
+ * node scripts/promoCampaign.js build recipients.csv [campaign.json]
+ * node scripts/promoCampaign.js proof campaign.json 0xRecipient
+ * node scripts/promoCampaign.js verify campaign.json 0xRecipient [tokens membershipDays]
+ *
+ * build writes the root, totals and every claim with its proof (default:
+ * campaign.json next to the CSV). Publish with
+ * createCampaign(merkleRoot, deadline, totalTokens) and serve the claims
+ * to recipients for claim(campaignId, account, tokens, membershipDays, proof).
+ */
+
+const TOKEN_DECIMALS = 18;
+const CSV_COLUMNS = ["address", "tokens", "membershipDays"];
+
+/**
+ * Parse recipients from CSV text
+ * @returns [{ address, tokens, membershipDays }] with bigint amounts
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+  const header = (lines.shift() || "").split(",").map((column) => column.trim());
+  const index = CSV_COLUMNS.map((column) => header.indexOf(column));
+  if (index.includes(-1)) {
+    throw new Error(`CSV header must include ${CSV_COLUMNS.join(",")}`);
+  }
+
+  const seen = new Set();
+  return lines.map((line, i) => {
+    const fields = line.split(",").map((field) => field.trim());
+    const row = i + 2;
+    if (!ethers.isAddress(fields[index[0]])) {
+      throw new Error(`Row ${row}: invalid address ${fields[index[0]]}`);
+    }
+    const address = ethers.getAddress(fields[index[0]]);
+    if (seen.has(address)) {
+      throw new Error(`Row ${row}: duplicate address ${address}`);
+    }
+    seen.add(address);
+
+    if (!/^\d+(\.\d+)?$/.test(fields[index[1]] || "") || !/^\d+$/.test(fields[index[2]] || "")) {
+      throw new Error(`Row ${row}: tokens and membershipDays must be non-negative numbers`);
+    }
+    const tokens = ethers.parseUnits(fields[index[1]], TOKEN_DECIMALS);
+    const membershipDays = BigInt(fields[index[2]]);
+    if (tokens === 0n && membershipDays === 0n) {
+      throw new Error(`Row ${row}: nothing to claim for ${address}`);
+    }
+    return { address, tokens, membershipDays };
+  });
+}
+
+/**
+ * Leaf hash, matching PromotionCampaigns._leaf
+ */
+function leafHash(address, tokens, membershipDays) {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint256", "uint256"],
+    [address, tokens, membershipDays]
+  );
+  return ethers.keccak256(ethers.keccak256(encoded));
+}
+
+// Sorted-pair hash, matching OpenZeppelin MerkleProof
+function hashPair(a, b) {
+  return BigInt(a) < BigInt(b) ? ethers.keccak256(ethers.concat([a, b])) : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build the tree layers from leaf hashes (an odd node is carried up unchanged)
+ * @returns [[leaves], ..., [root]]
+ */
+function buildLayers(leaves) {
+  if (leaves.length === 0) {
+    throw new Error("No recipients");
+  }
+  const layers = [[...leaves].sort((a, b) => (BigInt(a) < BigInt(b) ? -1 : 1))];
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < layer.length; i += 2) {
+      next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    layers.push(next);
+  }
+  return layers;
+}
+
+function getProof(layers, leaf) {
+  let position = layers[0].indexOf(leaf);
+  if (position === -1) {
+    throw new Error("Leaf not in tree");
+  }
+  const proof = [];
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+    if (sibling < layer.length) proof.push(layer[sibling]);
+    position = Math.floor(position / 2);
+  }
+  return proof;
+}
+
+function processProof(leaf, proof) {
+  return proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf);
+}
+
+/**
+ * Build the campaign file contents from parsed recipients
+ * @returns { merkleRoot, totalTokens, totalMembershipDays, recipients, claims: { [address]: claim } }
+ */
+function buildCampaign(recipients) {
+  const leaves = recipients.map((r) => leafHash(r.address, r.tokens, r.membershipDays));
+  const layers = buildLayers(leaves);
+
+  const claims = {};
+  recipients.forEach((r, i) => {
+    claims[r.address] = {
+      tokens: r.tokens.toString(),
+      membershipDays: r.membershipDays.toString(),
+      proof: getProof(layers, leaves[i]),
+    };
+  });
+
+  return {
+    merkleRoot: layers[layers.length - 1][0],
+    totalTokens: recipients.reduce((sum, r) => sum + r.tokens, 0n).toString(),
+    totalMembershipDays: recipients.reduce((sum, r) => sum + r.membershipDays, 0n).toString(),
+    recipients: recipients.length,
+    claims,
+  };
+}
+
+/**
+ * Check a claim against a campaign file
+ * @param campaign Output of buildCampaign
+ * @param address Recipient
+ * @param expected Optional { tokens, membershipDays } the recipient expects (wei and days)
+ * @returns { valid, reason, claim }
+ */
+function verifyClaim(campaign, address, expected) {
+  if (!ethers.isAddress(address)) {
+    return { valid: false, reason: "Invalid address", claim: null };
+  }
+  const claim = campaign.claims[ethers.getAddress(address)];
+  if (!claim) {
+    return { valid: false, reason: "Address not in campaign", claim: null };
+  }
+  if (
+    expected &&
+    (BigInt(expected.tokens) !== BigInt(claim.tokens) || BigInt(expected.membershipDays) !== BigInt(claim.membershipDays))
+  ) {
+    return { valid: false, reason: "Amounts do not match the campaign", claim };
+  }
+
+  const leaf = leafHash(ethers.getAddress(address), claim.tokens, claim.membershipDays);
+  if (processProof(leaf, claim.proof) !== campaign.merkleRoot) {
+    return { valid: false, reason: "Proof does not match the merkle root", claim };
+  }
+  return { valid: true, reason: null, claim };
+}
+
+function readCampaign(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function main(argv = process.argv.slice(2)) {
+  const [command, ...args] = argv;
+
+  if (command === "build" && args[0]) {
+    const campaign = buildCampaign(parseCsv(fs.readFileSync(args[0], "utf8")));
+    const output = args[1] || args[0].replace(/\.csv$/i, "") + ".json";
+    fs.writeFileSync(output, JSON.stringify(campaign, null, 2) + "\n");
+
+    console.log("Merkle root:", campaign.merkleRoot);
+    console.log("Recipients:", campaign.recipients);
+    console.log("Total tokens:", ethers.formatUnits(campaign.totalTokens, TOKEN_DECIMALS), "DELTA8", `(${campaign.totalTokens} wei)`);
+    console.log("Total membership days:", campaign.totalMembershipDays);
+    console.log(`✅ Campaign written to ${output}`);
+    return;
+  }
+
+  if (command === "proof" && args[1]) {
+    const result = verifyClaim(readCampaign(args[0]), args[1]);
+    if (!result.claim) throw new Error(result.reason);
+    console.log(JSON.stringify({ account: ethers.getAddress(args[1]), ...result.claim }, null, 2));
+    return;
+  }
+
+  if (command === "verify" && args[1]) {
+    const expected =
+      args[3] !== undefined
+        ? { tokens: ethers.parseUnits(args[2], TOKEN_DECIMALS), membershipDays: BigInt(args[3]) }
+        : undefined;
+    const result = verifyClaim(readCampaign(args[0]), args[1], expected);
+    console.log(result.valid ? "✅ Valid claim" : `❌ Invalid: ${result.reason}`);
+    if (result.claim) {
+      console.log(`${ethers.formatUnits(result.claim.tokens, TOKEN_DECIMALS)} DELTA8, ${result.claim.membershipDays} membership days`);
+    }
+    if (!result.valid) process.exit(1);
+    return;
+  }
+
+  throw new Error(
+    "Usage: node scripts/promoCampaign.js build <recipients.csv> [campaign.json] | " +
+      "proof <campaign.json> <address> | verify <campaign.json> <address> [tokens membershipDays]"
+  );
+}
+
+module.exports = {
+  parseCsv,
+  leafHash,
+  buildLayers,
+  getProof,
+  processProof,
+  buildCampaign,
+  verifyClaim,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
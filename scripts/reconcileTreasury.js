@@ -0,0 +1,489 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { queryInChunks, toCsv: renderCsv } = require("./exportUtils");
+
+/**
+ * Treasury reconciliation and accounting export
+ *
+ * Rebuilds the Treasury's books from chain history and compares them with
+ * its own counters and real token balances:
+ * 1. getRevenue / getExpenses counters vs FundsReceived / FundsWithdrawn history
+ * 2. Per-token buckets (tokenRevenue / tokenExpenses / revenueByToken) vs the same history
+ * 3. Token balances vs recorded inflows minus outflows
+ * 4. Every ERC-20 transfer in or out of the treasury vs what was recorded
+ *    in the same transaction (direct deposits, unrecorded withdrawals,
+ *    payments recorded without tokens arriving)
+ * 5. getAllocations (+ locked vesting and referral budget) vs balances
+ *
+ * Each difference is printed, and a period ledger (recorded and unrecorded
+ * movements) is written as CSV for accounting.
+ *
+ * Usage:
+ * RECONCILE_PERIOD_START=2026-09-01 RECONCILE_PERIOD_END=2026-10-01 \
+ *   npx hardhat run scripts/reconcileTreasury.js --network polygon
+ *
+ * Environment:
+ * RECONCILE_FROM_BLOCK          Treasury deployment block (default: 0)
+ * RECONCILE_TO_BLOCK            Last block (default: latest)
+ * RECONCILE_CHUNK_BLOCKS        Blocks per log query (default: 5000)
+ * RECONCILE_BUCKET_START_BLOCK  Block of the upgrade that added per-token buckets
+ *                               (default: RECONCILE_FROM_BLOCK); before it, DELTA8 product
+ *                               orders were also added to the legacy productRevenue counter
+ * RECONCILE_PERIOD_START        Ledger start date, ISO, inclusive (default: 30 days ago)
+ * RECONCILE_PERIOD_END          Ledger end date, ISO, exclusive (default: now)
+ * RECONCILE_OUTPUT              Ledger CSV (default: deployments/treasury-ledger-<start>-<end>.csv)
+ */
+
+const DAY = 24 * 60 * 60;
+const ERC20_ABI = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+// FundsWithdrawn purposes with fixed names; other DELTA8 spends are marketing, other USDC spends operations
+const FIXED_PURPOSES = ["Staking Rewards", "DEX Liquidity", "Team Payment", "Team Vesting", "Emergency Withdrawal"];
+
+// FundsReceived categories per revenue type (revenueByToken)
+const REVENUE_CATEGORIES = {
+  membershipRevenue: ["VIP Membership"],
+  tokenSaleRevenue: ["Token Sale"],
+  productRevenue: ["Product Redemption", "Product Order", "Product Sales"],
+};
+
+const LEDGER_COLUMNS = [
+  "date",
+  "blockNumber",
+  "txHash",
+  "token",
+  "tokenAddress",
+  "direction",
+  "category",
+  "counterparty",
+  "amount",
+  "rawAmount",
+  "recorded",
+];
+
+function parseDate(value) {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return Math.floor(time / 1000);
+}
+
+function loadConfig(env = process.env, now = Math.floor(Date.now() / 1000)) {
+  const fromBlock = Number(env.RECONCILE_FROM_BLOCK || "0");
+  return {
+    fromBlock,
+    toBlock: env.RECONCILE_TO_BLOCK ? Number(env.RECONCILE_TO_BLOCK) : undefined,
+    chunkBlocks: Number(env.RECONCILE_CHUNK_BLOCKS || "5000"),
+    bucketStartBlock: Number(env.RECONCILE_BUCKET_START_BLOCK || fromBlock),
+    periodStart: env.RECONCILE_PERIOD_START ? parseDate(env.RECONCILE_PERIOD_START) : now - 30 * DAY,
+    periodEnd: env.RECONCILE_PERIOD_END ? parseDate(env.RECONCILE_PERIOD_END) : now,
+    output: env.RECONCILE_OUTPUT,
+  };
+}
+
+function sum(items) {
+  return items.reduce((total, item) => total + item.amount, 0n);
+}
+
+function sameToken(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Read Treasury counters, buckets and balances
+ * @param tokens [{ address, symbol, decimals, contract }]
+ */
+async function readState(treasury, tokens) {
+  const [revenue, expenses, allocations] = await Promise.all([
+    treasury.getRevenue(),
+    treasury.getExpenses(),
+    treasury.getAllocations(),
+  ]);
+  const treasuryAddress = await treasury.getAddress();
+
+  const balances = {};
+  const buckets = {};
+  for (const token of tokens) {
+    balances[token.address] = await token.contract.balanceOf(treasuryAddress);
+    const byType = await treasury.revenueByToken(token.address);
+    buckets[token.address] = {
+      revenue: await treasury.tokenRevenue(token.address),
+      expenses: await treasury.tokenExpenses(token.address),
+      membershipRevenue: byType.membershipRevenue,
+      tokenSaleRevenue: byType.tokenSaleRevenue,
+      productRevenue: byType.productRevenue,
+    };
+  }
+
+  return {
+    revenue: {
+      membershipRevenue: revenue.membershipRevenue,
+      tokenSaleRevenue: revenue.tokenSaleRevenue,
+      productRevenue: revenue.productRevenue,
+    },
+    expenses: {
+      rewardsPaid: expenses.rewardsPaid,
+      marketingSpent: expenses.marketingSpent,
+      liquidityAdded: expenses.liquidityAdded,
+      teamPayments: expenses.teamPayments,
+      operationsSpent: expenses.operationsSpent,
+    },
+    allocations: {
+      stakingRewards: allocations.stakingRewards,
+      marketing: allocations.marketing,
+      liquidity: allocations.liquidity,
+      team: allocations.team,
+      operations: allocations.operations,
+    },
+    totalVestingLocked: await treasury.totalVestingLocked(),
+    referralBudget: await treasury.referralBudget(),
+    balances,
+    buckets,
+  };
+}
+
+/**
+ * Collect recorded movements and raw token transfers
+ * @returns { receipts, withdrawals, transfers } sorted in chain order
+ */
+async function collectHistory(treasury, tokens, config) {
+  const provider = treasury.runner.provider;
+  const toBlock = config.toBlock ?? (await provider.getBlockNumber());
+  const treasuryAddress = await treasury.getAddress();
+  const timestamps = new Map();
+  const range = [config.fromBlock, toBlock, config.chunkBlocks];
+
+  const timestampOf = async (blockNumber) => {
+    if (!timestamps.has(blockNumber)) {
+      timestamps.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+    }
+    return timestamps.get(blockNumber);
+  };
+  const base = async (event) => ({
+    blockNumber: event.blockNumber,
+    txHash: event.transactionHash,
+    logIndex: event.index,
+    timestamp: await timestampOf(event.blockNumber),
+  });
+
+  const receipts = [];
+  for (const event of await queryInChunks(treasury, treasury.filters.FundsReceived(), ...range)) {
+    receipts.push({
+      ...(await base(event)),
+      token: event.args.token,
+      counterparty: event.args.from,
+      amount: event.args.amount,
+      category: event.args.category,
+    });
+  }
+
+  // Orders recorded before "Product Order" receipts were emitted only have ProductPurchased
+  const orderTxs = new Set(receipts.filter((r) => r.category === "Product Order").map((r) => r.txHash));
+  const delta8 = await treasury.delta8Token();
+  for (const event of await queryInChunks(treasury, treasury.filters.ProductPurchased(), ...range)) {
+    if (orderTxs.has(event.transactionHash)) continue;
+    receipts.push({
+      ...(await base(event)),
+      token: delta8,
+      counterparty: event.args.buyer,
+      amount: event.args.tokenAmount,
+      category: "Product Order",
+    });
+  }
+
+  const withdrawals = [];
+  for (const event of await queryInChunks(treasury, treasury.filters.FundsWithdrawn(), ...range)) {
+    withdrawals.push({
+      ...(await base(event)),
+      token: event.args.token,
+      counterparty: event.args.to,
+      amount: event.args.amount,
+      category: event.args.purpose,
+    });
+  }
+
+  const transfers = [];
+  for (const token of tokens) {
+    const incoming = await queryInChunks(token.contract, token.contract.filters.Transfer(null, treasuryAddress), ...range);
+    const outgoing = await queryInChunks(token.contract, token.contract.filters.Transfer(treasuryAddress, null), ...range);
+    for (const event of incoming) {
+      transfers.push({ ...(await base(event)), token: token.address, direction: "in", counterparty: event.args.from, amount: event.args.value });
+    }
+    for (const event of outgoing) {
+      transfers.push({ ...(await base(event)), token: token.address, direction: "out", counterparty: event.args.to, amount: event.args.value });
+    }
+  }
+
+  const byOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+  return {
+    receipts: receipts.sort(byOrder),
+    withdrawals: withdrawals.sort(byOrder),
+    transfers: transfers.sort(byOrder),
+  };
+}
+
+/**
+ * Transfers that don't match what was recorded in the same transaction
+ * @returns [{ txHash, token, direction, transferred, recorded, difference, ... }]
+ */
+function unmatchedTransfers(history) {
+  const groups = new Map();
+  const add = (item, direction, field) => {
+    const key = `${item.txHash}|${item.token.toLowerCase()}|${direction}`;
+    const group = groups.get(key) || {
+      txHash: item.txHash,
+      token: item.token,
+      direction,
+      blockNumber: item.blockNumber,
+      timestamp: item.timestamp,
+      counterparty: item.counterparty,
+      transferred: 0n,
+      recorded: 0n,
+    };
+    group[field] += item.amount;
+    groups.set(key, group);
+  };
+
+  history.transfers.forEach((t) => add(t, t.direction, "transferred"));
+  history.receipts.forEach((r) => add(r, "in", "recorded"));
+  history.withdrawals.forEach((w) => add(w, "out", "recorded"));
+
+  return [...groups.values()]
+    .filter((group) => group.transferred !== group.recorded)
+    .map((group) => ({ ...group, difference: group.transferred - group.recorded }));
+}
+
+/**
+ * Compare state with history
+ * @returns Issues [{ severity, check, token, expected, actual, difference, detail }]
+ */
+function reconcile(state, history, tokens, config) {
+  const issues = [];
+  const delta8 = tokens[0].address;
+  const usdc = tokens[1].address;
+  const symbolOf = (address) => tokens.find((t) => sameToken(t.address, address))?.symbol || address;
+
+  const compare = (check, token, expected, actual, detail, severity = "error") => {
+    if (expected !== actual) {
+      issues.push({ severity, check, token: symbolOf(token), expected, actual, difference: actual - expected, detail });
+    }
+  };
+  const received = (token, categories) =>
+    sum(history.receipts.filter((r) => sameToken(r.token, token) && (!categories || categories.includes(r.category))));
+  const withdrawn = (token, purposes, exclude = false) =>
+    sum(history.withdrawals.filter((w) => sameToken(w.token, token) && (!purposes || purposes.includes(w.category) !== exclude)));
+
+  // 1. Legacy counters vs history (each counter only takes its own token)
+  compare("revenue.membershipRevenue", delta8, received(delta8, ["VIP Membership"]), state.revenue.membershipRevenue, "FundsReceived \"VIP Membership\"");
+  compare("revenue.tokenSaleRevenue", usdc, received(usdc, ["Token Sale"]), state.revenue.tokenSaleRevenue, "FundsReceived \"Token Sale\" in USDC");
+  const legacyDelta8Products = sum(
+    history.receipts.filter(
+      (r) => sameToken(r.token, delta8) && REVENUE_CATEGORIES.productRevenue.includes(r.category) && r.blockNumber < config.bucketStartBlock
+    )
+  );
+  compare(
+    "revenue.productRevenue",
+    usdc,
+    received(usdc, ["Product Sales"]) + legacyDelta8Products,
+    state.revenue.productRevenue,
+    "FundsReceived \"Product Sales\" in USDC (plus DELTA8 orders before the bucket upgrade)"
+  );
+
+  compare("expenses.rewardsPaid", usdc, withdrawn(usdc, ["Staking Rewards"]), state.expenses.rewardsPaid, "FundsWithdrawn \"Staking Rewards\"");
+  compare("expenses.liquidityAdded", delta8, withdrawn(delta8, ["DEX Liquidity"]), state.expenses.liquidityAdded, "FundsWithdrawn \"DEX Liquidity\"");
+  compare("expenses.teamPayments", delta8, withdrawn(delta8, ["Team Payment", "Team Vesting"]), state.expenses.teamPayments, "Team payments and vesting claims");
+  compare("expenses.marketingSpent", delta8, withdrawn(delta8, FIXED_PURPOSES, true), state.expenses.marketingSpent, "Other DELTA8 withdrawals");
+  compare("expenses.operationsSpent", usdc, withdrawn(usdc, FIXED_PURPOSES, true), state.expenses.operationsSpent, "Other USDC withdrawals");
+
+  for (const w of history.withdrawals.filter((w) => w.category === "Emergency Withdrawal")) {
+    issues.push({
+      severity: "warning",
+      check: "emergency withdrawal",
+      token: symbolOf(w.token),
+      expected: 0n,
+      actual: w.amount,
+      difference: w.amount,
+      detail: `Not in expense counters (tx ${w.txHash})`,
+    });
+  }
+
+  for (const token of tokens) {
+    // 2. Per-token buckets vs history since they were introduced
+    const sinceBuckets = (items) =>
+      sum(items.filter((i) => sameToken(i.token, token.address) && i.blockNumber >= config.bucketStartBlock));
+    const bucket = state.buckets[token.address];
+    compare("tokenRevenue", token.address, sinceBuckets(history.receipts), bucket.revenue, "FundsReceived since buckets were added");
+    compare("tokenExpenses", token.address, sinceBuckets(history.withdrawals), bucket.expenses, "FundsWithdrawn since buckets were added");
+    for (const [field, categories] of Object.entries(REVENUE_CATEGORIES)) {
+      const expected = sinceBuckets(history.receipts.filter((r) => categories.includes(r.category)));
+      compare(`revenueByToken.${field}`, token.address, expected, bucket[field], `FundsReceived ${categories.map((c) => `"${c}"`).join(", ")} since buckets were added`);
+    }
+
+    // 3. Balance vs recorded net flow
+    compare("balance", token.address, received(token.address) - withdrawn(token.address), state.balances[token.address], "Recorded inflows minus outflows");
+  }
+
+  // 4. Transfer-level differences
+  for (const item of unmatchedTransfers(history)) {
+    const kind =
+      item.direction === "in"
+        ? item.difference > 0n ? "unrecorded deposit" : "recorded without transfer in"
+        : item.difference > 0n ? "unrecorded withdrawal" : "recorded without transfer out";
+    issues.push({
+      severity: "error",
+      check: kind,
+      token: symbolOf(item.token),
+      expected: item.recorded,
+      actual: item.transferred,
+      difference: item.difference,
+      detail: `tx ${item.txHash} (${item.counterparty})`,
+    });
+  }
+
+  // 5. Allocations must be covered by balances
+  const { allocations } = state;
+  const delta8Committed =
+    allocations.marketing + allocations.liquidity + allocations.team + state.totalVestingLocked + state.referralBudget;
+  const usdcCommitted = allocations.stakingRewards + allocations.operations;
+  if (delta8Committed > state.balances[delta8]) {
+    issues.push({ severity: "error", check: "allocations", token: symbolOf(delta8), expected: state.balances[delta8], actual: delta8Committed, difference: delta8Committed - state.balances[delta8], detail: "Marketing + liquidity + team + vesting + referrals exceed balance" });
+  }
+  if (usdcCommitted > state.balances[usdc]) {
+    issues.push({ severity: "error", check: "allocations", token: symbolOf(usdc), expected: state.balances[usdc], actual: usdcCommitted, difference: usdcCommitted - state.balances[usdc], detail: "Staking rewards + operations exceed balance" });
+  }
+
+  return issues;
+}
+
+/**
+ * Recorded and unrecorded movements within [periodStart, periodEnd)
+ */
+function buildLedger(history, tokens, periodStart, periodEnd) {
+  const tokenOf = (address) => tokens.find((t) => sameToken(t.address, address)) || { symbol: address, decimals: 18 };
+  const rows = [];
+  const push = (item, direction, category, amount, recorded) => {
+    if (item.timestamp < periodStart || item.timestamp >= periodEnd) return;
+    const token = tokenOf(item.token);
+    rows.push({
+      date: new Date(item.timestamp * 1000).toISOString(),
+      blockNumber: item.blockNumber,
+      txHash: item.txHash,
+      token: token.symbol,
+      tokenAddress: item.token,
+      direction,
+      category,
+      counterparty: item.counterparty,
+      amount: ethers.formatUnits(amount, token.decimals),
+      rawAmount: amount.toString(),
+      recorded: recorded ? "yes" : "no",
+      logIndex: item.logIndex ?? Number.MAX_SAFE_INTEGER,
+    });
+  };
+
+  history.receipts.forEach((r) => push(r, "in", r.category, r.amount, true));
+  history.withdrawals.forEach((w) => push(w, "out", w.category, w.amount, true));
+  for (const item of unmatchedTransfers(history)) {
+    const amount = item.difference < 0n ? -item.difference : item.difference;
+    const category = item.difference > 0n ? "Unrecorded transfer" : "Recorded without transfer";
+    push(item, item.direction, category, amount, item.difference < 0n);
+  }
+
+  return rows
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map(({ logIndex, ...row }) => row);
+}
+
+function toCsv(rows) {
+  return renderCsv(LEDGER_COLUMNS, rows);
+}
+
+/**
+ * DELTA8 and USDC first, then any other token the treasury has moved
+ */
+async function loadTokens(treasury, extraAddresses = []) {
+  const addresses = [await treasury.delta8Token(), await treasury.usdcToken()];
+  for (const address of extraAddresses) {
+    if (!addresses.some((known) => sameToken(known, address))) addresses.push(address);
+  }
+
+  const tokens = [];
+  for (const address of addresses) {
+    const contract = new ethers.Contract(address, ERC20_ABI, treasury.runner);
+    tokens.push({ address, contract, symbol: await contract.symbol(), decimals: Number(await contract.decimals()) });
+  }
+  return tokens;
+}
+
+async function main() {
+  console.log("\n🧾 DELTA8 Treasury Reconciliation\n");
+
+  const config = loadConfig();
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) {
+    throw new Error("No deployment file found. Please deploy contracts first.");
+  }
+  const { upgradeable } = JSON.parse(fs.readFileSync(latestFile, "utf8"));
+  const treasury = await ethers.getContractAt("TreasuryUpgradeable", upgradeable.treasury.proxy);
+  console.log("Treasury:", await treasury.getAddress());
+
+  // First pass finds any extra tokens received as stablecoin payments or moved by emergency withdrawals
+  let tokens = await loadTokens(treasury);
+  let history = await collectHistory(treasury, tokens, config);
+  const extras = [...history.receipts, ...history.withdrawals].map((item) => item.token);
+  if (extras.some((address) => !tokens.some((t) => sameToken(t.address, address)))) {
+    tokens = await loadTokens(treasury, extras);
+    history = await collectHistory(treasury, tokens, config);
+  }
+
+  const state = await readState(treasury, tokens);
+  const issues = reconcile(state, history, tokens, config);
+
+  for (const token of tokens) {
+    const bucket = state.buckets[token.address];
+    console.log(
+      `${token.symbol}: balance ${ethers.formatUnits(state.balances[token.address], token.decimals)}, ` +
+        `revenue ${ethers.formatUnits(bucket.revenue, token.decimals)}, ` +
+        `expenses ${ethers.formatUnits(bucket.expenses, token.decimals)}`
+    );
+  }
+
+  if (issues.length === 0) {
+    console.log("\n✅ Counters, buckets, balances and transfers all reconcile");
+  } else {
+    console.log(`\n⚠️  ${issues.length} differences:`);
+    console.table(issues.map((issue) => ({ ...issue, expected: issue.expected.toString(), actual: issue.actual.toString(), difference: issue.difference.toString() })));
+  }
+
+  const ledger = buildLedger(history, tokens, config.periodStart, config.periodEnd);
+  const day = (time) => new Date(time * 1000).toISOString().split("T")[0];
+  const output =
+    config.output ||
+    path.join(__dirname, "..", "deployments", `treasury-ledger-${day(config.periodStart)}-${day(config.periodEnd)}.csv`);
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, toCsv(ledger));
+  console.log(`\n📄 ${ledger.length} ledger entries written to ${output}`);
+}
+
+module.exports = {
+  loadConfig,
+  loadTokens,
+  readState,
+  collectHistory,
+  reconcile,
+  buildLedger,
+  toCsv,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Reconciliation failed:", error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,174 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const { readBody, sendJson } = require("./httpUtils");
+
+/**
+ * Local gasless relayer for DELTA8 (ERC-2771)
+ *
+ * Accepts user-signed ForwardRequests over HTTP and submits them through
+ * Delta8Forwarder, paying the gas from the relayer account. Intended for
+ * exercising the permit + forwarder flow against a Hardhat node.
+ *
+ * Usage:
+ * npx hardhat node
+ * npx hardhat run scripts/deployUpgradeable.js --network localhost
+ * npx hardhat run scripts/relayer.js --network localhost
+ *
+ * Endpoints:
+ * GET  /health          Relayer and forwarder addresses
+ * GET  /nonce/:address  Forwarder nonce to sign the next request with
+ * POST /relay           { "request": { from, to, value, gas, deadline, data, signature } }
+ *
+ * Environment:
+ * RELAYER_HOST             Interface to listen on (default: 127.0.0.1)
+ * RELAYER_PORT             Port (default: 8787)
+ * FORWARDER                Forwarder address (default: from deployments/upgradeable-latest.json)
+ * RELAYER_ALLOWED_TARGETS  Comma-separated targets (default: VIPMembership and RedemptionRouter)
+ * RELAYER_MAX_GAS          Largest request gas accepted (default: 1000000)
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function loadDeployment() {
+  const latestFile = path.join(__dirname, "..", "deployments", "upgradeable-latest.json");
+  if (!fs.existsSync(latestFile)) return null;
+  return JSON.parse(fs.readFileSync(latestFile, "utf8"));
+}
+
+function loadConfig(env = process.env, deployment = loadDeployment()) {
+  const defaultTargets = deployment
+    ? [deployment.upgradeable.vipMembership?.proxy, deployment.upgradeable.redemptionRouter?.proxy]
+    : [];
+  const targets = env.RELAYER_ALLOWED_TARGETS
+    ? env.RELAYER_ALLOWED_TARGETS.split(",")
+    : defaultTargets;
+
+  return {
+    host: env.RELAYER_HOST || "127.0.0.1",
+    port: Number(env.RELAYER_PORT || "8787"),
+    forwarder: env.FORWARDER || deployment?.forwarder,
+    allowedTargets: targets.filter(Boolean).map((target) => target.trim().toLowerCase()),
+    maxGas: BigInt(env.RELAYER_MAX_GAS || "1000000"),
+  };
+}
+
+/**
+ * Check a request against relayer policy before spending gas on it
+ * @returns Normalized ForwardRequestData
+ */
+function validateRequest(request, config) {
+  if (!request || typeof request !== "object") {
+    throw new Error("Missing request");
+  }
+  for (const field of ["from", "to", "gas", "deadline", "data", "signature"]) {
+    if (request[field] === undefined) throw new Error(`Missing field: ${field}`);
+  }
+  if (!ethers.isAddress(request.from) || !ethers.isAddress(request.to)) {
+    throw new Error("Invalid address");
+  }
+  if (!config.allowedTargets.includes(request.to.toLowerCase())) {
+    throw new Error("Target not allowed");
+  }
+  if (BigInt(request.value || 0) !== 0n) {
+    throw new Error("Value transfers not relayed");
+  }
+  if (BigInt(request.gas) > config.maxGas) {
+    throw new Error("Gas limit too high");
+  }
+
+  return {
+    from: request.from,
+    to: request.to,
+    value: 0n,
+    gas: BigInt(request.gas),
+    deadline: BigInt(request.deadline),
+    data: request.data,
+    signature: request.signature,
+  };
+}
+
+/**
+ * Build the HTTP request handler
+ * @param forwarder Delta8Forwarder contract connected to the relayer signer
+ */
+function createRelayHandler(forwarder, config) {
+  return async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        sendJson(res, 200, {
+          relayer: await forwarder.runner.getAddress(),
+          forwarder: await forwarder.getAddress(),
+          allowedTargets: config.allowedTargets,
+        });
+        return;
+      }
+
+      const nonceMatch = req.method === "GET" && req.url.match(/^\/nonce\/(0x[0-9a-fA-F]{40})$/);
+      if (nonceMatch) {
+        sendJson(res, 200, { nonce: await forwarder.nonces(nonceMatch[1]) });
+        return;
+      }
+
+      if (req.method === "POST" && req.url === "/relay") {
+        const { request } = JSON.parse(await readBody(req, MAX_BODY_BYTES));
+        const forwardRequest = validateRequest(request, config);
+
+        if (!(await forwarder.verify(forwardRequest))) {
+          sendJson(res, 400, { error: "Invalid signature, nonce or deadline" });
+          return;
+        }
+
+        const tx = await forwarder.execute(forwardRequest);
+        const receipt = await tx.wait();
+        console.log(`Relayed ${forwardRequest.from} -> ${forwardRequest.to}: ${tx.hash}`);
+
+        sendJson(res, 200, { txHash: tx.hash, status: receipt.status });
+        return;
+      }
+
+      sendJson(res, 404, { error: "Not found" });
+    } catch (error) {
+      sendJson(res, 400, { error: error.shortMessage || error.message });
+    }
+  };
+}
+
+async function main() {
+  console.log("\n⛽ DELTA8 Gasless Relayer\n");
+
+  const config = loadConfig();
+  if (!config.forwarder) {
+    throw new Error("No forwarder address. Deploy contracts first or set FORWARDER.");
+  }
+
+  const [relayer] = await ethers.getSigners();
+  const forwarder = await ethers.getContractAt("Delta8Forwarder", config.forwarder, relayer);
+
+  console.log("Relayer account:", relayer.address);
+  console.log("Forwarder:", config.forwarder);
+  console.log("Allowed targets:", config.allowedTargets.join(", ") || "(none)");
+
+  const server = http.createServer(createRelayHandler(forwarder, config));
+  await new Promise((resolve) => server.listen(config.port, config.host, resolve));
+  console.log(`Listening on http://${config.host}:${config.port}`);
+
+  // Keep running until interrupted
+  await new Promise((resolve) => process.on("SIGINT", () => server.close(resolve)));
+}
+
+module.exports = {
+  loadConfig,
+  validateRequest,
+  createRelayHandler,
+};
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("\n❌ Relayer failed:", error);
+      process.exit(1);
+    });
+}
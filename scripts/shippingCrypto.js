@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * Shipping-data encryption for DELTA8 product orders
+ *
+ * Customers encrypt their shipping address to the merchant's public key before
+ * calling OrderManager.placeOrder; only the merchant can read it back from the
+ * OrderPlaced / ProductPurchased events.
+ *
+ * Scheme (ECIES):
+ * - secp256k1 ECDH between a fresh ephemeral key and the merchant key
+ * - HKDF-SHA256 (salt: ephemeral public key) -> AES-256-GCM key
+ * - The "v1:<keyId>" prefix is authenticated as associated data
+ *
+ * Payload format (at most 500 bytes, as enforced on-chain):
+ *   v1:<keyId>:<base64(ephemeralPublicKey[33] | iv[12] | tag[16] | ciphertext)>
+ *
+ * The key ID selects the merchant key, so keys can be rotated while older
+ * orders stay readable with the retired key.
+ *
+ * Usage:
+ * node scripts/shippingCrypto.js keygen <keyId>
+ * node scripts/shippingCrypto.js encrypt <address.json>
+ * node scripts/shippingCrypto.js decrypt <payload>
+ *
+ * Environment:
+ * SHIPPING_PUBLIC_KEY  Merchant public key, hex (encrypt)
+ * SHIPPING_KEY_ID      Key ID of that public key (encrypt)
+ * SHIPPING_KEYRING     Keyring JSON file { "<keyId>": "<privateKeyHex>" } (decrypt)
+ */
+
+const VERSION = "v1";
+const CURVE = "secp256k1";
+const MAX_SHIPPING_BYTES = 500;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,32}$/;
+const HKDF_INFO = Buffer.from("delta8-shipping-v1");
+
+const PUBLIC_KEY_BYTES = 33;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Serialized in this order; empty fields are dropped to save space
+const ADDRESS_FIELDS = ["name", "line1", "line2", "city", "region", "postalCode", "country", "email", "phone"];
+
+function stripHex(value) {
+  return value.startsWith("0x") ? value.slice(2) : value;
+}
+
+function checkKeyId(keyId) {
+  if (!KEY_ID_PATTERN.test(keyId || "")) {
+    throw new Error("Key ID must be 1-32 characters of A-Z, a-z, 0-9, '.', '_' or '-'");
+  }
+}
+
+function deriveKey(sharedSecret, ephemeralPublicKey) {
+  return Buffer.from(crypto.hkdfSync("sha256", sharedSecret, ephemeralPublicKey, HKDF_INFO, 32));
+}
+
+/**
+ * Create a merchant key pair
+ * @returns { keyId, publicKey, privateKey } with hex keys (compressed public key)
+ */
+function generateKeyPair(keyId) {
+  checkKeyId(keyId);
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+  return {
+    keyId,
+    publicKey: ecdh.getPublicKey("hex", "compressed"),
+    privateKey: ecdh.getPrivateKey("hex"),
+  };
+}
+
+/**
+ * Serialize a shipping address to compact JSON
+ */
+function encodeAddress(address) {
+  const compact = {};
+  for (const field of ADDRESS_FIELDS) {
+    const value = address[field];
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      compact[field] = String(value).trim();
+    }
+  }
+  if (!compact.name || !compact.line1 || !compact.country) {
+    throw new Error("Address needs at least name, line1 and country");
+  }
+  return JSON.stringify(compact);
+}
+
+/**
+ * Encrypt a shipping address to the merchant public key
+ * @param address Object with ADDRESS_FIELDS
+ * @param publicKey Merchant public key (hex, compressed or uncompressed)
+ * @param keyId Key ID published with the public key
+ * @returns Payload string ready for placeOrder
+ */
+function encryptShipping(address, publicKey, keyId) {
+  checkKeyId(keyId);
+
+  const ephemeral = crypto.createECDH(CURVE);
+  ephemeral.generateKeys();
+  const ephemeralPublicKey = ephemeral.getPublicKey(null, "compressed");
+  const sharedSecret = ephemeral.computeSecret(Buffer.from(stripHex(publicKey), "hex"));
+
+  const prefix = `${VERSION}:${keyId}`;
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(sharedSecret, ephemeralPublicKey), iv);
+  cipher.setAAD(Buffer.from(prefix));
+  const ciphertext = Buffer.concat([cipher.update(encodeAddress(address), "utf8"), cipher.final()]);
+
+  const body = Buffer.concat([ephemeralPublicKey, iv, cipher.getAuthTag(), ciphertext]);
+  const payload = `${prefix}:${body.toString("base64")}`;
+
+  const size = Buffer.byteLength(payload);
+  if (size > MAX_SHIPPING_BYTES) {
+    throw new Error(`Encrypted shipping data is ${size} bytes (limit ${MAX_SHIPPING_BYTES}); shorten the address`);
+  }
+  return payload;
+}
+
+/**
+ * Split a payload into version, key ID and raw body
+ */
+function parsePayload(payload) {
+  const parts = String(payload).split(":");
+  if (parts.length !== 3 || parts[0] !== VERSION) {
+    throw new Error("Unsupported shipping payload format");
+  }
+  const [version, keyId, encoded] = parts;
+  checkKeyId(keyId);
+
+  const body = Buffer.from(encoded, "base64");
+  if (body.length <= PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES) {
+    throw new Error("Shipping payload too short");
+  }
+  return { version, keyId, body };
+}
+
+/**
+ * Decrypt a payload with the matching key from a keyring
+ * @param payload Payload string from an order event
+ * @param keyring { "<keyId>": "<privateKeyHex>" }
+ * @returns { keyId, address }
+ */
+function decryptShipping(payload, keyring) {
+  const { version, keyId, body } = parsePayload(payload);
+  const privateKey = keyring[keyId];
+  if (!privateKey) {
+    throw new Error(`No private key for key ID ${keyId}`);
+  }
+
+  const ephemeralPublicKey = body.subarray(0, PUBLIC_KEY_BYTES);
+  const iv = body.subarray(PUBLIC_KEY_BYTES, PUBLIC_KEY_BYTES + IV_BYTES);
+  const tag = body.subarray(PUBLIC_KEY_BYTES + IV_BYTES, PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES);
+  const ciphertext = body.subarray(PUBLIC_KEY_BYTES + IV_BYTES + TAG_BYTES);
+
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.setPrivateKey(Buffer.from(stripHex(privateKey), "hex"));
+  const sharedSecret = ecdh.computeSecret(ephemeralPublicKey);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(sharedSecret, ephemeralPublicKey), iv);
+  decipher.setAAD(Buffer.from(`${version}:${keyId}`));
+  decipher.setAuthTag(tag);
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+  } catch (error) {
+    throw new Error("Shipping payload failed authentication (wrong key or tampered data)");
+  }
+  return { keyId, address: JSON.parse(plaintext) };
+}
+
+function loadKeyring(file) {
+  if (!file || !fs.existsSync(file)) {
+    throw new Error("Keyring not found. Set SHIPPING_KEYRING to a JSON file of { keyId: privateKey }.");
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function main(argv = process.argv.slice(2), env = process.env) {
+  const [command, arg] = argv;
+
+  switch (command) {
+    case "keygen": {
+      const { keyId, publicKey, privateKey } = generateKeyPair(arg);
+      console.log("Public key (publish with key ID):", publicKey);
+      console.log("Keyring entry (keep secret):");
+      console.log(JSON.stringify({ [keyId]: privateKey }, null, 2));
+      break;
+    }
+    case "encrypt": {
+      if (!env.SHIPPING_PUBLIC_KEY || !env.SHIPPING_KEY_ID) {
+        throw new Error("Set SHIPPING_PUBLIC_KEY and SHIPPING_KEY_ID");
+      }
+      const address = JSON.parse(fs.readFileSync(arg, "utf8"));
+      const payload = encryptShipping(address, env.SHIPPING_PUBLIC_KEY, env.SHIPPING_KEY_ID);
+      console.log(payload);
+      console.error(`(${Buffer.byteLength(payload)}/${MAX_SHIPPING_BYTES} bytes)`);
+      break;
+    }
+    case "decrypt": {
+      const { keyId, address } = decryptShipping(arg, loadKeyring(env.SHIPPING_KEYRING));
+      console.log(JSON.stringify({ keyId, ...address }, null, 2));
+      break;
+    }
+    default:
+      throw new Error("Usage: shippingCrypto.js keygen <keyId> | encrypt <address.json> | decrypt <payload>");
+  }
+}
+
+module.exports = {
+  MAX_SHIPPING_BYTES,
+  ADDRESS_FIELDS,
+  generateKeyPair,
+  encodeAddress,
+  encryptShipping,
+  parsePayload,
+  decryptShipping,
+  loadKeyring,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
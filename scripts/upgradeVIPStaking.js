@@ -9,13 +9,17 @@ const path = require("path");
  * npx hardhat run scripts/upgradeContract.js --network polygon
  * 
  * Then follow the prompts to select which contract to upgrade
+ *
+ * PricingManager: proxies deployed before quotes were added have
+ * quoteValidity == 0; the upgrade calls initializeV2() to set the
+ * 15 minute default, otherwise every quote expires on issue.
  */
 async function main() {
   console.log("\n🔄 DELTA8 Contract Upgrade Tool\n");
 
   const [deployer] = await ethers.getSigners();
   console.log("Upgrading with account:", deployer.address);
-  console.log("Account balance:", ethers.utils.formatEther(await deployer.getBalance()), "POL\n");
+  console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "POL\n");
 
   // Load latest deployment addresses
   const deploymentsDir = path.join(__dirname, "..", "deployments");
@@ -47,6 +51,22 @@ async function main() {
   console.log("   Current Proxy:", contracts.batchManager?.proxy);
   console.log("   Current Implementation:", contracts.batchManager?.implementation);
   console.log();
+  console.log("5. RedemptionRouter");
+  console.log("   Current Proxy:", contracts.redemptionRouter?.proxy);
+  console.log("   Current Implementation:", contracts.redemptionRouter?.implementation);
+  console.log();
+  console.log("6. StakingRewards");
+  console.log("   Current Proxy:", contracts.stakingRewards?.proxy);
+  console.log("   Current Implementation:", contracts.stakingRewards?.implementation);
+  console.log();
+  console.log("7. OrderManager");
+  console.log("   Current Proxy:", contracts.orderManager?.proxy);
+  console.log("   Current Implementation:", contracts.orderManager?.implementation);
+  console.log();
+  console.log("8. PromotionCampaigns");
+  console.log("   Current Proxy:", contracts.promotionCampaigns?.proxy);
+  console.log("   Current Implementation:", contracts.promotionCampaigns?.implementation);
+  console.log();
 
   // For this example, let's upgrade VIPMembership
   // In production, you'd use readline to prompt the user
@@ -74,6 +94,22 @@ async function main() {
       proxyAddress = contracts.batchManager.proxy;
       ContractFactory = await ethers.getContractFactory("BatchManagerUpgradeable");
       break;
+    case "RedemptionRouter":
+      proxyAddress = contracts.redemptionRouter.proxy;
+      ContractFactory = await ethers.getContractFactory("RedemptionRouterUpgradeable");
+      break;
+    case "StakingRewards":
+      proxyAddress = contracts.stakingRewards.proxy;
+      ContractFactory = await ethers.getContractFactory("StakingRewardsUpgradeable");
+      break;
+    case "OrderManager":
+      proxyAddress = contracts.orderManager.proxy;
+      ContractFactory = await ethers.getContractFactory("OrderManagerUpgradeable");
+      break;
+    case "PromotionCampaigns":
+      proxyAddress = contracts.promotionCampaigns.proxy;
+      ContractFactory = await ethers.getContractFactory("PromotionCampaignsUpgradeable");
+      break;
     default:
       console.error("❌ Invalid contract name");
       process.exit(1);
@@ -94,7 +130,13 @@ async function main() {
   // Perform the upgrade
   console.log("\nPerforming upgrade...");
   const upgraded = await upgrades.upgradeProxy(proxyAddress, ContractFactory);
-  await upgraded.deployed();
+  await upgraded.waitForDeployment();
+
+  if (contractToUpgrade === "PricingManager" && (await upgraded.quoteValidity()) === 0n) {
+    console.log("Setting default quote validity...");
+    await (await upgraded.initializeV2()).wait();
+    console.log("✅ Quote validity:", (await upgraded.quoteValidity()).toString(), "seconds");
+  }
 
   // Get new implementation address
   const newImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
@@ -0,0 +1,95 @@
+const { ethers } = require("ethers");
+
+/**
+ * Offline verification of DELTA8 discount attestations
+ *
+ * The attestation service (scripts/attestationService.js) signs an EIP-712
+ * DiscountAttestation after checking the DELTA8 balance and VIP membership
+ * on-chain. A store backend only needs this helper, the service's signer
+ * address and the chain ID - no RPC access.
+ *
+ * Usage (library):
+ * const { verifyAttestation } = require("./verifyAttestation");
+ * const result = verifyAttestation(attestation, signature, { signer, chainId });
+ * if (result.valid) applyDiscount(result.attestation.discountBPS);
+ *
+ * Usage (CLI):
+ * ATTESTATION_SIGNER=0x... ATTESTATION_CHAIN_ID=137 node scripts/verifyAttestation.js response.json
+ * where response.json is the service's POST /attest response body.
+ */
+
+const ATTESTATION_TYPES = {
+  DiscountAttestation: [
+    { name: "account", type: "address" },
+    { name: "tokenBalance", type: "uint256" },
+    { name: "holder", type: "bool" },
+    { name: "vip", type: "bool" },
+    { name: "tierId", type: "uint256" },
+    { name: "discountBPS", type: "uint256" },
+    { name: "blockNumber", type: "uint256" },
+    { name: "issuedAt", type: "uint256" },
+    { name: "expiresAt", type: "uint256" },
+  ],
+};
+
+function attestationDomain(chainId) {
+  return { name: "DELTA8 Discount Attestation", version: "1", chainId };
+}
+
+/**
+ * Verify an attestation signature and expiry
+ * @param attestation DiscountAttestation fields (numbers as strings or bigints)
+ * @param signature Service signature
+ * @param options { signer, chainId, now } - now in seconds (default: current time)
+ * @returns { valid, reason, attestation }
+ */
+function verifyAttestation(attestation, signature, options) {
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  let recovered;
+  try {
+    recovered = ethers.verifyTypedData(attestationDomain(options.chainId), ATTESTATION_TYPES, attestation, signature);
+  } catch (error) {
+    return { valid: false, reason: "Malformed attestation or signature", attestation };
+  }
+
+  if (recovered.toLowerCase() !== options.signer.toLowerCase()) {
+    return { valid: false, reason: "Not signed by the attestation service", attestation };
+  }
+  if (BigInt(attestation.expiresAt) <= BigInt(now)) {
+    return { valid: false, reason: "Attestation expired", attestation };
+  }
+  if (BigInt(attestation.issuedAt) > BigInt(now) + 60n) {
+    return { valid: false, reason: "Attestation issued in the future", attestation };
+  }
+  return { valid: true, reason: null, attestation };
+}
+
+function main(argv = process.argv.slice(2), env = process.env) {
+  if (!argv[0] || !env.ATTESTATION_SIGNER || !env.ATTESTATION_CHAIN_ID) {
+    throw new Error("Usage: ATTESTATION_SIGNER=0x... ATTESTATION_CHAIN_ID=137 node scripts/verifyAttestation.js response.json");
+  }
+  const { attestation, signature } = JSON.parse(require("fs").readFileSync(argv[0], "utf8"));
+  const result = verifyAttestation(attestation, signature, {
+    signer: env.ATTESTATION_SIGNER,
+    chainId: Number(env.ATTESTATION_CHAIN_ID),
+  });
+
+  console.log(result.valid ? "✅ Valid attestation" : `❌ Invalid: ${result.reason}`);
+  console.log(JSON.stringify(attestation, null, 2));
+  if (!result.valid) process.exit(1);
+}
+
+module.exports = {
+  ATTESTATION_TYPES,
+  attestationDomain,
+  verifyAttestation,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("❌", error.message);
+    process.exit(1);
+  }
+}
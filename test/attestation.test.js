@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, chainTime, increaseTime, deployEcosystem } = require("./helpers/deploy");
+const http = require("http");
+const { createAttestationHandler } = require("../scripts/attestationService");
+const { verifyAttestation } = require("../scripts/verifyAttestation");
+
+describe("Discount attestation service", function () {
+  let deployer, user1, user2, attestor;
+  let delta8Token, treasuryContract, vipMembership;
+  let server, baseUrl, chainId;
+
+  const config = {
+    attestationTtl: 300,
+    challengeTtl: 300,
+    holderDiscountBps: 5000n,
+    storeDomain: "delta8gummies.com",
+  };
+
+  async function request(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      headers: { "Content-Type": "application/json" },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function attest(wallet) {
+    const challenge = await request("GET", `/challenge/${wallet.address}`);
+    const signature = await wallet.signMessage(challenge.body.message);
+    return request("POST", "/attest", { address: wallet.address, nonce: challenge.body.nonce, signature });
+  }
+
+  before(async function () {
+    [deployer, user1, user2, attestor] = await ethers.getSigners();
+    chainId = Number((await ethers.provider.getNetwork()).chainId);
+
+    ({ delta8Token, treasuryContract, vipMembership } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership"],
+    }));
+    await delta8Token.transfer(user1.address, ethers.parseUnits("1000", 18));
+    await delta8Token.transfer(user2.address, ethers.parseUnits("50", 18));
+
+    // Gold tier: 70% discount
+    await vipMembership.addTier("Gold", ethers.parseUnits("200", 18), 365 * DAY, 7000);
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    await vipMembership.connect(user1).purchaseTierMembership(1);
+
+    // Let user1's holding clear the token's minimum holding period
+    await increaseTime(Number(await delta8Token.minHoldingPeriod()));
+
+    const handler = createAttestationHandler(
+      { provider: ethers.provider, signer: attestor, token: delta8Token, vipMembership },
+      config
+    );
+    server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("Should attest holding and VIP tier for a proven wallet", async function () {
+    const { status, body } = await attest(user1);
+    expect(status).to.equal(200);
+    expect(body.signer).to.equal(attestor.address);
+
+    // 1000 - 200 paid for Gold = 800 DELTA8, still a holder
+    expect(body.attestation).to.include({ account: user1.address, holder: true, vip: true, tierId: "1", discountBPS: "7000" });
+
+    const result = verifyAttestation(body.attestation, body.signature, { signer: attestor.address, chainId, now: await chainTime() });
+    expect(result.valid).to.be.true;
+  });
+
+  it("Should attest no discount below the holding threshold without membership", async function () {
+    const { body } = await attest(user2);
+    expect(body.attestation).to.include({ holder: false, vip: false, discountBPS: "0" });
+    expect(body.attestation.tokenBalance).to.equal(ethers.parseUnits("50", 18).toString());
+  });
+
+  it("Should reject signatures from another wallet and replayed nonces", async function () {
+    const challenge = await request("GET", `/challenge/${user1.address}`);
+    const forged = await user2.signMessage(challenge.body.message);
+
+    const rejected = await request("POST", "/attest", { address: user1.address, nonce: challenge.body.nonce, signature: forged });
+    expect(rejected.status).to.equal(401);
+
+    // The nonce was consumed by the failed attempt
+    const signature = await user1.signMessage(challenge.body.message);
+    const replay = await request("POST", "/attest", { address: user1.address, nonce: challenge.body.nonce, signature });
+    expect(replay.status).to.equal(400);
+    expect(replay.body.error).to.equal("Unknown or expired challenge");
+  });
+
+  it("Should fail offline verification when expired, tampered or signed by someone else", async function () {
+    const { body } = await attest(user1);
+    const options = { signer: attestor.address, chainId, now: await chainTime() };
+
+    const expiry = Number(body.attestation.expiresAt);
+    expect(verifyAttestation(body.attestation, body.signature, { ...options, now: expiry }).reason)
+      .to.equal("Attestation expired");
+
+    const tampered = { ...body.attestation, discountBPS: "9000" };
+    expect(verifyAttestation(tampered, body.signature, options).reason)
+      .to.equal("Not signed by the attestation service");
+
+    expect(verifyAttestation(body.attestation, body.signature, { ...options, signer: deployer.address }).valid)
+      .to.be.false;
+    expect(verifyAttestation(body.attestation, body.signature, { ...options, chainId: chainId + 1 }).valid)
+      .to.be.false;
+  });
+});
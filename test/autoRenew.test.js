@@ -0,0 +1,109 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime, deployEcosystem } = require("./helpers/deploy");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const { runKeeperPass } = require("../scripts/membershipKeeper");
+
+describe("Membership auto-renewal", function () {
+  let deployer, user1, user2, keeper;
+  let delta8Token, treasuryContract, vipMembership;
+
+  const COST = ethers.parseUnits("100", 18);
+
+  beforeEach(async function () {
+    [deployer, user1, user2, keeper] = await ethers.getSigners();
+
+    ({ delta8Token, treasuryContract, vipMembership } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership"],
+    }));
+
+    for (const user of [user1, user2]) {
+      await delta8Token.transfer(user.address, ethers.parseUnits("1000", 18));
+      await delta8Token.connect(user).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+      await vipMembership.connect(user).purchaseMembership();
+    }
+  });
+
+  it("Should renew only inside the window before expiry", async function () {
+    await expect(vipMembership.connect(user1).enableAutoRenew(COST, 2))
+      .to.emit(vipMembership, "AutoRenewEnabled")
+      .withArgs(user1.address, COST, 2);
+
+    await expect(vipMembership.connect(keeper).renewFor(user1.address)).to.be.revertedWith("Outside renewal window");
+
+    await increaseTime(340 * DAY);
+    const expiry = await vipMembership.getMembershipExpiry(user1.address);
+    expect(await vipMembership.isRenewalDue(user1.address)).to.be.true;
+
+    await expect(vipMembership.connect(keeper).renewFor(user1.address))
+      .to.emit(vipMembership, "AutoRenewed")
+      .withArgs(user1.address, COST, expiry + BigInt(365 * DAY), 1);
+
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(ethers.parseUnits("800", 18));
+    expect((await vipMembership.memberships(user1.address)).renewalCount).to.equal(1);
+
+    // The renewal moved expiry out of the window
+    await expect(vipMembership.connect(keeper).renewFor(user1.address)).to.be.revertedWith("Outside renewal window");
+  });
+
+  it("Should stop after the maximum number of renewals or when cancelled", async function () {
+    await vipMembership.connect(user1).enableAutoRenew(COST, 1);
+    await vipMembership.connect(user2).enableAutoRenew(COST, 5);
+    await expect(vipMembership.connect(user2).cancelAutoRenew())
+      .to.emit(vipMembership, "AutoRenewCancelled")
+      .withArgs(user2.address);
+
+    await increaseTime(340 * DAY);
+    await vipMembership.renewFor(user1.address);
+    expect((await vipMembership.subscriptions(user1.address)).active).to.be.false;
+    await expect(vipMembership.renewFor(user2.address)).to.be.revertedWith("Auto-renew not enabled");
+
+    await increaseTime(365 * DAY);
+    await expect(vipMembership.renewFor(user1.address)).to.be.revertedWith("Auto-renew not enabled");
+  });
+
+  it("Should emit a failure instead of charging above the cap or without funds", async function () {
+    await vipMembership.connect(user1).enableAutoRenew(COST, 3);
+    await vipMembership.connect(user2).enableAutoRenew(COST, 3);
+    await increaseTime(340 * DAY);
+
+    await vipMembership.setMembershipCost(ethers.parseUnits("150", 18));
+    await expect(vipMembership.renewFor(user1.address))
+      .to.emit(vipMembership, "AutoRenewFailed")
+      .withArgs(user1.address, ethers.parseUnits("150", 18), "Price above cap");
+    await vipMembership.setMembershipCost(COST);
+
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), 0);
+    await expect(vipMembership.renewFor(user1.address))
+      .to.emit(vipMembership, "AutoRenewFailed")
+      .withArgs(user1.address, COST, "Insufficient allowance");
+
+    await delta8Token.connect(user2).transfer(deployer.address, ethers.parseUnits("850", 18));
+    await expect(vipMembership.renewFor(user2.address))
+      .to.emit(vipMembership, "AutoRenewFailed")
+      .withArgs(user2.address, COST, "Insufficient balance");
+
+    expect((await vipMembership.subscriptions(user1.address)).renewalsLeft).to.equal(3);
+  });
+
+  it("Should process due subscriptions from the keeper", async function () {
+    await vipMembership.connect(user1).enableAutoRenew(COST, 3);
+    await vipMembership.connect(user2).enableAutoRenew(COST, 3);
+    await delta8Token.connect(user2).approve(await vipMembership.getAddress(), 0);
+    await increaseTime(340 * DAY);
+
+    const reportFile = path.join(os.tmpdir(), `members-expiring-${Date.now()}.csv`);
+    const result = await runKeeperPass(vipMembership, {
+      pageSize: 10, chunkSize: 10, maxGas: 8000000n, dryRun: false, reportFile,
+    });
+    fs.unlinkSync(reportFile);
+
+    expect(result.renewals.due).to.deep.equal([user1.address, user2.address]);
+    expect(result.renewals.renewed).to.deep.equal([user1.address]);
+    expect(result.renewals.failed.map((f) => [f.member, f.reason])).to.deep.equal([[user2.address, "Insufficient allowance"]]);
+    expect(result.expiringSoon.map((m) => m.address)).to.deep.equal([user2.address]);
+  });
+});
@@ -0,0 +1,108 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, chainTime, increaseTime, deployEcosystem } = require("./helpers/deploy");
+const { fetchRecallList, toCsv } = require("../scripts/exportRecall");
+
+describe("Batch recalls, expiry and lab reports", function () {
+  let deployer, user1, user2, user3;
+  let pricingManager, batchManager;
+
+
+  beforeEach(async function () {
+    [deployer, user1, user2, user3] = await ethers.getSigners();
+
+    ({ pricingManager, batchManager } = await deployEcosystem({ contracts: ["batchManager"] }));
+
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-001", "ipfs://test");
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-002", "ipfs://test2");
+  });
+
+  it("Should recall a batch, block redemptions and list affected redeemers", async function () {
+    await batchManager.recordRedemption(user1.address, 1, 2, false);
+    await batchManager.recordRedemption(user2.address, 1, 1, false);
+    await batchManager.recordRedemption(user1.address, 1, 1, false);
+    await batchManager.recordRedemption(user3.address, 1, 1, false);
+
+    // user3's order was cancelled before the recall
+    await batchManager.restoreStock(user3.address, 1, 1);
+
+    await expect(batchManager.recallBatch(1, "Failed potency retest"))
+      .to.emit(batchManager, "BatchRecalled")
+      .withArgs(1, 3, "Failed potency retest")
+      .and.to.emit(batchManager, "BatchDeactivated");
+
+    await expect(batchManager.recordRedemption(user1.address, 1, 1, false)).to.be.revertedWith("Batch not active");
+    await expect(batchManager.reactivateBatch(1)).to.be.revertedWith("Batch recalled");
+    await expect(batchManager.recallBatch(1, "again")).to.be.revertedWith("Already recalled");
+
+    expect(await batchManager.isRecallAffected(user1.address, 1)).to.be.true;
+    expect(await batchManager.isRecallAffected(user3.address, 1)).to.be.false;
+    expect(await batchManager.isRecallAffected(user1.address, 2)).to.be.false;
+
+    const [users, quantities] = await batchManager.getBatchRedeemers(1, 1, 10);
+    expect(users).to.deep.equal([user2.address, user3.address]);
+    expect(quantities).to.deep.equal([1n, 0n]);
+
+    const list = await fetchRecallList(batchManager, {
+      batchId: 1n, fromBlock: 0, chunkBlocks: 1000, pageSize: 2, includeZero: false,
+    });
+    expect(list.redeemers).to.deep.equal([
+      { user: user1.address, quantity: 3n },
+      { user: user2.address, quantity: 1n },
+    ]);
+    const csv = toCsv(1n, list).trim().split("\n");
+    expect(csv).to.have.length(3);
+    expect(csv[1]).to.match(new RegExp(`^1,BATCH-001,[^,]+,${user1.address},3,yes$`));
+  });
+
+  it("Should stop redemptions once a batch passes its best-before date", async function () {
+    const expiresAt = (await chainTime()) + 30 * DAY;
+    await expect(batchManager.setBatchExpiry(1, expiresAt))
+      .to.emit(batchManager, "BatchExpirySet")
+      .withArgs(1, expiresAt);
+    await expect(batchManager.setBatchExpiry(2, 1)).to.be.revertedWith("Expiry in the past");
+
+    await batchManager.recordRedemption(user1.address, 1, 1, false);
+
+    await increaseTime(30 * DAY);
+
+    expect(await batchManager.isBatchExpired(1)).to.be.true;
+    expect(await batchManager.getActiveBatches(1)).to.deep.equal([2n]);
+    await expect(batchManager.recordRedemption(user1.address, 1, 1, false)).to.be.revertedWith("Batch expired");
+
+    // Carts skip the expired batch and deactivate it on the way
+    await expect(batchManager.recordCartRedemption(user1.address, [{ productId: 1, quantity: 3 }], false))
+      .to.emit(batchManager, "BatchDeactivated");
+    expect((await batchManager.batches(1)).isActive).to.be.false;
+    expect(await batchManager.getUserRedemptions(user1.address, 2)).to.equal(3);
+
+    await expect(batchManager.reactivateBatch(1)).to.be.revertedWith("Batch expired");
+  });
+
+  it("Should let anyone persist expired batch deactivation", async function () {
+    await batchManager.setBatchExpiry(2, (await chainTime()) + DAY);
+    await increaseTime(DAY);
+
+    expect(await batchManager.connect(user1).deactivateExpiredBatches.staticCall([1, 2])).to.equal(1);
+    await batchManager.connect(user1).deactivateExpiredBatches([1, 2]);
+    expect((await batchManager.batches(1)).isActive).to.be.true;
+    expect((await batchManager.batches(2)).isActive).to.be.false;
+  });
+
+  it("Should store the lab report hash next to its URL", async function () {
+    const report = Buffer.from("%PDF certificate of analysis BATCH-001");
+    const reportHash = ethers.sha256(report);
+
+    await expect(batchManager.setLabReport(1, "ipfs://coa-v2", reportHash))
+      .to.emit(batchManager, "LabReportUpdated")
+      .withArgs(1, "ipfs://coa-v2", reportHash);
+
+    expect((await batchManager.batches(1)).labTestUrl).to.equal("ipfs://coa-v2");
+    expect(await batchManager.verifyLabReport(1, reportHash)).to.be.true;
+    expect(await batchManager.verifyLabReport(1, ethers.sha256(Buffer.from("swapped")))).to.be.false;
+    expect(await batchManager.verifyLabReport(2, ethers.ZeroHash)).to.be.false;
+
+    await expect(batchManager.setLabReport(1, "ipfs://x", ethers.ZeroHash)).to.be.revertedWith("Invalid report hash");
+    await expect(batchManager.connect(user1).setLabReport(1, "ipfs://x", reportHash)).to.be.reverted;
+  });
+});
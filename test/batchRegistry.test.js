@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystem } = require("./helpers/deploy");
+const { readRegistries, checkRegistries } = require("../scripts/checkBatchRegistry");
+
+describe("Token and BatchManager batch registry link", function () {
+  let deployer, user1;
+  let delta8Token, pricingManager, batchManager;
+
+  const COST = ethers.parseUnits("28", 6);
+  const config = { gramsPerUnit: { 1: 0.5 }, toleranceBps: 100 };
+
+  beforeEach(async function () {
+    [deployer, user1] = await ethers.getSigners();
+
+    ({ delta8Token, pricingManager, batchManager } = await deployEcosystem({
+      realToken: true,
+      contracts: ["batchManager"],
+    }));
+    await batchManager.setDelta8Token(await delta8Token.getAddress());
+
+    // 1000 g of distillate, 2000 jars at 0.5 g each
+    await delta8Token.createBatch("D8G-001", 1000, "ipfs://coa-001");
+    await batchManager.createLinkedBatch(1, COST, 0, 2000, "D8G-001");
+  });
+
+  it("Should create a linked batch with the token batch's code and lab URL", async function () {
+    const batch = await batchManager.getBatch(1);
+    expect(batch.batchCode).to.equal("D8G-001");
+    expect(batch.labTestUrl).to.equal("ipfs://coa-001");
+    expect(await batchManager.tokenBatchIds(1)).to.equal("D8G-001");
+    expect(await batchManager.batchByTokenId(ethers.id("D8G-001"))).to.equal(1);
+
+    await batchManager.createBatch(1, COST, 0, 10, "LEGACY-1", "ipfs://legacy");
+    await expect(batchManager.linkTokenBatch(2, "D8G-001")).to.be.revertedWith("Token batch already linked");
+    await expect(batchManager.linkTokenBatch(2, "D8G-404")).to.be.revertedWith("Token batch not active");
+    await expect(batchManager.createLinkedBatch(1, COST, 0, 10, "D8G-404")).to.be.revertedWith("Token batch not active");
+
+    await delta8Token.createBatch("D8G-002", 5, "ipfs://coa-002");
+    await expect(batchManager.linkTokenBatch(2, "D8G-002"))
+      .to.emit(batchManager, "TokenBatchLinked")
+      .withArgs(2, "D8G-002");
+    await expect(batchManager.linkTokenBatch(2, "D8G-002")).to.be.revertedWith("Batch already linked");
+  });
+
+  it("Should retire the token batch when the linked batch is recalled", async function () {
+    await delta8Token.grantRole(await delta8Token.BATCH_MANAGER_ROLE(), await batchManager.getAddress());
+
+    await expect(batchManager.recallBatch(1, "Contamination"))
+      .to.emit(delta8Token, "BatchDeactivated");
+    expect((await delta8Token.getBatchInfo("D8G-001")).active).to.be.false;
+  });
+
+  it("Should keep the token batch active while a linked batch is paused", async function () {
+    await delta8Token.grantRole(await delta8Token.BATCH_MANAGER_ROLE(), await batchManager.getAddress());
+
+    await expect(batchManager.deactivateBatch(1)).to.not.emit(delta8Token, "BatchDeactivated");
+    expect((await delta8Token.getBatchInfo("D8G-001")).active).to.be.true;
+    await expect(batchManager.recordRedemption(user1.address, 1, 1, false))
+      .to.be.revertedWith("Batch not active");
+
+    await expect(batchManager.reactivateBatch(1)).to.emit(batchManager, "BatchReactivated").withArgs(1);
+    await batchManager.recordRedemption(user1.address, 1, 1, false);
+    expect((await batchManager.batches(1)).remainingStock).to.equal(1999);
+  });
+
+  it("Should stop redemptions as soon as the token batch is deactivated", async function () {
+    await batchManager.createBatch(1, COST, 0, 10, "LEGACY-1", "ipfs://legacy");
+    await delta8Token.deactivateBatch("D8G-001");
+
+    expect(await batchManager.getActiveBatches(1)).to.deep.equal([2n]);
+    await expect(batchManager.recordRedemption(user1.address, 1, 1, false))
+      .to.be.revertedWith("Token batch inactive");
+
+    // Carts skip the batch and persist its deactivation
+    await batchManager.recordCartRedemption(user1.address, [{ productId: 1, quantity: 2 }], false);
+    expect((await batchManager.batches(1)).isActive).to.be.false;
+    expect((await batchManager.batches(1)).remainingStock).to.equal(2000);
+    expect((await batchManager.batches(2)).remainingStock).to.equal(8);
+  });
+
+  it("Should still recall when the token side can't be updated", async function () {
+    await expect(batchManager.recallBatch(1, "Contamination"))
+      .to.emit(batchManager, "TokenBatchSyncFailed")
+      .withArgs(1, "D8G-001");
+    expect((await batchManager.batches(1)).isActive).to.be.false;
+    expect((await delta8Token.getBatchInfo("D8G-001")).active).to.be.true;
+  });
+
+  it("Should pull token-side deactivation across", async function () {
+    await delta8Token.deactivateBatch("D8G-001");
+
+    expect(await batchManager.connect(user1).syncTokenBatch.staticCall(1)).to.be.true;
+    await batchManager.connect(user1).syncTokenBatch(1);
+    expect((await batchManager.batches(1)).isActive).to.be.false;
+    await expect(batchManager.reactivateBatch(1)).to.be.revertedWith("Token batch inactive");
+
+    await batchManager.createBatch(1, COST, 0, 10, "LEGACY-1", "ipfs://legacy");
+    await expect(batchManager.syncTokenBatch(2)).to.be.revertedWith("Batch not linked");
+  });
+
+  it("Should report orphans, mismatched data and inventory drift", async function () {
+    const registries = async () => readRegistries(delta8Token, batchManager);
+    expect(checkRegistries(await registries(), config)).to.deep.equal([]);
+
+    await delta8Token.createBatch("D8G-002", 200, "ipfs://coa-002");
+    await batchManager.createBatch(1, COST, 0, 10, "LEGACY-1", "ipfs://legacy");
+    await batchManager.setLabReport(1, "ipfs://coa-001-v2", ethers.sha256("0x01"));
+    await delta8Token.updateInventory(900, "D8G-001", "ipfs://coa-001");
+
+    const issues = checkRegistries(await registries(), config);
+    expect(issues.map((issue) => `${issue.severity}:${issue.check}:${issue.batchId}:${issue.tokenBatchId}`)).to.have.members([
+      "warning:orphaned batch:2:",
+      "error:lab URL mismatch:1:D8G-001",
+      "error:orphaned token batch::D8G-002",
+      "error:inventory::",
+    ]);
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime } = require("./helpers/deploy");
+
+describe("Discount holding period", function () {
+  let deployer, user1, user2;
+  let delta8Token;
+
+  const THRESHOLD = ethers.parseUnits("100", 18);
+  const WEEK = 7 * DAY;
+
+  async function blockTime(tx) {
+    const receipt = await tx.wait();
+    return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("Delta8GummiesToken");
+    delta8Token = await Token.deploy(deployer.address);
+    await delta8Token.waitForDeployment();
+  });
+
+  it("Should only grant the discount after the threshold is held for the period", async function () {
+    const receivedAt = await blockTime(await delta8Token.transfer(user1.address, THRESHOLD));
+
+    expect(await delta8Token.thresholdHeldSince(user1.address)).to.equal(receivedAt);
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.false;
+
+    const [balance, eligible, tokensNeeded, eligibleAt] = await delta8Token.getDiscountStatus(user1.address);
+    expect(balance).to.equal(THRESHOLD);
+    expect(eligible).to.be.false;
+    expect(tokensNeeded).to.equal(0);
+    expect(eligibleAt).to.equal(receivedAt + WEEK);
+
+    await increaseTime(WEEK);
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.true;
+  });
+
+  it("Should reset the holding clock when tokens are passed on", async function () {
+    await delta8Token.transfer(user1.address, THRESHOLD);
+    await increaseTime(WEEK);
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.true;
+
+    // Lending the tokens to another wallet doesn't make it eligible
+    const passedAt = await blockTime(await delta8Token.connect(user1).transfer(user2.address, THRESHOLD));
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.false;
+    expect(await delta8Token.isEligibleForDiscount(user2.address)).to.be.false;
+    expect((await delta8Token.getDiscountStatus(user2.address)).eligibleAt).to.equal(passedAt + WEEK);
+
+    // Getting them back starts a new streak
+    await delta8Token.connect(user2).transfer(user1.address, THRESHOLD);
+    const [, eligible, tokensNeeded, eligibleAt] = await delta8Token.getDiscountStatus(user2.address);
+    expect(eligible).to.be.false;
+    expect(tokensNeeded).to.equal(THRESHOLD);
+    expect(eligibleAt).to.equal(0);
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.false;
+  });
+
+  it("Should keep the streak while the balance stays above the threshold", async function () {
+    const receivedAt = await blockTime(await delta8Token.transfer(user1.address, ethers.parseUnits("150", 18)));
+    await delta8Token.connect(user1).transfer(user2.address, ethers.parseUnits("50", 18));
+    await delta8Token.transfer(user1.address, ethers.parseUnits("10", 18));
+
+    expect(await delta8Token.thresholdHeldSince(user1.address)).to.equal(receivedAt);
+  });
+
+  it("Should let the admin configure the holding period", async function () {
+    await delta8Token.transfer(user1.address, THRESHOLD);
+
+    await expect(delta8Token.setMinHoldingPeriod(0))
+      .to.emit(delta8Token, "MinHoldingPeriodUpdated")
+      .withArgs(WEEK, 0);
+    expect(await delta8Token.isEligibleForDiscount(user1.address)).to.be.true;
+
+    await expect(delta8Token.setMinHoldingPeriod(91 * DAY)).to.be.revertedWith("Holding period too long");
+    await expect(delta8Token.connect(user1).setMinHoldingPeriod(0)).to.be.reverted;
+  });
+});
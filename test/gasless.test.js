@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { chainTime, deployEcosystem } = require("./helpers/deploy");
+
+describe("Gasless permit and forwarder flows", function () {
+  let deployer, user1, relayer;
+  let delta8Token, usdcToken;
+  let pricingManager, vipMembership, batchManager, treasuryContract, router, forwarder;
+
+  const MEMBERSHIP_COST = ethers.parseUnits("100", 18);
+
+  async function signPermit(owner, spender, value, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const signature = await owner.signTypedData(
+      { name: "DELTA8", version: "1", chainId, verifyingContract: await delta8Token.getAddress() },
+      {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      },
+      { owner: owner.address, spender, value, nonce: await delta8Token.nonces(owner.address), deadline }
+    );
+    return ethers.Signature.from(signature);
+  }
+
+  async function signForwardRequest(signer, to, data, deadline) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const request = {
+      from: signer.address,
+      to,
+      value: 0n,
+      gas: 1000000n,
+      nonce: await forwarder.nonces(signer.address),
+      deadline,
+      data,
+    };
+    const signature = await signer.signTypedData(
+      { name: "Delta8Forwarder", version: "1", chainId, verifyingContract: await forwarder.getAddress() },
+      {
+        ForwardRequest: [
+          { name: "from", type: "address" },
+          { name: "to", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "gas", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint48" },
+          { name: "data", type: "bytes" },
+        ],
+      },
+      request
+    );
+    return { ...request, signature };
+  }
+
+  async function deadline() {
+    return (await chainTime()) + 3600;
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, relayer] = await ethers.getSigners();
+
+    // Real DELTA8 token (permit support)
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager, router } =
+      await deployEcosystem({ realToken: true, contracts: ["router"] }));
+    await delta8Token.transfer(user1.address, ethers.parseUnits("1000", 18));
+
+    const Forwarder = await ethers.getContractFactory("Delta8Forwarder");
+    forwarder = await Forwarder.deploy();
+    await forwarder.waitForDeployment();
+
+    await vipMembership.setTrustedForwarder(await forwarder.getAddress());
+    await router.setTrustedForwarder(await forwarder.getAddress());
+
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-001", "ipfs://test");
+  });
+
+  it("Should purchase membership with a permit instead of approve", async function () {
+    const vipAddress = await vipMembership.getAddress();
+    const { v, r, s } = await signPermit(user1, vipAddress, MEMBERSHIP_COST, await deadline());
+
+    await vipMembership.connect(user1).purchaseMembershipWithPermit(MEMBERSHIP_COST, await deadline(), v, r, s);
+
+    expect(await vipMembership.isVIP(user1.address)).to.be.true;
+    expect(await delta8Token.allowance(user1.address, vipAddress)).to.equal(0);
+  });
+
+  it("Should redeem with a permit for maxTokens", async function () {
+    const routerAddress = await router.getAddress();
+    const [tokensRequired] = await router.previewRedemption(user1.address, 1, 2);
+    const { v, r, s } = await signPermit(user1, routerAddress, tokensRequired, await deadline());
+
+    await router.connect(user1).redeemWithPermit(1, 2, tokensRequired, await deadline(), v, r, s);
+
+    expect(await delta8Token.balanceOf(await treasuryContract.getAddress())).to.equal(tokensRequired);
+  });
+
+  it("Should relay a signed membership purchase through the forwarder", async function () {
+    const vipAddress = await vipMembership.getAddress();
+    const { v, r, s } = await signPermit(user1, vipAddress, MEMBERSHIP_COST, await deadline());
+    const data = vipMembership.interface.encodeFunctionData("purchaseMembershipWithPermit", [
+      MEMBERSHIP_COST,
+      await deadline(),
+      v,
+      r,
+      s,
+    ]);
+    const request = await signForwardRequest(user1, vipAddress, data, await deadline());
+
+    const userPOL = await ethers.provider.getBalance(user1.address);
+    await forwarder.connect(relayer).execute(request);
+
+    expect(await vipMembership.isVIP(user1.address)).to.be.true;
+    expect(await vipMembership.isVIP(relayer.address)).to.be.false;
+    expect(await ethers.provider.getBalance(user1.address)).to.equal(userPOL);
+  });
+
+  it("Should relay a signed redemption through the forwarder", async function () {
+    const routerAddress = await router.getAddress();
+    const [tokensRequired] = await router.previewRedemption(user1.address, 1, 1);
+    const { v, r, s } = await signPermit(user1, routerAddress, tokensRequired, await deadline());
+    const data = router.interface.encodeFunctionData("redeemWithPermit", [
+      1,
+      1,
+      tokensRequired,
+      await deadline(),
+      v,
+      r,
+      s,
+    ]);
+    const request = await signForwardRequest(user1, routerAddress, data, await deadline());
+
+    await expect(forwarder.connect(relayer).execute(request))
+      .to.emit(router, "RedemptionCompleted")
+      .withArgs(user1.address, 1, 1, tokensRequired, false);
+    expect(await batchManager.userRedemptions(user1.address, 1)).to.equal(1);
+  });
+
+  it("Should ignore appended senders from untrusted callers", async function () {
+    await router.setTrustedForwarder(ethers.ZeroAddress);
+    expect(await router.isTrustedForwarder(await forwarder.getAddress())).to.be.false;
+
+    const routerAddress = await router.getAddress();
+    const data = router.interface.encodeFunctionData("redeem", [1, 1, ethers.MaxUint256]);
+    const request = await signForwardRequest(user1, routerAddress, data, await deadline());
+
+    await expect(forwarder.connect(relayer).execute(request))
+      .to.be.revertedWithCustomError(forwarder, "ERC2771UntrustfulTarget");
+  });
+});
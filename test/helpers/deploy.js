@@ -0,0 +1,104 @@
+/**
+ * Deployment and chain-time helpers shared by the DELTA8 test suites
+ */
+const { ethers, upgrades } = require("hardhat");
+
+const DAY = 86400;
+
+// Earlier suites move the chain clock ahead of wall time
+async function chainTime() {
+  return (await ethers.provider.getBlock("latest")).timestamp;
+}
+
+async function increaseTime(seconds) {
+  await ethers.provider.send("evm_increaseTime", [seconds]);
+  await ethers.provider.send("evm_mine", []);
+}
+
+/**
+ * Deploy an upgradeable contract behind a transparent proxy
+ * @param name Contract name
+ * @param args Initializer arguments
+ */
+async function deployProxy(name, args) {
+  const Factory = await ethers.getContractFactory(name);
+  return upgrades.deployProxy(Factory, args, { initializer: "initialize", kind: "transparent" });
+}
+
+/**
+ * Deploy the tokens and the ecosystem contracts a suite needs, wired together
+ *
+ * Contracts pull in what they depend on: vipMembership deploys the treasury,
+ * batchManager the pricing manager, and router all of them. The treasury
+ * authorizes VIPMembership and the router, and BatchManager lets the router redeem.
+ * Pricing starts at $0.50 per DELTA8.
+ *
+ * @param options.realToken Deploy Delta8GummiesToken (supply minted to the deployer)
+ *   instead of a mintable mock for DELTA8
+ * @param options.contracts Any of "pricingManager", "treasury", "vipMembership",
+ *   "batchManager", "router"
+ * @return { delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager, router }
+ *   (contracts that were not deployed are undefined)
+ */
+async function deployEcosystem({ realToken = false, contracts = [] } = {}) {
+  const [deployer] = await ethers.getSigners();
+  const wanted = new Set(contracts);
+  if (wanted.has("router")) {
+    ["pricingManager", "vipMembership", "batchManager"].forEach((name) => wanted.add(name));
+  }
+  if (wanted.has("vipMembership")) wanted.add("treasury");
+  if (wanted.has("batchManager")) wanted.add("pricingManager");
+
+  const MockERC20 = await ethers.getContractFactory("contracts/test/MockUSDC.sol:MockUSDC");
+  let delta8Token;
+  if (realToken) {
+    const Token = await ethers.getContractFactory("Delta8GummiesToken");
+    delta8Token = await Token.deploy(deployer.address);
+  } else {
+    delta8Token = await MockERC20.deploy();
+  }
+  await delta8Token.waitForDeployment();
+  const usdcToken = await MockERC20.deploy();
+  await usdcToken.waitForDeployment();
+
+  const deployed = { delta8Token, usdcToken };
+  if (wanted.has("pricingManager")) {
+    deployed.pricingManager = await deployProxy("PricingManagerUpgradeable", [500000]);
+  }
+  if (wanted.has("treasury")) {
+    deployed.treasuryContract = await deployProxy("TreasuryUpgradeable", [
+      await delta8Token.getAddress(),
+      await usdcToken.getAddress(),
+    ]);
+  }
+  if (wanted.has("vipMembership")) {
+    deployed.vipMembership = await deployProxy("VIPMembershipUpgradeable", [
+      await delta8Token.getAddress(),
+      await deployed.treasuryContract.getAddress(),
+    ]);
+    await deployed.treasuryContract.authorizeContract(await deployed.vipMembership.getAddress(), true);
+  }
+  if (wanted.has("batchManager")) {
+    deployed.batchManager = await deployProxy("BatchManagerUpgradeable", [await deployed.pricingManager.getAddress()]);
+  }
+  if (wanted.has("router")) {
+    deployed.router = await deployProxy("RedemptionRouterUpgradeable", [
+      await delta8Token.getAddress(),
+      await deployed.batchManager.getAddress(),
+      await deployed.vipMembership.getAddress(),
+      await deployed.treasuryContract.getAddress(),
+      await deployed.pricingManager.getAddress(),
+    ]);
+    await deployed.treasuryContract.authorizeContract(await deployed.router.getAddress(), true);
+    await deployed.batchManager.setAuthorizedRedeemer(await deployed.router.getAddress(), true);
+  }
+  return deployed;
+}
+
+module.exports = {
+  DAY,
+  chainTime,
+  increaseTime,
+  deployProxy,
+  deployEcosystem,
+};
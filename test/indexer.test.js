@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { chainTime, deployEcosystem } = require("./helpers/deploy");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openStore, syncOnce } = require("../scripts/indexer");
+const { summary, batchRedeemers, revenue, expiringMembers } = require("../scripts/indexQuery");
+
+describe("Event indexer", function () {
+  let deployer, user1, user2;
+  let delta8Token, usdcToken;
+  let pricingManager, vipMembership, batchManager, treasuryContract;
+  let sources, storeFile, config, startBlock;
+
+  function count(events, name) {
+    return events.filter((event) => event.event === name).length;
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership", "batchManager"],
+    }));
+    await delta8Token.transfer(user1.address, ethers.parseUnits("1000", 18));
+    await usdcToken.mint(deployer.address, ethers.parseUnits("10000", 6));
+
+    sources = [
+      { name: "Delta8Token", address: await delta8Token.getAddress(), iface: delta8Token.interface },
+      { name: "PricingManager", address: await pricingManager.getAddress(), iface: pricingManager.interface },
+      { name: "VIPMembership", address: await vipMembership.getAddress(), iface: vipMembership.interface },
+      { name: "BatchManager", address: await batchManager.getAddress(), iface: batchManager.interface },
+      { name: "Treasury", address: await treasuryContract.getAddress(), iface: treasuryContract.interface },
+    ];
+    storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "delta8-index-")), "store.json");
+    config = { chunkBlocks: 50, reorgDepth: 12, skipEvents: new Set(["Transfer", "Approval"]) };
+
+    // Activity across the ecosystem
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-001", "ipfs://test");
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    await vipMembership.connect(user1).purchaseMembership();
+    await batchManager.recordRedemption(user1.address, 1, 2, true);
+    await batchManager.recordRedemption(user1.address, 1, 1, true);
+    await batchManager.recordRedemption(user2.address, 1, 1, false);
+    await usdcToken.approve(await treasuryContract.getAddress(), ethers.parseUnits("500", 6));
+    await treasuryContract.receiveTokenSaleProceeds(ethers.parseUnits("500", 6));
+  });
+
+  it("Should index ecosystem events and answer canned reports", async function () {
+    const store = openStore(storeFile, startBlock);
+    const result = await syncOnce(ethers.provider, sources, store, config);
+
+    expect(result.reorgFrom).to.equal(null);
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+    const { events } = openStore(storeFile, startBlock).data;
+    expect(count(events, "Transfer")).to.equal(0);
+    expect(summary(events)).to.deep.include({ event: "BatchManager.ProductRedeemed", count: 3 });
+
+    const redeemers = batchRedeemers(events, 1);
+    expect(redeemers).to.have.length(2);
+    expect(redeemers[0]).to.include({ user: user1.address, redemptions: 2, quantity: "3", vip: true });
+
+    const flows = revenue(events, 0, Number.MAX_SAFE_INTEGER);
+    expect(flows).to.deep.include({
+      flow: "in",
+      token: await usdcToken.getAddress(),
+      label: "Token Sale",
+      count: 1,
+      amount: ethers.parseUnits("500", 6).toString(),
+    });
+
+    const now = await chainTime();
+    expect(expiringMembers(events, now, 1)).to.have.length(0);
+    expect(expiringMembers(events, now, 400).map((row) => row.member)).to.deep.equal([user1.address]);
+
+    // A second pass with no new blocks adds nothing
+    const again = await syncOnce(ethers.provider, sources, openStore(storeFile, startBlock), config);
+    expect(again.added).to.equal(0);
+  });
+
+  it("Should drop and re-index events from reorged blocks", async function () {
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await batchManager.recordRedemption(user2.address, 1, 3, false);
+
+    const store = openStore(storeFile, startBlock);
+    await syncOnce(ethers.provider, sources, store, config);
+    expect(count(store.data.events, "ProductRedeemed")).to.equal(4);
+
+    // Replace the last block with a different one at the same height
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await batchManager.createBatch(1, ethers.parseUnits("30", 6), 0, 5, "BATCH-002", "ipfs://test2");
+
+    const result = await syncOnce(ethers.provider, sources, store, config);
+    expect(result.reorgFrom).to.equal(await ethers.provider.getBlockNumber());
+    expect(count(store.data.events, "ProductRedeemed")).to.equal(3);
+    expect(count(store.data.events, "BatchCreated")).to.equal(2);
+  });
+});
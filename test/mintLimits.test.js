@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime } = require("./helpers/deploy");
+
+describe("Token minting limits", function () {
+  let deployer, minter, user1;
+  let delta8Token;
+
+  const tokens = (amount) => ethers.parseUnits(amount.toString(), 18);
+
+  beforeEach(async function () {
+    [deployer, minter, user1] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("Delta8GummiesToken");
+    delta8Token = await Token.deploy(deployer.address);
+    await delta8Token.waitForDeployment();
+    await delta8Token.grantRole(await delta8Token.MINTER_ROLE(), minter.address);
+  });
+
+  it("Should deny mints above the supply cap without reverting", async function () {
+    const room = (await delta8Token.MAX_SUPPLY()) - (await delta8Token.totalSupply());
+
+    await expect(delta8Token.mint(user1.address, room + 1n))
+      .to.emit(delta8Token, "MintDenied")
+      .withArgs(deployer.address, user1.address, room + 1n, "Exceeds supply cap");
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(0);
+
+    expect(await delta8Token.mint.staticCall(user1.address, room)).to.be.true;
+    expect(await delta8Token.availableToMint(deployer.address)).to.equal(room);
+    expect(await delta8Token.availableToMint(user1.address)).to.equal(0);
+  });
+
+  it("Should enforce per-minter quotas that refill each period", async function () {
+    await expect(delta8Token.setMinterQuota(minter.address, tokens(1000), DAY))
+      .to.emit(delta8Token, "MinterQuotaUpdated")
+      .withArgs(minter.address, tokens(1000), DAY);
+
+    await delta8Token.connect(minter).mint(user1.address, tokens(800));
+    expect(await delta8Token.availableToMint(minter.address)).to.equal(tokens(200));
+
+    await expect(delta8Token.connect(minter).mint(user1.address, tokens(300)))
+      .to.emit(delta8Token, "MintDenied")
+      .withArgs(minter.address, user1.address, tokens(300), "Exceeds minter quota");
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(tokens(800));
+
+    await increaseTime(DAY);
+    expect(await delta8Token.availableToMint(minter.address)).to.equal(tokens(1000));
+    await expect(delta8Token.connect(minter).mint(user1.address, tokens(300))).to.not.emit(delta8Token, "MintDenied");
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(tokens(1100));
+
+    // Quotas are per minter
+    await expect(delta8Token.mint(user1.address, tokens(5000))).to.not.emit(delta8Token, "MintDenied");
+  });
+
+  it("Should only mint what inventory can back when backing is enabled", async function () {
+    await expect(delta8Token.setInventoryBackedMinting(true))
+      .to.emit(delta8Token, "InventoryBackedMintingUpdated")
+      .withArgs(true);
+
+    // Genesis supply of 10M tokens with no inventory behind it
+    await expect(delta8Token.mint(user1.address, tokens(1)))
+      .to.emit(delta8Token, "MintDenied")
+      .withArgs(deployer.address, user1.address, tokens(1), "Insufficient inventory backing");
+    expect(await delta8Token.availableToMint(deployer.address)).to.equal(0);
+
+    await delta8Token.updateInventory(10_000_500, "INV-1", "ipfs://lab");
+    expect(await delta8Token.availableToMint(deployer.address)).to.equal(tokens(500));
+    await expect(delta8Token.mint(user1.address, tokens(500))).to.not.emit(delta8Token, "MintDenied");
+
+    // A batch brings its own distillate, so it stays backed
+    await expect(delta8Token.createBatch("D8G-001", 1000, "ipfs://lab")).to.emit(delta8Token, "BatchCreated");
+    expect(await delta8Token.getInventoryRatio()).to.equal(10000);
+  });
+
+  it("Should not record a batch whose mint is denied", async function () {
+    await delta8Token.setMinterQuota(minter.address, tokens(100), DAY);
+
+    await expect(delta8Token.connect(minter).createBatch("D8G-002", 500, "ipfs://lab"))
+      .to.emit(delta8Token, "MintDenied")
+      .withArgs(minter.address, minter.address, tokens(500), "Exceeds minter quota");
+    expect(await delta8Token.getBatchCount()).to.equal(0);
+    expect((await delta8Token.inventoryData()).totalWeight).to.equal(0);
+  });
+
+  it("Should restrict limit configuration to the admin", async function () {
+    await expect(delta8Token.setMinterQuota(minter.address, tokens(1), 0)).to.be.revertedWith("Invalid quota period");
+    await expect(delta8Token.connect(minter).setMinterQuota(minter.address, 0, 0)).to.be.reverted;
+    await expect(delta8Token.connect(minter).setInventoryBackedMinting(true)).to.be.reverted;
+  });
+});
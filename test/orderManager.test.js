@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployProxy, deployEcosystem } = require("./helpers/deploy");
+const { generateKeyPair, encryptShipping } = require("../scripts/shippingCrypto");
+const { fetchShippingRecords, decryptRecords } = require("../scripts/exportShipping");
+
+describe("OrderManagerUpgradeable", function () {
+  let deployer, user1, user2, fulfiller;
+  let delta8Token, usdcToken;
+  let pricingManager, vipMembership, batchManager, treasuryContract, orderManager;
+
+  const SHIPPING = "v1:ship-key-1:ZW5jcnlwdGVk";
+  let rate;
+
+  beforeEach(async function () {
+    [deployer, user1, user2, fulfiller] = await ethers.getSigners();
+
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager } = await deployEcosystem({
+      contracts: ["vipMembership", "batchManager"],
+    }));
+
+    await delta8Token.mint(user1.address, ethers.parseUnits("10000", 18));
+    await delta8Token.mint(user2.address, ethers.parseUnits("10000", 18));
+
+    orderManager = await deployProxy("OrderManagerUpgradeable", [
+      await delta8Token.getAddress(),
+      await batchManager.getAddress(),
+      await vipMembership.getAddress(),
+      await treasuryContract.getAddress(),
+    ]);
+
+    await treasuryContract.authorizeContract(await orderManager.getAddress(), true);
+    await batchManager.setAuthorizedRedeemer(await orderManager.getAddress(), true);
+    await orderManager.setFulfiller(fulfiller.address, true);
+
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 3, "BATCH-001", "ipfs://test");
+    rate = (await batchManager.batches(1)).redemptionRate;
+
+    await delta8Token.connect(user1).approve(await orderManager.getAddress(), ethers.MaxUint256);
+    await delta8Token.connect(user2).approve(await orderManager.getAddress(), ethers.MaxUint256);
+  });
+
+  it("Should escrow tokens and reserve stock when an order is placed", async function () {
+    const amount = rate * 2n;
+
+    await expect(orderManager.connect(user1).placeOrder(1, 2, amount, SHIPPING))
+      .to.emit(orderManager, "OrderPlaced")
+      .withArgs(1, user1.address, 1, 2, amount, SHIPPING);
+
+    expect(await delta8Token.balanceOf(await orderManager.getAddress())).to.equal(amount);
+    expect(await orderManager.totalEscrowed()).to.equal(amount);
+    expect((await batchManager.batches(1)).remainingStock).to.equal(1);
+
+    const order = await orderManager.getOrder(1);
+    expect(order.user).to.equal(user1.address);
+    expect(order.status).to.equal(0); // Placed
+    expect(await orderManager.getUserOrders(user1.address)).to.deep.equal([1n]);
+  });
+
+  it("Should complete a shipped order and record revenue once", async function () {
+    const amount = rate;
+    await orderManager.connect(user1).placeOrder(1, 1, amount, SHIPPING);
+
+    await expect(orderManager.connect(user1).markFulfilled(1)).to.be.revertedWith("Not fulfiller");
+    await expect(orderManager.connect(fulfiller).markShipped(1, "TRACK-1"))
+      .to.be.revertedWith("Order not fulfilled");
+
+    await orderManager.connect(fulfiller).markFulfilled(1);
+    await orderManager.connect(fulfiller).markShipped(1, "TRACK-1");
+
+    await expect(orderManager.connect(fulfiller).completeOrder(1))
+      .to.emit(treasuryContract, "ProductPurchased")
+      .withArgs(user1.address, 1, amount, SHIPPING, (ts) => ts > 0);
+
+    expect(await delta8Token.balanceOf(await treasuryContract.getAddress())).to.equal(amount);
+    expect(await orderManager.totalEscrowed()).to.equal(0);
+    expect((await treasuryContract.revenueByToken(await delta8Token.getAddress())).productRevenue).to.equal(amount);
+    expect((await treasuryContract.getRevenue()).productRevenue).to.equal(0);
+    expect(await treasuryContract.recordedOrders(1)).to.be.true;
+    expect((await orderManager.getOrder(1)).status).to.equal(3); // Completed
+  });
+
+  it("Should refund and restock when a placed order is cancelled", async function () {
+    const amount = rate * 3n;
+    const balanceBefore = await delta8Token.balanceOf(user1.address);
+
+    // Buying all stock deactivates the batch
+    await orderManager.connect(user1).placeOrder(1, 3, amount, SHIPPING);
+    expect((await batchManager.batches(1)).isActive).to.be.false;
+
+    await expect(orderManager.connect(user2).cancelOrder(1)).to.be.revertedWith("Not authorized");
+    await expect(orderManager.connect(user1).cancelOrder(1))
+      .to.emit(orderManager, "OrderCancelled")
+      .withArgs(1, user1.address, amount);
+
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(balanceBefore);
+    const batch = await batchManager.batches(1);
+    expect(batch.remainingStock).to.equal(3);
+    expect(batch.isActive).to.be.true;
+    expect(await batchManager.userRedemptions(user1.address, 1)).to.equal(0);
+
+    await expect(orderManager.connect(user1).cancelOrder(1)).to.be.revertedWith("Order not placed");
+  });
+
+  it("Should let the fulfiller refund shipped orders with or without restocking", async function () {
+    const amount = rate;
+    await orderManager.connect(user1).placeOrder(1, 1, amount, SHIPPING);
+    await orderManager.connect(user2).placeOrder(1, 1, amount, SHIPPING);
+
+    await orderManager.connect(fulfiller).markFulfilled(1);
+    await orderManager.connect(fulfiller).markFulfilled(2);
+    await orderManager.connect(fulfiller).markShipped(2, "TRACK-2");
+
+    // Fulfilled orders can no longer be cancelled by the customer
+    await expect(orderManager.connect(user1).cancelOrder(1)).to.be.revertedWith("Order not placed");
+
+    await orderManager.connect(fulfiller).refundOrder(1, true);
+    await expect(orderManager.connect(fulfiller).refundOrder(2, false))
+      .to.emit(orderManager, "OrderRefunded")
+      .withArgs(2, amount, false);
+
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(ethers.parseUnits("10000", 18));
+    expect(await delta8Token.balanceOf(user2.address)).to.equal(ethers.parseUnits("10000", 18));
+    expect((await batchManager.batches(1)).remainingStock).to.equal(2);
+    expect(await orderManager.totalEscrowed()).to.equal(0);
+
+    await expect(orderManager.connect(fulfiller).completeOrder(2)).to.be.revertedWith("Order not shipped");
+  });
+
+  it("Should enforce max tokens and return per-user order details", async function () {
+    await expect(
+      orderManager.connect(user1).placeOrder(1, 1, rate - 1n, SHIPPING)
+    ).to.be.revertedWith("Exceeds max tokens");
+
+    await orderManager.connect(user1).placeOrder(1, 1, ethers.MaxUint256, SHIPPING);
+    await orderManager.connect(user2).placeOrder(1, 1, ethers.MaxUint256, SHIPPING);
+    await orderManager.connect(user1).placeOrder(1, 1, ethers.MaxUint256, SHIPPING);
+
+    expect(await orderManager.getUserOrders(user1.address)).to.deep.equal([1n, 3n]);
+    const details = await orderManager.getUserOrderDetails(user2.address);
+    expect(details.length).to.equal(1);
+    expect(details[0].user).to.equal(user2.address);
+  });
+
+  it("Should deliver merchant-encrypted shipping data to the export", async function () {
+    const oldKey = generateKeyPair("merchant-2025");
+    const newKey = generateKeyPair("merchant-2026");
+    const address = { name: "Jane Doe", line1: "1 Main St", city: "Austin", region: "TX", postalCode: "78701", country: "US" };
+
+    await orderManager.connect(user1).placeOrder(1, 1, rate, encryptShipping(address, oldKey.publicKey, oldKey.keyId));
+    await orderManager.connect(user2).placeOrder(1, 1, rate, encryptShipping(address, newKey.publicKey, newKey.keyId));
+    await expect(
+      orderManager.connect(user1).placeOrder(1, 1, rate, "v1:merchant-2026:" + "A".repeat(500))
+    ).to.be.revertedWith("Shipping data too long");
+
+    const records = await fetchShippingRecords(orderManager, { source: "orders", fromBlock: 0, chunkBlocks: 5000 });
+    const rows = decryptRecords(records, { [newKey.keyId]: newKey.privateKey });
+
+    expect(rows.length).to.equal(2);
+    expect(rows[0].error).to.equal("No private key for key ID merchant-2025");
+    expect(rows[1]).to.include({ buyer: user2.address, status: "Placed", keyId: "merchant-2026", city: "Austin" });
+  });
+
+  it("Should only record purchases from authorized contracts", async function () {
+    await expect(
+      treasuryContract.connect(user1).recordProductPurchase(user1.address, 99, 1, SHIPPING)
+    ).to.be.revertedWith("Not authorized");
+  });
+});
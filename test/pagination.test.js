@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime, deployEcosystem } = require("./helpers/deploy");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { listMembers, runKeeperPass } = require("../scripts/membershipKeeper");
+
+describe("Paginated views and membership keeper", function () {
+  let deployer, users;
+  let delta8Token, treasuryContract, vipMembership, pricingManager, batchManager;
+
+  const COST = ethers.parseUnits("28", 6);
+
+  beforeEach(async function () {
+    [deployer, ...users] = await ethers.getSigners();
+    users = users.slice(0, 5);
+
+    ({ delta8Token, treasuryContract, vipMembership, pricingManager, batchManager } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership", "batchManager"],
+    }));
+
+    // Monthly tier for members who expire early
+    await vipMembership.addTier("Monthly", ethers.parseUnits("10", 18), 20 * DAY, 0);
+    for (const user of users) {
+      await delta8Token.transfer(user.address, ethers.parseUnits("500", 18));
+      await delta8Token.connect(user).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    }
+  });
+
+  it("Should page through members and count renewals once", async function () {
+    await vipMembership.connect(users[0]).purchaseMembership();
+    await vipMembership.connect(users[1]).purchaseMembership();
+    await vipMembership.connect(users[2]).purchaseTierMembership(1);
+    await vipMembership.connect(users[0]).purchaseMembership(); // renewal
+
+    expect(await vipMembership.getMemberCount()).to.equal(3);
+    expect(await vipMembership.activeMembers()).to.equal(3);
+
+    const [firstPage, details, cursor] = await vipMembership.getMembers(0, 2);
+    expect(firstPage).to.deep.equal([users[0].address, users[1].address]);
+    expect(details[0].renewalCount).to.equal(1);
+    expect(cursor).to.equal(2);
+
+    const [lastPage, , end] = await vipMembership.getMembers(cursor, 2);
+    expect(lastPage).to.deep.equal([users[2].address]);
+    expect(end).to.equal(0);
+
+    const [empty] = await vipMembership.getMembers(10, 2);
+    expect(empty).to.deep.equal([]);
+  });
+
+  it("Should clean up expired members in gas-bounded chunks and report those expiring soon", async function () {
+    await vipMembership.connect(users[0]).purchaseTierMembership(1);
+    await vipMembership.connect(users[1]).purchaseTierMembership(1);
+    await vipMembership.connect(users[2]).purchaseTierMembership(1);
+    await increaseTime(21 * DAY);
+    await vipMembership.connect(users[3]).purchaseTierMembership(1);
+    await vipMembership.connect(users[4]).purchaseMembership();
+    expect(await vipMembership.activeMembers()).to.equal(5);
+
+    const reportFile = path.join(os.tmpdir(), `members-expiring-${Date.now()}.csv`);
+    const config = { pageSize: 2, chunkSize: 2, maxGas: 8000000n, dryRun: false, reportFile };
+    const result = await runKeeperPass(vipMembership, config);
+
+    expect(result.expired.map((member) => member.address)).to.deep.equal(users.slice(0, 3).map((u) => u.address));
+    expect(result.chunks.map((chunk) => chunk.items.length)).to.deep.equal([2, 1]);
+    expect(await vipMembership.activeMembers()).to.equal(2);
+
+    const report = fs.readFileSync(reportFile, "utf8").trim().split("\n");
+    fs.unlinkSync(reportFile);
+    expect(report).to.have.length(2);
+    expect(report[1]).to.match(new RegExp(`^${users[3].address},[^,]+,19,0$`));
+
+    // A second pass has nothing left to clean
+    const again = await runKeeperPass(vipMembership, config);
+    fs.unlinkSync(reportFile);
+    expect(again.expired).to.deep.equal([]);
+    expect((await listMembers(vipMembership, 10)).filter((m) => m.active)).to.have.length(2);
+  });
+
+  it("Should page through active batches and a user's redemption history", async function () {
+    for (let i = 1; i <= 5; i++) {
+      await batchManager.createBatch(1, COST, 0, 10, `BATCH-00${i}`, "ipfs://test");
+    }
+    await batchManager.deactivateBatch(2);
+    await batchManager.recordRedemption(users[0].address, 3, 2, false);
+    await batchManager.recordRedemption(users[0].address, 1, 1, false);
+    await batchManager.recordRedemption(users[0].address, 3, 1, false);
+
+    const [page1, cursor] = await batchManager.getActiveBatchesPage(1, 0, 3);
+    expect(page1).to.deep.equal([1n, 3n]);
+    expect(cursor).to.equal(3);
+    const [page2, end] = await batchManager.getActiveBatchesPage(1, cursor, 3);
+    expect(page2).to.deep.equal([4n, 5n]);
+    expect(end).to.equal(0);
+
+    const [batchIds, quantities, next] = await batchManager.getUserRedemptionHistory(users[0].address, 0, 10);
+    expect(batchIds).to.deep.equal([3n, 1n]);
+    expect(quantities).to.deep.equal([3n, 1n]);
+    expect(next).to.equal(0);
+  });
+
+  it("Should page through token batch IDs", async function () {
+    await delta8Token.createBatch("D8G-001", 10, "ipfs://a");
+    await delta8Token.createBatch("D8G-002", 10, "ipfs://b");
+    await delta8Token.createBatch("D8G-003", 10, "ipfs://c");
+
+    const [ids, cursor] = await delta8Token.getBatchIds(1, 1);
+    expect(ids).to.deep.equal(["D8G-002"]);
+    expect(cursor).to.equal(2);
+    const [rest, end] = await delta8Token.getBatchIds(cursor, 5);
+    expect(rest).to.deep.equal(["D8G-003"]);
+    expect(end).to.equal(0);
+  });
+});
@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deployEcosystem } = require("./helpers/deploy");
+const { loadConfig, createJournal, clampPrice, planRerateChunks, runKeeperPass } = require("../scripts/priceKeeper");
+
+describe("Price keeper", function () {
+  let pricingManager, batchManager;
+  let workDir, priceFile, journalFile;
+
+  const PRICE = 500000n; // $0.50
+
+  function setSourcePrice(price) {
+    fs.writeFileSync(priceFile, JSON.stringify({ price }));
+  }
+
+  function readJournal() {
+    return fs.readFileSync(journalFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+  }
+
+  // Run a keeper pass with console output captured
+  async function runPass(env = {}) {
+    const config = loadConfig({ PRICE_FILE: priceFile, KEEPER_JOURNAL: journalFile, ...env });
+    const logs = [];
+    const log = console.log;
+    console.log = (...args) => logs.push(args.join(" "));
+    try {
+      const result = await runKeeperPass({ pricingManager, batchManager }, config, createJournal(journalFile));
+      return { result, logs };
+    } finally {
+      console.log = log;
+    }
+  }
+
+  beforeEach(async function () {
+    ({ pricingManager, batchManager } = await deployEcosystem({ contracts: ["batchManager"] }));
+
+    // $28 jars at the product margin and at a 20% batch margin
+    for (let i = 1; i <= 4; i++) {
+      await batchManager.createBatch(1, ethers.parseUnits("28", 6), i === 4 ? 2000 : 0, 10, `BATCH-00${i}`, "ipfs://test");
+    }
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), "delta8-keeper-"));
+    priceFile = path.join(workDir, "price.json");
+    journalFile = path.join(workDir, "journal.jsonl");
+  });
+
+  afterEach(function () {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("Should clamp target prices to the per-update limit", function () {
+    expect(clampPrice(PRICE, 800000n, 1000n)).to.equal(550000n);
+    expect(clampPrice(PRICE, 200000n, 1000n)).to.equal(450000n);
+    expect(clampPrice(PRICE, 520000n, 1000n)).to.equal(520000n);
+    expect(clampPrice(PRICE, 800000n, 0n)).to.equal(800000n);
+  });
+
+  it("Should skip changes below the deviation threshold", async function () {
+    setSourcePrice("0.504"); // 80 BPS
+
+    const { result } = await runPass({ KEEPER_DEVIATION_BPS: "100" });
+    expect(result.updated).to.be.false;
+    expect(await pricingManager.currentTokenPrice()).to.equal(PRICE);
+
+    const [entry] = readJournal();
+    expect(entry.action).to.equal("skip");
+    expect(entry.targetPrice).to.equal("504000");
+    expect(entry.deviationBps).to.equal("80");
+  });
+
+  it("Should print old and new rates in a dry run without sending transactions", async function () {
+    setSourcePrice("0.625");
+    const rateBefore = (await batchManager.getBatch(1)).redemptionRate;
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const { result, logs } = await runPass({ KEEPER_DRY_RUN: "true" });
+    expect(result.dryRun).to.be.true;
+    expect(result.rows).to.have.length(4);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(await pricingManager.currentTokenPrice()).to.equal(PRICE);
+
+    // $28 + 40% margin = $39.20: 78.4 DELTA8 at $0.50, 62.72 at $0.625
+    expect(rateBefore).to.equal(ethers.parseEther("78.4"));
+    expect(result.rows[0].newRate).to.equal(ethers.parseEther("62.72"));
+    expect(logs).to.include("  Batch 1 (BATCH-001): 78.4 -> 62.72 DELTA8, VIP 39.2 -> 31.36");
+    expect(readJournal().map((entry) => entry.action)).to.deep.equal(["dry-run"]);
+  });
+
+  it("Should clamp, update the price and re-rate batches in gas-bounded chunks", async function () {
+    await pricingManager.setPriceGuards(1000, 0, 0);
+    setSourcePrice("0.80");
+
+    // Gas for re-rating two batches once the price has moved
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await pricingManager.updateTokenPrice(550000n);
+    const maxGas = await batchManager.recalculateBatchRates.estimateGas(1, 2);
+    await ethers.provider.send("evm_revert", [snapshot]);
+
+    const { result } = await runPass({ KEEPER_CHUNK_SIZE: "4", KEEPER_MAX_GAS: maxGas.toString() });
+    expect(result.updated).to.be.true;
+    expect(result.newPrice).to.equal(550000n);
+    expect(await pricingManager.currentTokenPrice()).to.equal(550000n);
+
+    expect(result.chunks.length).to.be.greaterThan(1);
+    expect(result.chunks[0].start).to.equal(1n);
+    expect(result.chunks[result.chunks.length - 1].end).to.equal(4n);
+    for (let i = 1; i < result.chunks.length; i++) {
+      expect(result.chunks[i].start).to.equal(result.chunks[i - 1].end + 1n);
+    }
+    for (const chunk of result.chunks) {
+      expect(chunk.gas <= maxGas).to.be.true;
+    }
+
+    // $39.20 at $0.55
+    expect((await batchManager.getBatch(1)).redemptionRate).to.equal(ethers.parseEther("39.2") * 1000000n / 550000n);
+
+    const journal = readJournal();
+    expect(journal.map((entry) => entry.action)).to.deep.equal([
+      "clamp",
+      "price-updated",
+      ...result.chunks.map(() => "batches-rerated"),
+    ]);
+    expect(journal[0]).to.include({ targetPrice: "800000", newPrice: "550000", maxChangeBps: "1000" });
+    expect(journal[1]).to.include({ oldPrice: "500000", newPrice: "550000" });
+    expect(journal[2]).to.include({ startBatch: "1", endBatch: result.chunks[0].end.toString() });
+  });
+
+  it("Should plan a single chunk when the whole span fits the gas budget", async function () {
+    const chunks = await planRerateChunks(batchManager, [1n, 2n, 3n, 4n], 50, 8000000n);
+    expect(chunks.map((chunk) => [chunk.start, chunk.end])).to.deep.equal([[1n, 4n]]);
+    expect(await planRerateChunks(batchManager, [], 50, 8000000n)).to.deep.equal([]);
+  });
+});
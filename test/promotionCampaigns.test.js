@@ -0,0 +1,131 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, chainTime, increaseTime, deployProxy, deployEcosystem } = require("./helpers/deploy");
+const { parseCsv, buildCampaign, verifyClaim } = require("../scripts/promoCampaign");
+
+describe("Promotion campaigns", function () {
+  let deployer, user1, user2, user3, relayer;
+  let delta8Token, treasuryContract, vipMembership, promotions;
+  let campaign, deadline;
+
+  function claimArgs(address) {
+    const claim = campaign.claims[address];
+    return [1, address, claim.tokens, claim.membershipDays, claim.proof];
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2, user3, relayer] = await ethers.getSigners();
+
+    ({ delta8Token, treasuryContract, vipMembership } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership"],
+    }));
+
+    promotions = await deployProxy("PromotionCampaignsUpgradeable", [
+      await delta8Token.getAddress(),
+      await vipMembership.getAddress(),
+      await treasuryContract.getAddress(),
+    ]);
+    await vipMembership.setPromoter(await promotions.getAddress(), true);
+    await treasuryContract.authorizeContract(await promotions.getAddress(), true);
+
+    // user1 is already a member; user2 and user3 are not
+    await delta8Token.transfer(user1.address, ethers.parseUnits("100", 18));
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    await vipMembership.connect(user1).purchaseMembership();
+
+    campaign = buildCampaign(
+      parseCsv(
+        "address,tokens,membershipDays\n" +
+          `${user1.address},50,30\n` +
+          `${user2.address},12.5,0\n` +
+          `${user3.address},0,90\n`
+      )
+    );
+    deadline = (await chainTime()) + 7 * DAY;
+    await delta8Token.approve(await promotions.getAddress(), campaign.totalTokens);
+    await promotions.createCampaign(campaign.merkleRoot, deadline, campaign.totalTokens);
+  });
+
+  it("Should build proofs from CSV that verify locally", async function () {
+    expect(campaign.recipients).to.equal(3);
+    expect(campaign.totalTokens).to.equal(ethers.parseUnits("62.5", 18).toString());
+    expect(campaign.totalMembershipDays).to.equal("120");
+
+    expect(verifyClaim(campaign, user2.address.toLowerCase()).valid).to.be.true;
+    expect(verifyClaim(campaign, user2.address, { tokens: ethers.parseUnits("12.5", 18), membershipDays: 0 }).valid)
+      .to.be.true;
+    expect(verifyClaim(campaign, user2.address, { tokens: ethers.parseUnits("50", 18), membershipDays: 0 }).reason)
+      .to.equal("Amounts do not match the campaign");
+    expect(verifyClaim(campaign, relayer.address).reason).to.equal("Address not in campaign");
+
+    const tampered = { ...campaign, claims: { ...campaign.claims, [user2.address]: { ...campaign.claims[user2.address], tokens: "1" } } };
+    expect(verifyClaim(tampered, user2.address).reason).to.equal("Proof does not match the merkle root");
+
+    expect(() => parseCsv(`address,tokens,membershipDays\n${user1.address},1,0\n${user1.address},2,0\n`))
+      .to.throw("duplicate address");
+  });
+
+  it("Should pay tokens and grant membership days once per recipient", async function () {
+    const expiry = await vipMembership.getMembershipExpiry(user1.address);
+
+    expect(await promotions.canClaim(...claimArgs(user1.address))).to.be.true;
+    await expect(promotions.connect(relayer).claim(...claimArgs(user1.address)))
+      .to.emit(promotions, "PromotionClaimed")
+      .withArgs(1, user1.address, ethers.parseUnits("50", 18), 30);
+
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(ethers.parseUnits("50", 18));
+    expect(await vipMembership.getMembershipExpiry(user1.address)).to.equal(expiry + BigInt(30 * DAY));
+    expect(await promotions.canClaim(...claimArgs(user1.address))).to.be.false;
+    await expect(promotions.claim(...claimArgs(user1.address))).to.be.revertedWith("Already claimed");
+
+    // Non-member gets a new standard-plan membership
+    await promotions.connect(user3).claim(...claimArgs(user3.address));
+    expect(await vipMembership.isVIP(user3.address)).to.be.true;
+    expect(await vipMembership.totalMembers()).to.equal(2);
+    expect(await vipMembership.activeMembers()).to.equal(2);
+    expect(await vipMembership.getMemberCount()).to.equal(2);
+
+    const info = await promotions.campaigns(1);
+    expect(info.claimedTokens).to.equal(ethers.parseUnits("50", 18));
+    expect(info.claimedDays).to.equal(120);
+    expect(info.claimCount).to.equal(2);
+  });
+
+  it("Should reject wrong amounts, wrong proofs and claims after the deadline", async function () {
+    const [, account, , days, proof] = claimArgs(user2.address);
+    await expect(promotions.claim(1, account, ethers.parseUnits("20", 18), days, proof)).to.be.revertedWith("Invalid proof");
+    await expect(promotions.claim(1, user3.address, campaign.claims[user2.address].tokens, days, proof))
+      .to.be.revertedWith("Invalid proof");
+    await expect(promotions.claim(2, ...claimArgs(user2.address).slice(1))).to.be.revertedWith("Invalid campaign");
+
+    await increaseTime(8 * DAY);
+    await expect(promotions.claim(...claimArgs(user2.address))).to.be.revertedWith("Campaign ended");
+  });
+
+  it("Should only let promoters grant membership days", async function () {
+    await expect(vipMembership.connect(relayer).grantMembershipDays(relayer.address, 30)).to.be.revertedWith("Not a promoter");
+    await expect(vipMembership.connect(relayer).setPromoter(relayer.address, true))
+      .to.be.revertedWithCustomError(vipMembership, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should sweep unclaimed tokens back to the treasury after the deadline", async function () {
+    await promotions.connect(user2).claim(...claimArgs(user2.address));
+    await expect(promotions.sweepUnclaimed(1)).to.be.revertedWith("Campaign still running");
+
+    await increaseTime(8 * DAY);
+    const unclaimed = ethers.parseUnits("50", 18);
+    const marketingBefore = (await treasuryContract.getAllocations()).marketing;
+
+    await expect(promotions.connect(relayer).sweepUnclaimed(1))
+      .to.emit(promotions, "CampaignSwept")
+      .withArgs(1, unclaimed)
+      .and.to.emit(treasuryContract, "FundsReceived")
+      .withArgs(await delta8Token.getAddress(), await promotions.getAddress(), unclaimed, "Promotion Return");
+
+    expect(await delta8Token.balanceOf(await treasuryContract.getAddress())).to.equal(ethers.parseUnits("100", 18) + unclaimed);
+    expect((await treasuryContract.getAllocations()).marketing).to.equal(marketingBefore + unclaimed);
+    expect(await delta8Token.balanceOf(await promotions.getAddress())).to.equal(0);
+    await expect(promotions.sweepUnclaimed(1)).to.be.revertedWith("Already swept");
+  });
+});
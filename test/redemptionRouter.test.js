@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { chainTime, increaseTime, deployEcosystem } = require("./helpers/deploy");
+
+describe("RedemptionRouterUpgradeable", function () {
+  let deployer, user1, user2, quoteSigner;
+  let delta8Token, usdcToken;
+  let pricingManager, vipMembership, batchManager, treasuryContract, router;
+
+  beforeEach(async function () {
+    [deployer, user1, user2, quoteSigner] = await ethers.getSigners();
+
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager, router } =
+      await deployEcosystem({ contracts: ["router"] }));
+
+    await delta8Token.mint(user1.address, ethers.parseUnits("1000", 18));
+    await delta8Token.mint(user2.address, ethers.parseUnits("50", 18));
+
+    await pricingManager.setQuoteConsumer(await router.getAddress(), true);
+    await pricingManager.setQuoteSigner(quoteSigner.address);
+
+    // $28 gummy jar batch: 78.4 tokens regular, 39.2 tokens VIP
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-001", "ipfs://test");
+  });
+
+  it("Should redeem at the regular rate and send tokens to treasury", async function () {
+    const rate = await batchManager.getBatchRedemptionRate(1, false);
+    await delta8Token.connect(user1).approve(await router.getAddress(), rate * 2n);
+
+    await expect(router.connect(user1).redeem(1, 2, rate * 2n))
+      .to.emit(router, "RedemptionCompleted")
+      .withArgs(user1.address, 1, 2, rate * 2n, false);
+
+    const balances = await treasuryContract.getBalances();
+    expect(balances.delta8Balance).to.equal(rate * 2n);
+
+    const revenue = await treasuryContract.revenueByToken(await delta8Token.getAddress());
+    expect(revenue.productRevenue).to.equal(rate * 2n);
+
+    const batch = await batchManager.getBatch(1);
+    expect(batch.remainingStock).to.equal(8);
+    expect(await batchManager.getUserRedemptions(user1.address, 1)).to.equal(2);
+  });
+
+  it("Should apply the VIP rate for active members", async function () {
+    const cost = await vipMembership.getMembershipCost();
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), cost);
+    await vipMembership.connect(user1).purchaseMembership();
+
+    const vipRate = await batchManager.getBatchRedemptionRate(1, true);
+    const [preview, isVIP] = await router.previewRedemption(user1.address, 1, 1);
+    expect(isVIP).to.be.true;
+    expect(preview).to.equal(vipRate);
+
+    await delta8Token.connect(user1).approve(await router.getAddress(), vipRate);
+    await router.connect(user1).redeem(1, 1, vipRate);
+
+    const revenue = await treasuryContract.revenueByToken(await delta8Token.getAddress());
+    expect(revenue.productRevenue).to.equal(vipRate);
+  });
+
+  it("Should revert without changes when the customer cannot pay", async function () {
+    const rate = await batchManager.getBatchRedemptionRate(1, false);
+    await delta8Token.connect(user2).approve(await router.getAddress(), rate);
+
+    await expect(
+      router.connect(user2).redeem(1, 1, rate)
+    ).to.be.revertedWith("Insufficient token balance");
+
+    const batch = await batchManager.getBatch(1);
+    expect(batch.remainingStock).to.equal(10);
+    expect(await batchManager.getUserRedemptions(user2.address, 1)).to.equal(0);
+  });
+
+  it("Should enforce the caller's max token amount", async function () {
+    const rate = await batchManager.getBatchRedemptionRate(1, false);
+    await delta8Token.connect(user1).approve(await router.getAddress(), rate);
+
+    await expect(
+      router.connect(user1).redeem(1, 1, rate - 1n)
+    ).to.be.revertedWith("Exceeds max tokens");
+  });
+
+  it("Should not let unauthorized callers record redemptions", async function () {
+    await expect(
+      batchManager.connect(user1).recordRedemption(user1.address, 1, 1, true)
+    ).to.be.revertedWith("Not authorized");
+
+    await expect(
+      treasuryContract.connect(user1).recordRedemptionPayment(1)
+    ).to.be.revertedWith("Not authorized");
+  });
+
+  describe("Cart redemption", function () {
+    beforeEach(async function () {
+      // Second, newer gummy jar batch and a sample pack batch
+      await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-002", "ipfs://test");
+      await batchManager.createBatch(3, ethers.parseUnits("5", 6), 0, 5, "SAMPLE-001", "ipfs://test");
+      await delta8Token.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should fill lines from the oldest batches first and split across batches", async function () {
+      const lines = [
+        { productId: 1, quantity: 12 },
+        { productId: 3, quantity: 1 },
+      ];
+      const jarRate = await batchManager.getBatchRedemptionRate(1, false);
+      const sampleRate = await batchManager.getBatchRedemptionRate(3, false);
+      const expectedTotal = jarRate * 12n + sampleRate;
+
+      const [fills, total] = await router.connect(user1).redeemCart.staticCall(lines, ethers.MaxUint256);
+      expect(total).to.equal(expectedTotal);
+      expect(fills.length).to.equal(3);
+      expect(fills[0].batchId).to.equal(1);
+      expect(fills[0].quantity).to.equal(10);
+      expect(fills[1].batchId).to.equal(2);
+      expect(fills[1].quantity).to.equal(2);
+      expect(fills[2].batchId).to.equal(3);
+      expect(fills[2].tokens).to.equal(sampleRate);
+
+      await expect(router.connect(user1).redeemCart(lines, ethers.MaxUint256))
+        .to.emit(router, "CartRedemptionCompleted")
+        .withArgs(user1.address, 2, 3, expectedTotal, false);
+
+      expect((await batchManager.getBatch(1)).isActive).to.be.false;
+      expect((await batchManager.getBatch(2)).remainingStock).to.equal(8);
+      expect((await batchManager.getBatch(3)).remainingStock).to.equal(4);
+      expect(await batchManager.getActiveBatches(1)).to.deep.equal([2n]);
+
+      const revenue = await treasuryContract.revenueByToken(await delta8Token.getAddress());
+      expect(revenue.productRevenue).to.equal(expectedTotal);
+    });
+
+    it("Should revert the whole cart if any line can't be filled", async function () {
+      const lines = [
+        { productId: 1, quantity: 1 },
+        { productId: 3, quantity: 6 },
+      ];
+
+      await expect(
+        router.connect(user1).redeemCart(lines, ethers.MaxUint256)
+      ).to.be.revertedWith("Insufficient stock for product");
+
+      expect((await batchManager.getBatch(1)).remainingStock).to.equal(10);
+      expect(await batchManager.getUserRedemptions(user1.address, 1)).to.equal(0);
+    });
+  });
+
+  describe("Price-locked quotes", function () {
+    let nextQuoteId = 1;
+
+    const quoteTypes = {
+      RedemptionQuote: [
+        { name: "quoteId", type: "uint256" },
+        { name: "user", type: "address" },
+        { name: "isCart", type: "bool" },
+        { name: "linesHash", type: "bytes32" },
+        { name: "tokenAmount", type: "uint256" },
+        { name: "issuedAt", type: "uint256" },
+      ],
+    };
+
+    async function signQuote(fields) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = {
+        name: "DELTA8 PricingManager",
+        version: "1",
+        chainId,
+        verifyingContract: await pricingManager.getAddress(),
+      };
+      const quote = {
+        quoteId: nextQuoteId++,
+        user: user1.address,
+        isCart: false,
+        issuedAt: await chainTime(),
+        ...fields,
+      };
+      const signature = await quoteSigner.signTypedData(domain, quoteTypes, quote);
+      return { quote, signature };
+    }
+
+    beforeEach(async function () {
+      await delta8Token.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should charge the quoted amount even after the price moves", async function () {
+      const liveRate = await batchManager.getBatchRedemptionRate(1, false);
+      const { quote, signature } = await signQuote({
+        linesHash: await router.batchLinesHash(1, 2),
+        tokenAmount: liveRate * 2n,
+      });
+
+      // Token price halves and batch rates are recalculated (rate doubles)
+      await pricingManager.updateTokenPrice(250000);
+      await batchManager.recalculateBatchRates(1, 1);
+      expect(await batchManager.getBatchRedemptionRate(1, false)).to.be.gt(liveRate);
+
+      await expect(router.connect(user1).redeemWithQuote(1, 2, quote, signature))
+        .to.emit(router, "QuoteRedeemed")
+        .withArgs(quote.quoteId, user1.address, liveRate * 2n);
+
+      const balances = await treasuryContract.getBalances();
+      expect(balances.delta8Balance).to.equal(liveRate * 2n);
+      expect((await batchManager.getBatch(1)).remainingStock).to.equal(8);
+    });
+
+    it("Should honor a cart quote", async function () {
+      const lines = [{ productId: 1, quantity: 3 }];
+      const { quote, signature } = await signQuote({
+        isCart: true,
+        linesHash: await router.cartLinesHash(lines),
+        tokenAmount: ethers.parseUnits("200", 18),
+      });
+
+      await router.connect(user1).redeemCartWithQuote(lines, quote, signature);
+
+      const revenue = await treasuryContract.revenueByToken(await delta8Token.getAddress());
+      expect(revenue.productRevenue).to.equal(ethers.parseUnits("200", 18));
+    });
+
+    it("Should reject reused, expired, mismatched and forged quotes", async function () {
+      const linesHash = await router.batchLinesHash(1, 1);
+      const amount = ethers.parseUnits("10", 18);
+
+      const used = await signQuote({ linesHash, tokenAmount: amount });
+      await router.connect(user1).redeemWithQuote(1, 1, used.quote, used.signature);
+      await expect(
+        router.connect(user1).redeemWithQuote(1, 1, used.quote, used.signature)
+      ).to.be.revertedWith("Quote already used");
+
+      const expired = await signQuote({ linesHash, tokenAmount: amount });
+      await increaseTime(16 * 60);
+      await expect(
+        router.connect(user1).redeemWithQuote(1, 1, expired.quote, expired.signature)
+      ).to.be.revertedWith("Quote expired");
+
+      const fresh = await signQuote({ linesHash, tokenAmount: amount });
+      await expect(
+        router.connect(user1).redeemWithQuote(1, 2, fresh.quote, fresh.signature)
+      ).to.be.revertedWith("Quote does not match redemption");
+      await expect(
+        router.connect(user2).redeemWithQuote(1, 1, fresh.quote, fresh.signature)
+      ).to.be.revertedWith("Quote issued to another user");
+
+      const forged = { ...fresh.quote, tokenAmount: 1n };
+      await expect(
+        router.connect(user1).redeemWithQuote(1, 1, forged, fresh.signature)
+      ).to.be.revertedWith("Invalid quote signature");
+    });
+  });
+});
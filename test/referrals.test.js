@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, chainTime, increaseTime, deployEcosystem } = require("./helpers/deploy");
+const { loadTokens, readState, collectHistory, reconcile } = require("../scripts/reconcileTreasury");
+
+describe("VIP referrals", function () {
+  let deployer, referrer, user2, user3, user4, user5;
+  let delta8Token, treasuryContract, vipMembership;
+  let startBlock;
+
+  const COST = ethers.parseUnits("100", 18);
+  const REWARD = ethers.parseUnits("10", 18); // 10% of COST
+
+  beforeEach(async function () {
+    [deployer, referrer, user2, user3, user4, user5] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    ({ delta8Token, treasuryContract, vipMembership } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership"],
+    }));
+
+    for (const user of [referrer, user2, user3, user4, user5]) {
+      await delta8Token.transfer(user.address, ethers.parseUnits("1000", 18));
+      await delta8Token.connect(user).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    }
+    await vipMembership.connect(referrer).purchaseMembership();
+
+    // 10% reward, 14 bonus days, at most 2 referrals per 7 days
+    await vipMembership.setReferralConfig(1000, false, 14, 7 * DAY, 2);
+  });
+
+  it("Should split the fee with the referrer and add bonus days", async function () {
+    const treasuryBefore = await delta8Token.balanceOf(await treasuryContract.getAddress());
+
+    await expect(vipMembership.connect(user2).purchaseMembershipWithReferral(0, referrer.address))
+      .to.emit(vipMembership, "ReferralRewarded")
+      .withArgs(referrer.address, user2.address, REWARD, 14);
+
+    expect(await delta8Token.balanceOf(referrer.address)).to.equal(ethers.parseUnits("900", 18) + REWARD);
+    expect(await delta8Token.balanceOf(user2.address)).to.equal(ethers.parseUnits("900", 18));
+    expect(await delta8Token.balanceOf(await treasuryContract.getAddress())).to.equal(treasuryBefore + COST - REWARD);
+    expect(await vipMembership.totalRevenue()).to.equal(COST * 2n - REWARD);
+
+    const expiry = await vipMembership.getMembershipExpiry(user2.address);
+    expect(expiry).to.equal(BigInt((await chainTime()) + (365 + 14) * DAY));
+    expect(await vipMembership.referredBy(user2.address)).to.equal(referrer.address);
+
+    const stats = await vipMembership.referralStats(referrer.address);
+    expect(stats.count).to.equal(1);
+    expect(stats.earnings).to.equal(REWARD);
+  });
+
+  it("Should reject self-referrals, non-VIP referrers and existing members", async function () {
+    await expect(vipMembership.connect(user2).purchaseMembershipWithReferral(0, user2.address))
+      .to.be.revertedWith("Cannot refer yourself");
+    await expect(vipMembership.connect(user2).purchaseMembershipWithReferral(0, user3.address))
+      .to.be.revertedWith("Referrer not VIP");
+
+    await vipMembership.connect(user2).purchaseMembership();
+    await expect(vipMembership.connect(user2).purchaseMembershipWithReferral(0, referrer.address))
+      .to.be.revertedWith("Referral for new members only");
+
+    // Expired referrers can't refer
+    await increaseTime(366 * DAY);
+    await expect(vipMembership.connect(user3).purchaseMembershipWithReferral(0, referrer.address))
+      .to.be.revertedWith("Referrer not VIP");
+  });
+
+  it("Should limit referrals per referrer per period", async function () {
+    await vipMembership.connect(user2).purchaseMembershipWithReferral(0, referrer.address);
+    await vipMembership.connect(user3).purchaseMembershipWithReferral(0, referrer.address);
+    await expect(vipMembership.connect(user4).purchaseMembershipWithReferral(0, referrer.address))
+      .to.be.revertedWith("Referral limit reached");
+
+    // Another referrer is unaffected
+    await vipMembership.connect(user4).purchaseMembershipWithReferral(0, user2.address);
+
+    await increaseTime(7 * DAY);
+    await vipMembership.connect(user5).purchaseMembershipWithReferral(0, referrer.address);
+
+    const stats = await vipMembership.referralStats(referrer.address);
+    expect(stats.count).to.equal(3);
+    expect(stats.periodCount).to.equal(1);
+    expect(stats.earnings).to.equal(REWARD * 3n);
+  });
+
+  it("Should pay rewards from the Treasury referral budget", async function () {
+    await vipMembership.setReferralConfig(1000, true, 0, 0, 0);
+    // Only a signer proposal can move marketing funds into the referral budget
+    await treasuryContract.allocateToMarketing(ethers.parseUnits("100", 18));
+    await treasuryContract.configureMultisig([deployer.address, user4.address], 1, 2, Array(9).fill(0));
+    await expect(treasuryContract.connect(referrer).proposeReferralBudget(referrer.address, REWARD))
+      .to.be.revertedWith("Not a signer");
+    await treasuryContract.proposeReferralBudget(await vipMembership.getAddress(), ethers.parseUnits("15", 18));
+    await expect(treasuryContract.executeProposal(1))
+      .to.emit(treasuryContract, "FundsAllocated")
+      .withArgs("Referrals", ethers.parseUnits("15", 18), await delta8Token.getAddress());
+    expect(await treasuryContract.vipMembership()).to.equal(await vipMembership.getAddress());
+    expect((await treasuryContract.getAllocations()).marketing).to.equal(ethers.parseUnits("85", 18));
+
+    // Only VIPMembership pays rewards, even for other authorized contracts
+    await treasuryContract.authorizeContract(referrer.address, true);
+    await expect(treasuryContract.connect(referrer).payReferralReward(referrer.address, REWARD))
+      .to.be.revertedWith("Not authorized");
+
+    await expect(vipMembership.connect(user2).purchaseMembershipWithReferral(0, referrer.address))
+      .to.emit(treasuryContract, "FundsWithdrawn")
+      .withArgs(await delta8Token.getAddress(), referrer.address, REWARD, "Referral Reward");
+    expect(await delta8Token.balanceOf(user2.address)).to.equal(ethers.parseUnits("900", 18));
+
+    // Budget runs short: the rest of it is paid
+    await vipMembership.connect(user3).purchaseMembershipWithReferral(0, referrer.address);
+    expect(await treasuryContract.referralBudget()).to.equal(0);
+    expect((await vipMembership.referralStats(referrer.address)).earnings).to.equal(ethers.parseUnits("15", 18));
+    expect(await delta8Token.balanceOf(referrer.address)).to.equal(ethers.parseUnits("915", 18));
+
+    // Full fees reached the treasury; payouts are booked as marketing spend
+    expect((await treasuryContract.getRevenue()).membershipRevenue).to.equal(COST * 3n);
+    expect((await treasuryContract.getExpenses()).marketingSpent).to.equal(ethers.parseUnits("15", 18));
+
+    const config = { fromBlock: startBlock, chunkBlocks: 1000, bucketStartBlock: startBlock };
+    const tokens = await loadTokens(treasuryContract);
+    const history = await collectHistory(treasuryContract, tokens, config);
+    const state = await readState(treasuryContract, tokens);
+    expect(reconcile(state, history, tokens, config).filter((issue) => issue.severity === "error")).to.deep.equal([]);
+  });
+
+  it("Should validate the referral configuration", async function () {
+    await expect(vipMembership.setReferralConfig(5001, false, 0, 0, 0)).to.be.revertedWith("Reward too high");
+    await expect(vipMembership.setReferralConfig(1000, false, 366, 0, 0)).to.be.revertedWith("Bonus too long");
+    await expect(vipMembership.setReferralConfig(1000, false, 0, 0, 5)).to.be.revertedWith("Invalid referral period");
+    await expect(vipMembership.connect(referrer).setReferralConfig(1000, false, 0, 0, 0))
+      .to.be.revertedWithCustomError(vipMembership, "OwnableUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { increaseTime, deployEcosystem } = require("./helpers/deploy");
+
+describe("Stablecoin payments", function () {
+  let deployer, user1, user2;
+  let delta8Token, usdcToken;
+  let pricingManager, vipMembership, batchManager, treasuryContract, router;
+
+  const USDC = (amount) => ethers.parseUnits(amount, 6);
+
+  beforeEach(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract, vipMembership, batchManager, router } =
+      await deployEcosystem({ contracts: ["router"] }));
+
+    await usdcToken.mint(user1.address, USDC("1000"));
+    await usdcToken.mint(user2.address, USDC("10"));
+
+    await vipMembership.setPricingManager(await pricingManager.getAddress());
+    await treasuryContract.setPricingManager(await pricingManager.getAddress());
+
+    // USDC accepted with a 2% premium
+    await pricingManager.setStablecoin(await usdcToken.getAddress(), true, 6);
+    await pricingManager.setStablecoinPremium(200);
+
+    // $28 gummy jar batch: 78.4 tokens regular
+    await batchManager.createBatch(1, ethers.parseUnits("28", 6), 0, 10, "BATCH-001", "ipfs://test");
+
+    await usdcToken.connect(user1).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    await usdcToken.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  it("Should convert DELTA8 amounts at the token price plus premium", async function () {
+    // 100 DELTA8 = $50, +2% = $51
+    expect(await pricingManager.getStablecoinAmount(await usdcToken.getAddress(), ethers.parseUnits("100", 18)))
+      .to.equal(USDC("51"));
+
+    // 18-decimal stablecoin, rounded up
+    await pricingManager.setStablecoin(user2.address, true, 18);
+    expect(await pricingManager.getStablecoinAmount(user2.address, ethers.parseUnits("100", 18)))
+      .to.equal(ethers.parseUnits("51", 18));
+    expect(await pricingManager.getStablecoinAmount(await usdcToken.getAddress(), 1)).to.equal(1);
+
+    expect(await pricingManager.getStablecoins()).to.deep.equal([await usdcToken.getAddress(), user2.address]);
+    await pricingManager.setStablecoin(user2.address, false, 18);
+    expect(await pricingManager.getStablecoins()).to.deep.equal([await usdcToken.getAddress()]);
+    await expect(pricingManager.getStablecoinAmount(user2.address, 1)).to.be.revertedWith("Stablecoin not accepted");
+
+    await expect(pricingManager.setStablecoinPremium(2001)).to.be.revertedWith("Premium too high");
+    await expect(pricingManager.setStablecoin(user2.address, true, 19)).to.be.revertedWith("Invalid decimals");
+    await expect(pricingManager.connect(user1).setStablecoin(user2.address, true, 6))
+      .to.be.revertedWithCustomError(pricingManager, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should charge at the current token price when rates use the TWAP", async function () {
+    await pricingManager.setRatePriceSource(true, 3600);
+    await pricingManager.updateTokenPrice(600000);
+    expect(await pricingManager.getRatePrice()).to.not.equal(600000);
+
+    // 100 DELTA8 = $60, +2% = $61.20
+    expect(await pricingManager.getTokenValueUSD(ethers.parseUnits("100", 18))).to.equal(USDC("60"));
+    expect(await pricingManager.getStablecoinAmount(await usdcToken.getAddress(), ethers.parseUnits("100", 18)))
+      .to.equal(USDC("61.2"));
+
+    await pricingManager.setMaxPriceAge(60);
+    await increaseTime(61);
+    await expect(pricingManager.getStablecoinAmount(await usdcToken.getAddress(), 1)).to.be.revertedWith("Price is stale");
+  });
+
+  it("Should sell memberships for stablecoins as token sale revenue", async function () {
+    await expect(vipMembership.connect(user1).purchaseMembershipWithStablecoin(0, await usdcToken.getAddress(), USDC("50.99")))
+      .to.be.revertedWith("Exceeds max payment");
+
+    await expect(vipMembership.connect(user1).purchaseMembershipWithStablecoin(0, await usdcToken.getAddress(), USDC("51")))
+      .to.emit(vipMembership, "MembershipPaidInStablecoin")
+      .withArgs(user1.address, await usdcToken.getAddress(), USDC("51"))
+      .and.to.emit(treasuryContract, "FundsReceived")
+      .withArgs(await usdcToken.getAddress(), await vipMembership.getAddress(), USDC("51"), "Token Sale");
+
+    expect(await vipMembership.isVIP(user1.address)).to.be.true;
+    expect(await usdcToken.balanceOf(await treasuryContract.getAddress())).to.equal(USDC("51"));
+    expect((await treasuryContract.getRevenue()).tokenSaleRevenue).to.equal(USDC("51"));
+    expect(await vipMembership.totalRevenue()).to.equal(0);
+
+    await expect(vipMembership.connect(user1).purchaseMembershipWithStablecoin(0, user2.address, USDC("51")))
+      .to.be.revertedWith("Stablecoin not accepted");
+  });
+
+  it("Should redeem batches and carts for stablecoins as product revenue", async function () {
+    const rate = await batchManager.getBatchRedemptionRate(1, false);
+    const expected = await pricingManager.getStablecoinAmount(await usdcToken.getAddress(), rate * 2n);
+    expect(expected).to.equal(USDC("79.968")); // 156.8 DELTA8 = $78.40, +2%
+
+    await expect(router.connect(user1).redeemWithStablecoin(1, 2, await usdcToken.getAddress(), expected - 1n))
+      .to.be.revertedWith("Exceeds max payment");
+
+    await expect(router.connect(user1).redeemWithStablecoin(1, 2, await usdcToken.getAddress(), expected))
+      .to.emit(router, "StablecoinRedemption")
+      .withArgs(user1.address, await usdcToken.getAddress(), 1, rate * 2n, expected);
+
+    expect((await batchManager.getBatch(1)).remainingStock).to.equal(8);
+    expect((await treasuryContract.getRevenue()).productRevenue).to.equal(expected);
+    expect(await treasuryContract.tokenRevenue(await usdcToken.getAddress())).to.equal(expected);
+
+    const cartCost = await pricingManager.getStablecoinAmount(await usdcToken.getAddress(), rate * 3n);
+    await router.connect(user1).redeemCartWithStablecoin([{ productId: 1, quantity: 3 }], await usdcToken.getAddress(), cartCost);
+    expect((await batchManager.getBatch(1)).remainingStock).to.equal(5);
+    expect(await usdcToken.balanceOf(await treasuryContract.getAddress())).to.equal(expected + cartCost);
+    expect(await router.totalRedemptions()).to.equal(2);
+  });
+
+  it("Should only record payments in accepted stablecoins", async function () {
+    await treasuryContract.authorizeContract(deployer.address, true);
+    await expect(treasuryContract.recordStablecoinPayment(user2.address, USDC("5"), true))
+      .to.be.revertedWith("Stablecoin not accepted");
+
+    // An 18-decimal stablecoin is booked in its own bucket, not the USDC legacy counters
+    await pricingManager.setStablecoin(user2.address, true, 18);
+    await treasuryContract.recordStablecoinPayment(user2.address, ethers.parseUnits("5", 18), true);
+    expect((await treasuryContract.revenueByToken(user2.address)).productRevenue).to.equal(ethers.parseUnits("5", 18));
+    expect((await treasuryContract.getRevenue()).productRevenue).to.equal(0);
+
+    await pricingManager.setStablecoin(user2.address, false, 18);
+    await expect(treasuryContract.recordStablecoinPayment(user2.address, 1, false))
+      .to.be.revertedWith("Stablecoin not accepted");
+    await expect(treasuryContract.connect(user1).setPricingManager(user1.address))
+      .to.be.revertedWithCustomError(treasuryContract, "OwnableUnauthorizedAccount");
+  });
+
+  it("Should revert without changes when the buyer can't pay", async function () {
+    await usdcToken.connect(user2).approve(await router.getAddress(), ethers.MaxUint256);
+    await expect(router.connect(user2).redeemWithStablecoin(1, 1, await usdcToken.getAddress(), USDC("100")))
+      .to.be.reverted;
+    expect((await batchManager.getBatch(1)).remainingStock).to.equal(10);
+  });
+});
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime, deployProxy, deployEcosystem } = require("./helpers/deploy");
+
+describe("StakingRewardsUpgradeable", function () {
+  let deployer, user1, user2, signer2;
+  let delta8Token, usdcToken;
+  let pricingManager, treasuryContract, staking;
+
+  const REWARD = ethers.parseUnits("2592", 6); // 30 days at 0.001 USDC/s
+
+  async function fundRewards(amount) {
+    await usdcToken.approve(await treasuryContract.getAddress(), amount);
+    await treasuryContract.receiveTokenSaleProceeds(amount);
+    await treasuryContract.allocateToStakingRewards(amount);
+
+    // StakingRewards proposal (category 4), 1-of-2 with no timelock
+    await treasuryContract.proposeSpend(4, await staking.getAddress(), amount, "Staking Rewards");
+    await treasuryContract.executeProposal(await treasuryContract.proposalCount());
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, user2, signer2] = await ethers.getSigners();
+
+    ({ delta8Token, usdcToken, pricingManager, treasuryContract } = await deployEcosystem({
+      contracts: ["pricingManager", "treasury"],
+    }));
+
+    await delta8Token.mint(user1.address, ethers.parseUnits("1000", 18));
+    await delta8Token.mint(user2.address, ethers.parseUnits("1000", 18));
+    await usdcToken.mint(deployer.address, ethers.parseUnits("100000", 6));
+
+    await treasuryContract.configureMultisig([deployer.address, signer2.address], 1, 2, Array(9).fill(0));
+
+    staking = await deployProxy("StakingRewardsUpgradeable", [
+      await delta8Token.getAddress(),
+      await usdcToken.getAddress(),
+      await treasuryContract.getAddress(),
+      await pricingManager.getAddress(),
+    ]);
+
+    // 90-day lock with 2x boost
+    await staking.setLockOption(1, 90 * DAY, 20000);
+
+    await delta8Token.connect(user1).approve(await staking.getAddress(), ethers.MaxUint256);
+    await delta8Token.connect(user2).approve(await staking.getAddress(), ethers.MaxUint256);
+  });
+
+  it("Should start a reward period when the treasury funds the pool", async function () {
+    await fundRewards(REWARD);
+
+    expect(await staking.rewardRate()).to.equal(1000n);
+    expect(await staking.getRewardForDuration()).to.equal(REWARD);
+    expect(await usdcToken.balanceOf(await staking.getAddress())).to.equal(REWARD);
+  });
+
+  it("Should stream rewards pro-rata to stakers", async function () {
+    await staking.connect(user1).stake(ethers.parseUnits("100", 18), 0);
+    await staking.connect(user2).stake(ethers.parseUnits("300", 18), 0);
+    await fundRewards(REWARD);
+
+    await increaseTime(10 * DAY);
+
+    const earned1 = await staking.earned(user1.address);
+    const earned2 = await staking.earned(user2.address);
+    expect(earned1).to.be.closeTo(ethers.parseUnits("216", 6), ethers.parseUnits("0.01", 6));
+    expect(earned2).to.be.closeTo(ethers.parseUnits("648", 6), ethers.parseUnits("0.01", 6));
+
+    await staking.connect(user1).claim();
+    expect(await usdcToken.balanceOf(user1.address)).to.be.closeTo(earned1, ethers.parseUnits("0.01", 6));
+    expect(await staking.earned(user1.address)).to.equal(0);
+  });
+
+  it("Should boost locked stakes and block early withdrawal", async function () {
+    await staking.connect(user1).stake(ethers.parseUnits("100", 18), 1);
+    await staking.connect(user2).stake(ethers.parseUnits("100", 18), 0);
+    await fundRewards(REWARD);
+
+    await increaseTime(10 * DAY);
+
+    // 2x boost -> two thirds of the rewards
+    const earned1 = await staking.earned(user1.address);
+    const earned2 = await staking.earned(user2.address);
+    expect(earned1).to.be.closeTo(earned2 * 2n, ethers.parseUnits("0.01", 6));
+
+    await expect(staking.connect(user1).withdraw(ethers.parseUnits("1", 18)))
+      .to.be.revertedWith("Stake is locked");
+    await expect(staking.resetBoost(user1.address)).to.be.revertedWith("Stake is locked");
+
+    await increaseTime(80 * DAY);
+    await staking.resetBoost(user1.address);
+    expect((await staking.getStakeInfo(user1.address)).boostBPS).to.equal(10000);
+  });
+
+  it("Should return stake and rewards on exit", async function () {
+    await staking.connect(user1).stake(ethers.parseUnits("100", 18), 0);
+    await fundRewards(REWARD);
+
+    await increaseTime(31 * DAY);
+    await staking.connect(user1).exit();
+
+    expect(await delta8Token.balanceOf(user1.address)).to.equal(ethers.parseUnits("1000", 18));
+    expect(await usdcToken.balanceOf(user1.address)).to.be.closeTo(REWARD, ethers.parseUnits("0.01", 6));
+    expect(await staking.totalStaked()).to.equal(0);
+  });
+
+  it("Should keep accruing on a large stake with frequent updates", async function () {
+    // 1,000 USDC per week over 2M DELTA8 staked, touched every minute
+    const weekly = ethers.parseUnits("1000", 6);
+    await staking.setRewardsDuration(7 * DAY);
+    await delta8Token.mint(user1.address, ethers.parseUnits("1000000", 18));
+    await delta8Token.mint(user2.address, ethers.parseUnits("1000000", 18));
+    await staking.connect(user1).stake(ethers.parseUnits("1000000", 18), 0);
+    await staking.connect(user2).stake(ethers.parseUnits("1000000", 18), 0);
+    await fundRewards(weekly);
+
+    const rate = await staking.rewardRate();
+    const start = await staking.lastUpdateTime();
+    for (let i = 0; i < 20; i++) {
+      await increaseTime(60);
+      await staking.connect(user2).claim();
+    }
+    const elapsed = (await staking.lastUpdateTime()) - start;
+
+    // Each holder gets half of what was streamed, less rounding dust
+    const paid = await usdcToken.balanceOf(user2.address);
+    expect(paid).to.be.closeTo((rate * elapsed) / 2n, 20n);
+    expect(await staking.earned(user1.address)).to.be.closeTo(paid, 20n);
+  });
+
+  it("Should still claim on exit after the stake was withdrawn", async function () {
+    await staking.connect(user1).stake(ethers.parseUnits("100", 18), 0);
+    await fundRewards(REWARD);
+
+    await increaseTime(10 * DAY);
+    await staking.connect(user1).withdraw(ethers.parseUnits("100", 18));
+    const pending = await staking.earned(user1.address);
+    expect(pending).to.be.gt(0);
+
+    await expect(staking.connect(user1).exit())
+      .to.emit(staking, "RewardPaid")
+      .withArgs(user1.address, pending);
+    expect(await usdcToken.balanceOf(user1.address)).to.equal(pending);
+  });
+
+  it("Should report APR at the current DELTA8 price", async function () {
+    // 1000 DELTA8 at $0.50 = $500 staked
+    await staking.connect(user1).stake(ethers.parseUnits("1000", 18), 0);
+    await fundRewards(REWARD);
+
+    // 0.001 USDC/s * 365 days = $31,536 per year -> 6307.2% APR
+    expect(await staking.getAPR()).to.equal(630720);
+    expect(await staking.getUserAPR(user1.address)).to.equal(630720);
+  });
+
+  it("Should only let the treasury or owner notify rewards", async function () {
+    await expect(staking.connect(user1).notifyRewardAmount(REWARD))
+      .to.be.revertedWith("Not authorized");
+    await expect(staking.notifyRewardAmount(REWARD))
+      .to.be.revertedWith("Provided reward too high");
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployEcosystem } = require("./helpers/deploy");
+const { loadTokens, readState, collectHistory, reconcile, buildLedger } = require("../scripts/reconcileTreasury");
+
+describe("Treasury accounting and reconciliation", function () {
+  let deployer, user1, signer2;
+  let delta8Token, usdcToken;
+  let treasuryContract, vipMembership;
+  let startBlock;
+
+  const MEMBERSHIP_COST = ethers.parseUnits("100", 18);
+
+  async function reconcileNow() {
+    const config = { fromBlock: startBlock, chunkBlocks: 1000, bucketStartBlock: startBlock };
+    const tokens = await loadTokens(treasuryContract);
+    const history = await collectHistory(treasuryContract, tokens, config);
+    const state = await readState(treasuryContract, tokens);
+    return { tokens, history, issues: reconcile(state, history, tokens, config) };
+  }
+
+  beforeEach(async function () {
+    [deployer, user1, signer2] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    ({ delta8Token, usdcToken, treasuryContract, vipMembership } = await deployEcosystem({
+      realToken: true,
+      contracts: ["vipMembership"],
+    }));
+    await delta8Token.transfer(user1.address, ethers.parseUnits("1000", 18));
+    await usdcToken.mint(deployer.address, ethers.parseUnits("10000", 6));
+
+    await treasuryContract.configureMultisig([deployer.address, signer2.address], 1, 2, Array(9).fill(0));
+
+    // DELTA8 from a membership, USDC from a token sale and product sales
+    await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.MaxUint256);
+    await vipMembership.connect(user1).purchaseMembership();
+    await usdcToken.approve(await treasuryContract.getAddress(), ethers.MaxUint256);
+    await treasuryContract.receiveTokenSaleProceeds(ethers.parseUnits("1000", 6));
+    await treasuryContract.receiveProductRevenue(ethers.parseUnits("200", 6));
+  });
+
+  it("Should keep revenue and expenses in per-token buckets", async function () {
+    const delta8 = await delta8Token.getAddress();
+    const usdc = await usdcToken.getAddress();
+
+    expect(await treasuryContract.tokenRevenue(delta8)).to.equal(MEMBERSHIP_COST);
+    expect(await treasuryContract.tokenRevenue(usdc)).to.equal(ethers.parseUnits("1200", 6));
+
+    // DELTA8 product revenue is split out by token, never added to the USDC counter
+    await treasuryContract.authorizeContract(deployer.address, true);
+    await treasuryContract.recordRedemptionPayment(ethers.parseUnits("30", 18));
+
+    const delta8Revenue = await treasuryContract.revenueByToken(delta8);
+    expect(delta8Revenue.membershipRevenue).to.equal(MEMBERSHIP_COST);
+    expect(delta8Revenue.productRevenue).to.equal(ethers.parseUnits("30", 18));
+    const usdcRevenue = await treasuryContract.revenueByToken(usdc);
+    expect(usdcRevenue.tokenSaleRevenue).to.equal(ethers.parseUnits("1000", 6));
+    expect(usdcRevenue.productRevenue).to.equal(ethers.parseUnits("200", 6));
+    expect((await treasuryContract.getRevenue()).productRevenue).to.equal(ethers.parseUnits("200", 6));
+
+    // Emergency withdrawals now show up as expenses
+    await treasuryContract.proposeEmergencyWithdraw(usdc, deployer.address, ethers.parseUnits("10", 6));
+    await treasuryContract.connect(signer2).approveProposal(1);
+    await treasuryContract.executeProposal(1);
+
+    expect(await treasuryContract.tokenExpenses(usdc)).to.equal(ethers.parseUnits("10", 6));
+    expect(await treasuryContract.tokenExpenses(delta8)).to.equal(0);
+  });
+
+  it("Should reconcile cleanly when every movement is recorded", async function () {
+    const { issues } = await reconcileNow();
+    expect(issues).to.deep.equal([]);
+  });
+
+  it("Should list direct deposits and emergency withdrawals", async function () {
+    const delta8 = await delta8Token.getAddress();
+    const usdc = await usdcToken.getAddress();
+
+    await delta8Token.connect(user1).transfer(await treasuryContract.getAddress(), ethers.parseUnits("50", 18));
+    await treasuryContract.proposeEmergencyWithdraw(usdc, deployer.address, ethers.parseUnits("10", 6));
+    await treasuryContract.connect(signer2).approveProposal(1);
+    await treasuryContract.executeProposal(1);
+
+    const { tokens, history, issues } = await reconcileNow();
+    const checks = issues.map((issue) => `${issue.severity}:${issue.check}:${issue.token}:${issue.difference}`);
+
+    expect(checks).to.have.members([
+      `warning:emergency withdrawal:${await usdcToken.symbol()}:${ethers.parseUnits("10", 6)}`,
+      `error:balance:DELTA8:${ethers.parseUnits("50", 18)}`,
+      `error:unrecorded deposit:DELTA8:${ethers.parseUnits("50", 18)}`,
+    ]);
+
+    const ledger = buildLedger(history, tokens, 0, Number.MAX_SAFE_INTEGER);
+    expect(ledger.map((row) => row.category)).to.deep.equal([
+      "VIP Membership",
+      "Token Sale",
+      "Product Sales",
+      "Unrecorded transfer",
+      "Emergency Withdrawal",
+    ]);
+    expect(ledger[3]).to.include({ tokenAddress: delta8, direction: "in", amount: "50.0", recorded: "no" });
+  });
+});
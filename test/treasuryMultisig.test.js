@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { DAY, increaseTime, deployEcosystem } = require("./helpers/deploy");
+
+describe("TreasuryUpgradeable multi-signature proposals", function () {
+  let deployer, signer1, signer2, signer3, recipient, outsider;
+  let delta8Token, usdcToken, treasuryContract;
+
+  const Category = {
+    Marketing: 0,
+    Liquidity: 1,
+    Team: 2,
+    Operations: 3,
+    StakingRewards: 4,
+    Emergency: 5,
+    SignerChange: 6,
+    TimelockChange: 7,
+    BudgetChange: 8,
+  };
+  const Status = { Pending: 0, Approved: 1, Executed: 2, Cancelled: 3 };
+
+  beforeEach(async function () {
+    [deployer, signer1, signer2, signer3, recipient, outsider] = await ethers.getSigners();
+
+    ({ delta8Token, usdcToken, treasuryContract } = await deployEcosystem({ contracts: ["treasury"] }));
+
+    await delta8Token.mint(await treasuryContract.getAddress(), ethers.parseUnits("10000", 18));
+    await treasuryContract.allocateToMarketing(ethers.parseUnits("1000", 18));
+
+    // 2-of-3, emergency fast path 3-of-3; 2-day timelock on spends, 1 day on emergency
+    const timelocks = [2 * DAY, 2 * DAY, 2 * DAY, 2 * DAY, 2 * DAY, 1 * DAY, 3 * DAY, 3 * DAY, 3 * DAY];
+    await treasuryContract.configureMultisig(
+      [signer1.address, signer2.address, signer3.address],
+      2,
+      3,
+      timelocks
+    );
+  });
+
+  it("Should only let the owner bootstrap signers once", async function () {
+    await expect(
+      treasuryContract.configureMultisig([signer1.address], 1, 1, Array(9).fill(0))
+    ).to.be.revertedWith("Multisig already configured");
+    expect(await treasuryContract.getSigners()).to.deep.equal([
+      signer1.address,
+      signer2.address,
+      signer3.address,
+    ]);
+  });
+
+  it("Should require threshold approvals and the category timelock", async function () {
+    const amount = ethers.parseUnits("100", 18);
+    await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, amount, "Launch ads");
+
+    await expect(treasuryContract.connect(signer1).executeProposal(1))
+      .to.be.revertedWith("Not enough approvals");
+
+    await treasuryContract.connect(signer2).approveProposal(1);
+    expect(await treasuryContract.getProposalStatus(1)).to.equal(Status.Approved);
+    await expect(treasuryContract.connect(signer1).executeProposal(1))
+      .to.be.revertedWith("Timelock not expired");
+
+    // Bookkeeping untouched until execution
+    expect((await treasuryContract.getAllocations()).marketing).to.equal(ethers.parseUnits("1000", 18));
+
+    await increaseTime(2 * DAY);
+    await treasuryContract.connect(signer2).executeProposal(1);
+
+    expect(await delta8Token.balanceOf(recipient.address)).to.equal(amount);
+    expect((await treasuryContract.getAllocations()).marketing).to.equal(ethers.parseUnits("900", 18));
+    expect((await treasuryContract.getExpenses()).marketingSpent).to.equal(amount);
+    expect(await treasuryContract.getProposalStatus(1)).to.equal(Status.Executed);
+  });
+
+  it("Should let emergency withdrawals skip the timelock only with the higher threshold", async function () {
+    const amount = ethers.parseUnits("5000", 18);
+    await treasuryContract
+      .connect(signer1)
+      .proposeEmergencyWithdraw(await delta8Token.getAddress(), recipient.address, amount);
+    await treasuryContract.connect(signer2).approveProposal(1);
+
+    await expect(treasuryContract.connect(signer1).executeProposal(1))
+      .to.be.revertedWith("Timelock not expired");
+
+    await treasuryContract.connect(signer3).approveProposal(1);
+    await treasuryContract.connect(signer1).executeProposal(1);
+
+    expect(await delta8Token.balanceOf(recipient.address)).to.equal(amount);
+  });
+
+  it("Should change signers and timelocks only through proposals", async function () {
+    await treasuryContract
+      .connect(signer1)
+      .proposeSignerChange([signer1.address, signer2.address, outsider.address], 2, 3);
+    await treasuryContract.connect(signer2).approveProposal(1);
+    await increaseTime(3 * DAY);
+    await treasuryContract.connect(signer1).executeProposal(1);
+
+    expect(await treasuryContract.isSigner(signer3.address)).to.be.false;
+    expect(await treasuryContract.isSigner(outsider.address)).to.be.true;
+
+    await treasuryContract.connect(outsider).proposeTimelockChange(Category.Marketing, DAY);
+    await treasuryContract.connect(signer1).approveProposal(2);
+    await increaseTime(3 * DAY);
+    await treasuryContract.connect(outsider).executeProposal(2);
+
+    expect(await treasuryContract.categoryTimelock(Category.Marketing)).to.equal(DAY);
+  });
+
+  it("Should list proposals by status", async function () {
+    const amount = ethers.parseUnits("10", 18);
+    await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, amount, "A");
+    await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, amount, "B");
+    await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, amount, "C");
+
+    await treasuryContract.connect(signer2).approveProposal(2);
+    await treasuryContract.connect(signer2).approveProposal(3);
+    await increaseTime(2 * DAY);
+    await treasuryContract.connect(signer2).executeProposal(3);
+
+    expect(await treasuryContract.getProposalsByStatus(Status.Pending)).to.deep.equal([1n]);
+    expect(await treasuryContract.getProposalsByStatus(Status.Approved)).to.deep.equal([2n]);
+    expect(await treasuryContract.getProposalsByStatus(Status.Executed)).to.deep.equal([3n]);
+
+    // Only the proposer can cancel; the owner has no veto
+    await expect(treasuryContract.cancelProposal(1)).to.be.revertedWith("Not authorized");
+    await expect(treasuryContract.connect(signer2).cancelProposal(1)).to.be.revertedWith("Not authorized");
+    await treasuryContract.connect(signer1).cancelProposal(1);
+    expect(await treasuryContract.getProposalsByStatus(Status.Cancelled)).to.deep.equal([1n]);
+  });
+
+  it("Should reject proposals and approvals from non-signers", async function () {
+    await expect(
+      treasuryContract.proposeSpend(Category.Marketing, recipient.address, 1, "Owner spend")
+    ).to.be.revertedWith("Not a signer");
+
+    await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, 1, "Spend");
+    await expect(treasuryContract.connect(outsider).approveProposal(1))
+      .to.be.revertedWith("Not a signer");
+  });
+
+  describe("Team vesting", function () {
+    const GRANT = ethers.parseUnits("1200", 18);
+
+    beforeEach(async function () {
+      await treasuryContract.allocateToTeam(GRANT);
+
+      // 12-month linear vesting with a 3-month cliff
+      await treasuryContract.connect(signer1).proposeVesting(recipient.address, GRANT, 0, 90 * DAY, 360 * DAY);
+      await treasuryContract.connect(signer2).approveProposal(1);
+      await increaseTime(2 * DAY);
+      await treasuryContract.connect(signer1).executeProposal(1);
+    });
+
+    it("Should hold the grant and vest linearly after the cliff", async function () {
+      expect((await treasuryContract.getAllocations()).team).to.equal(0);
+      expect(await treasuryContract.totalVestingLocked()).to.equal(GRANT);
+
+      await expect(treasuryContract.connect(recipient).claimVested()).to.be.revertedWith("Nothing to claim");
+
+      await increaseTime(180 * DAY);
+      await treasuryContract.connect(recipient).claimVested();
+
+      const info = await treasuryContract.getVestingInfo(recipient.address);
+      expect(info.claimed).to.be.closeTo(ethers.parseUnits("600", 18), ethers.parseUnits("0.01", 18));
+      expect(info.remaining).to.equal(info.total - info.vested);
+      expect(await delta8Token.balanceOf(recipient.address)).to.equal(info.claimed);
+      expect((await treasuryContract.getExpenses()).teamPayments).to.equal(info.claimed);
+    });
+
+    it("Should release everything after the vesting end", async function () {
+      await increaseTime(400 * DAY);
+      await treasuryContract.connect(recipient).claimVested();
+
+      expect(await delta8Token.balanceOf(recipient.address)).to.equal(GRANT);
+      expect(await treasuryContract.getVestingBeneficiaries()).to.deep.equal([recipient.address]);
+      expect(await treasuryContract.totalVestingLocked()).to.equal(0);
+    });
+  });
+
+  describe("Budget periods", function () {
+    beforeEach(async function () {
+      // 30-day periods, 150 DELTA8 marketing cap, everything else uncapped
+      await treasuryContract
+        .connect(signer1)
+        .proposeBudgetChange(30 * DAY, [ethers.parseUnits("150", 18), 0, 0, 0, 0]);
+      await treasuryContract.connect(signer2).approveProposal(1);
+      await increaseTime(3 * DAY);
+      await treasuryContract.connect(signer1).executeProposal(1);
+    });
+
+    async function spendMarketing(amount) {
+      await treasuryContract.connect(signer1).proposeSpend(Category.Marketing, recipient.address, amount, "Ads");
+      const id = await treasuryContract.proposalCount();
+      await treasuryContract.connect(signer2).approveProposal(id);
+      await increaseTime(2 * DAY);
+      return treasuryContract.connect(signer1).executeProposal(id);
+    }
+
+    it("Should cap spend per period and reset next period", async function () {
+      await spendMarketing(ethers.parseUnits("100", 18));
+
+      const status = await treasuryContract.getBudgetStatus(Category.Marketing);
+      expect(status.cap).to.equal(ethers.parseUnits("150", 18));
+      expect(status.spent).to.equal(ethers.parseUnits("100", 18));
+      expect(status.remaining).to.equal(ethers.parseUnits("50", 18));
+
+      await expect(spendMarketing(ethers.parseUnits("100", 18))).to.be.revertedWith("Exceeds period budget");
+
+      await increaseTime(30 * DAY);
+      await spendMarketing(ethers.parseUnits("100", 18));
+      expect((await treasuryContract.getBudgetStatus(Category.Marketing)).spent).to.equal(
+        ethers.parseUnits("100", 18)
+      );
+    });
+  });
+});
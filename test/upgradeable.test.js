@@ -104,6 +104,93 @@ describe("DELTA8 Upgradeable Contracts", function () {
       await pricingManager.updateTokenPrice(750000); // $0.75
       expect(await pricingManager.currentTokenPrice()).to.equal(750000);
     });
+
+    it("Should reject price updates beyond the per-update limit", async function () {
+      await pricingManager.setPriceGuards(1000, 0, 0); // 10% per update
+      await expect(pricingManager.updateTokenPrice(600000)).to.be.revertedWith("Price change exceeds limit");
+      await pricingManager.updateTokenPrice(550000);
+      expect(await pricingManager.currentTokenPrice()).to.equal(550000);
+    });
+
+    it("Should limit cumulative price change within a window", async function () {
+      await pricingManager.setPriceGuards(0, 1500, 3600); // 15% per hour
+      await pricingManager.updateTokenPrice(550000);
+      await expect(pricingManager.updateTokenPrice(600000)).to.be.revertedWith("Window price change exceeds limit");
+
+      // New window starts from the latest price
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await pricingManager.updateTokenPrice(600000);
+      expect(await pricingManager.currentTokenPrice()).to.equal(600000);
+    });
+
+    it("Should revert rate calculations when the price is stale", async function () {
+      const cost = ethers.parseUnits("28", 6);
+      await pricingManager.setMaxPriceAge(86400); // 1 day heartbeat
+
+      await ethers.provider.send("evm_increaseTime", [86401]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await pricingManager.isPriceStale()).to.be.true;
+      await expect(pricingManager.calculateRedemptionRate(cost, 1)).to.be.revertedWith("Price is stale");
+
+      await pricingManager.updateTokenPrice(500000);
+      expect(await pricingManager.isPriceStale()).to.be.false;
+      await pricingManager.calculateRedemptionRate(cost, 1);
+    });
+
+    it("Should compute TWAP from price history and use it for rates", async function () {
+      // $0.50 for 1000s, then $1.00 for 1000s -> TWAP $0.75
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await pricingManager.updateTokenPrice(1000000);
+      await ethers.provider.send("evm_increaseTime", [1000]);
+      await ethers.provider.send("evm_mine", []);
+
+      const twap = await pricingManager.getTWAP(2000);
+      expect(twap).to.be.closeTo(750000n, 1000n);
+
+      const [prices] = await pricingManager.getPriceHistory(10);
+      expect(prices).to.deep.equal([1000000n, 500000n]);
+
+      await pricingManager.setRatePriceSource(true, 2000);
+      const cost = ethers.parseUnits("28", 6);
+      const rate = await pricingManager.calculateRedemptionRate(cost, 1);
+      // $39.20 / ~$0.75
+      expect(rate).to.be.closeTo(ethers.parseUnits("52.27", 18), ethers.parseUnits("0.1", 18));
+    });
+
+    it("Should resolve VIP discount from product and loyalty rules", async function () {
+      expect(await pricingManager.getVIPDiscountBPS(1, 0)).to.equal(5000);
+
+      await pricingManager.setVIPDiscountRule(0, 4000);
+      await pricingManager.setVIPDiscountRule(1, 6000);
+      expect(await pricingManager.getVIPDiscountBPS(1, 0)).to.equal(6000);
+      expect(await pricingManager.getVIPDiscountBPS(2, 0)).to.equal(4000);
+      expect(await pricingManager.calculateVIPDiscount(1000)).to.equal(600);
+
+      await pricingManager.setLoyaltyTiers([2, 5], [5500, 7000]);
+      expect(await pricingManager.getVIPDiscountBPS(2, 1)).to.equal(4000);
+      expect(await pricingManager.getVIPDiscountBPS(2, 3)).to.equal(5500);
+      expect(await pricingManager.getVIPDiscountBPS(1, 5)).to.equal(7000);
+
+      await expect(pricingManager.setLoyaltyTiers([5, 2], [5500, 7000]))
+        .to.be.revertedWith("Tiers must be ascending");
+    });
+
+    it("Should apply promo windows only while active", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await pricingManager.addPromo(1, 8000, now + 100, now + 1000);
+
+      expect(await pricingManager.getVIPDiscountBPS(1, 0)).to.equal(5000);
+
+      await ethers.provider.send("evm_increaseTime", [200]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await pricingManager.getVIPDiscountBPS(1, 0)).to.equal(8000);
+      expect(await pricingManager.getVIPDiscountBPS(2, 0)).to.equal(5000);
+
+      await pricingManager.cancelPromo(1);
+      expect(await pricingManager.getVIPDiscountBPS(1, 0)).to.equal(5000);
+      await expect(pricingManager.cancelPromo(1)).to.be.revertedWith("Promo not active");
+    });
   });
 
   describe("VIPMembershipUpgradeable", function () {
@@ -141,6 +228,46 @@ describe("DELTA8 Upgradeable Contracts", function () {
       const info = await vipMembership.getMembershipInfo(user1.address);
       expect(info.active).to.be.true;
     });
+
+    it("Should sell named tiers and report the member's tier", async function () {
+      await vipMembership.addTier("Gold", ethers.parseUnits("50", 18), 180 * 86400, 6000);
+      await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.parseUnits("50", 18));
+      await vipMembership.connect(user1).purchaseTierMembership(1);
+
+      const [active, tierId] = await vipMembership.getVIPTier(user1.address);
+      expect(active).to.be.true;
+      expect(tierId).to.equal(1);
+      expect((await vipMembership.getMembershipInfo(user1.address)).tierId).to.equal(1);
+      expect(await vipMembership.getMemberDiscountBPS(user1.address)).to.equal(6000);
+
+      await expect(vipMembership.connect(user1).purchaseMembership())
+        .to.be.revertedWith("Active on another tier");
+    });
+
+    it("Should upgrade mid-term for the pro-rated difference", async function () {
+      const year = 365 * 86400;
+      await vipMembership.addTier("Platinum", ethers.parseUnits("300", 18), year, 7500);
+      await vipMembership.connect(user1).purchaseMembership(); // standard plan: 100 tokens / year
+      const expiry = await vipMembership.getMembershipExpiry(user1.address);
+
+      // Half the term left: 150 (Platinum) - 50 (unused standard) = 100
+      await ethers.provider.send("evm_increaseTime", [year / 2]);
+      await ethers.provider.send("evm_mine", []);
+      const upgradeCost = await vipMembership.getUpgradeCost(user1.address, 1);
+      expect(upgradeCost).to.be.closeTo(ethers.parseUnits("100", 18), ethers.parseUnits("0.01", 18));
+
+      await delta8Token.mint(user1.address, ethers.parseUnits("101", 18));
+      await delta8Token.connect(user1).approve(await vipMembership.getAddress(), ethers.parseUnits("101", 18));
+      await expect(vipMembership.connect(user1).upgradeMembership(1))
+        .to.emit(vipMembership, "MembershipUpgraded");
+
+      expect(await vipMembership.memberTier(user1.address)).to.equal(1);
+      expect(await vipMembership.getMembershipExpiry(user1.address)).to.equal(expiry);
+
+      // Tier discount feeds PricingManager resolution
+      await pricingManager.setVIPMembership(await vipMembership.getAddress());
+      expect(await pricingManager.getUserVIPDiscountBPS(user1.address, 1)).to.equal(7500);
+    });
   });
 
   describe("BatchManagerUpgradeable", function () {
@@ -239,6 +366,22 @@ describe("DELTA8 Upgradeable Contracts", function () {
       expect(priceBefore).to.equal(priceAfter);
     });
 
+    it("Should set the default quote validity when upgrading a pre-quote PricingManager", async function () {
+      // Simulate a proxy deployed before quotes: find the quoteValidity slot and clear it
+      const proxy = await pricingManager.getAddress();
+      await pricingManager.setQuoteValidity(987654321);
+      let slot = 0;
+      while (BigInt(await ethers.provider.getStorage(proxy, slot)) !== 987654321n) slot++;
+      await ethers.provider.send("hardhat_setStorageAt", [proxy, ethers.toBeHex(slot), ethers.ZeroHash]);
+      expect(await pricingManager.quoteValidity()).to.equal(0);
+
+      const PricingManagerV2 = await ethers.getContractFactory("PricingManagerUpgradeable");
+      const upgraded = await upgrades.upgradeProxy(proxy, PricingManagerV2, { call: "initializeV2" });
+      expect(await upgraded.quoteValidity()).to.equal(15 * 60);
+
+      await expect(upgraded.initializeV2()).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+    });
+
     it("Should upgrade BatchManager and preserve batches", async function () {
       // Create batch
       await batchManager.createBatch(
@@ -315,5 +458,22 @@ describe("DELTA8 Upgradeable Contracts", function () {
       // VIP should be 50% of regular
       expect(vipRate * 2n).to.equal(regularRate);
     });
+
+    it("Should resolve per-user VIP rates at redemption time", async function () {
+      await batchManager.createBatch(
+        1,
+        ethers.parseUnits("28", 6),
+        0,
+        100,
+        "BATCH-001",
+        "ipfs://test"
+      );
+      await pricingManager.setVIPMembership(await vipMembership.getAddress());
+      await pricingManager.setLoyaltyTiers([0], [7500]);
+
+      const regularRate = await batchManager.getBatchRedemptionRate(1, false);
+      const userVipRate = await batchManager.getUserRedemptionRate(1, user1.address, true);
+      expect(userVipRate).to.equal(regularRate / 4n);
+    });
   });
 });